@@ -0,0 +1,672 @@
+// Alerting. Rules stored in graphile_worker_ui.alert_rules are evaluated every
+// ALERTS_INTERVAL_SECONDS; each rule yields the subjects (task, queue or
+// worker) currently breaking it:
+//
+//   failed_jobs      jobs of a task that failed (and were not retried
+//                    successfully) at least `threshold` times in `minutes`
+//   queue_depth      more than `threshold` jobs due and waiting in a queue
+//   oldest_pending   a task's oldest due job has waited over `minutes`
+//   stuck_locks      a worker has held job or queue locks for over `minutes`
+//
+// A subject that starts breaking a rule fires, and resolves once it no longer
+// does (or the rule is disabled). Both are recorded in alert_events and sent
+// to the rule's channels (see notifications.js). Several backends can share a
+// database; an advisory lock makes sure only one evaluates at a time.
+
+import { recordAudit } from './audit.js';
+import { deliverAll, isSmtpConfigured, validateChannels } from './notifications.js';
+
+const installSql = `
+  CREATE TABLE IF NOT EXISTS graphile_worker_ui.alert_rules (
+    id serial PRIMARY KEY,
+    name text NOT NULL,
+    kind text NOT NULL,
+    params jsonb NOT NULL DEFAULT '{}',
+    channels jsonb NOT NULL DEFAULT '[]',
+    enabled boolean NOT NULL DEFAULT true,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now(),
+    updated_by text
+  );
+
+  -- Subjects currently firing, per rule
+  CREATE TABLE IF NOT EXISTS graphile_worker_ui.alert_state (
+    rule_id int NOT NULL REFERENCES graphile_worker_ui.alert_rules (id) ON DELETE CASCADE,
+    subject text NOT NULL,
+    value double precision,
+    message text NOT NULL,
+    since timestamptz NOT NULL DEFAULT now(),
+    PRIMARY KEY (rule_id, subject)
+  );
+
+  CREATE TABLE IF NOT EXISTS graphile_worker_ui.alert_events (
+    id bigserial PRIMARY KEY,
+    rule_id int REFERENCES graphile_worker_ui.alert_rules (id) ON DELETE SET NULL,
+    rule_name text NOT NULL,
+    kind text NOT NULL,
+    subject text NOT NULL,
+    state text NOT NULL CHECK (state IN ('firing', 'resolved')),
+    value double precision,
+    message text NOT NULL,
+    at timestamptz NOT NULL DEFAULT now(),
+    deliveries jsonb
+  );
+  CREATE INDEX IF NOT EXISTS alert_events_at_idx ON graphile_worker_ui.alert_events (at DESC);
+  CREATE INDEX IF NOT EXISTS alert_events_rule_id_idx ON graphile_worker_ui.alert_events (rule_id, at DESC);
+`;
+
+// Alert history is kept this long
+const EVENT_RETENTION_DAYS = 90;
+
+const integer = (defaultValue, min, max) => ({
+  default: defaultValue,
+  validate: (value) => Number.isInteger(value) && value >= min && value <= max,
+  expected: `an integer from ${min} to ${max}`,
+});
+
+// Empty means every task or queue
+const optionalName = {
+  default: null,
+  validate: (value) => value === null || typeof value === 'string',
+  expected: 'a name, or null for all',
+};
+
+// Jobs waiting for a worker: due, unlocked and with attempts left. Unlike the
+// `pending` status this includes due retries.
+const WAITING = 'j.locked_at IS NULL AND j.run_at <= now() AND j.attempts < j.max_attempts';
+
+// Subject of jobs that aren't in a named queue
+const NO_QUEUE = '(no queue)';
+
+const without = (values, key) => {
+  const next = { ...values };
+  delete next[key];
+  return next;
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Keep in sync with frontend/src/utils/alerts.js
+const RULE_KINDS = {
+  failed_jobs: {
+    params: { minutes: integer(15, 1, 10080), threshold: integer(1, 1, 1000000), taskIdentifier: optionalName },
+    // Failed attempts still in the table: retrying jobs and exhausted ones
+    sql: `
+      SELECT t.identifier AS subject, count(*)::float8 AS value
+      FROM graphile_worker._private_jobs j
+      JOIN graphile_worker._private_tasks t ON t.id = j.task_id
+      WHERE j.last_error IS NOT NULL AND j.locked_at IS NULL AND j.attempts > 0
+        AND j.updated_at >= now() - $1 * interval '1 minute'
+        AND ($2::text IS NULL OR t.identifier = $2)
+      GROUP BY t.identifier
+      HAVING count(*) >= $3
+    `,
+    values: ({ minutes, taskIdentifier, threshold }) => [minutes, taskIdentifier, threshold],
+    message: ({ subject, value }, { minutes }) =>
+      `${plural(value, 'job')} of task ${subject} failed in the last ${plural(minutes, 'minute')}`,
+  },
+  queue_depth: {
+    params: { threshold: integer(100, 0, 100000000), queueName: optionalName },
+    sql: `
+      SELECT coalesce(q.queue_name, '${NO_QUEUE}') AS subject, count(*)::float8 AS value
+      FROM graphile_worker._private_jobs j
+      LEFT JOIN graphile_worker._private_job_queues q ON q.id = j.job_queue_id
+      WHERE ${WAITING} AND ($1::text IS NULL OR q.queue_name = $1)
+      GROUP BY q.queue_name
+      HAVING count(*) > $2
+    `,
+    values: ({ queueName, threshold }) => [queueName, threshold],
+    message: ({ subject, value }, { threshold }) =>
+      `${plural(value, 'job')} waiting ${subject === NO_QUEUE ? 'outside any queue' : `in queue ${subject}`} (threshold ${threshold})`,
+  },
+  oldest_pending: {
+    params: { minutes: integer(30, 1, 525600), taskIdentifier: optionalName },
+    sql: `
+      SELECT t.identifier AS subject, floor(extract(epoch FROM now() - min(j.run_at)) / 60)::float8 AS value
+      FROM graphile_worker._private_jobs j
+      JOIN graphile_worker._private_tasks t ON t.id = j.task_id
+      WHERE ${WAITING} AND ($2::text IS NULL OR t.identifier = $2)
+      GROUP BY t.identifier
+      HAVING min(j.run_at) < now() - $1 * interval '1 minute'
+    `,
+    values: ({ minutes, taskIdentifier }) => [minutes, taskIdentifier],
+    message: ({ subject, value }) => `The oldest waiting job of task ${subject} has waited ${plural(value, 'minute')}`,
+  },
+  stuck_locks: {
+    params: { minutes: integer(60, 1, 10080) },
+    sql: `
+      SELECT locked_by AS subject, count(*)::float8 AS value
+      FROM (
+        SELECT locked_by FROM graphile_worker._private_jobs WHERE locked_at < now() - $1 * interval '1 minute'
+        UNION ALL
+        SELECT locked_by FROM graphile_worker._private_job_queues WHERE locked_at < now() - $1 * interval '1 minute'
+      ) locks
+      GROUP BY locked_by
+    `,
+    values: ({ minutes }) => [minutes],
+    message: ({ subject, value }, { minutes }) =>
+      `Worker ${subject} has held ${plural(value, 'lock')} for over ${plural(minutes, 'minute')}`,
+  },
+};
+
+export const ALERT_RULE_KINDS = Object.keys(RULE_KINDS);
+
+// Missing params take their default; throws on anything invalid or unknown
+const validateParams = (kind, params) => {
+  const spec = RULE_KINDS[kind].params;
+  if (params == null) params = {};
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error('params must be an object');
+  }
+  for (const key of Object.keys(params)) {
+    if (!spec[key]) throw new Error(`Unknown parameter ${key} for ${kind}`);
+  }
+  return Object.fromEntries(Object.entries(spec).map(([key, { default: defaultValue, validate, expected }]) => {
+    let value = params[key] ?? defaultValue;
+    if (value === '') value = null;
+    if (!validate(value)) throw new Error(`Invalid ${key}: expected ${expected}`);
+    return [key, value];
+  }));
+};
+
+let alertsAvailable = false;
+const engine = { enabled: false, intervalSeconds: null, uiUrl: null, lastEvaluatedAt: null, lastError: null };
+
+const toNotification = (rule, event) => {
+  const state = event.state === 'firing' ? 'FIRING' : 'RESOLVED';
+  const url = engine.uiUrl ? `${engine.uiUrl.replace(/\/$/, '')}/alerts/history` : null;
+  return {
+    title: `[${state}] ${rule.name}: ${event.subject}`,
+    text: [
+      event.message,
+      `Rule: ${rule.name} (${rule.kind})`,
+      `At: ${event.at.toISOString()}`,
+      url && `History: ${url}`,
+    ].filter(Boolean).join('\n'),
+    payload: {
+      state: event.state,
+      rule: { id: rule.id, name: rule.name, kind: rule.kind, params: rule.params },
+      subject: event.subject,
+      value: event.value,
+      message: event.message,
+      at: event.at.toISOString(),
+      url,
+    },
+  };
+};
+
+// Evaluate every rule once: fire new subjects, resolve cleared ones, and
+// deliver the notifications after committing. Returns the number of events,
+// or null when another backend is evaluating.
+export const evaluateAlerts = async (pgPool) => {
+  const client = await pgPool.connect();
+  const events = [];
+  try {
+    await client.query('BEGIN');
+    const { rows: [{ locked }] } = await client.query(
+      `SELECT pg_try_advisory_xact_lock(hashtext('graphile_worker_ui.alerts')) AS locked`
+    );
+    if (!locked) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    // Disabled rules are only visited to resolve what they left firing
+    const { rows: rules } = await client.query(
+      `SELECT * FROM graphile_worker_ui.alert_rules r
+      WHERE r.enabled OR EXISTS (SELECT 1 FROM graphile_worker_ui.alert_state s WHERE s.rule_id = r.id)
+      ORDER BY r.id`
+    );
+    for (const rule of rules) {
+      const kind = RULE_KINDS[rule.kind];
+      let breaking = [];
+      if (rule.enabled && kind) {
+        await client.query('SAVEPOINT rule');
+        try {
+          const { rows } = await client.query(kind.sql, kind.values(rule.params));
+          breaking = rows.map((row) => ({ ...row, message: kind.message(row, rule.params) }));
+          await client.query('RELEASE SAVEPOINT rule');
+        } catch (error) {
+          // Leave this rule's state alone rather than resolve everything
+          console.error(`Error evaluating alert rule ${rule.name}:`, error);
+          await client.query('ROLLBACK TO SAVEPOINT rule');
+          continue;
+        }
+      }
+
+      const { rows: firing } = await client.query(
+        'SELECT subject, message FROM graphile_worker_ui.alert_state WHERE rule_id = $1',
+        [rule.id]
+      );
+      const firingSubjects = new Set(firing.map((row) => row.subject));
+      const breakingSubjects = new Set(breaking.map((row) => row.subject));
+      const record = async (state, subject, value, message) => {
+        const { rows: [event] } = await client.query(
+          `INSERT INTO graphile_worker_ui.alert_events (rule_id, rule_name, kind, subject, state, value, message)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+          RETURNING id, state, subject, value, message, at`,
+          [rule.id, rule.name, rule.kind, subject, state, value, message]
+        );
+        events.push({ rule, event });
+      };
+
+      for (const row of breaking) {
+        await client.query(
+          `INSERT INTO graphile_worker_ui.alert_state (rule_id, subject, value, message) VALUES ($1, $2, $3, $4)
+          ON CONFLICT (rule_id, subject) DO UPDATE SET value = excluded.value, message = excluded.message`,
+          [rule.id, row.subject, row.value, row.message]
+        );
+        if (!firingSubjects.has(row.subject)) {
+          await record('firing', row.subject, row.value, row.message);
+        }
+      }
+      for (const row of firing.filter(({ subject }) => !breakingSubjects.has(subject))) {
+        await client.query(
+          'DELETE FROM graphile_worker_ui.alert_state WHERE rule_id = $1 AND subject = $2',
+          [rule.id, row.subject]
+        );
+        await record('resolved', row.subject, null, rule.enabled ? `Resolved: ${row.message}` : `Rule disabled: ${row.message}`);
+      }
+    }
+    await client.query(
+      `DELETE FROM graphile_worker_ui.alert_events WHERE at < now() - $1 * interval '1 day'`,
+      [EVENT_RETENTION_DAYS]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Delivered outside the transaction so a slow endpoint doesn't hold the lock
+  for (const { rule, event } of events) {
+    const deliveries = await deliverAll(rule.channels, toNotification(rule, event));
+    await pgPool.query(
+      'UPDATE graphile_worker_ui.alert_events SET deliveries = $2 WHERE id = $1',
+      [event.id, JSON.stringify(deliveries)]
+    );
+  }
+  return events.length;
+};
+
+// Create the tables (rules can be managed even while evaluation is off), then
+// evaluate every `intervalSeconds` when enabled
+export const setupAlerts = async (pgPool, { enabled = false, intervalSeconds = 60, uiUrl = null } = {}) => {
+  try {
+    await pgPool.query(installSql);
+    alertsAvailable = true;
+  } catch (error) {
+    console.error('Error setting up alerts:', error);
+    alertsAvailable = false;
+    return false;
+  }
+  engine.uiUrl = uiUrl;
+  if (!enabled || !(intervalSeconds > 0)) {
+    console.log('ℹ️  Alert evaluation disabled; rules can be edited but will not fire');
+    return false;
+  }
+  engine.enabled = true;
+  engine.intervalSeconds = intervalSeconds;
+
+  let running = false;
+  const evaluate = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await evaluateAlerts(pgPool);
+      engine.lastEvaluatedAt = new Date();
+      engine.lastError = null;
+    } catch (error) {
+      console.error('Error evaluating alerts:', error);
+      engine.lastError = error.message;
+    } finally {
+      running = false;
+    }
+  };
+  evaluate();
+  setInterval(evaluate, intervalSeconds * 1000).unref();
+  console.log(`🚨 Evaluating alert rules every ${intervalSeconds}s`);
+  return true;
+};
+
+const assertAvailable = () => {
+  if (!alertsAvailable) {
+    throw new Error('Alerts are unavailable; check the backend logs');
+  }
+};
+
+// node-postgres hands back Date objects; the Datetime scalar expects ISO strings
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const loadRules = async (pgClient, id = null) => {
+  const { rows } = await pgClient.query(
+    `SELECT r.*, coalesce(
+      (SELECT json_agg(json_build_object('subject', s.subject, 'value', s.value, 'message', s.message, 'since', s.since) ORDER BY s.since)
+      FROM graphile_worker_ui.alert_state s WHERE s.rule_id = r.id),
+      '[]'
+    ) AS firing
+    FROM graphile_worker_ui.alert_rules r
+    WHERE $1::int IS NULL OR r.id = $1
+    ORDER BY r.name, r.id`,
+    [id]
+  );
+  return rows.map((row) => ({
+    id: row.id,
+    name: row.name,
+    kind: row.kind,
+    params: row.params,
+    channels: row.channels,
+    enabled: row.enabled,
+    createdAt: toIso(row.created_at),
+    updatedAt: toIso(row.updated_at),
+    updatedBy: row.updated_by,
+    firing: row.firing.map((entry) => ({ ...entry, since: toIso(entry.since) })),
+  }));
+};
+
+const toAlertEvent = (row) => ({
+  id: row.id,
+  ruleId: row.rule_id,
+  ruleName: row.rule_name,
+  kind: row.kind,
+  subject: row.subject,
+  state: row.state,
+  value: row.value,
+  message: row.message,
+  at: toIso(row.at),
+  deliveries: row.deliveries,
+});
+
+export const AlertsPlugin = (builder) => {
+  builder.hook('init', (_, build) => {
+    const { GraphQLObjectType, GraphQLNonNull, GraphQLList, GraphQLInt, GraphQLFloat, GraphQLString, GraphQLBoolean } = build.graphql;
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'AlertFiring',
+        description: 'A subject currently breaking an alert rule.',
+        fields: () => ({
+          subject: { type: new GraphQLNonNull(GraphQLString), description: 'Task, queue or worker' },
+          value: { type: GraphQLFloat },
+          message: { type: new GraphQLNonNull(GraphQLString) },
+          since: { type: new GraphQLNonNull(build.getTypeByName('Datetime') || GraphQLString) },
+        }),
+      },
+      { isAlertFiring: true }
+    );
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'AlertRule',
+        fields: () => {
+          const Datetime = build.getTypeByName('Datetime') || GraphQLString;
+          const JSONType = build.getTypeByName('JSON') || GraphQLString;
+          return {
+            id: { type: new GraphQLNonNull(GraphQLInt) },
+            name: { type: new GraphQLNonNull(GraphQLString) },
+            kind: { type: new GraphQLNonNull(GraphQLString), description: ALERT_RULE_KINDS.join(', ') },
+            params: { type: new GraphQLNonNull(JSONType) },
+            channels: { type: new GraphQLNonNull(JSONType), description: 'List of { type: webhook|slack, url } or { type: email, to }' },
+            enabled: { type: new GraphQLNonNull(GraphQLBoolean) },
+            createdAt: { type: Datetime },
+            updatedAt: { type: Datetime },
+            updatedBy: { type: GraphQLString },
+            firing: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('AlertFiring')))) },
+          };
+        },
+      },
+      { isAlertRule: true }
+    );
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'AlertEvent',
+        description: 'A subject starting or stopping to break an alert rule.',
+        fields: () => {
+          const Datetime = build.getTypeByName('Datetime') || GraphQLString;
+          const JSONType = build.getTypeByName('JSON') || GraphQLString;
+          return {
+            id: { type: new GraphQLNonNull(GraphQLString) },
+            ruleId: { type: GraphQLInt, description: 'Null once the rule is deleted' },
+            ruleName: { type: new GraphQLNonNull(GraphQLString) },
+            kind: { type: new GraphQLNonNull(GraphQLString) },
+            subject: { type: new GraphQLNonNull(GraphQLString) },
+            state: { type: new GraphQLNonNull(GraphQLString), description: 'firing or resolved' },
+            value: { type: GraphQLFloat },
+            message: { type: new GraphQLNonNull(GraphQLString) },
+            at: { type: new GraphQLNonNull(Datetime) },
+            deliveries: { type: JSONType, description: 'Per channel { type, target, ok, error }; null until delivered' },
+          };
+        },
+      },
+      { isAlertEvent: true }
+    );
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'AlertEventConnection',
+        fields: () => ({
+          nodes: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('AlertEvent')))) },
+          totalCount: { type: new GraphQLNonNull(GraphQLInt) },
+        }),
+      },
+      { isAlertEventConnection: true }
+    );
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'AlertEngine',
+        fields: () => ({
+          enabled: { type: new GraphQLNonNull(GraphQLBoolean), description: 'Whether this backend evaluates the rules' },
+          intervalSeconds: { type: GraphQLInt },
+          lastEvaluatedAt: { type: build.getTypeByName('Datetime') || GraphQLString },
+          lastError: { type: GraphQLString },
+          smtpConfigured: { type: new GraphQLNonNull(GraphQLBoolean) },
+        }),
+      },
+      { isAlertEngine: true }
+    );
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'AlertDelivery',
+        fields: {
+          type: { type: new GraphQLNonNull(GraphQLString) },
+          target: { type: GraphQLString },
+          ok: { type: new GraphQLNonNull(GraphQLBoolean) },
+          error: { type: GraphQLString },
+        },
+      },
+      { isAlertDelivery: true }
+    );
+    return _;
+  });
+
+  builder.hook('GraphQLObjectType:fields', (fields, build, context) => {
+    const { extend } = build;
+    const { GraphQLNonNull, GraphQLList, GraphQLInt, GraphQLString, GraphQLBoolean } = build.graphql;
+    const reasonArg = { type: GraphQLString, description: 'Recorded in the audit log' };
+
+    if (context.scope.isRootQuery) {
+      return extend(fields, {
+        alertRules: {
+          type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('AlertRule')))),
+          resolve: async (parent, args, context) => {
+            assertAvailable();
+            try {
+              return await loadRules(context.pgClient);
+            } catch (error) {
+              console.error('Error loading alert rules:', error);
+              throw error;
+            }
+          },
+        },
+        alertEvents: {
+          type: new GraphQLNonNull(build.getTypeByName('AlertEventConnection')),
+          description: 'Alert firing and resolved events, newest first.',
+          args: {
+            first: { type: GraphQLInt },
+            offset: { type: GraphQLInt },
+            ruleId: { type: GraphQLInt },
+            state: { type: GraphQLString },
+          },
+          resolve: async (parent, args, context) => {
+            assertAvailable();
+            const where = `WHERE ($1::int IS NULL OR rule_id = $1) AND ($2::text IS NULL OR state = $2)`;
+            const params = [args.ruleId ?? null, args.state || null];
+            try {
+              const { rows: [{ count }] } = await context.pgClient.query(
+                `SELECT count(*)::int AS count FROM graphile_worker_ui.alert_events ${where}`,
+                params
+              );
+              const { rows } = await context.pgClient.query(
+                `SELECT * FROM graphile_worker_ui.alert_events ${where}
+                ORDER BY at DESC, id DESC
+                LIMIT $3 OFFSET $4`,
+                [...params, Math.min(Math.max(args.first ?? 50, 0), 500), Math.max(args.offset ?? 0, 0)]
+              );
+              return { nodes: rows.map(toAlertEvent), totalCount: count };
+            } catch (error) {
+              console.error('Error loading alert events:', error);
+              throw error;
+            }
+          },
+        },
+        alertEngine: {
+          type: new GraphQLNonNull(build.getTypeByName('AlertEngine')),
+          resolve: () => ({
+            enabled: engine.enabled,
+            intervalSeconds: engine.intervalSeconds,
+            lastEvaluatedAt: toIso(engine.lastEvaluatedAt),
+            lastError: engine.lastError,
+            smtpConfigured: isSmtpConfigured(),
+          }),
+        },
+      });
+    }
+
+    if (context.scope.isRootMutation) {
+      const JSONType = build.getTypeByName('JSON');
+      return extend(fields, {
+        // Create a rule, or update it when an id is given
+        saveAlertRule: {
+          type: new GraphQLNonNull(build.getTypeByName('AlertRule')),
+          args: {
+            id: { type: GraphQLInt },
+            name: { type: new GraphQLNonNull(GraphQLString) },
+            kind: { type: new GraphQLNonNull(GraphQLString) },
+            params: { type: JSONType },
+            channels: { type: JSONType },
+            enabled: { type: GraphQLBoolean },
+            reason: reasonArg,
+          },
+          resolve: async (parent, args, context) => {
+            assertAvailable();
+            const { pgClient, user } = context;
+            const name = args.name.trim();
+            if (!name) {
+              throw new Error('name must not be empty');
+            }
+            if (!RULE_KINDS[args.kind]) {
+              throw new Error(`Unknown rule kind ${args.kind}; expected one of ${ALERT_RULE_KINDS.join(', ')}`);
+            }
+            const params = validateParams(args.kind, args.params);
+            const channels = validateChannels(args.channels ?? []);
+            try {
+              const [previous] = args.id == null ? [] : await loadRules(pgClient, args.id);
+              if (args.id != null && !previous) {
+                throw new Error(`Alert rule ${args.id} not found`);
+              }
+              const values = [name, args.kind, JSON.stringify(params), JSON.stringify(channels), args.enabled ?? true, user ? user.username : null];
+              const { rows: [{ id }] } = previous
+                ? await pgClient.query(
+                  `UPDATE graphile_worker_ui.alert_rules
+                  SET name = $1, kind = $2, params = $3, channels = $4, enabled = $5, updated_by = $6, updated_at = now()
+                  WHERE id = $7 RETURNING id`,
+                  [...values, args.id]
+                )
+                : await pgClient.query(
+                  `INSERT INTO graphile_worker_ui.alert_rules (name, kind, params, channels, enabled, updated_by)
+                  VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+                  values
+                );
+              // A changed kind measures something else, so what it had firing starts over
+              if (previous && previous.kind !== args.kind) {
+                await pgClient.query('DELETE FROM graphile_worker_ui.alert_state WHERE rule_id = $1', [id]);
+              }
+              const [rule] = await loadRules(pgClient, id);
+              await recordAudit(pgClient, user, {
+                action: 'saveAlertRule',
+                target: rule.name,
+                reason: args.reason,
+                details: { rule: without(rule, 'firing'), previous: previous ? without(previous, 'firing') : null },
+              });
+              return rule;
+            } catch (error) {
+              console.error('Error saving alert rule:', error);
+              throw error;
+            }
+          },
+        },
+        deleteAlertRule: {
+          type: GraphQLBoolean,
+          args: {
+            id: { type: new GraphQLNonNull(GraphQLInt) },
+            reason: reasonArg,
+          },
+          resolve: async (parent, args, context) => {
+            assertAvailable();
+            const { pgClient, user } = context;
+            try {
+              const [previous] = await loadRules(pgClient, args.id);
+              if (!previous) {
+                return false;
+              }
+              await pgClient.query('DELETE FROM graphile_worker_ui.alert_rules WHERE id = $1', [args.id]);
+              await recordAudit(pgClient, user, {
+                action: 'deleteAlertRule',
+                target: previous.name,
+                reason: args.reason,
+                details: { previous: without(previous, 'firing') },
+              });
+              return true;
+            } catch (error) {
+              console.error('Error deleting alert rule:', error);
+              throw error;
+            }
+          },
+        },
+        // Send a sample notification to check channel settings
+        testAlertChannels: {
+          type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('AlertDelivery')))),
+          args: {
+            channels: { type: new GraphQLNonNull(JSONType) },
+            reason: reasonArg,
+          },
+          resolve: async (parent, args, context) => {
+            const { pgClient, user } = context;
+            const channels = validateChannels(args.channels);
+            const rule = { id: null, name: 'Test notification', kind: 'test', params: {} };
+            const event = {
+              state: 'firing',
+              subject: 'test',
+              value: null,
+              message: `Test notification sent by ${user ? user.username : 'unknown'} from the Alerts page`,
+              at: new Date(),
+            };
+            const deliveries = await deliverAll(channels, toNotification(rule, event));
+            await recordAudit(pgClient, user, {
+              action: 'testAlertChannels',
+              reason: args.reason,
+              details: { result: deliveries },
+            });
+            return deliveries;
+          },
+        },
+      });
+    }
+
+    return fields;
+  });
+};
@@ -0,0 +1,271 @@
+// Audit log of operator actions. Every job, worker and queue mutation records
+// who ran it, the job ids it targeted, the reason given in the UI and a
+// snapshot of those jobs before and after. The row is written with the
+// mutation's own pgClient, so it commits or rolls back with the action.
+
+import sql from 'pg-sql2';
+import { jobStatusSql } from './jobStatus.js';
+
+// Kept in our own schema so PostGraphile (which only exposes graphile_worker)
+// never picks the table up.
+const installSql = `
+  CREATE TABLE IF NOT EXISTS graphile_worker_ui.audit_log (
+    id bigserial PRIMARY KEY,
+    at timestamptz NOT NULL DEFAULT now(),
+    username text NOT NULL,
+    role text,
+    action text NOT NULL,
+    job_ids bigint[] NOT NULL DEFAULT '{}',
+    target text,
+    reason text,
+    details jsonb,
+    before jsonb,
+    after jsonb
+  );
+  CREATE INDEX IF NOT EXISTS audit_log_at_idx ON graphile_worker_ui.audit_log (at DESC);
+  CREATE INDEX IF NOT EXISTS audit_log_username_idx ON graphile_worker_ui.audit_log (username, at DESC);
+  CREATE INDEX IF NOT EXISTS audit_log_action_idx ON graphile_worker_ui.audit_log (action, at DESC);
+  CREATE INDEX IF NOT EXISTS audit_log_job_ids_idx ON graphile_worker_ui.audit_log USING gin (job_ids);
+`;
+
+// Bulk actions can target thousands of jobs; all ids are kept but only the
+// first ones are snapshotted
+const SNAPSHOT_LIMIT = 100;
+
+// One JSON object per job keyed by id; a job missing from `after` was deleted
+const snapshotQuery = (jobIds) => {
+  const job = sql.identifier('j');
+  return sql.compile(sql.query`
+    SELECT jsonb_object_agg(s.id, to_jsonb(s) - 'id') AS snapshot
+    FROM (
+      SELECT
+        j.id::text AS id,
+        ${jobStatusSql(sql, job)} AS status,
+        t.identifier AS "taskIdentifier",
+        q.queue_name AS "queueName",
+        j.payload,
+        j.priority,
+        j.run_at AS "runAt",
+        j.attempts,
+        j.max_attempts AS "maxAttempts",
+        j.last_error AS "lastError",
+        j.key,
+        j.locked_at AS "lockedAt",
+        j.locked_by AS "lockedBy",
+        j.revision
+      FROM graphile_worker._private_jobs j
+      JOIN graphile_worker._private_tasks t ON t.id = j.task_id
+      LEFT JOIN graphile_worker._private_job_queues q ON q.id = j.job_queue_id
+      WHERE j.id = ANY(${sql.value(jobIds)}::bigint[])
+    ) s
+  `);
+};
+
+let auditLogAvailable = false;
+
+export const isAuditLogAvailable = () => auditLogAvailable;
+
+export const snapshotJobs = async (pgClient, jobIds) => {
+  if (!auditLogAvailable || !jobIds || jobIds.length === 0) {
+    return null;
+  }
+  const { text, values } = snapshotQuery(jobIds.slice(0, SNAPSHOT_LIMIT));
+  const { rows: [row] } = await pgClient.query(text, values);
+  return row.snapshot || {};
+};
+
+export const recordAudit = async (pgClient, user, { action, jobIds = [], target = null, reason = null, details = null, before = null, after = null }) => {
+  if (!auditLogAvailable) {
+    return;
+  }
+  await pgClient.query(
+    `INSERT INTO graphile_worker_ui.audit_log (username, role, action, job_ids, target, reason, details, before, after)
+    VALUES ($1, $2, $3, $4::bigint[], $5, $6, $7, $8, $9)`,
+    [
+      user ? user.username : 'unknown',
+      user ? user.role : null,
+      action,
+      jobIds,
+      target,
+      reason || null,
+      details && JSON.stringify(details),
+      before && JSON.stringify(before),
+      after && JSON.stringify(after),
+    ]
+  );
+};
+
+// Run a job action between two snapshots of its jobs and record it along with
+// its result
+export const withAudit = async (context, entry, run) => {
+  const { pgClient, user } = context;
+  const before = await snapshotJobs(pgClient, entry.jobIds);
+  const result = await run();
+  await recordAudit(pgClient, user, {
+    ...entry,
+    details: { ...entry.details, result },
+    before,
+    after: await snapshotJobs(pgClient, entry.jobIds),
+  });
+  return result;
+};
+
+// Create the table; the audit log only needs our own schema, so it is always
+// installed. Actions must not go unrecorded, so the backend doesn't start
+// without it.
+export const setupAuditLog = async (pgPool) => {
+  try {
+    await pgPool.query(installSql);
+  } catch (error) {
+    throw new Error(`Cannot set up the audit log in graphile_worker_ui.audit_log: ${error.message}`);
+  }
+  auditLogAvailable = true;
+  return auditLogAvailable;
+};
+
+// node-postgres hands back Date objects; the Datetime scalar expects ISO strings
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const toAuditEntry = (row) => ({
+  id: row.id,
+  at: toIso(row.at),
+  username: row.username,
+  role: row.role,
+  action: row.action,
+  jobIds: row.job_ids.map(String),
+  target: row.target,
+  reason: row.reason,
+  details: row.details,
+  before: row.before,
+  after: row.after,
+});
+
+export const AuditLogPlugin = (builder) => {
+  builder.hook('init', (_, build) => {
+    const { GraphQLObjectType, GraphQLNonNull, GraphQLList, GraphQLInt, GraphQLString } = build.graphql;
+    const stringList = () => new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(GraphQLString)));
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'AuditLogEntry',
+        description: 'An operator action recorded by the audit log.',
+        fields: () => {
+          const Datetime = build.getTypeByName('Datetime') || GraphQLString;
+          const JSONType = build.getTypeByName('JSON') || GraphQLString;
+          return {
+            id: { type: new GraphQLNonNull(GraphQLString) },
+            at: { type: new GraphQLNonNull(Datetime) },
+            username: { type: new GraphQLNonNull(GraphQLString) },
+            role: { type: GraphQLString },
+            action: { type: new GraphQLNonNull(GraphQLString), description: 'The mutation that was run, e.g. cancelJob' },
+            jobIds: { type: stringList() },
+            target: { type: GraphQLString, description: 'Worker id or queue name for unlock actions' },
+            reason: { type: GraphQLString },
+            details: { type: JSONType, description: 'Arguments and result of the action' },
+            before: { type: JSONType, description: 'Snapshot of the jobs before the action, keyed by id (first 100 jobs)' },
+            after: { type: JSONType, description: 'Snapshot after the action; deleted jobs are missing' },
+          };
+        },
+      },
+      { isAuditLogEntry: true }
+    );
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'AuditLogConnection',
+        fields: () => ({
+          nodes: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('AuditLogEntry')))) },
+          totalCount: { type: new GraphQLNonNull(GraphQLInt) },
+          usernames: {
+            type: stringList(),
+            description: 'Everyone who appears in the log, for filtering',
+            resolve: async (parent, args, context) => {
+              const { rows } = await context.pgClient.query(
+                'SELECT DISTINCT username FROM graphile_worker_ui.audit_log ORDER BY username'
+              );
+              return rows.map((row) => row.username);
+            },
+          },
+          actions: {
+            type: stringList(),
+            description: 'Every action that appears in the log, for filtering',
+            resolve: async (parent, args, context) => {
+              const { rows } = await context.pgClient.query(
+                'SELECT DISTINCT action FROM graphile_worker_ui.audit_log ORDER BY action'
+              );
+              return rows.map((row) => row.action);
+            },
+          },
+        }),
+      },
+      { isAuditLogConnection: true }
+    );
+    return _;
+  });
+
+  builder.hook('GraphQLObjectType:fields', (fields, build, context) => {
+    const { extend } = build;
+    const { GraphQLNonNull, GraphQLInt, GraphQLString } = build.graphql;
+
+    if (!context.scope.isRootQuery) {
+      return fields;
+    }
+    return extend(fields, {
+      auditLog: {
+        type: new GraphQLNonNull(build.getTypeByName('AuditLogConnection')),
+        description: 'Recorded operator actions, newest first.',
+        args: {
+          first: { type: GraphQLInt },
+          offset: { type: GraphQLInt },
+          username: { type: GraphQLString },
+          action: { type: GraphQLString },
+          jobId: { type: GraphQLString },
+        },
+        resolve: async (parent, args, context) => {
+          if (!auditLogAvailable) {
+            throw new Error('The audit log is not available; check the backend logs');
+          }
+          const conditions = [];
+          const params = [];
+          const param = (value) => {
+            params.push(value);
+            return `$${params.length}`;
+          };
+          if (args.username) {
+            conditions.push(`username = ${param(args.username)}`);
+          }
+          if (args.action) {
+            conditions.push(`action = ${param(args.action)}`);
+          }
+          if (args.jobId) {
+            if (!/^\d+$/.test(args.jobId)) {
+              throw new Error('jobId must be a job id');
+            }
+            conditions.push(`job_ids @> ARRAY[${param(args.jobId)}::bigint]`);
+          }
+          const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+          const { pgClient } = context;
+          try {
+            const { rows: [{ count }] } = await pgClient.query(
+              `SELECT count(*)::int AS count FROM graphile_worker_ui.audit_log ${where}`,
+              params
+            );
+            const limit = param(Math.min(Math.max(args.first ?? 50, 0), 500));
+            const offset = param(Math.max(args.offset ?? 0, 0));
+            const { rows } = await pgClient.query(
+              `SELECT * FROM graphile_worker_ui.audit_log ${where}
+              ORDER BY at DESC, id DESC
+              LIMIT ${limit} OFFSET ${offset}`,
+              params
+            );
+            return { nodes: rows.map(toAuditEntry), totalCount: count };
+          } catch (error) {
+            console.error('Error loading audit log:', error);
+            throw error;
+          }
+        },
+      },
+    });
+  });
+};
@@ -0,0 +1,590 @@
+// Authentication and roles. Requests authenticate with a bearer token issued
+// by one of the enabled providers:
+//
+//   local   users from AUTH_USERS_FILE with scrypt password hashes; POST
+//           /auth/login exchanges a password for a signed session token
+//   token   static API tokens from AUTH_TOKENS
+//   jwt     tokens from an OIDC/JWT issuer, verified against a shared secret,
+//           a PEM public key or the issuer's JWKS
+//
+// Every user has one of three roles. Viewers can only read; operators can
+// also act on jobs, queues and workers; admins can run every mutation. The
+// role is enforced on root mutations by AuthPlugin and also handed to
+// Postgres through pgSettings so row level security can use it.
+
+import crypto from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { promisify } from 'node:util';
+import express from 'express';
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// Mutations operators may run; every other mutation (including the CRUD and
+// function mutations PostGraphile generates) needs admin.
+const OPERATOR_MUTATIONS = new Set([
+  'retryJob',
+  'cancelJob',
+  'completeJob',
+  'enqueueJob',
+  'importJobs',
+  'updateJob',
+  'unlockWorker',
+  'unlockQueue',
+  'bulkRetryJobs',
+  'bulkCancelJobs',
+  'bulkCompleteJobs',
+]);
+
+const PROVIDERS = ['local', 'token', 'jwt'];
+const SESSION_ISSUER = 'graphile-worker-ui';
+const SESSION_TTL_SECONDS = 12 * 60 * 60;
+const LINK_ISSUER = 'graphile-worker-ui/link';
+const LINK_TTL_SECONDS = 60;
+const CLOCK_LEEWAY_SECONDS = 30;
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+const JWKS_MIN_REFETCH_MS = 30 * 1000;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 10;
+// Distinct ip:username pairs whose failures are remembered
+const LOGIN_MAX_TRACKED = 10000;
+
+// Used when auth is disabled, so the UI keeps working as before
+const ANONYMOUS_USER = { username: 'anonymous', role: 'admin', provider: 'none' };
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+let config = null;
+// Signs link tokens; derived from AUTH_SESSION_SECRET when set, so links work
+// on every instance behind a load balancer
+let linkSecret = crypto.randomBytes(32);
+
+export const isAuthEnabled = () => Boolean(config && config.providers.length > 0);
+
+export const hasRole = (user, role) =>
+  Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+export const requiredRoleForMutation = (fieldName) =>
+  OPERATOR_MUTATIONS.has(fieldName) ? 'operator' : 'admin';
+
+const assertRole = (role, source) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role "${role}" in ${source}; expected one of ${ROLES.join(', ')}`);
+  }
+  return role;
+};
+
+// Passwords are stored as scrypt$N$r$p$salt$hash (base64 salt and hash)
+export const hashPassword = async (password) => {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+export const verifyPassword = async (password, stored) => {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+    maxmem: 256 * Number(N) * Number(r),
+  });
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+// --- JWT ---------------------------------------------------------------------
+
+const HMAC_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const ASYMMETRIC_ALGORITHMS = {
+  RS256: { hash: 'sha256', keyTypes: ['rsa'] },
+  RS384: { hash: 'sha384', keyTypes: ['rsa'] },
+  RS512: { hash: 'sha512', keyTypes: ['rsa'] },
+  PS256: { hash: 'sha256', keyTypes: ['rsa', 'rsa-pss'], padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', keyTypes: ['rsa', 'rsa-pss'], padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', keyTypes: ['rsa', 'rsa-pss'], padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', keyTypes: ['ec'], dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', keyTypes: ['ec'], dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', keyTypes: ['ec'], dsaEncoding: 'ieee-p1363' },
+};
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const looksLikeJwt = (token) => /^[\w-]+\.[\w-]+\.[\w-]*$/.test(token);
+
+const signJwt = (claims, secret) => {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+// Verify signature and registered claims. `getKey(header)` returns the HMAC
+// secret or public KeyObject; `algorithms` pins which algorithms the caller's
+// key may be used with, so an HS256 token can never be checked against a
+// public key (or vice versa). Tokens must expire.
+export const verifyJwt = async (token, { algorithms, getKey, issuer, audience }) => {
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split('.');
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(encodedHeader);
+    claims = decodeSegment(encodedPayload);
+  } catch {
+    throw new Error('Malformed token');
+  }
+  if (!algorithms.includes(header.alg)) {
+    throw new Error(`Token algorithm ${header.alg} is not allowed`);
+  }
+
+  const key = await getKey(header);
+  const data = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+  const signature = Buffer.from(encodedSignature, 'base64url');
+  let valid;
+  if (HMAC_ALGORITHMS[header.alg]) {
+    const expected = crypto.createHmac(HMAC_ALGORITHMS[header.alg], key).update(data).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else {
+    const { hash, keyTypes, padding, dsaEncoding } = ASYMMETRIC_ALGORITHMS[header.alg];
+    if (!keyTypes.includes(key.asymmetricKeyType)) {
+      throw new Error(`Key type ${key.asymmetricKeyType} cannot verify ${header.alg}`);
+    }
+    valid = crypto.verify(hash, data, {
+      key,
+      padding,
+      dsaEncoding,
+      saltLength: padding ? crypto.constants.RSA_PSS_SALTLEN_DIGEST : undefined,
+    }, signature);
+  }
+  if (!valid) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number') {
+    throw new Error('Token has no expiry');
+  }
+  if (now - CLOCK_LEEWAY_SECONDS >= claims.exp) {
+    throw new Error('Token has expired');
+  }
+  if (typeof claims.nbf === 'number' && now + CLOCK_LEEWAY_SECONDS < claims.nbf) {
+    throw new Error('Token is not valid yet');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new Error('Token issuer does not match');
+  }
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+      throw new Error('Token audience does not match');
+    }
+  }
+  return claims;
+};
+
+// Signing keys published by the issuer, refetched every 10 minutes or when a
+// token names a kid we haven't seen (at most every 30 seconds).
+const jwks = { keys: [], fetchedAt: 0 };
+
+const fetchJwks = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Fetching JWKS failed with HTTP ${response.status}`);
+  }
+  const body = await response.json();
+  jwks.keys = (body.keys || []).flatMap((jwk) => {
+    try {
+      return [{ kid: jwk.kid, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }];
+    } catch {
+      return [];
+    }
+  });
+  jwks.fetchedAt = Date.now();
+};
+
+const getJwksKey = async (url, kid) => {
+  const age = Date.now() - jwks.fetchedAt;
+  const find = () => jwks.keys.find((entry) => !kid || entry.kid === kid);
+  if (age > JWKS_CACHE_MS || (!find() && age > JWKS_MIN_REFETCH_MS)) {
+    await fetchJwks(url);
+  }
+  const entry = find();
+  if (!entry) {
+    throw new Error(`No signing key found for kid ${kid}`);
+  }
+  return entry.key;
+};
+
+const readClaim = (claims, path) =>
+  path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), claims);
+
+// The role claim may hold one role or a list of groups; take the highest
+// known role it contains.
+const roleFromClaims = (claims) => {
+  const value = readClaim(claims, config.jwt.roleClaim);
+  const candidates = (Array.isArray(value) ? value : [value])
+    .map((role) => config.jwt.roleMap[role] || role)
+    .filter((role) => ROLES.includes(role));
+  if (candidates.length > 0) {
+    return candidates.sort((a, b) => ROLES.indexOf(b) - ROLES.indexOf(a))[0];
+  }
+  if (!config.jwt.defaultRole) {
+    throw new Error(`Token has no known role in its ${config.jwt.roleClaim} claim`);
+  }
+  return config.jwt.defaultRole;
+};
+
+// --- Providers ---------------------------------------------------------------
+
+const loadUsers = (file) => {
+  const users = JSON.parse(readFileSync(file, 'utf8'));
+  if (!Array.isArray(users)) {
+    throw new Error(`${file} must contain a JSON array of users`);
+  }
+  return new Map(users.map((user) => {
+    if (!user.username || !user.passwordHash) {
+      throw new Error(`Every user in ${file} needs a username and passwordHash`);
+    }
+    return [user.username, { ...user, role: assertRole(user.role || 'viewer', file) }];
+  }));
+};
+
+// AUTH_TOKENS is a comma separated list of name:role:token
+const parseTokens = (value) =>
+  (value || '').split(',').map((entry) => entry.trim()).filter(Boolean).map((entry) => {
+    const [name, role, ...rest] = entry.split(':');
+    const token = rest.join(':');
+    if (!name || !token) {
+      throw new Error('AUTH_TOKENS entries must look like name:role:token');
+    }
+    return { name, role: assertRole(role, 'AUTH_TOKENS'), digest: sha256(token) };
+  });
+
+const authenticateSession = async (token) => {
+  const claims = await verifyJwt(token, {
+    algorithms: ['HS256'],
+    getKey: () => config.sessionSecret,
+    issuer: SESSION_ISSUER,
+  });
+  // Look the user up again so removing a user or changing their role takes
+  // effect without waiting for the session to expire
+  const user = config.users.get(claims.sub);
+  if (!user) {
+    throw new Error('Unknown user');
+  }
+  return { username: user.username, role: user.role, provider: 'local' };
+};
+
+const authenticateStaticToken = (token) => {
+  const digest = sha256(token);
+  const match = config.tokens.find((entry) => crypto.timingSafeEqual(entry.digest, digest));
+  return match ? { username: match.name, role: match.role, provider: 'token' } : null;
+};
+
+const authenticateExternalJwt = async (token) => {
+  const { secret, publicKey, jwksUrl, issuer, audience, usernameClaim } = config.jwt;
+  const claims = await verifyJwt(token, {
+    algorithms: secret ? Object.keys(HMAC_ALGORITHMS) : Object.keys(ASYMMETRIC_ALGORITHMS),
+    getKey: (header) => secret || publicKey || getJwksKey(jwksUrl, header.kid),
+    issuer,
+    audience,
+  });
+  return {
+    username: String(readClaim(claims, usernameClaim) ?? claims.sub ?? 'unknown'),
+    role: roleFromClaims(claims),
+    provider: 'jwt',
+  };
+};
+
+// Resolve a bearer token to a user, or throw if it is not valid for any
+// enabled provider. Session tokens are told apart from external JWTs by their
+// issuer, which only the session secret can sign.
+const authenticateToken = async (token) => {
+  const { providers } = config;
+  if (providers.includes('token')) {
+    const user = authenticateStaticToken(token);
+    if (user) return user;
+  }
+  if (looksLikeJwt(token)) {
+    let issuer;
+    try {
+      issuer = decodeSegment(token.split('.')[1]).iss;
+    } catch {
+      throw new Error('Malformed token');
+    }
+    if (issuer === SESSION_ISSUER && providers.includes('local')) {
+      return authenticateSession(token);
+    }
+    if (providers.includes('jwt')) {
+      return authenticateExternalJwt(token);
+    }
+  }
+  throw new Error('Invalid token');
+};
+
+const bearerToken = (req) => {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1].trim() : null;
+};
+
+// Sets req.user from the Authorization header. Without auth every request is
+// the anonymous admin.
+const resolveUser = async (req) => {
+  if (!isAuthEnabled()) {
+    return ANONYMOUS_USER;
+  }
+  const token = bearerToken(req);
+  return token ? authenticateToken(token) : null;
+};
+
+// Express middleware for the GraphQL endpoint: rejects requests without a
+// valid token with a 401
+export const authenticate = async (req, res, next) => {
+  try {
+    req.user = await resolveUser(req);
+  } catch (error) {
+    return res.status(401).json({ errors: [{ message: `Authentication failed: ${error.message}` }] });
+  }
+  if (!req.user) {
+    return res.status(401).json({ errors: [{ message: 'Authentication required' }] });
+  }
+  next();
+};
+
+// A link token lets the browser fetch one GET path itself, e.g. a download
+// that streams straight to disk, where it can't send an Authorization header.
+// It is bound to the path, and expires after a minute.
+export const signLinkToken = (user, path) => {
+  const now = Math.floor(Date.now() / 1000);
+  const token = signJwt(
+    { iss: LINK_ISSUER, sub: user.username, role: user.role, provider: user.provider, path, iat: now, exp: now + LINK_TTL_SECONDS },
+    linkSecret
+  );
+  return { token, expiresAt: new Date((now + LINK_TTL_SECONDS) * 1000).toISOString() };
+};
+
+// Like authenticate, but also accepts a link token for this path in ?token=
+export const authenticateLink = async (req, res, next) => {
+  if (!req.query.token) {
+    return authenticate(req, res, next);
+  }
+  try {
+    const claims = await verifyJwt(String(req.query.token), {
+      algorithms: ['HS256'],
+      getKey: () => linkSecret,
+      issuer: LINK_ISSUER,
+    });
+    if (claims.path !== req.baseUrl + req.path) {
+      throw new Error('Token is for another path');
+    }
+    req.user = { username: claims.sub, role: claims.role, provider: claims.provider };
+  } catch (error) {
+    return res.status(401).json({ errors: [{ message: `Authentication failed: ${error.message}` }] });
+  }
+  next();
+};
+
+// Websocket middleware; PostGraphile copies the authorization entry of the
+// connection params onto the request headers before calling it
+export const authenticateWebSocket = async (req, res, next) => {
+  try {
+    req.user = await resolveUser(req);
+    next(req.user ? undefined : new Error('Authentication required'));
+  } catch (error) {
+    next(new Error(`Authentication failed: ${error.message}`));
+  }
+};
+
+// Settings applied to each GraphQL transaction, so policies and functions can
+// read current_setting('graphile_worker_ui.role') or 'jwt.claims.sub'. With
+// AUTH_PG_ROLE_<ROLE> set, the transaction also switches to that database role.
+export const authPgSettings = (user) => {
+  if (!user) {
+    return {};
+  }
+  const settings = {
+    'graphile_worker_ui.role': user.role,
+    'jwt.claims.role': user.role,
+    'jwt.claims.sub': user.username,
+  };
+  const pgRole = config && config.pgRoles[user.role];
+  if (pgRole) {
+    settings.role = pgRole;
+  }
+  return settings;
+};
+
+// --- HTTP routes -------------------------------------------------------------
+
+const loginFailures = new Map();
+
+const tooManyFailures = (key) => {
+  const entry = loginFailures.get(key);
+  if (entry && Date.now() - entry.since > LOGIN_WINDOW_MS) {
+    loginFailures.delete(key);
+    return false;
+  }
+  return Boolean(entry) && entry.count >= LOGIN_MAX_FAILURES;
+};
+
+// Entries are in the order their window started, so the ones to forget (window
+// over, or the oldest beyond the cap) are at the front
+const pruneFailures = () => {
+  const now = Date.now();
+  for (const [key, entry] of loginFailures) {
+    if (now - entry.since <= LOGIN_WINDOW_MS && loginFailures.size < LOGIN_MAX_TRACKED) break;
+    loginFailures.delete(key);
+  }
+};
+
+const recordFailure = (key) => {
+  const entry = loginFailures.get(key);
+  if (entry) {
+    entry.count += 1;
+    return;
+  }
+  pruneFailures();
+  loginFailures.set(key, { count: 1, since: Date.now() });
+};
+
+export const authRouter = express.Router();
+
+authRouter.use(express.json({ limit: '10kb' }));
+
+// Public: tells the login screen which providers to offer
+authRouter.get('/config', (req, res) => {
+  res.json({ enabled: isAuthEnabled(), providers: config ? config.providers : [] });
+});
+
+authRouter.post('/login', async (req, res) => {
+  if (!isAuthEnabled() || !config.providers.includes('local')) {
+    return res.status(404).json({ error: 'Password login is not enabled' });
+  }
+  const { username, password } = req.body || {};
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'username and password are required' });
+  }
+  const throttleKey = `${req.ip}:${username}`;
+  if (tooManyFailures(throttleKey)) {
+    return res.status(429).json({ error: 'Too many failed logins; try again later' });
+  }
+  try {
+    const user = config.users.get(username);
+    // Hash even for unknown users so response times don't reveal which exist
+    const valid = await verifyPassword(password, user ? user.passwordHash : config.dummyHash);
+    if (!user || !valid) {
+      recordFailure(throttleKey);
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    loginFailures.delete(throttleKey);
+    const now = Math.floor(Date.now() / 1000);
+    const expiresAt = now + SESSION_TTL_SECONDS;
+    const token = signJwt({ iss: SESSION_ISSUER, sub: user.username, role: user.role, iat: now, exp: expiresAt }, config.sessionSecret);
+    res.json({
+      token,
+      expiresAt: new Date(expiresAt * 1000).toISOString(),
+      user: { username: user.username, role: user.role, provider: 'local' },
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+authRouter.get('/me', authenticate, (req, res) => {
+  res.json({ user: req.user });
+});
+
+// --- Setup -------------------------------------------------------------------
+
+// Validate the configuration and load users; throws on a misconfiguration so
+// the server refuses to start rather than running with weaker auth than
+// intended.
+export const setupAuth = async ({
+  providers = [],
+  usersFile,
+  tokens,
+  sessionSecret,
+  jwt = {},
+  pgRoles = {},
+} = {}) => {
+  const unknown = providers.filter((provider) => !PROVIDERS.includes(provider));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown auth provider(s) ${unknown.join(', ')}; expected ${PROVIDERS.join(', ')}`);
+  }
+
+  config = {
+    providers,
+    users: new Map(),
+    tokens: [],
+    sessionSecret,
+    dummyHash: null,
+    jwt: {
+      ...jwt,
+      roleClaim: jwt.roleClaim || 'role',
+      usernameClaim: jwt.usernameClaim || 'preferred_username',
+      roleMap: jwt.roleMap || {},
+      defaultRole: jwt.defaultRole ? assertRole(jwt.defaultRole, 'AUTH_JWT_DEFAULT_ROLE') : null,
+      publicKey: jwt.publicKey ? crypto.createPublicKey(jwt.publicKey) : null,
+    },
+    pgRoles,
+  };
+  if (sessionSecret) {
+    linkSecret = crypto.createHmac('sha256', sessionSecret).update(LINK_ISSUER).digest();
+  }
+
+  if (providers.length === 0) {
+    console.warn('⚠️  Authentication is disabled (AUTH_PROVIDERS is empty); everyone has the admin role');
+    return;
+  }
+
+  if (providers.includes('local')) {
+    if (!usersFile) {
+      throw new Error('AUTH_USERS_FILE is required for the local auth provider');
+    }
+    config.users = loadUsers(usersFile);
+    config.dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    if (!sessionSecret) {
+      config.sessionSecret = crypto.randomBytes(32);
+      console.warn('⚠️  AUTH_SESSION_SECRET is not set; sessions will not survive a restart');
+    }
+  }
+  if (providers.includes('token')) {
+    config.tokens = parseTokens(tokens);
+  }
+  if (providers.includes('jwt')) {
+    const keySources = [jwt.secret, jwt.publicKey, jwt.jwksUrl].filter(Boolean);
+    if (keySources.length !== 1) {
+      throw new Error('The jwt auth provider needs exactly one of AUTH_JWT_SECRET, AUTH_JWT_PUBLIC_KEY or AUTH_JWT_JWKS_URL');
+    }
+  }
+  console.log(`🔐 Authentication enabled (${providers.join(', ')})`);
+};
+
+// Enforce roles on root mutations. Queries and subscriptions are open to
+// every authenticated user.
+export const AuthPlugin = (builder) => {
+  builder.hook('GraphQLObjectType:fields:field', (field, build, { scope }) => {
+    if (!scope.isRootMutation || !field.resolve) {
+      return field;
+    }
+    const { fieldName } = scope;
+    const role = requiredRoleForMutation(fieldName);
+    const resolve = field.resolve;
+    return {
+      ...field,
+      resolve: (parent, args, context, resolveInfo) => {
+        if (!hasRole(context.user, role)) {
+          throw new Error(`${fieldName} requires the ${role} role`);
+        }
+        return resolve(parent, args, context, resolveInfo);
+      },
+    };
+  });
+};
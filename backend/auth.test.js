@@ -0,0 +1,183 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import express from 'express';
+import { authRouter, authenticate, authenticateLink, hashPassword, setupAuth, signLinkToken, verifyJwt } from './auth.js';
+
+const SECRET = 'test-secret';
+const SESSION_SECRET = 'test-session-secret';
+
+const now = () => Math.floor(Date.now() / 1000);
+
+const segment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Tokens are signed here rather than with auth.js, so the tests don't trust
+// the code they check
+const sign = (claims, key, alg = 'HS256') => {
+  const data = `${segment({ alg, typ: 'JWT' })}.${segment(claims)}`;
+  const hash = `sha${alg.slice(2)}`;
+  const signature = alg.startsWith('HS')
+    ? crypto.createHmac(hash, key).update(data).digest()
+    : crypto.sign(hash, Buffer.from(data), { key, dsaEncoding: 'ieee-p1363' });
+  return `${data}.${signature.toString('base64url')}`;
+};
+
+const hmacOptions = { algorithms: ['HS256'], getKey: () => SECRET };
+
+// Runs an Express middleware against a fake request; resolves with the
+// status it answered with, or 'next'
+const run = (middleware, req) => new Promise((resolve) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body });
+    },
+  };
+  middleware(req, res, () => resolve({ status: 'next', user: req.user }));
+});
+
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` }, query: {} });
+
+let dir;
+let usersFile;
+before(async () => {
+  dir = mkdtempSync(join(tmpdir(), 'auth-test-'));
+  usersFile = join(dir, 'users.json');
+  writeFileSync(usersFile, JSON.stringify([
+    { username: 'alice', passwordHash: await hashPassword('correct horse'), role: 'operator' },
+  ]));
+});
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test('verifyJwt accepts a valid token and returns its claims', async () => {
+  const claims = { sub: 'alice', iss: 'issuer', aud: ['other', 'ui'], exp: now() + 60 };
+  assert.deepEqual(await verifyJwt(sign(claims, SECRET), { ...hmacOptions, issuer: 'issuer', audience: 'ui' }), claims);
+});
+
+test('verifyJwt rejects a bad signature', async () => {
+  const token = sign({ sub: 'alice', exp: now() + 60 }, 'another-secret');
+  await assert.rejects(verifyJwt(token, hmacOptions), /Invalid token signature/);
+  const [header, , signature] = token.split('.');
+  const tampered = `${header}.${segment({ sub: 'admin', exp: now() + 60 })}.${signature}`;
+  await assert.rejects(verifyJwt(tampered, hmacOptions), /Invalid token signature/);
+});
+
+test('verifyJwt rejects algorithms the key is not pinned to', async () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const token = sign({ sub: 'alice', exp: now() + 60 }, privateKey, 'ES256');
+  await assert.rejects(verifyJwt(token, hmacOptions), /Token algorithm ES256 is not allowed/);
+  const unsigned = `${segment({ alg: 'none' })}.${segment({ sub: 'alice', exp: now() + 60 })}.`;
+  await assert.rejects(verifyJwt(unsigned, hmacOptions), /Token algorithm none is not allowed/);
+
+  const asymmetric = { algorithms: ['ES256', 'RS256'], getKey: () => publicKey };
+  assert.equal((await verifyJwt(token, asymmetric)).sub, 'alice');
+  const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  await assert.rejects(
+    verifyJwt(sign({ sub: 'alice', exp: now() + 60 }, rsa.privateKey, 'RS256'), asymmetric),
+    /Key type ec cannot verify RS256/
+  );
+});
+
+test('verifyJwt rejects expired tokens and tokens without an expiry', async () => {
+  await assert.rejects(verifyJwt(sign({ sub: 'alice', exp: now() - 60 }, SECRET), hmacOptions), /Token has expired/);
+  // A little clock skew is allowed
+  assert.equal((await verifyJwt(sign({ sub: 'alice', exp: now() - 5 }, SECRET), hmacOptions)).sub, 'alice');
+  await assert.rejects(verifyJwt(sign({ sub: 'alice' }, SECRET), hmacOptions), /Token has no expiry/);
+  await assert.rejects(verifyJwt(sign({ sub: 'alice', exp: 'never' }, SECRET), hmacOptions), /Token has no expiry/);
+  await assert.rejects(
+    verifyJwt(sign({ sub: 'alice', exp: now() + 120, nbf: now() + 60 }, SECRET), hmacOptions),
+    /Token is not valid yet/
+  );
+});
+
+test('verifyJwt checks the issuer and audience when given', async () => {
+  const token = sign({ sub: 'alice', iss: 'someone-else', aud: 'another-app', exp: now() + 60 }, SECRET);
+  await assert.rejects(verifyJwt(token, { ...hmacOptions, issuer: 'issuer' }), /Token issuer does not match/);
+  await assert.rejects(verifyJwt(token, { ...hmacOptions, audience: 'ui' }), /Token audience does not match/);
+  assert.equal((await verifyJwt(token, hmacOptions)).sub, 'alice');
+});
+
+test('authenticate maps an external JWT to a user', async () => {
+  await setupAuth({ providers: ['jwt'], jwt: { secret: SECRET, issuer: 'idp', roleMap: { ops: 'operator' } } });
+  const token = sign({ sub: '42', preferred_username: 'bob', iss: 'idp', groups: ['ops'], role: ['ops'], exp: now() + 60 }, SECRET);
+  assert.deepEqual(await run(authenticate, bearer(token)), {
+    status: 'next',
+    user: { username: 'bob', role: 'operator', provider: 'jwt' },
+  });
+  const noExpiry = sign({ sub: '42', iss: 'idp', role: 'ops' }, SECRET);
+  assert.deepEqual(await run(authenticate, bearer(noExpiry)), {
+    status: 401,
+    body: { errors: [{ message: 'Authentication failed: Token has no expiry' }] },
+  });
+  assert.equal((await run(authenticate, { headers: {}, query: {} })).status, 401);
+});
+
+test('session tokens authenticate the user they were issued to', async () => {
+  await setupAuth({ providers: ['local'], usersFile, sessionSecret: SESSION_SECRET });
+  const session = (claims) => sign({ iss: 'graphile-worker-ui', iat: now(), exp: now() + 60, ...claims }, SESSION_SECRET);
+
+  // The role comes from the users file, not from the token
+  assert.deepEqual(await run(authenticate, bearer(session({ sub: 'alice', role: 'admin' }))), {
+    status: 'next',
+    user: { username: 'alice', role: 'operator', provider: 'local' },
+  });
+  assert.equal((await run(authenticate, bearer(session({ sub: 'mallory' })))).status, 401);
+  assert.equal((await run(authenticate, bearer(session({ sub: 'alice', exp: now() - 60 })))).status, 401);
+  const forged = sign({ iss: 'graphile-worker-ui', sub: 'alice', exp: now() + 60 }, 'guessed-secret');
+  assert.equal((await run(authenticate, bearer(forged))).status, 401);
+});
+
+test('POST /auth/login issues a session token and throttles repeated failures', async () => {
+  await setupAuth({ providers: ['local'], usersFile, sessionSecret: SESSION_SECRET });
+  const app = express();
+  app.use('/auth', authRouter);
+  const server = app.listen(0);
+  const login = (username, password) => fetch(`http://localhost:${server.address().port}/auth/login`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+  try {
+    const response = await login('alice', 'correct horse');
+    assert.equal(response.status, 200);
+    const { token, user } = await response.json();
+    assert.deepEqual(user, { username: 'alice', role: 'operator', provider: 'local' });
+    assert.equal((await run(authenticate, bearer(token))).status, 'next');
+
+    for (let i = 0; i < 10; i++) {
+      assert.equal((await login('alice', 'wrong')).status, 401);
+    }
+    assert.equal((await login('alice', 'correct horse')).status, 429);
+  } finally {
+    server.close();
+  }
+});
+
+test('link tokens only open the path they were signed for, briefly', async () => {
+  await setupAuth({ providers: ['local'], usersFile, sessionSecret: SESSION_SECRET });
+  const user = { username: 'alice', role: 'operator', provider: 'local' };
+  const { token } = signLinkToken(user, '/export/jobs');
+  const link = (path, linkToken) => ({ headers: {}, query: { token: linkToken }, baseUrl: '/export', path });
+
+  assert.deepEqual(await run(authenticateLink, link('/jobs', token)), { status: 'next', user });
+  assert.deepEqual(await run(authenticateLink, link('/other', token)), {
+    status: 401,
+    body: { errors: [{ message: 'Authentication failed: Token is for another path' }] },
+  });
+  // Not a bearer token
+  assert.equal((await run(authenticate, bearer(token))).status, 401);
+
+  // Signed with the key derived from the session secret, but expired
+  const linkSecret = crypto.createHmac('sha256', SESSION_SECRET).update('graphile-worker-ui/link').digest();
+  const expired = sign({ iss: 'graphile-worker-ui/link', sub: 'alice', role: 'operator', path: '/export/jobs', exp: now() - 60 }, linkSecret);
+  assert.equal((await run(authenticateLink, link('/jobs', expired))).status, 401);
+  // A session token is not a link token
+  const session = sign({ iss: 'graphile-worker-ui', sub: 'alice', exp: now() + 60 }, SESSION_SECRET);
+  assert.equal((await run(authenticateLink, link('/jobs', session))).status, 401);
+});
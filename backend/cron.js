@@ -0,0 +1,381 @@
+// Recurring tasks. Graphile Worker only records each crontab identifier with
+// its last execution in _private_known_crontabs; the schedules themselves
+// live in the worker's crontab file. The Cron page combines the two: the
+// crontab comes from CRONTAB_FILE or is pasted in the UI, is parsed here with
+// Graphile Worker's syntax, and is used to compute next and missed runs.
+
+import { readFile } from 'node:fs/promises';
+import { isJobHistoryAvailable } from './jobHistory.js';
+
+// minute hour day-of-month month day-of-week task ?options {payload}
+const LINE_PATTERN = /^([0-9*/,-]+)\s+([0-9*/,-]+)\s+([0-9*/,-]+)\s+([0-9*/,-]+)\s+([0-9*/,-]+)\s+([_a-zA-Z][_a-zA-Z0-9:_-]*)(?:\s+\?(\S+))?(?:\s+(\{.*\}))?\s*$/;
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 6 },
+];
+
+const OPTIONS = ['id', 'fill', 'max', 'queue', 'priority', 'jobKey', 'jobKeyMode'];
+
+const TIME_PHRASE = /^(?:(\d+)w)?(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/;
+
+// Runs older than this that haven't happened are reported as missed; the
+// worker needs a moment to schedule each run
+const MISSED_GRACE_MS = 2 * 60 * 1000;
+
+const MAX_MISSED_RUNS = 20;
+const MAX_MISSED_COUNT = 10000;
+
+const range = (from, to, step = 1) => {
+  const values = [];
+  for (let value = from; value <= to; value += step) {
+    values.push(value);
+  }
+  return values;
+};
+
+// One field: `*`, `*/n`, `a`, `a-b`, `a-b/n`, or a comma separated list of those
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${name} "${part}"`);
+    }
+    const from = match[1] === '*' ? min : Number(match[2]);
+    const to = match[1] === '*' ? max : Number(match[3] ?? (match[4] ? max : match[2]));
+    const step = match[4] ? Number(match[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid ${name} "${part}" (allowed ${min}-${max})`);
+    }
+    range(from, to, step).forEach((value) => values.add(value));
+  }
+  return { values, restricted: values.size !== max - min + 1 };
+};
+
+const parseTimePhrase = (phrase) => {
+  const match = TIME_PHRASE.exec(phrase);
+  if (!phrase || !match) {
+    throw new Error(`Invalid fill "${phrase}", expected e.g. 1w2d3h4m`);
+  }
+  const [weeks, days, hours, minutes, seconds] = match.slice(1).map((part) => Number(part || 0));
+  return (((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds;
+};
+
+const parseOptions = (text) => {
+  const options = {};
+  for (const [key, value] of new URLSearchParams(text || '')) {
+    if (!OPTIONS.includes(key)) {
+      throw new Error(`Unknown option "${key}"`);
+    }
+    options[key] = value;
+  }
+  for (const key of ['max', 'priority']) {
+    if (options[key] !== undefined && !/^-?\d+$/.test(options[key])) {
+      throw new Error(`Option "${key}" must be an integer`);
+    }
+  }
+  return options;
+};
+
+const parseLine = (line) => {
+  const match = LINE_PATTERN.exec(line);
+  if (!match) {
+    throw new Error('Expected "minute hour day month weekday task [?options] [{payload}]"');
+  }
+  const [minutes, hours, dates, months, dows] = FIELDS.map((field, index) => parseField(match[index + 1], field));
+  const options = parseOptions(match[7]);
+  let payload = null;
+  if (match[8]) {
+    try {
+      payload = JSON.parse(match[8]);
+    } catch (error) {
+      throw new Error(`Invalid payload: ${error.message}`);
+    }
+  }
+  return {
+    identifier: options.id || match[6],
+    taskIdentifier: match[6],
+    schedule: match.slice(1, 6).join(' '),
+    matcher: { minutes, hours, dates, months, dows },
+    queueName: options.queue || null,
+    priority: options.priority !== undefined ? Number(options.priority) : null,
+    maxAttempts: options.max !== undefined ? Number(options.max) : null,
+    jobKey: options.jobKey || null,
+    jobKeyMode: options.jobKeyMode || null,
+    fill: options.fill || null,
+    fillSeconds: options.fill ? parseTimePhrase(options.fill) : null,
+    payload,
+  };
+};
+
+// Parse a whole crontab, collecting errors per line instead of failing
+export const parseCrontab = (text) => {
+  const entries = [];
+  const errors = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+    try {
+      const entry = parseLine(line);
+      if (entries.some((other) => other.identifier === entry.identifier)) {
+        throw new Error(`Duplicate identifier "${entry.identifier}"; set ?id= to tell them apart`);
+      }
+      entries.push(entry);
+    } catch (error) {
+      errors.push({ line: index + 1, message: error.message });
+    }
+  });
+  return { entries, errors };
+};
+
+// Day matching follows cron (and Graphile Worker): when both day of month and
+// day of week are restricted, either may match
+const dayMatches = ({ dates, dows }, date) => {
+  const dateMatches = dates.values.has(date.getUTCDate());
+  const dowMatches = dows.values.has(date.getUTCDay());
+  if (dates.restricted && dows.restricted) {
+    return dateMatches || dowMatches;
+  }
+  return dateMatches && dowMatches;
+};
+
+// First scheduled time strictly after `after` (all in UTC), or null if there
+// is none within five years (e.g. 30 2 31 2 *)
+export const nextRun = ({ matcher }, after) => {
+  const time = new Date(after);
+  time.setUTCSeconds(0, 0);
+  time.setUTCMinutes(time.getUTCMinutes() + 1);
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (time.getTime() <= limit) {
+    if (!matcher.months.values.has(time.getUTCMonth() + 1)) {
+      time.setUTCMonth(time.getUTCMonth() + 1, 1);
+      time.setUTCHours(0, 0);
+    } else if (!dayMatches(matcher, time)) {
+      time.setUTCDate(time.getUTCDate() + 1);
+      time.setUTCHours(0, 0);
+    } else if (!matcher.hours.values.has(time.getUTCHours())) {
+      time.setUTCHours(time.getUTCHours() + 1, 0);
+    } else if (!matcher.minutes.values.has(time.getUTCMinutes())) {
+      time.setUTCMinutes(time.getUTCMinutes() + 1);
+    } else {
+      return time;
+    }
+  }
+  return null;
+};
+
+// Scheduled times after the last execution that never ran. The worker
+// backfills those within the entry's fill period when it starts.
+export const missedRuns = (entry, since, now) => {
+  const runs = [];
+  let count = 0;
+  const until = now.getTime() - MISSED_GRACE_MS;
+  for (let at = nextRun(entry, since); at && at.getTime() <= until && count < MAX_MISSED_COUNT; at = nextRun(entry, at)) {
+    count += 1;
+    runs.push(at);
+    if (runs.length > MAX_MISSED_RUNS) {
+      runs.shift();
+    }
+  }
+  const fillFrom = now.getTime() - (entry.fillSeconds || 0) * 1000;
+  return {
+    missedRunCount: count,
+    missedRuns: runs.reverse().map((at) => ({
+      at: at.toISOString(),
+      backfill: Boolean(entry.fillSeconds) && at.getTime() >= fillFrom,
+    })),
+  };
+};
+
+let crontabFile = null;
+
+export const setupCron = ({ file = null } = {}) => {
+  crontabFile = file || null;
+  if (crontabFile) {
+    console.log(`⏰ Reading cron schedules from ${crontabFile}`);
+  }
+};
+
+// The pasted crontab wins over the configured file
+const loadCrontab = async (pasted) => {
+  if (pasted && pasted.trim()) {
+    return { source: 'pasted', ...parseCrontab(pasted) };
+  }
+  if (!crontabFile) {
+    return { source: null, entries: [], errors: [] };
+  }
+  try {
+    return { source: 'file', ...parseCrontab(await readFile(crontabFile, 'utf8')) };
+  } catch (error) {
+    return { source: 'file', entries: [], errors: [{ line: 0, message: `Cannot read ${crontabFile}: ${error.message}` }] };
+  }
+};
+
+// Jobs scheduled by the worker's backfill still queued or, with the history
+// archive installed, already finished
+const backfilledCountsQuery = (withHistory) => `
+  SELECT task_identifier, count(*)::int AS count FROM (
+    SELECT t.identifier AS task_identifier
+    FROM graphile_worker._private_jobs j
+    JOIN graphile_worker._private_tasks t ON t.id = j.task_id
+    WHERE t.identifier = ANY($1::text[]) AND j.payload->'_cron'->>'backfilled' = 'true'
+    ${withHistory ? `UNION ALL
+    SELECT task_identifier FROM graphile_worker_ui.job_history
+    WHERE task_identifier = ANY($1::text[]) AND payload->'_cron'->>'backfilled' = 'true'` : ''}
+  ) backfilled
+  GROUP BY task_identifier
+`;
+
+// node-postgres hands back Date objects; the Datetime scalar expects ISO strings
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+export const CronPlugin = (builder) => {
+  builder.hook('init', (_, build) => {
+    const { GraphQLObjectType, GraphQLNonNull, GraphQLList, GraphQLInt, GraphQLBoolean, GraphQLString } = build.graphql;
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'CronRun',
+        fields: () => ({
+          at: { type: new GraphQLNonNull(build.getTypeByName('Datetime') || GraphQLString) },
+          backfill: { type: new GraphQLNonNull(GraphQLBoolean), description: 'Within the fill period, so the worker backfills it when it starts' },
+        }),
+      },
+      { isCronRun: true }
+    );
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'CronParseError',
+        fields: () => ({
+          line: { type: new GraphQLNonNull(GraphQLInt), description: '0 when the crontab could not be read at all' },
+          message: { type: new GraphQLNonNull(GraphQLString) },
+        }),
+      },
+      { isCronParseError: true }
+    );
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'CronEntry',
+        description: 'A recurring task from the crontab and/or graphile_worker._private_known_crontabs.',
+        fields: () => {
+          const Datetime = build.getTypeByName('Datetime') || GraphQLString;
+          const JSONType = build.getTypeByName('JSON') || GraphQLString;
+          return {
+            identifier: { type: new GraphQLNonNull(GraphQLString) },
+            inCrontab: { type: new GraphQLNonNull(GraphQLBoolean), description: 'False for identifiers the worker knows but the crontab no longer lists' },
+            known: { type: new GraphQLNonNull(GraphQLBoolean), description: 'Whether a worker has registered this identifier yet' },
+            taskIdentifier: { type: GraphQLString },
+            schedule: { type: GraphQLString, description: 'The five cron fields, in UTC' },
+            queueName: { type: GraphQLString },
+            priority: { type: GraphQLInt },
+            maxAttempts: { type: GraphQLInt },
+            jobKey: { type: GraphQLString },
+            jobKeyMode: { type: GraphQLString },
+            fill: { type: GraphQLString, description: 'Backfill period, e.g. 1d' },
+            payload: { type: JSONType },
+            knownSince: { type: Datetime },
+            lastExecution: { type: Datetime },
+            nextRun: { type: Datetime },
+            missedRunCount: { type: new GraphQLNonNull(GraphQLInt), description: `Runs since the last execution that didn't happen (counted up to ${MAX_MISSED_COUNT})` },
+            missedRuns: {
+              type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('CronRun')))),
+              description: `The latest ${MAX_MISSED_RUNS} missed runs, newest first`,
+            },
+            backfilledJobCount: { type: GraphQLInt, description: 'Backfilled jobs of this task still queued or in the history archive' },
+          };
+        },
+      },
+      { isCronEntry: true }
+    );
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'CronSchedule',
+        fields: () => ({
+          source: { type: GraphQLString, description: 'pasted, file, or null when no crontab is available' },
+          crontabFile: { type: GraphQLString },
+          entries: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('CronEntry')))) },
+          errors: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('CronParseError')))) },
+        }),
+      },
+      { isCronSchedule: true }
+    );
+    return _;
+  });
+
+  builder.hook('GraphQLObjectType:fields', (fields, build, context) => {
+    const { extend } = build;
+    const { GraphQLNonNull, GraphQLString } = build.graphql;
+
+    if (!context.scope.isRootQuery) {
+      return fields;
+    }
+    return extend(fields, {
+      cronSchedule: {
+        type: new GraphQLNonNull(build.getTypeByName('CronSchedule')),
+        description: 'Known crontab identifiers merged with the schedules of a pasted crontab or CRONTAB_FILE.',
+        args: {
+          crontab: { type: GraphQLString, description: 'Crontab text to use instead of CRONTAB_FILE' },
+        },
+        resolve: async (parent, args, context) => {
+          const { pgClient } = context;
+          try {
+            const { source, entries, errors } = await loadCrontab(args.crontab);
+            const { rows: known } = await pgClient.query(
+              'SELECT identifier, known_since, last_execution FROM graphile_worker._private_known_crontabs ORDER BY identifier'
+            );
+            const tasks = [...new Set(entries.map((entry) => entry.taskIdentifier))];
+            const { rows: backfilled } = await pgClient.query(backfilledCountsQuery(isJobHistoryAvailable()), [tasks]);
+            const backfilledByTask = Object.fromEntries(backfilled.map((row) => [row.task_identifier, row.count]));
+
+            const now = new Date();
+            const knownById = Object.fromEntries(known.map((row) => [row.identifier, row]));
+            const scheduled = entries.map((entry) => {
+              const row = knownById[entry.identifier];
+              const since = row ? row.last_execution || row.known_since : null;
+              return {
+                ...entry,
+                inCrontab: true,
+                known: Boolean(row),
+                knownSince: row ? toIso(row.known_since) : null,
+                lastExecution: row ? toIso(row.last_execution) : null,
+                nextRun: toIso(nextRun(entry, now)),
+                // Nothing can be missed before a worker has registered the entry
+                ...(since ? missedRuns(entry, since, now) : { missedRunCount: 0, missedRuns: [] }),
+                backfilledJobCount: backfilledByTask[entry.taskIdentifier] || 0,
+              };
+            });
+            const orphaned = known
+              .filter((row) => !entries.some((entry) => entry.identifier === row.identifier))
+              .map((row) => ({
+                identifier: row.identifier,
+                inCrontab: false,
+                known: true,
+                knownSince: toIso(row.known_since),
+                lastExecution: toIso(row.last_execution),
+                missedRunCount: 0,
+                missedRuns: [],
+              }));
+            return {
+              source,
+              crontabFile,
+              entries: [...scheduled, ...orphaned],
+              errors,
+            };
+          } catch (error) {
+            console.error('Error loading cron schedule:', error);
+            throw error;
+          }
+        },
+      },
+    });
+  });
+};
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { missedRuns, nextRun, parseCrontab } from './cron.js';
+
+const entry = (schedule, options = '') => {
+  const { entries, errors } = parseCrontab(`${schedule} task${options}`);
+  assert.deepEqual(errors, []);
+  return entries[0];
+};
+
+const next = (schedule, after) => nextRun(entry(schedule), new Date(after))?.toISOString() ?? null;
+
+test('parseCrontab reads the fields, options and payload of each line', () => {
+  const { entries, errors } = parseCrontab([
+    '# nightly',
+    '',
+    '30 2 * * 1-5 send_report ?id=weekday_report&fill=1d2h&max=3&priority=-1&queue=reports {"to":"ops"}',
+  ].join('\n'));
+  assert.deepEqual(errors, []);
+  const [report] = entries;
+  assert.equal(report.identifier, 'weekday_report');
+  assert.equal(report.taskIdentifier, 'send_report');
+  assert.equal(report.schedule, '30 2 * * 1-5');
+  assert.deepEqual([...report.matcher.dows.values], [1, 2, 3, 4, 5]);
+  assert.equal(report.matcher.dows.restricted, true);
+  assert.equal(report.matcher.dates.restricted, false);
+  assert.equal(report.queueName, 'reports');
+  assert.equal(report.priority, -1);
+  assert.equal(report.maxAttempts, 3);
+  assert.equal(report.fillSeconds, 26 * 60 * 60);
+  assert.deepEqual(report.payload, { to: 'ops' });
+});
+
+test('parseCrontab reports each bad line and keeps the others', () => {
+  const { entries, errors } = parseCrontab([
+    '0 * * * * hourly',
+    '60 * * * * bad_minute',
+    '*/0 * * * * zero_step',
+    '0 * * * * unknown_option ?every=2',
+    '0 * * * * hourly',
+    '0 * * * * bad_payload {nope}',
+  ].join('\n'));
+  assert.deepEqual(entries.map((e) => e.identifier), ['hourly']);
+  assert.deepEqual(errors.slice(0, 4), [
+    { line: 2, message: 'Invalid minute "60" (allowed 0-59)' },
+    { line: 3, message: 'Invalid minute "*/0" (allowed 0-59)' },
+    { line: 4, message: 'Unknown option "every"' },
+    { line: 5, message: 'Duplicate identifier "hourly"; set ?id= to tell them apart' },
+  ]);
+  assert.equal(errors[4].line, 6);
+  assert.match(errors[4].message, /^Invalid payload: /);
+});
+
+test('nextRun is strictly after the given time', () => {
+  assert.equal(next('0 * * * *', '2024-05-01T10:00:00Z'), '2024-05-01T11:00:00.000Z');
+  assert.equal(next('0 * * * *', '2024-05-01T09:59:30Z'), '2024-05-01T10:00:00.000Z');
+});
+
+test('nextRun rolls over the end of a month and of a year', () => {
+  assert.equal(next('0 0 1 * *', '2024-01-31T12:00:00Z'), '2024-02-01T00:00:00.000Z');
+  assert.equal(next('0 0 31 * *', '2024-04-01T00:00:00Z'), '2024-05-31T00:00:00.000Z');
+  assert.equal(next('30 2 * * *', '2024-12-31T03:00:00Z'), '2025-01-01T02:30:00.000Z');
+  assert.equal(next('0 0 1 1 *', '2024-06-15T00:00:00Z'), '2025-01-01T00:00:00.000Z');
+  assert.equal(next('0 0 29 2 *', '2025-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+});
+
+test('nextRun gives up on a date that never comes', () => {
+  assert.equal(next('30 2 31 2 *', '2024-01-01T00:00:00Z'), null);
+});
+
+test('nextRun matches either day field when both are restricted', () => {
+  // The 1st of the month or any Monday; 2024-09-01 is a Sunday
+  assert.equal(next('0 0 1 * 1', '2024-09-01T00:00:00Z'), '2024-09-02T00:00:00.000Z');
+  assert.equal(next('0 0 1 * 1', '2024-09-02T00:00:00Z'), '2024-09-09T00:00:00.000Z');
+  assert.equal(next('0 0 1 * 1', '2024-09-30T00:00:00Z'), '2024-10-01T00:00:00.000Z');
+  // With only one of them restricted, that one decides
+  assert.equal(next('0 0 15 * *', '2024-09-01T00:00:00Z'), '2024-09-15T00:00:00.000Z');
+  assert.equal(next('0 0 * * 1', '2024-09-01T00:00:00Z'), '2024-09-02T00:00:00.000Z');
+});
+
+test('nextRun follows */n and a-b/n steps', () => {
+  assert.equal(next('*/15 * * * *', '2024-05-01T10:07:00Z'), '2024-05-01T10:15:00.000Z');
+  assert.equal(next('*/15 * * * *', '2024-05-01T10:45:00Z'), '2024-05-01T11:00:00.000Z');
+  assert.equal(next('0 */6 * * *', '2024-05-01T13:00:00Z'), '2024-05-01T18:00:00.000Z');
+  assert.equal(next('0 */6 * * *', '2024-05-01T18:00:00Z'), '2024-05-02T00:00:00.000Z');
+  assert.deepEqual([...entry('5-20/5 * * * *').matcher.minutes.values], [5, 10, 15, 20]);
+});
+
+test('missedRuns counts the runs since the last execution, leaving the grace period out', () => {
+  const hourly = entry('0 * * * *');
+  const since = new Date('2024-01-01T00:00:00Z');
+  const { missedRunCount, missedRuns: runs } = missedRuns(hourly, since, new Date('2024-01-01T05:30:00Z'));
+  assert.equal(missedRunCount, 5);
+  assert.deepEqual(runs.map((run) => run.at), [
+    '2024-01-01T05:00:00.000Z',
+    '2024-01-01T04:00:00.000Z',
+    '2024-01-01T03:00:00.000Z',
+    '2024-01-01T02:00:00.000Z',
+    '2024-01-01T01:00:00.000Z',
+  ]);
+  // The 05:00 run may still be on its way
+  assert.equal(missedRuns(hourly, since, new Date('2024-01-01T05:01:00Z')).missedRunCount, 4);
+  assert.equal(missedRuns(hourly, since, new Date('2024-01-01T00:30:00Z')).missedRunCount, 0);
+});
+
+test('missedRuns lists the latest runs only, but counts them all', () => {
+  const { missedRunCount, missedRuns: runs } = missedRuns(
+    entry('0 * * * *'),
+    new Date('2024-01-01T00:00:00Z'),
+    new Date('2024-01-03T00:30:00Z')
+  );
+  assert.equal(missedRunCount, 48);
+  assert.equal(runs.length, 20);
+  assert.equal(runs[0].at, '2024-01-03T00:00:00.000Z');
+  assert.equal(runs[19].at, '2024-01-02T05:00:00.000Z');
+});
+
+test('missedRuns flags the runs within the fill period as backfilled', () => {
+  const { missedRuns: runs } = missedRuns(
+    entry('0 * * * *', ' ?fill=2h'),
+    new Date('2024-01-01T00:00:00Z'),
+    new Date('2024-01-01T05:30:00Z')
+  );
+  assert.deepEqual(runs.map((run) => [run.at.slice(11, 16), run.backfill]), [
+    ['05:00', true],
+    ['04:00', true],
+    ['03:00', false],
+    ['02:00', false],
+    ['01:00', false],
+  ]);
+});
@@ -0,0 +1,228 @@
+// Error grouping. The first line of a job's last_error, with timestamps,
+// UUIDs, hex ids and numbers replaced by placeholders, is its fingerprint:
+// "Request 8812 to /users/42 timed out" and "Request 9120 to /users/7 timed
+// out" both become "Request <n> to /users/<n> timed out". Job gets a computed
+// `errorFingerprint` and JobFilter a matching field, so the bulk mutations can
+// target a whole group; `errorGroups` lists the groups.
+
+import { jobStatusSql } from './jobStatus.js';
+
+// Applied in order. Hex ids need 8+ characters mixing letters and digits, so
+// ordinary words and plain numbers are left to the later rules.
+const REPLACEMENTS = [
+  ['\\d{4}-\\d{2}-\\d{2}[T ]\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}(:?\\d{2})?)?', '<time>', 'gi'],
+  ['[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}', '<uuid>', 'gi'],
+  ['\\m(0x[0-9a-f]+|(?=[0-9a-f]*[a-f])(?=[0-9a-f]*\\d)[0-9a-f]{8,})\\M', '<hex>', 'gi'],
+  ['\\d+(\\.\\d+)?', '<n>', 'g'],
+];
+
+// NULL for jobs without an error
+export const errorFingerprintSql = (sql, alias) => {
+  const firstLine = sql.fragment`left(split_part(${alias}.last_error, E'\\n', 1), 1000)`;
+  const normalized = REPLACEMENTS.reduce(
+    (expression, [pattern, replacement, flags]) =>
+      sql.fragment`regexp_replace(${expression}, ${sql.value(pattern)}, ${sql.value(replacement)}, ${sql.value(flags)})`,
+    firstLine
+  );
+  return sql.fragment`nullif(btrim(${normalized}), '')`;
+};
+
+const isJobsTable = (table) =>
+  table && table.kind === 'class' && table.namespaceName === 'graphile_worker' && table.name === 'jobs';
+
+const TEXT_TYPE_ID = '25';
+
+const errorGroupsSql = (sql, { taskIdentifier, first }) => {
+  const job = sql.identifier('j');
+  const fingerprint = errorFingerprintSql(sql, job);
+  const status = jobStatusSql(sql, job);
+  return sql.query`
+    WITH fingerprinted AS (
+      SELECT j.id, j.task_identifier, j.last_error, j.updated_at, ${status} AS status, ${fingerprint} AS fingerprint
+      FROM graphile_worker.jobs j
+      WHERE j.last_error IS NOT NULL
+      ${taskIdentifier ? sql.fragment`AND j.task_identifier = ${sql.value(taskIdentifier)}` : sql.fragment``}
+    ),
+    groups AS (
+      SELECT
+        fingerprint,
+        count(*)::int AS job_count,
+        count(*) FILTER (WHERE status = 'failed')::int AS failed,
+        count(*) FILTER (WHERE status = 'retrying')::int AS retrying,
+        array_agg(DISTINCT task_identifier ORDER BY task_identifier) AS task_identifiers,
+        min(updated_at) AS first_seen_at,
+        max(updated_at) AS last_seen_at,
+        (array_agg(id ORDER BY updated_at DESC, id DESC))[1] AS sample_job_id,
+        (array_agg(last_error ORDER BY updated_at DESC, id DESC))[1] AS sample_error
+      FROM fingerprinted
+      WHERE fingerprint IS NOT NULL
+      GROUP BY fingerprint
+    )
+    SELECT *, count(*) OVER ()::int AS total_count, sum(job_count) OVER ()::int AS total_job_count
+    FROM groups
+    ORDER BY job_count DESC, last_seen_at DESC
+    LIMIT ${sql.value(first)}
+  `;
+};
+
+// node-postgres hands back Date objects; the Datetime scalar expects ISO strings
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const toErrorGroup = (row) => ({
+  fingerprint: row.fingerprint,
+  jobCount: row.job_count,
+  failed: row.failed,
+  retrying: row.retrying,
+  taskIdentifiers: row.task_identifiers,
+  firstSeenAt: toIso(row.first_seen_at),
+  lastSeenAt: toIso(row.last_seen_at),
+  sampleJobId: String(row.sample_job_id),
+  sampleError: row.sample_error,
+});
+
+export const ErrorGroupsPlugin = (builder) => {
+  builder.hook('init', (_, build) => {
+    const { GraphQLObjectType, GraphQLNonNull, GraphQLList, GraphQLInt, GraphQLString } = build.graphql;
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'ErrorGroup',
+        description: 'Jobs whose last error has the same fingerprint.',
+        fields: () => {
+          const Datetime = build.getTypeByName('Datetime') || GraphQLString;
+          return {
+            fingerprint: { type: new GraphQLNonNull(GraphQLString) },
+            jobCount: { type: new GraphQLNonNull(GraphQLInt) },
+            failed: { type: new GraphQLNonNull(GraphQLInt), description: 'Jobs with their attempts exhausted' },
+            retrying: { type: new GraphQLNonNull(GraphQLInt), description: 'Jobs waiting for another attempt' },
+            taskIdentifiers: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(GraphQLString))) },
+            // A failing job's updated_at is when it last failed
+            firstSeenAt: { type: Datetime },
+            lastSeenAt: { type: Datetime },
+            sampleJobId: { type: new GraphQLNonNull(GraphQLString), description: 'The most recently failed job' },
+            sampleError: { type: GraphQLString, description: 'Full last error of the sample job' },
+          };
+        },
+      },
+      { isErrorGroup: true }
+    );
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'ErrorGroupConnection',
+        fields: () => ({
+          nodes: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('ErrorGroup')))) },
+          totalCount: { type: new GraphQLNonNull(GraphQLInt), description: 'Number of groups' },
+          totalJobCount: { type: new GraphQLNonNull(GraphQLInt), description: 'Number of jobs with an error' },
+        }),
+      },
+      { isErrorGroupConnection: true }
+    );
+    return _;
+  });
+
+  builder.hook('GraphQLObjectType:fields', (fields, build, context) => {
+    const { extend, pgSql: sql, getSafeAliasFromAlias, getSafeAliasFromResolveInfo } = build;
+    const { GraphQLNonNull, GraphQLInt, GraphQLString } = build.graphql;
+    const { fieldWithHooks, scope: { isRootQuery, isPgRowType, pgIntrospection: table } } = context;
+
+    if (isRootQuery) {
+      return extend(fields, {
+        errorGroups: {
+          type: new GraphQLNonNull(build.getTypeByName('ErrorGroupConnection')),
+          description: 'Jobs with an error grouped by fingerprint, largest groups first.',
+          args: {
+            first: { type: GraphQLInt },
+            taskIdentifier: { type: GraphQLString },
+          },
+          resolve: async (parent, args, context) => {
+            try {
+              const first = Math.min(Math.max(args.first ?? 25, 1), 500);
+              const { text, values } = sql.compile(errorGroupsSql(sql, { taskIdentifier: args.taskIdentifier, first }));
+              const { rows } = await context.pgClient.query(text, values);
+              return {
+                nodes: rows.map(toErrorGroup),
+                totalCount: rows.length > 0 ? rows[0].total_count : 0,
+                totalJobCount: rows.length > 0 ? rows[0].total_job_count : 0,
+              };
+            } catch (error) {
+              console.error('Error loading error groups:', error);
+              throw error;
+            }
+          },
+        },
+      });
+    }
+
+    if (!isPgRowType || !isJobsTable(table)) {
+      return fields;
+    }
+
+    return extend(fields, {
+      errorFingerprint: fieldWithHooks(
+        'errorFingerprint',
+        ({ addDataGenerator }) => {
+          addDataGenerator((parsedResolveInfoFragment) => ({
+            pgQuery: (queryBuilder) => {
+              queryBuilder.select(
+                errorFingerprintSql(sql, queryBuilder.getTableAlias()),
+                getSafeAliasFromAlias(parsedResolveInfoFragment.alias)
+              );
+            },
+          }));
+          return {
+            description: 'The last error with ids, numbers and timestamps replaced; null without an error.',
+            type: GraphQLString,
+            resolve: (data, args, context, resolveInfo) => data[getSafeAliasFromResolveInfo(resolveInfo)],
+          };
+        },
+        { isJobErrorFingerprintField: true }
+      ),
+    });
+  });
+
+  builder.hook('GraphQLInputObjectType:fields', (fields, build, context) => {
+    const {
+      extend,
+      newWithHooks,
+      pgSql: sql,
+      pgIntrospectionResultsByKind: introspectionResultsByKind,
+      connectionFilterOperatorsType,
+      connectionFilterRegisterResolver,
+      connectionFilterResolve,
+    } = build;
+    const { fieldWithHooks, scope: { pgIntrospection: table, isPgConnectionFilter }, Self } = context;
+    if (!isPgConnectionFilter || !isJobsTable(table)) {
+      return fields;
+    }
+
+    const OperatorsType = connectionFilterOperatorsType(newWithHooks, TEXT_TYPE_ID, null);
+    if (!OperatorsType) {
+      return fields;
+    }
+
+    connectionFilterRegisterResolver(Self.name, 'errorFingerprint', ({ sourceAlias, fieldName, fieldValue, queryBuilder }) => {
+      if (fieldValue == null) return null;
+      return connectionFilterResolve(
+        fieldValue,
+        errorFingerprintSql(sql, sourceAlias),
+        OperatorsType.name,
+        queryBuilder,
+        introspectionResultsByKind.typeById[TEXT_TYPE_ID],
+        null,
+        fieldName
+      );
+    });
+
+    return extend(fields, {
+      errorFingerprint: fieldWithHooks(
+        'errorFingerprint',
+        {
+          description: 'Filter by the normalized last error (see ErrorGroup.fingerprint).',
+          type: OperatorsType,
+        },
+        { isPgConnectionFilterField: true, isJobErrorFingerprintFilterField: true }
+      ),
+    });
+  });
+};
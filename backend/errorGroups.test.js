@@ -0,0 +1,81 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import pg from 'pg';
+import sql from 'pg-sql2';
+import { errorFingerprintSql } from './errorGroups.js';
+import { RETRY_JOBS_SQL } from './retryJobs.js';
+
+// The rules are Postgres regular expressions, so they are checked against a
+// database; without DATABASE_URL the tests are skipped
+const { DATABASE_URL } = process.env;
+const skip = !DATABASE_URL && 'DATABASE_URL is not set';
+
+let pool;
+before(() => {
+  if (DATABASE_URL) pool = new pg.Pool({ connectionString: DATABASE_URL, max: 1 });
+});
+after(() => pool && pool.end());
+
+const fingerprint = async (lastError) => {
+  const error = sql.identifier('e');
+  const { text, values } = sql.compile(
+    sql.query`SELECT ${errorFingerprintSql(sql, error)} AS fingerprint FROM (SELECT ${sql.value(lastError)}::text AS last_error) e`
+  );
+  const { rows: [row] } = await pool.query(text, values);
+  return row.fingerprint;
+};
+
+test('errorFingerprintSql normalizes the first line of an error', { skip }, async () => {
+  const cases = [
+    ['Request 8812 to /users/42 timed out', 'Request <n> to /users/<n> timed out'],
+    ['Request 9120 to /users/7 timed out\n    at fetch (client.js:10:5)', 'Request <n> to /users/<n> timed out'],
+    ['Lock expired at 2024-05-01T10:00:00.123Z', 'Lock expired at <time>'],
+    ['Lock expired at 2024-05-01 10:00:00+02:00 after 1.5s', 'Lock expired at <time> after <n>s'],
+    ['Order 3f2b8c1e-9a4d-4e6f-8b2a-1c3d5e7f9a0b not found', 'Order <uuid> not found'],
+    ['Commit deadbeef12 and pointer 0x7ffe1a missing', 'Commit <hex> and pointer <hex> missing'],
+    // Words made of hex letters only, and plain numbers, are not hex ids
+    ['facade decade 12345678', 'facade decade <n>'],
+    ['   ', null],
+    ['', null],
+    [null, null],
+  ];
+  for (const [lastError, expected] of cases) {
+    assert.equal(await fingerprint(lastError), expected, `fingerprint of ${JSON.stringify(lastError)}`);
+  }
+});
+
+// What "Retry group" does: bulkRetryJobs with an errorFingerprint filter and
+// resetAttempts, here in a transaction that is rolled back
+test('retrying an error group makes its failed jobs runnable again', { skip }, async () => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const lastError of ['Request 8812 to /users/42 timed out', 'Request 9120 to /users/7 timed out']) {
+      const { rows: [{ id }] } = await client.query(
+        `SELECT id FROM graphile_worker.add_job('error_groups_test', '{}', max_attempts => 2)`
+      );
+      await client.query(
+        'UPDATE graphile_worker._private_jobs SET attempts = max_attempts, last_error = $2 WHERE id = $1',
+        [id, lastError]
+      );
+    }
+    const job = sql.identifier('j');
+    const { text, values } = sql.compile(sql.query`
+      SELECT array_agg(id) AS ids FROM graphile_worker.jobs j
+      WHERE task_identifier = 'error_groups_test' AND ${errorFingerprintSql(sql, job)} = 'Request <n> to /users/<n> timed out'
+    `);
+    const { rows: [{ ids }] } = await client.query(text, values);
+    assert.equal(ids.length, 2);
+
+    const { rows: retried } = await client.query(RETRY_JOBS_SQL, [ids, true]);
+    assert.equal(retried.length, 2);
+    const { rows } = await client.query(
+      'SELECT attempts, is_available AND run_at <= now() AS runnable FROM graphile_worker._private_jobs WHERE id = ANY($1)',
+      [ids]
+    );
+    assert.deepEqual(rows, [{ attempts: 0, runnable: true }, { attempts: 0, runnable: true }]);
+  } finally {
+    await client.query('ROLLBACK');
+    client.release();
+  }
+});
@@ -0,0 +1,21 @@
+// Print a password hash for AUTH_USERS_FILE:
+//
+//   npm run hash-password -- 'correct horse battery staple'
+//
+// Reads the password from stdin when no argument is given, so it stays out of
+// the shell history: `npm run hash-password < password.txt`.
+
+import { hashPassword } from './auth.js';
+
+const readStdin = async () => {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+};
+
+const password = process.argv[2] ?? (await readStdin());
+if (!password) {
+  console.error('Usage: npm run hash-password -- <password>');
+  process.exit(1);
+}
+console.log(await hashPassword(password));
@@ -0,0 +1,116 @@
+// Health checks for container orchestration:
+//
+//   GET /health   the database answers, the graphile_worker schema exists and
+//                 its migrations are ones this UI works with
+//   GET /ready    the same, and PostGraphile has built the GraphQL schema
+//
+// Both respond 200 with the details of every check, or 503 when one failed.
+
+// Migration 11 (Graphile Worker 0.14) introduced the _private_* tables and the
+// jobs view everything here reads; 18 is the latest tested (0.16).
+const MIN_MIGRATION = 11;
+const MAX_TESTED_MIGRATION = 18;
+
+// Below the Docker HEALTHCHECK timeout, so a hanging database reports 503
+// rather than timing out the probe
+const CHECK_TIMEOUT_MS = 2000;
+
+const REQUIRED_RELATIONS = ['migrations', '_private_jobs', '_private_tasks', '_private_job_queues'];
+
+let pool = null;
+let graphqlSchema = { ok: false, error: 'GraphQL schema is still being built' };
+
+export const setupHealth = (pgPool, { getGraphQLSchema }) => {
+  pool = pgPool;
+  getGraphQLSchema().then(
+    () => { graphqlSchema = { ok: true }; },
+    (error) => { graphqlSchema = { ok: false, error: `GraphQL schema failed to build: ${error.message}` }; }
+  );
+};
+
+const withTimeout = (promise, what) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const checkDatabase = async () => {
+  const checks = {};
+  const start = Date.now();
+  let client;
+  try {
+    const connecting = pool.connect();
+    client = await withTimeout(connecting, 'Connecting to the database').catch((error) => {
+      // Hand back a connection that arrives after the timeout
+      connecting.then((late) => late.release(), () => {});
+      throw error;
+    });
+    const { rows: [row] } = await withTimeout(client.query(
+      `SELECT current_setting('server_version') AS server_version,
+        to_regnamespace('graphile_worker') IS NOT NULL AS has_schema,
+        array(SELECT name FROM unnest($1::text[]) AS name WHERE to_regclass('graphile_worker.' || name) IS NULL) AS missing`,
+      [REQUIRED_RELATIONS]
+    ), 'Database query');
+    checks.database = { ok: true, latencyMs: Date.now() - start, serverVersion: row.server_version };
+
+    if (!row.has_schema || row.missing.length > 0) {
+      checks.schema = {
+        ok: false,
+        error: row.has_schema
+          ? `graphile_worker schema is missing ${row.missing.join(', ')}`
+          : 'graphile_worker schema not found; has the worker run its migrations?',
+      };
+      return checks;
+    }
+    checks.schema = { ok: true };
+
+    const { rows: [{ version }] } = await withTimeout(
+      client.query('SELECT max(id)::int AS version FROM graphile_worker.migrations'),
+      'Database query'
+    );
+    const supported = { min: MIN_MIGRATION, maxTested: MAX_TESTED_MIGRATION };
+    if (version === null || version < MIN_MIGRATION) {
+      checks.migrations = {
+        ok: false,
+        version,
+        supported,
+        error: `graphile_worker migration ${version ?? 'none'} is older than ${MIN_MIGRATION} (Graphile Worker 0.14); upgrade the worker`,
+      };
+    } else {
+      checks.migrations = {
+        ok: true,
+        version,
+        supported,
+        ...(version > MAX_TESTED_MIGRATION
+          ? { warning: `graphile_worker migration ${version} is newer than ${MAX_TESTED_MIGRATION}, the latest tested` }
+          : {}),
+      };
+    }
+  } catch (error) {
+    checks.database = { ok: false, latencyMs: Date.now() - start, error: error.message };
+  } finally {
+    // A client that timed out mid-query may be stuck, so don't reuse it
+    if (client) client.release(!checks.database.ok);
+  }
+  return checks;
+};
+
+const respond = (res, checks) => {
+  const ok = Object.values(checks).every((check) => check.ok);
+  res.status(ok ? 200 : 503).json({
+    status: ok ? 'ok' : 'error',
+    timestamp: new Date().toISOString(),
+    checks,
+    pool: { total: pool.totalCount, idle: pool.idleCount, waiting: pool.waitingCount },
+  });
+};
+
+export const healthHandler = async (req, res) => {
+  respond(res, await checkDatabase());
+};
+
+export const readyHandler = async (req, res) => {
+  respond(res, { ...(await checkDatabase()), graphqlSchema });
+};
@@ -1,52 +1,265 @@
 import express from 'express';
-import { postgraphile } from 'postgraphile';
+import { postgraphile, makePluginHook, enhanceHttpServerWithWebSockets } from 'postgraphile';
 import cors from 'cors';
 import { createServer } from 'http';
-import { WebSocketServer } from 'ws';
-import { useServer } from 'graphql-ws/lib/use/ws';
 import PgAggregatesPlugin from '@graphile/pg-aggregates';
+import PgPubsub from '@graphile/pg-pubsub';
 import ConnectionFilterPlugin from 'postgraphile-plugin-connection-filter';
 import { TagsFilePlugin } from 'postgraphile/plugins.js'
+import { AlertsPlugin, setupAlerts } from './alerts.js';
+import { AuditLogPlugin, recordAudit, setupAuditLog, snapshotJobs, withAudit } from './audit.js';
+import { AuthPlugin, ROLES, authPgSettings, authRouter, authenticate, authenticateLink, authenticateWebSocket, hasRole, setupAuth } from './auth.js';
+import { CronPlugin, setupCron } from './cron.js';
+import { ErrorGroupsPlugin } from './errorGroups.js';
+import { healthHandler, readyHandler, setupHealth } from './health.js';
+import { JobCountPlugin } from './jobCount.js';
+import { JobEventsPlugin, setupJobEvents } from './jobEvents.js';
+import { exportJobsHandler, exportLinkHandler, setupJobExport } from './jobExport.js';
+import { JobHistoryPlugin, setupJobHistory } from './jobHistory.js';
+import { JobImportPlugin } from './jobImport.js';
+import { JobMetricsPlugin, setupMetricsSampler } from './metrics.js';
+import { JobSearchFilterPlugin } from './jobSearch.js';
+import { JobSummaryPlugin, setupJobSummary } from './jobSummary.js';
+import { JobStatusPlugin } from './jobStatus.js';
+import { setupNotifications } from './notifications.js';
+import { PrometheusServerPlugin, metricsHandler, requestMetrics, setupPrometheus } from './prometheus.js';
+import { QueuesPlugin } from './queues.js';
+import { RETRY_JOBS_SQL } from './retryJobs.js';
+import { SettingsPlugin, setupSettings } from './settings.js';
+import { TasksPlugin } from './tasks.js';
+import { setupUiSchema } from './uiSchema.js';
 
 const app = express();
 const port = process.env.PORT || 5001;
 
+// Request latencies for /metrics
+app.use(requestMetrics);
+
 // CORS configuration
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3001',
   credentials: true,
 }));
 
+// Authentication; an empty AUTH_PROVIDERS keeps the UI open to everyone
+const parseList = (value) => (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+await setupAuth({
+  providers: parseList(process.env.AUTH_PROVIDERS),
+  usersFile: process.env.AUTH_USERS_FILE,
+  tokens: process.env.AUTH_TOKENS,
+  sessionSecret: process.env.AUTH_SESSION_SECRET,
+  jwt: {
+    secret: process.env.AUTH_JWT_SECRET,
+    // Allow the PEM to be given on one line with literal \n separators
+    publicKey: process.env.AUTH_JWT_PUBLIC_KEY && process.env.AUTH_JWT_PUBLIC_KEY.replace(/\\n/g, '\n'),
+    jwksUrl: process.env.AUTH_JWT_JWKS_URL,
+    issuer: process.env.AUTH_JWT_ISSUER,
+    audience: process.env.AUTH_JWT_AUDIENCE,
+    roleClaim: process.env.AUTH_JWT_ROLE_CLAIM,
+    usernameClaim: process.env.AUTH_JWT_USERNAME_CLAIM,
+    // e.g. "worker-admins:admin,worker-ops:operator" maps IdP groups to roles
+    roleMap: Object.fromEntries(parseList(process.env.AUTH_JWT_ROLE_MAP).map((entry) => entry.split(':'))),
+    defaultRole: process.env.AUTH_JWT_DEFAULT_ROLE,
+  },
+  pgRoles: Object.fromEntries(
+    ROLES.map((role) => [role, process.env[`AUTH_PG_ROLE_${role.toUpperCase()}`]]).filter(([, pgRole]) => pgRole)
+  ),
+});
+
+app.use('/auth', authRouter);
+app.use('/graphql', authenticate);
+
 // Database connection
 const databaseUrl = process.env.DATABASE_URL || 
   `postgres://${process.env.POSTGRES_USER}:${process.env.POSTGRES_PASSWORD}@${process.env.POSTGRES_HOST}:${process.env.POSTGRES_PORT}/${process.env.POSTGRES_DB}`;
 
-// Custom plugin to add job management functions
+// Bulk mutations hold every target id in memory and pass them to one
+// graphile_worker call, so they refuse to act on more jobs than this
+const BULK_ACTION_MAX_JOBS = parseInt(process.env.BULK_ACTION_MAX_JOBS || '10000', 10);
+
+const tooManyJobs = () =>
+  new Error(`A bulk action can target at most ${BULK_ACTION_MAX_JOBS} jobs; narrow the filter or raise BULK_ACTION_MAX_JOBS`);
+
+// priority and max_attempts are smallint columns
+const SMALLINT_MIN = -32768;
+const SMALLINT_MAX = 32767;
+
+// Reject job edits Postgres would fail on with a cast error, or that would
+// leave a job no worker can run. Fields left out are not changed.
+const validateJobEdit = (args) => {
+  if (args.maxAttempts != null && (args.maxAttempts < 1 || args.maxAttempts > SMALLINT_MAX)) {
+    throw new Error(`maxAttempts must be between 1 and ${SMALLINT_MAX}`);
+  }
+  if (args.priority != null && (args.priority < SMALLINT_MIN || args.priority > SMALLINT_MAX)) {
+    throw new Error(`priority must be between ${SMALLINT_MIN} and ${SMALLINT_MAX}`);
+  }
+  if (args.payload === null) {
+    throw new Error('payload cannot be null; use {} for an empty payload');
+  }
+};
+
+// Resolve the target job ids of a bulk mutation, either from an explicit list
+// or by running the same `allJobs(filter:)` the JobList uses, so the bulk
+// action matches exactly what the user sees. An empty filter means all jobs.
+const resolveBulkJobIds = async (args, context, resolveInfo, graphql) => {
+  if (args.jobIds && args.jobIds.length > 0) {
+    const jobIds = [...new Set(args.jobIds.map(String))];
+    if (jobIds.length > BULK_ACTION_MAX_JOBS) {
+      throw tooManyJobs();
+    }
+    return jobIds;
+  }
+  if (!args.filter) {
+    throw new Error('Either jobIds or filter must be provided');
+  }
+  // connection-filter rejects an empty filter object, so leave it out
+  const filter = Object.keys(args.filter).length > 0 ? { filter: args.filter } : {};
+  const result = await graphql.graphql({
+    schema: resolveInfo.schema,
+    source: 'query BulkJobIds($first: Int!, $filter: JobFilter) { allJobs(first: $first, filter: $filter) { nodes { id } } }',
+    // One more than allowed, to tell when the filter matches too many
+    variableValues: { first: BULK_ACTION_MAX_JOBS + 1, ...filter },
+    contextValue: context,
+  });
+  if (result.errors && result.errors.length > 0) {
+    throw result.errors[0];
+  }
+  if (result.data.allJobs.nodes.length > BULK_ACTION_MAX_JOBS) {
+    throw tooManyJobs();
+  }
+  return result.data.allJobs.nodes.map((node) => String(node.id));
+};
+
+// Run a graphile_worker bulk function and compare the rows it returned with
+// the ids requested; jobs it skipped (e.g. locked by a worker) count as failed.
+const runBulkJobAction = async (pgClient, jobIds, sql, params = []) => {
+  if (jobIds.length === 0) {
+    return { requested: 0, succeeded: 0, failed: 0, failedJobIds: [] };
+  }
+  const { rows } = await pgClient.query(sql, [jobIds, ...params]);
+  const affected = new Set(rows.map((row) => String(row.id)));
+  const failedJobIds = jobIds.filter((id) => !affected.has(id));
+  return {
+    requested: jobIds.length,
+    succeeded: jobIds.length - failedJobIds.length,
+    failed: failedJobIds.length,
+    failedJobIds,
+  };
+};
+
+// Message stored as the job's last_error when it is cancelled
+const cancelMessage = (user, reason) => {
+  const who = user && user.provider !== 'none' ? user.username : 'user';
+  return reason ? `Cancelled by ${who}: ${reason}` : `Cancelled by ${who}`;
+};
+
+// Custom plugin to add job management functions. Every mutation is recorded
+// in the audit log (see audit.js) and takes an optional `reason` for it.
 const JobManagementPlugin = (builder) => {
+  builder.hook('init', (_, build) => {
+    const { GraphQLObjectType, GraphQLNonNull, GraphQLInt, GraphQLString, GraphQLList } = build.graphql;
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'BulkJobActionResult',
+        description: 'Outcome of a bulk job action.',
+        fields: {
+          requested: { type: new GraphQLNonNull(GraphQLInt) },
+          succeeded: { type: new GraphQLNonNull(GraphQLInt) },
+          failed: { type: new GraphQLNonNull(GraphQLInt) },
+          failedJobIds: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(GraphQLString))) },
+        },
+      },
+      { isBulkJobActionResult: true }
+    );
+    return _;
+  });
+
   builder.hook('GraphQLObjectType:fields', (fields, build, context) => {
     const { extend } = build;
     
     if (context.scope.isRootMutation) {
+      const BulkJobActionResult = build.getTypeByName('BulkJobActionResult');
+      const JobFilter = build.getTypeByName('JobFilter');
+      const reasonArg = {
+        type: build.graphql.GraphQLString,
+        description: 'Why the action was taken; recorded in the audit log',
+      };
+      const bulkArgs = {
+        jobIds: {
+          type: new build.graphql.GraphQLList(new build.graphql.GraphQLNonNull(build.graphql.GraphQLString)),
+        },
+        ...(JobFilter ? { filter: { type: JobFilter } } : {}),
+        reason: reasonArg,
+      };
+      // `options` are extra arguments of one action, recorded with the filter
+      const bulkMutation = (action, label, sql, params = () => [], options = {}) => ({
+        type: new build.graphql.GraphQLNonNull(BulkJobActionResult),
+        args: { ...bulkArgs, ...options },
+        resolve: async (parent, args, context, resolveInfo) => {
+          const { pgClient } = context;
+          const details = Object.fromEntries(
+            ['filter', ...Object.keys(options)].filter((name) => args[name] != null).map((name) => [name, args[name]])
+          );
+          try {
+            const jobIds = await resolveBulkJobIds(args, context, resolveInfo, build.graphql);
+            return await withAudit(
+              context,
+              { action, jobIds, reason: args.reason, details },
+              () => runBulkJobAction(pgClient, jobIds, sql, params(args, context))
+            );
+          } catch (error) {
+            console.error(`Error ${label} jobs:`, error);
+            throw error;
+          }
+        },
+      });
+
       return extend(fields, {
         // Retry job mutation
         retryJob: {
           type: build.graphql.GraphQLBoolean,
+          description: 'Reschedule a job through graphile_worker.reschedule_jobs. Options left out keep their current value.',
           args: {
             jobId: {
               type: new build.graphql.GraphQLNonNull(build.graphql.GraphQLString),
             },
+            runAt: { type: build.getTypeByName('Datetime'), description: 'When to run the job; defaults to now' },
+            resetAttempts: {
+              type: build.graphql.GraphQLBoolean,
+              description: 'Set attempts back to 0; a job that used all of its attempts is never picked up again otherwise',
+            },
+            maxAttempts: { type: build.graphql.GraphQLInt },
+            priority: { type: build.graphql.GraphQLInt },
+            reason: reasonArg,
           },
           resolve: async (parent, args, context, resolveInfo) => {
             const { pgClient } = context;
+            if (args.maxAttempts != null && args.maxAttempts < 1) {
+              throw new Error('maxAttempts must be at least 1');
+            }
+            const { jobId, reason, ...options } = args;
             try {
-              await pgClient.query(
-                'SELECT graphile_worker.reschedule_jobs($1::bigint[], NOW())',
-                [[args.jobId]]
-              );
-              return true;
+              return await withAudit(context, { action: 'retryJob', jobIds: [jobId], reason, details: options }, async () => {
+                const { rowCount } = await pgClient.query(
+                  `SELECT * FROM graphile_worker.reschedule_jobs(
+                    $1::bigint[],
+                    run_at => coalesce($2::timestamptz, NOW()),
+                    priority => $3,
+                    attempts => $4,
+                    max_attempts => $5
+                  )`,
+                  [[jobId], args.runAt || null, args.priority ?? null, args.resetAttempts ? 0 : null, args.maxAttempts ?? null]
+                );
+                // reschedule_jobs skips jobs a worker has locked
+                if (rowCount === 0) {
+                  throw new Error(`Job ${jobId} was not retried; it no longer exists or a worker has it locked`);
+                }
+                return true;
+              });
             } catch (error) {
               console.error('Error retrying job:', error);
-              return false;
+              throw error;
             }
           },
         },
@@ -58,15 +271,18 @@ const JobManagementPlugin = (builder) => {
             jobId: {
               type: new build.graphql.GraphQLNonNull(build.graphql.GraphQLString),
             },
+            reason: reasonArg,
           },
           resolve: async (parent, args, context, resolveInfo) => {
             const { pgClient } = context;
             try {
-              await pgClient.query(
-                'SELECT graphile_worker.permanently_fail_jobs($1::bigint[], $2)',
-                [[args.jobId], 'Cancelled by user']
-              );
-              return true;
+              return await withAudit(context, { action: 'cancelJob', jobIds: [args.jobId], reason: args.reason }, async () => {
+                await pgClient.query(
+                  'SELECT graphile_worker.permanently_fail_jobs($1::bigint[], $2)',
+                  [[args.jobId], cancelMessage(context.user, args.reason)]
+                );
+                return true;
+              });
             } catch (error) {
               console.error('Error cancelling job:', error);
               return false;
@@ -81,21 +297,243 @@ const JobManagementPlugin = (builder) => {
             jobId: {
               type: new build.graphql.GraphQLNonNull(build.graphql.GraphQLString),
             },
+            reason: reasonArg,
           },
           resolve: async (parent, args, context, resolveInfo) => {
             const { pgClient } = context;
             try {
-              await pgClient.query(
-                'SELECT graphile_worker.complete_jobs($1::bigint[])',
-                [[args.jobId]]
-              );
-              return true;
+              return await withAudit(context, { action: 'completeJob', jobIds: [args.jobId], reason: args.reason }, async () => {
+                await pgClient.query(
+                  'SELECT graphile_worker.complete_jobs($1::bigint[])',
+                  [[args.jobId]]
+                );
+                return true;
+              });
             } catch (error) {
               console.error('Error completing job:', error);
               return false;
             }
           },
         },
+
+        // Enqueue a new job via graphile_worker.add_job. Named enqueueJob since
+        // PostGraphile already exposes add_job itself as addJob.
+        enqueueJob: {
+          type: build.graphql.GraphQLString,
+          description: 'Enqueue a job through graphile_worker.add_job and return its id.',
+          args: {
+            identifier: {
+              type: new build.graphql.GraphQLNonNull(build.graphql.GraphQLString),
+            },
+            payload: { type: build.getTypeByName('JSON') },
+            queueName: { type: build.graphql.GraphQLString },
+            runAt: { type: build.getTypeByName('Datetime') },
+            maxAttempts: { type: build.graphql.GraphQLInt },
+            jobKey: { type: build.graphql.GraphQLString },
+            jobKeyMode: { type: build.graphql.GraphQLString },
+            priority: { type: build.graphql.GraphQLInt },
+            flags: { type: new build.graphql.GraphQLList(new build.graphql.GraphQLNonNull(build.graphql.GraphQLString)) },
+            reason: reasonArg,
+          },
+          resolve: async (parent, args, context, resolveInfo) => {
+            const { pgClient } = context;
+            try {
+              const { rows: [job] } = await pgClient.query(
+                `SELECT (graphile_worker.add_job(
+                  identifier => $1,
+                  payload => $2::json,
+                  queue_name => $3,
+                  run_at => $4::timestamptz,
+                  max_attempts => $5,
+                  job_key => $6,
+                  priority => $7,
+                  flags => $8::text[],
+                  job_key_mode => coalesce($9, 'replace')
+                )).id`,
+                [
+                  args.identifier,
+                  args.payload === undefined ? null : JSON.stringify(args.payload),
+                  args.queueName || null,
+                  args.runAt || null,
+                  args.maxAttempts ?? null,
+                  args.jobKey || null,
+                  args.priority ?? null,
+                  args.flags && args.flags.length > 0 ? args.flags : null,
+                  args.jobKeyMode || null,
+                ]
+              );
+              const jobId = job ? String(job.id) : null;
+              // The payload is already part of the snapshot
+              const { reason, payload, ...options } = args;
+              await recordAudit(pgClient, context.user, {
+                action: 'enqueueJob',
+                jobIds: jobId ? [jobId] : [],
+                reason,
+                details: { ...options, result: jobId },
+                after: jobId ? await snapshotJobs(pgClient, [jobId]) : null,
+              });
+              return jobId;
+            } catch (error) {
+              console.error('Error adding job:', error);
+              throw error;
+            }
+          },
+        },
+
+        // Edit a job that no worker holds. `revision` must match the job's
+        // current revision so concurrent edits (or a reschedule by the worker)
+        // aren't silently overwritten.
+        updateJob: {
+          type: build.graphql.GraphQLBoolean,
+          args: {
+            jobId: {
+              type: new build.graphql.GraphQLNonNull(build.graphql.GraphQLString),
+            },
+            revision: {
+              type: new build.graphql.GraphQLNonNull(build.graphql.GraphQLInt),
+            },
+            payload: { type: build.getTypeByName('JSON') },
+            priority: { type: build.graphql.GraphQLInt },
+            runAt: { type: build.getTypeByName('Datetime') },
+            maxAttempts: { type: build.graphql.GraphQLInt },
+            // Empty string moves the job out of its named queue
+            queueName: { type: build.graphql.GraphQLString },
+            reason: reasonArg,
+          },
+          resolve: async (parent, args, context, resolveInfo) => {
+            const { pgClient } = context;
+            validateJobEdit(args);
+            try {
+              const before = await snapshotJobs(pgClient, [args.jobId]);
+              let queueId = null;
+              if (args.queueName) {
+                await pgClient.query(
+                  'INSERT INTO graphile_worker._private_job_queues (queue_name) VALUES ($1) ON CONFLICT DO NOTHING',
+                  [args.queueName]
+                );
+                const { rows: [queue] } = await pgClient.query(
+                  'SELECT id FROM graphile_worker._private_job_queues WHERE queue_name = $1',
+                  [args.queueName]
+                );
+                queueId = queue.id;
+              }
+              const { rowCount } = await pgClient.query(
+                `UPDATE graphile_worker._private_jobs SET
+                  payload = CASE WHEN $3 THEN $4::json ELSE payload END,
+                  priority = coalesce($5::smallint, priority),
+                  run_at = coalesce($6::timestamptz, run_at),
+                  max_attempts = coalesce($7::smallint, max_attempts),
+                  job_queue_id = CASE WHEN $8 THEN $9::int ELSE job_queue_id END,
+                  revision = revision + 1,
+                  updated_at = now()
+                WHERE id = $1::bigint AND revision = $2 AND locked_at IS NULL`,
+                [
+                  args.jobId,
+                  args.revision,
+                  args.payload !== undefined,
+                  args.payload === undefined ? null : JSON.stringify(args.payload),
+                  args.priority ?? null,
+                  args.runAt || null,
+                  args.maxAttempts ?? null,
+                  args.queueName !== undefined && args.queueName !== null,
+                  queueId,
+                ]
+              );
+              if (rowCount === 1) {
+                const { jobId, reason, ...changes } = args;
+                await recordAudit(pgClient, context.user, {
+                  action: 'updateJob',
+                  jobIds: [jobId],
+                  reason,
+                  details: changes,
+                  before,
+                  after: await snapshotJobs(pgClient, [jobId]),
+                });
+                return true;
+              }
+              const { rows: [job] } = await pgClient.query(
+                'SELECT locked_at, revision FROM graphile_worker._private_jobs WHERE id = $1::bigint',
+                [args.jobId]
+              );
+              if (!job) {
+                throw new Error(`Job ${args.jobId} not found`);
+              }
+              if (job.locked_at) {
+                throw new Error(`Job ${args.jobId} is locked by a worker and cannot be edited`);
+              }
+              throw new Error(
+                `Job ${args.jobId} was modified (revision ${job.revision}, expected ${args.revision}); reload and try again`
+              );
+            } catch (error) {
+              console.error('Error updating job:', error);
+              throw error;
+            }
+          },
+        },
+
+        // Release every job and queue lock held by a worker that has died.
+        // Wraps graphile_worker.force_unlock_workers (exposed by PostGraphile
+        // as forceUnlockWorkers) so it can report how many jobs were freed.
+        unlockWorker: {
+          type: build.graphql.GraphQLInt,
+          args: {
+            workerId: {
+              type: new build.graphql.GraphQLNonNull(build.graphql.GraphQLString),
+            },
+            reason: reasonArg,
+          },
+          resolve: async (parent, args, context, resolveInfo) => {
+            const { pgClient } = context;
+            try {
+              const { rows } = await pgClient.query(
+                'SELECT id::text FROM graphile_worker._private_jobs WHERE locked_by = $1',
+                [args.workerId]
+              );
+              const jobIds = rows.map((row) => row.id);
+              return await withAudit(
+                context,
+                { action: 'unlockWorker', jobIds, target: args.workerId, reason: args.reason },
+                async () => {
+                  await pgClient.query(
+                    'SELECT graphile_worker.force_unlock_workers($1::text[])',
+                    [[args.workerId]]
+                  );
+                  return jobIds.length;
+                }
+              );
+            } catch (error) {
+              console.error('Error unlocking worker:', error);
+              throw error;
+            }
+          },
+        },
+
+        // Bulk variants: accept either an id list or a JobFilter. Prefixed with
+        // "bulk" because PostGraphile already exposes graphile_worker's own
+        // complete_jobs/reschedule_jobs functions as completeJobs etc.
+        bulkRetryJobs: bulkMutation(
+          'bulkRetryJobs',
+          'retrying',
+          RETRY_JOBS_SQL,
+          (args) => [Boolean(args.resetAttempts)],
+          {
+            resetAttempts: {
+              type: build.graphql.GraphQLBoolean,
+              description: 'Set attempts back to 0 for every job; jobs that used all of their attempts are always reset, or they would never run again',
+            },
+          }
+        ),
+        bulkCancelJobs: bulkMutation(
+          'bulkCancelJobs',
+          'cancelling',
+          'SELECT id FROM graphile_worker.permanently_fail_jobs($1::bigint[], $2)',
+          (args, context) => [cancelMessage(context.user, args.reason)]
+        ),
+        bulkCompleteJobs: bulkMutation(
+          'bulkCompleteJobs',
+          'completing',
+          'SELECT id FROM graphile_worker.complete_jobs($1::bigint[])'
+        ),
       });
     }
     
@@ -105,23 +543,30 @@ const JobManagementPlugin = (builder) => {
 
 // PostGraphile configuration
 const postgraphileOptions = {
+  pluginHook: makePluginHook([PgPubsub.default, PrometheusServerPlugin]),
   subscriptions: true,
+  // graphql-ws (v1) is what the frontend's GraphQLWsLink speaks
+  websockets: ['v0', 'v1'],
   watchPg: true,
   dynamicJson: true,
   setofFunctionsContainNulls: false,
   ignoreRBAC: false,
   showErrorStack: 'json',
   extendedErrors: ['hint', 'detail', 'errcode'],
-  appendPlugins: [TagsFilePlugin, JobManagementPlugin, ConnectionFilterPlugin, PgAggregatesPlugin.default],
+  appendPlugins: [TagsFilePlugin, AuthPlugin, JobManagementPlugin, AuditLogPlugin, JobEventsPlugin, JobHistoryPlugin, JobMetricsPlugin, QueuesPlugin, TasksPlugin, SettingsPlugin, CronPlugin, AlertsPlugin, ConnectionFilterPlugin, JobSearchFilterPlugin, JobStatusPlugin, ErrorGroupsPlugin, JobCountPlugin, JobSummaryPlugin, JobImportPlugin, PgAggregatesPlugin.default],
   exportGqlSchemaPath: 'tmp/schema.graphql',
-  graphiql: true,
+  // GraphiQL only serves the page; its requests still need a token
+  graphiql: process.env.ENABLE_GRAPHIQL !== 'false',
   enhanceGraphiql: true,
-  allowExplain: true,
+  allowExplain: (req) => hasRole(req.user, 'admin'),
   enableQueryBatching: true,
   legacyRelations: 'omit',
-  pgSettings: {
+  pgSettings: (req) => ({
     search_path: 'graphile_worker,public',
-  },
+    ...authPgSettings(req.user),
+  }),
+  additionalGraphQLContextFromRequest: async (req) => ({ user: req.user }),
+  websocketMiddlewares: [authenticateWebSocket],
   // Only expose graphile_worker schema
   schemas: ['graphile_worker'],
   // Include the jobs view and management functions
@@ -137,30 +582,88 @@ const postgraphileMiddleware = postgraphile(
 
 app.use(postgraphileMiddleware);
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// Health checks: database, graphile_worker schema and migrations; /ready also
+// waits for the GraphQL schema. 503 with the failing check's details.
+setupHealth(postgraphileMiddleware.pgPool, {
+  getGraphQLSchema: () => postgraphileMiddleware.getGraphQLSchema(),
 });
+app.get('/health', healthHandler);
+app.get('/ready', readyHandler);
+
+// Prometheus metrics; needs a token like /graphql when auth is enabled
+setupPrometheus(postgraphileMiddleware.pgPool, {
+  cacheSeconds: parseInt(process.env.PROMETHEUS_CACHE_SECONDS || '15', 10),
+});
+app.get('/metrics', authenticate, metricsHandler);
+
+// Streaming CSV/JSON/NDJSON export of the jobs matching a JobFilter, read
+// through the GraphQL schema with the caller's role
+setupJobExport(postgraphileMiddleware.pgPool, {
+  getGraphQLSchema: () => postgraphileMiddleware.getGraphQLSchema(),
+  pgSettings: postgraphileOptions.pgSettings,
+});
+app.post('/export/jobs/link', authenticate, exportLinkHandler);
+app.get('/export/jobs', authenticateLink, exportJobsHandler);
 
 // Create HTTP server
 const server = createServer(app);
 
-// WebSocket server for subscriptions
-const wsServer = new WebSocketServer({
-  server,
-  path: '/graphql',
+// WebSocket handling for subscriptions, served by PostGraphile itself so
+// subscription resolvers get the same context as queries
+enhanceHttpServerWithWebSockets(server, postgraphileMiddleware);
+
+// Our tables go in the graphile_worker_ui schema. Create it once, then let
+// each module install into it in turn, all before the server starts listening.
+await setupUiSchema(postgraphileMiddleware.pgPool);
+
+// Audit log of operator actions, shown on the Activity page
+await setupAuditLog(postgraphileMiddleware.pgPool);
+
+// Shared UI settings edited on the Settings page
+await setupSettings(postgraphileMiddleware.pgPool);
+
+// Optional LISTEN/NOTIFY trigger powering the jobUpdated subscription
+await setupJobEvents(postgraphileMiddleware.pgPool, {
+  install: process.env.INSTALL_JOB_EVENTS_TRIGGER === 'true',
+});
+
+// Optional archive of finished jobs powering the History page
+await setupJobHistory(postgraphileMiddleware.pgPool, {
+  install: process.env.INSTALL_JOB_HISTORY === 'true',
+  retentionDays: parseInt(process.env.JOB_HISTORY_RETENTION_DAYS || '30', 10),
+});
+
+// Job counts shared by the Dashboard, sidebar and Queues page of every client
+setupJobSummary({
+  cacheSeconds: parseInt(process.env.JOB_SUMMARY_CACHE_SECONDS || '5', 10),
 });
 
-// Use the server for GraphQL subscriptions
-useServer(
-  {
-    schema: postgraphileMiddleware.getGraphQLSchema(),
-    context: (ctx) => ({
-      pgPool: postgraphileMiddleware.pgPool,
-    }),
+// Schedules for the Cron page, read from the worker's crontab file
+setupCron({ file: process.env.CRONTAB_FILE });
+
+// Optional sampler behind the Dashboard trends and throughput charts
+await setupMetricsSampler(postgraphileMiddleware.pgPool, {
+  enabled: process.env.ENABLE_METRICS_SAMPLER === 'true',
+  intervalSeconds: parseInt(process.env.METRICS_SAMPLE_INTERVAL_SECONDS || '60', 10),
+  retentionDays: parseInt(process.env.METRICS_RETENTION_DAYS || '14', 10),
+});
+
+// Alert rules, evaluated on a schedule and sent to webhooks, Slack or email
+setupNotifications({
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '0', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    password: process.env.SMTP_PASSWORD,
+    from: process.env.ALERT_EMAIL_FROM,
   },
-  wsServer
-);
+});
+await setupAlerts(postgraphileMiddleware.pgPool, {
+  enabled: process.env.ENABLE_ALERTS === 'true',
+  intervalSeconds: parseInt(process.env.ALERTS_INTERVAL_SECONDS || '60', 10),
+  uiUrl: process.env.FRONTEND_URL,
+});
 
 server.listen(port, () => {
   console.log(`🚀 Graphile Worker Backend running at http://localhost:${port}`);
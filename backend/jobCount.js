@@ -0,0 +1,98 @@
+// Job counts that stay cheap on large tables. `allJobs { totalCount }` is a
+// count(*) over every matching row, a full scan once the jobs table holds
+// millions of rows. `jobCount(filter:)` asks the planner for its row estimate
+// of the same filtered query first, and only counts exactly when that
+// estimate is small; the count itself stops after EXACT_COUNT_LIMIT rows in
+// case the estimate was far off.
+
+const EXACT_COUNT_LIMIT = 10000;
+
+const isJobsTable = (table) =>
+  table && table.kind === 'class' && table.namespaceName === 'graphile_worker' && table.name === 'jobs';
+
+export const JobCountPlugin = (builder) => {
+  builder.hook('init', (_, build) => {
+    const { GraphQLObjectType, GraphQLNonNull, GraphQLInt, GraphQLBoolean } = build.graphql;
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'JobCount',
+        description: 'Number of jobs matching a filter, exact or estimated.',
+        fields: {
+          count: { type: new GraphQLNonNull(GraphQLInt) },
+          exact: {
+            type: new GraphQLNonNull(GraphQLBoolean),
+            description: `False when \`count\` is the query planner's estimate (more than ${EXACT_COUNT_LIMIT} jobs)`,
+          },
+        },
+      },
+      { isJobCount: true }
+    );
+    return _;
+  });
+
+  builder.hook('GraphQLObjectType:fields', (fields, build, context) => {
+    const {
+      extend,
+      pgSql: sql,
+      pgQueryFromResolveData: queryFromResolveData,
+      pgIntrospectionResultsByKind: introspection,
+      connectionFilterResolve,
+    } = build;
+    if (!context.scope.isRootQuery) {
+      return fields;
+    }
+    const jobsTable = introspection.class.find(isJobsTable);
+    const JobFilter = build.getTypeByName('JobFilter');
+    if (!jobsTable || !JobFilter) {
+      return fields;
+    }
+
+    // The same SQL allJobs(filter:) runs, selecting nothing
+    const filteredJobsQuery = (filter) => queryFromResolveData(
+      sql.identifier(jobsTable.namespaceName, jobsTable.name),
+      undefined,
+      {
+        pgQuery: [(queryBuilder) => {
+          const condition = filter
+            ? connectionFilterResolve(filter, queryBuilder.getTableAlias(), JobFilter.name, queryBuilder, jobsTable.type, null)
+            : null;
+          if (condition) queryBuilder.where(condition);
+        }],
+      },
+      { useAsterisk: false },
+      (queryBuilder) => queryBuilder.select(sql.fragment`1`, 'one')
+    );
+
+    return extend(fields, {
+      jobCount: {
+        type: new build.graphql.GraphQLNonNull(build.getTypeByName('JobCount')),
+        description: `Number of jobs matching the filter; exact up to ${EXACT_COUNT_LIMIT}, estimated beyond.`,
+        args: {
+          filter: { type: JobFilter },
+        },
+        resolve: async (parent, args, context) => {
+          try {
+            const query = filteredJobsQuery(args.filter);
+            const explain = sql.compile(sql.query`explain (format json) ${query}`);
+            const { rows: [{ 'QUERY PLAN': [{ Plan: plan }] }] } = await context.pgClient.query(explain.text, explain.values);
+            const estimate = Math.round(plan['Plan Rows']);
+            if (estimate > EXACT_COUNT_LIMIT) {
+              return { count: estimate, exact: false };
+            }
+            const { text, values } = sql.compile(sql.query`
+              select count(*)::int as count
+              from (${query} limit ${sql.value(EXACT_COUNT_LIMIT + 1)}) as matching
+            `);
+            const { rows: [{ count }] } = await context.pgClient.query(text, values);
+            // More than the limit despite a small estimate: stale statistics
+            return { count, exact: count <= EXACT_COUNT_LIMIT };
+          } catch (error) {
+            console.error('Error counting jobs:', error);
+            throw error;
+          }
+        },
+      },
+    });
+  });
+};
@@ -0,0 +1,204 @@
+// Job lifecycle events: an optional trigger on graphile_worker._private_jobs
+// NOTIFYs every insert/update/delete, @graphile/pg-pubsub LISTENs for it, and
+// JobEventsPlugin exposes the stream as the `jobUpdated` subscription.
+//
+// The trigger compares OLD and NEW to name what happened to the job (`kind`):
+// Graphile Worker locks a job by setting locked_at and bumping attempts, and
+// fails an attempt by unlocking it with a run_at pushed back by the backoff.
+
+export const JOB_EVENTS_TOPIC = 'graphile_worker_ui:job_event';
+
+const TRIGGER_NAME = '_900_graphile_worker_ui_job_event';
+
+// Kept in our own schema so PostGraphile (which only exposes graphile_worker)
+// never picks the function up.
+const installSql = `
+  CREATE OR REPLACE FUNCTION graphile_worker_ui.notify_job_event() RETURNS trigger AS $$
+  DECLARE
+    v_job graphile_worker._private_jobs;
+    v_kind text;
+  BEGIN
+    v_job := CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+    v_kind := CASE
+      WHEN TG_OP = 'INSERT' THEN 'enqueued'
+      -- Workers delete the jobs they complete while still holding the lock
+      WHEN TG_OP = 'DELETE' THEN CASE WHEN OLD.locked_at IS NOT NULL THEN 'completed' ELSE 'removed' END
+      WHEN OLD.locked_at IS NULL AND NEW.locked_at IS NOT NULL THEN 'locked'
+      WHEN NEW.locked_at IS NULL AND NEW.attempts >= NEW.max_attempts
+        AND (OLD.locked_at IS NOT NULL OR OLD.attempts < OLD.max_attempts) THEN 'permanently_failed'
+      WHEN OLD.locked_at IS NOT NULL AND NEW.locked_at IS NULL THEN
+        CASE WHEN NEW.run_at > OLD.run_at THEN 'failed_attempt' ELSE 'unlocked' END
+      WHEN NEW.run_at IS DISTINCT FROM OLD.run_at OR NEW.attempts < OLD.attempts
+        OR NEW.max_attempts > OLD.max_attempts THEN 'rescheduled'
+      ELSE 'updated'
+    END;
+    PERFORM pg_notify('${JOB_EVENTS_TOPIC}', json_build_object(
+      'op', lower(TG_OP),
+      'kind', v_kind,
+      'jobId', v_job.id::text,
+      'taskIdentifier', (SELECT identifier FROM graphile_worker._private_tasks WHERE id = v_job.task_id),
+      'queueName', (SELECT queue_name FROM graphile_worker._private_job_queues WHERE id = v_job.job_queue_id),
+      'attempts', v_job.attempts,
+      'maxAttempts', v_job.max_attempts,
+      'runAt', v_job.run_at,
+      'lockedAt', v_job.locked_at,
+      'lockedBy', v_job.locked_by,
+      -- NOTIFY payloads are capped at 8000 bytes
+      'lastError', left(v_job.last_error, 1000),
+      'at', now()
+    )::text);
+    RETURN NULL;
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS ${TRIGGER_NAME} ON graphile_worker._private_jobs;
+  CREATE TRIGGER ${TRIGGER_NAME}
+    AFTER INSERT OR UPDATE OR DELETE ON graphile_worker._private_jobs
+    FOR EACH ROW EXECUTE FUNCTION graphile_worker_ui.notify_job_event();
+`;
+
+let jobEventsAvailable = false;
+
+// Install the trigger when asked to, then record whether it exists at all
+// (it may also have been installed by hand by a DBA).
+export const setupJobEvents = async (pgPool, { install = false } = {}) => {
+  try {
+    if (install) {
+      await pgPool.query(installSql);
+      console.log('📣 Job events trigger installed');
+    }
+    const { rows: [row] } = await pgPool.query(
+      `SELECT EXISTS (
+        SELECT 1 FROM pg_trigger
+        WHERE tgname = $1 AND tgrelid = 'graphile_worker._private_jobs'::regclass
+      ) AS installed`,
+      [TRIGGER_NAME]
+    );
+    jobEventsAvailable = row.installed;
+  } catch (error) {
+    console.error('Error setting up job events trigger:', error);
+    jobEventsAvailable = false;
+  }
+  if (!jobEventsAvailable) {
+    console.log('ℹ️  Job events trigger not installed; clients will fall back to polling');
+  }
+  return jobEventsAvailable;
+};
+
+const JOB_EVENT_KINDS = [
+  'enqueued',
+  'locked',
+  'failed_attempt',
+  'rescheduled',
+  'permanently_failed',
+  'completed',
+  'removed',
+  'unlocked',
+  'updated',
+];
+
+// A trigger installed by hand from an older version doesn't send `kind`
+const eventKind = (event) =>
+  event.kind || { insert: 'enqueued', update: 'updated', delete: 'removed' }[event.op] || null;
+
+const matches = (event, args) =>
+  (!args.jobId || event.jobId === String(args.jobId)) &&
+  (!args.taskIdentifier || event.taskIdentifier === args.taskIdentifier) &&
+  (!args.queueName || event.queueName === args.queueName);
+
+// Wrap a pubsub iterator so it emits `first`, then only matching events.
+// Hand-rolled rather than an async generator so that return() reaches the
+// underlying iterator immediately and UNLISTENs without waiting for an event.
+const filteredEvents = (iterator, predicate, first) => {
+  let sentFirst = false;
+  return {
+    async next() {
+      if (!sentFirst) {
+        sentFirst = true;
+        return { value: first, done: false };
+      }
+      while (true) {
+        const result = await iterator.next();
+        if (result.done || (result.value && predicate(result.value))) {
+          return result;
+        }
+      }
+    },
+    return() {
+      return iterator.return ? iterator.return() : Promise.resolve({ value: undefined, done: true });
+    },
+    throw(error) {
+      return iterator.throw ? iterator.throw(error) : Promise.reject(error);
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+};
+
+// Plugin adding `jobUpdated`; pubsub is provided by @graphile/pg-pubsub
+export const JobEventsPlugin = (builder, { pubsub }) => {
+  builder.hook('init', (_, build) => {
+    const { GraphQLObjectType, GraphQLNonNull, GraphQLInt, GraphQLString } = build.graphql;
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'JobEvent',
+        description: 'A change to a job row. `op` is insert, update, delete, or subscribed for the initial handshake event.',
+        fields: () => {
+          const Datetime = build.getTypeByName('Datetime') || GraphQLString;
+          return {
+            op: { type: new GraphQLNonNull(GraphQLString) },
+            kind: {
+              type: GraphQLString,
+              description: `What happened to the job: ${JOB_EVENT_KINDS.join(', ')}`,
+              resolve: eventKind,
+            },
+            jobId: { type: GraphQLString },
+            taskIdentifier: { type: GraphQLString },
+            queueName: { type: GraphQLString },
+            attempts: { type: GraphQLInt },
+            maxAttempts: { type: GraphQLInt },
+            runAt: { type: Datetime },
+            lockedAt: { type: Datetime },
+            lockedBy: { type: GraphQLString },
+            lastError: { type: GraphQLString },
+            at: { type: Datetime },
+          };
+        },
+      },
+      { isJobEvent: true }
+    );
+    return _;
+  });
+
+  builder.hook('GraphQLObjectType:fields', (fields, build, context) => {
+    if (!context.scope.isRootSubscription || !pubsub) {
+      return fields;
+    }
+    const { GraphQLString } = build.graphql;
+    return build.extend(fields, {
+      jobUpdated: {
+        type: build.getTypeByName('JobEvent'),
+        description: 'Stream of job changes, optionally narrowed to one job, task or queue.',
+        args: {
+          jobId: { type: GraphQLString },
+          taskIdentifier: { type: GraphQLString },
+          queueName: { type: GraphQLString },
+        },
+        subscribe: (parent, args) => {
+          if (!jobEventsAvailable) {
+            throw new Error('Job events trigger is not installed (set INSTALL_JOB_EVENTS_TRIGGER=true)');
+          }
+          return filteredEvents(
+            pubsub.asyncIterator(JOB_EVENTS_TOPIC),
+            (event) => matches(event, args),
+            // Lets clients know the stream is live so they can stop polling
+            { op: 'subscribed', at: new Date().toISOString() }
+          );
+        },
+        resolve: (event) => event,
+      },
+    });
+  });
+};
@@ -0,0 +1,225 @@
+// Job export for incident reports: GET /export/jobs streams the jobs matching a
+// JobFilter as CSV, JSON or NDJSON.
+//
+//   format    csv (default), json or ndjson
+//   columns   comma separated, from EXPORT_COLUMNS (default: all of them)
+//   payload   "true" adds each job's payload
+//   filter    a JobFilter as JSON, the same the JobList queries allJobs with
+//
+// Jobs are read through the GraphQL schema in keyset pages, so the filter,
+// the caller's role and its database settings apply exactly as in the UI, and
+// no page holds a connection while the response waits on a slow client.
+//
+// POST /export/jobs/link takes the same parameters, checks them and returns a
+// URL with a link token (see auth.js), so the browser can download the export
+// itself instead of buffering it in the page.
+
+import { graphql } from 'graphql';
+import { withPostGraphileContext } from 'postgraphile';
+import { signLinkToken } from './auth.js';
+
+export const EXPORT_COLUMNS = [
+  'id',
+  'taskIdentifier',
+  'queueName',
+  'status',
+  'priority',
+  'runAt',
+  'attempts',
+  'maxAttempts',
+  'lastError',
+  'errorFingerprint',
+  'createdAt',
+  'updatedAt',
+  'key',
+  'lockedAt',
+  'lockedBy',
+  'revision',
+  'flags',
+];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+const BATCH_SIZE = 500;
+
+const exportQuery = (columns, payload) => `
+  query ExportJobs($first: Int!, $after: Cursor, $filter: JobFilter) {
+    allJobs(first: $first, after: $after, orderBy: [ID_DESC], filter: $filter) {
+      nodes {
+        ${columns.join('\n        ')}
+        ${payload ? '_privateJobById { payload }' : ''}
+      }
+      pageInfo {
+        endCursor
+        hasNextPage
+      }
+    }
+  }
+`;
+
+// Quote fields containing a delimiter, quote or line break; objects (payload,
+// flags) are written as JSON
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+const parseRequest = (query) => {
+  const format = query.format || 'csv';
+  if (!FORMATS[format]) {
+    throw new Error(`Unknown format "${format}"; use csv, json or ndjson`);
+  }
+  const columns = query.columns
+    ? String(query.columns).split(',').map((column) => column.trim()).filter(Boolean)
+    : EXPORT_COLUMNS;
+  const unknown = columns.filter((column) => !EXPORT_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown column(s) ${unknown.join(', ')}; available: ${EXPORT_COLUMNS.join(', ')}`);
+  }
+  if (columns.length === 0) {
+    throw new Error('Select at least one column');
+  }
+  let filter;
+  if (query.filter) {
+    try {
+      filter = JSON.parse(query.filter);
+    } catch (error) {
+      throw new Error(`filter is not valid JSON: ${error.message}`);
+    }
+  }
+  return { format, columns: [...new Set(columns)], payload: query.payload === 'true', filter };
+};
+
+let pool = null;
+let schemaOf = null;
+let settingsOf = null;
+
+export const setupJobExport = (pgPool, { getGraphQLSchema, pgSettings }) => {
+  pool = pgPool;
+  schemaOf = getGraphQLSchema;
+  settingsOf = pgSettings;
+};
+
+const fetchBatch = async (req, source, variables) => {
+  const schema = await schemaOf();
+  const result = await withPostGraphileContext(
+    { pgPool: pool, pgSettings: settingsOf(req) },
+    (context) => graphql({ schema, source, variableValues: variables, contextValue: { ...context, user: req.user } })
+  );
+  if (result.errors && result.errors.length > 0) {
+    throw result.errors[0];
+  }
+  return result.data.allJobs;
+};
+
+// Validation errors (e.g. a filter not matching JobFilter) have no path
+const isInvalidQuery = (error) => Boolean(error.locations) && !error.path;
+
+export const exportLinkHandler = async (req, res) => {
+  let request;
+  try {
+    request = parseRequest(req.query);
+  } catch (error) {
+    return res.status(400).json({ errors: [{ message: error.message }] });
+  }
+  const { columns, payload, filter } = request;
+  try {
+    // One job is enough to know the filter is valid
+    await fetchBatch(req, exportQuery(columns, payload), { first: 1, ...(filter ? { filter } : {}) });
+  } catch (error) {
+    console.error('Error checking job export:', error);
+    return res.status(isInvalidQuery(error) ? 400 : 500).json({ errors: [{ message: error.message }] });
+  }
+  const path = req.baseUrl + req.path.replace(/\/link$/, '');
+  const { token, expiresAt } = signLinkToken(req.user, path);
+  const params = new URLSearchParams({ ...req.query, token });
+  res.json({ url: `${path}?${params}`, expiresAt });
+};
+
+export const exportJobsHandler = async (req, res) => {
+  let request;
+  try {
+    request = parseRequest(req.query);
+  } catch (error) {
+    return res.status(400).json({ errors: [{ message: error.message }] });
+  }
+  const { format, columns, payload, filter } = request;
+  const source = exportQuery(columns, payload);
+  // An explicit null filter is rejected by the connection filter plugin
+  const filterVariable = filter ? { filter } : {};
+  const toRecord = (job) => {
+    const record = Object.fromEntries(columns.map((column) => [column, job[column]]));
+    if (payload) record.payload = job._privateJobById ? job._privateJobById.payload : null;
+    return record;
+  };
+
+  // Emitted once the response ends or the client goes away
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  let batch;
+  try {
+    // The first page is read before answering, so a bad filter is a 400
+    batch = await fetchBatch(req, source, { first: BATCH_SIZE, ...filterVariable });
+  } catch (error) {
+    console.error('Error exporting jobs:', error);
+    return res.status(isInvalidQuery(error) ? 400 : 500).json({ errors: [{ message: error.message }] });
+  }
+
+  const { contentType, extension } = FORMATS[format];
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="jobs-${stamp}.${extension}"`);
+
+  const write = (chunk) => {
+    if (closed || res.write(chunk)) return undefined;
+    return new Promise((resolve) => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  };
+
+  try {
+    if (format === 'csv') await write(csvLine(payload ? [...columns, 'payload'] : columns));
+    if (format === 'json') await write('[');
+    let first = true;
+    for (;;) {
+      for (const job of batch.nodes) {
+        if (closed) break;
+        const record = toRecord(job);
+        if (format === 'csv') {
+          await write(csvLine(Object.values(record)));
+        } else if (format === 'json') {
+          await write(`${first ? '\n' : ',\n'}${JSON.stringify(record)}`);
+        } else {
+          await write(`${JSON.stringify(record)}\n`);
+        }
+        first = false;
+      }
+      if (closed || !batch.pageInfo.hasNextPage) break;
+      batch = await fetchBatch(req, source, { first: BATCH_SIZE, after: batch.pageInfo.endCursor, ...filterVariable });
+    }
+    if (closed) return;
+    if (format === 'json') await write('\n]\n');
+    res.end();
+  } catch (error) {
+    // Too late for an error status; cut the response short so the download
+    // fails instead of looking complete
+    console.error('Error exporting jobs:', error);
+    res.destroy(error);
+  }
+};
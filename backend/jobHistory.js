@@ -0,0 +1,309 @@
+// Job history archive. Graphile Worker deletes jobs once they succeed, so an
+// optional trigger on graphile_worker._private_jobs copies each finished run
+// into graphile_worker_ui.job_history before it disappears:
+//
+//   completed   deleted while locked by a worker (the worker finished it)
+//   failed      attempts exhausted, by a worker or permanently_fail_jobs
+//   removed     deleted without a worker lock (completed by hand or removed)
+//
+// JobHistoryPlugin exposes the archive as `jobHistory` and old rows are pruned
+// after the configured retention.
+
+import { recordAudit } from './audit.js';
+import { escapeLike, isJobId } from './sqlText.js';
+
+const TRIGGER_NAME = '_900_graphile_worker_ui_job_history';
+
+// Kept in our own schema so PostGraphile (which only exposes graphile_worker)
+// never picks the table up.
+const installSql = `
+  CREATE TABLE IF NOT EXISTS graphile_worker_ui.job_history (
+    id bigserial PRIMARY KEY,
+    job_id bigint NOT NULL,
+    task_identifier text,
+    queue_name text,
+    payload json,
+    priority smallint,
+    key text,
+    attempts smallint NOT NULL,
+    max_attempts smallint NOT NULL,
+    outcome text NOT NULL CHECK (outcome IN ('completed', 'failed', 'removed')),
+    last_error text,
+    created_at timestamptz,
+    started_at timestamptz,
+    finished_at timestamptz NOT NULL DEFAULT now(),
+    duration_ms bigint
+  );
+  CREATE INDEX IF NOT EXISTS job_history_finished_at_idx ON graphile_worker_ui.job_history (finished_at DESC);
+  CREATE INDEX IF NOT EXISTS job_history_task_identifier_idx ON graphile_worker_ui.job_history (task_identifier, finished_at DESC);
+  CREATE INDEX IF NOT EXISTS job_history_job_id_idx ON graphile_worker_ui.job_history (job_id);
+
+  CREATE OR REPLACE FUNCTION graphile_worker_ui.archive_job() RETURNS trigger AS $$
+  DECLARE
+    v_job graphile_worker._private_jobs;
+    v_outcome text;
+    v_started_at timestamptz;
+  BEGIN
+    IF TG_OP = 'DELETE' THEN
+      v_job := OLD;
+      -- Locks older than 4 hours are expired, so nobody was running the job
+      IF OLD.locked_at IS NOT NULL AND OLD.locked_at >= now() - interval '4 hours' THEN
+        v_outcome := 'completed';
+        v_started_at := OLD.locked_at;
+      ELSE
+        v_outcome := 'removed';
+      END IF;
+    ELSIF NEW.attempts >= NEW.max_attempts AND NEW.locked_at IS NULL
+      AND (OLD.locked_at IS NOT NULL OR OLD.attempts < OLD.max_attempts) THEN
+      v_job := NEW;
+      v_outcome := 'failed';
+      v_started_at := OLD.locked_at;
+    ELSE
+      RETURN NULL;
+    END IF;
+
+    INSERT INTO graphile_worker_ui.job_history (
+      job_id, task_identifier, queue_name, payload, priority, key, attempts, max_attempts,
+      outcome, last_error, created_at, started_at, duration_ms
+    ) VALUES (
+      v_job.id,
+      (SELECT identifier FROM graphile_worker._private_tasks WHERE id = v_job.task_id),
+      (SELECT queue_name FROM graphile_worker._private_job_queues WHERE id = v_job.job_queue_id),
+      v_job.payload, v_job.priority, v_job.key, v_job.attempts, v_job.max_attempts,
+      v_outcome, v_job.last_error, v_job.created_at, v_started_at,
+      (extract(epoch FROM now() - v_started_at) * 1000)::bigint
+    );
+    RETURN NULL;
+  END;
+  $$ LANGUAGE plpgsql;
+
+  DROP TRIGGER IF EXISTS ${TRIGGER_NAME} ON graphile_worker._private_jobs;
+  CREATE TRIGGER ${TRIGGER_NAME}
+    AFTER UPDATE OR DELETE ON graphile_worker._private_jobs
+    FOR EACH ROW EXECUTE FUNCTION graphile_worker_ui.archive_job();
+`;
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+let jobHistoryAvailable = false;
+let retentionDays = null;
+
+export const isJobHistoryAvailable = () => jobHistoryAvailable;
+
+export const pruneJobHistory = async (pgClient, olderThanDays) => {
+  const { rowCount } = await pgClient.query(
+    `DELETE FROM graphile_worker_ui.job_history WHERE finished_at < now() - $1 * interval '1 day'`,
+    [olderThanDays]
+  );
+  return rowCount;
+};
+
+// Install the archive when asked to, then record whether it exists at all
+// (it may also have been installed by hand by a DBA). With a retention set,
+// prune once at startup and then hourly.
+export const setupJobHistory = async (pgPool, { install = false, retentionDays: days = null } = {}) => {
+  try {
+    if (install) {
+      await pgPool.query(installSql);
+      console.log('🗄️  Job history trigger installed');
+    }
+    const { rows: [row] } = await pgPool.query(
+      `SELECT to_regclass('graphile_worker_ui.job_history') IS NOT NULL AND EXISTS (
+        SELECT 1 FROM pg_trigger
+        WHERE tgname = $1 AND tgrelid = 'graphile_worker._private_jobs'::regclass
+      ) AS installed`,
+      [TRIGGER_NAME]
+    );
+    jobHistoryAvailable = row.installed;
+  } catch (error) {
+    console.error('Error setting up job history:', error);
+    jobHistoryAvailable = false;
+  }
+  if (!jobHistoryAvailable) {
+    console.log('ℹ️  Job history not installed; the History page will be unavailable');
+    return false;
+  }
+
+  retentionDays = days > 0 ? days : null;
+  if (retentionDays) {
+    const prune = async () => {
+      try {
+        const pruned = await pruneJobHistory(pgPool, retentionDays);
+        if (pruned > 0) console.log(`🧹 Pruned ${pruned} job history rows older than ${retentionDays} days`);
+      } catch (error) {
+        console.error('Error pruning job history:', error);
+      }
+    };
+    prune();
+    setInterval(prune, PRUNE_INTERVAL_MS).unref();
+  }
+  return true;
+};
+
+const assertAvailable = () => {
+  if (!jobHistoryAvailable) {
+    throw new Error('Job history is not installed (set INSTALL_JOB_HISTORY=true)');
+  }
+};
+
+// node-postgres hands back Date objects; the Datetime scalar expects ISO strings
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const toHistoryEntry = (row) => ({
+  id: row.id,
+  jobId: row.job_id,
+  taskIdentifier: row.task_identifier,
+  queueName: row.queue_name,
+  payload: row.payload,
+  priority: row.priority,
+  key: row.key,
+  attempts: row.attempts,
+  maxAttempts: row.max_attempts,
+  outcome: row.outcome,
+  lastError: row.last_error,
+  createdAt: toIso(row.created_at),
+  startedAt: toIso(row.started_at),
+  finishedAt: toIso(row.finished_at),
+  durationMs: row.duration_ms == null ? null : Number(row.duration_ms),
+});
+
+export const JobHistoryPlugin = (builder) => {
+  builder.hook('init', (_, build) => {
+    const { GraphQLObjectType, GraphQLNonNull, GraphQLList, GraphQLInt, GraphQLFloat, GraphQLString } = build.graphql;
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'JobHistoryEntry',
+        description: 'A finished job run archived by the job history trigger.',
+        fields: () => {
+          const Datetime = build.getTypeByName('Datetime') || GraphQLString;
+          const JSONType = build.getTypeByName('JSON') || GraphQLString;
+          return {
+            id: { type: new GraphQLNonNull(GraphQLString) },
+            jobId: { type: new GraphQLNonNull(GraphQLString) },
+            taskIdentifier: { type: GraphQLString },
+            queueName: { type: GraphQLString },
+            payload: { type: JSONType },
+            priority: { type: GraphQLInt },
+            key: { type: GraphQLString },
+            attempts: { type: new GraphQLNonNull(GraphQLInt) },
+            maxAttempts: { type: new GraphQLNonNull(GraphQLInt) },
+            outcome: { type: new GraphQLNonNull(GraphQLString), description: 'completed, failed or removed' },
+            lastError: { type: GraphQLString },
+            createdAt: { type: Datetime },
+            startedAt: { type: Datetime, description: 'When the worker locked the job, if one was running it' },
+            finishedAt: { type: new GraphQLNonNull(Datetime) },
+            durationMs: { type: GraphQLFloat },
+          };
+        },
+      },
+      { isJobHistoryEntry: true }
+    );
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'JobHistoryConnection',
+        fields: () => ({
+          nodes: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('JobHistoryEntry')))) },
+          totalCount: { type: new GraphQLNonNull(GraphQLInt) },
+          retentionDays: { type: GraphQLInt, description: 'Rows older than this are pruned hourly; null keeps them forever' },
+        }),
+      },
+      { isJobHistoryConnection: true }
+    );
+    return _;
+  });
+
+  builder.hook('GraphQLObjectType:fields', (fields, build, context) => {
+    const { extend } = build;
+    const { GraphQLNonNull, GraphQLInt, GraphQLString } = build.graphql;
+
+    if (context.scope.isRootQuery) {
+      return extend(fields, {
+        jobHistory: {
+          type: new GraphQLNonNull(build.getTypeByName('JobHistoryConnection')),
+          description: 'Archived job runs, newest first.',
+          args: {
+            first: { type: GraphQLInt },
+            offset: { type: GraphQLInt },
+            search: { type: GraphQLString, description: 'Matches job id, task, queue, key, error and payload text' },
+            outcome: { type: GraphQLString },
+            taskIdentifier: { type: GraphQLString },
+          },
+          resolve: async (parent, args, context) => {
+            assertAvailable();
+            const conditions = [];
+            const params = [];
+            const param = (value) => {
+              params.push(value);
+              return `$${params.length}`;
+            };
+            if (args.outcome) {
+              conditions.push(`outcome = ${param(args.outcome)}`);
+            }
+            if (args.taskIdentifier) {
+              conditions.push(`task_identifier = ${param(args.taskIdentifier)}`);
+            }
+            const search = (args.search || '').trim();
+            if (search) {
+              const pattern = param(`%${escapeLike(search)}%`);
+              const matches = ['task_identifier', 'queue_name', 'key', 'last_error', 'payload::text']
+                .map((column) => `${column} ILIKE ${pattern}`);
+              if (isJobId(search)) matches.push(`job_id = ${param(search)}::bigint`);
+              conditions.push(`(${matches.join(' OR ')})`);
+            }
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const { pgClient } = context;
+            const { rows: [{ count }] } = await pgClient.query(
+              `SELECT count(*)::int AS count FROM graphile_worker_ui.job_history ${where}`,
+              params
+            );
+            const limit = param(Math.min(Math.max(args.first ?? 50, 0), 500));
+            const offset = param(Math.max(args.offset ?? 0, 0));
+            const { rows } = await pgClient.query(
+              `SELECT * FROM graphile_worker_ui.job_history ${where}
+              ORDER BY finished_at DESC, id DESC
+              LIMIT ${limit} OFFSET ${offset}`,
+              params
+            );
+            return { nodes: rows.map(toHistoryEntry), totalCount: count, retentionDays };
+          },
+        },
+      });
+    }
+
+    if (context.scope.isRootMutation) {
+      return extend(fields, {
+        pruneJobHistory: {
+          type: GraphQLInt,
+          description: 'Delete archived runs older than the given number of days; returns how many were deleted.',
+          args: {
+            olderThanDays: { type: new GraphQLNonNull(GraphQLInt) },
+            reason: { type: GraphQLString, description: 'Recorded in the audit log' },
+          },
+          resolve: async (parent, args, context) => {
+            assertAvailable();
+            if (args.olderThanDays < 0) {
+              throw new Error('olderThanDays must not be negative');
+            }
+            try {
+              const pruned = await pruneJobHistory(context.pgClient, args.olderThanDays);
+              await recordAudit(context.pgClient, context.user, {
+                action: 'pruneJobHistory',
+                reason: args.reason,
+                details: { olderThanDays: args.olderThanDays, result: pruned },
+              });
+              return pruned;
+            } catch (error) {
+              console.error('Error pruning job history:', error);
+              throw error;
+            }
+          },
+        },
+      });
+    }
+
+    return fields;
+  });
+};
@@ -0,0 +1,176 @@
+// Bulk enqueue for backfills: `importJobs` takes one batch of rows (the UI
+// parses and validates the uploaded CSV/NDJSON file and sends it in batches)
+// and returns a result per row.
+//
+// Each row goes through graphile_worker.add_job, all of a batch in one
+// statement. add_jobs would be a little faster but doesn't tell which job came
+// from which row, and rejects a job key repeated within one call; with add_job
+// a repeated key behaves as it does for enqueueJob. If the statement fails the
+// batch is retried row by row, so one bad row doesn't fail the others.
+
+import { recordAudit } from './audit.js';
+
+export const MAX_IMPORT_BATCH = 1000;
+
+const JOB_KEY_MODES = ['replace', 'preserve_run_at', 'unsafe_dedupe'];
+
+// Both are smallint columns
+const SMALLINT_MAX = 32767;
+
+const ADD_JOBS_SQL = `
+  SELECT s.ord::int - 1 AS index, (graphile_worker.add_job(
+    identifier => s.spec->>'identifier',
+    payload => s.spec->'payload',
+    queue_name => s.spec->>'queueName',
+    run_at => (s.spec->>'runAt')::timestamptz,
+    max_attempts => (s.spec->>'maxAttempts')::int,
+    job_key => s.spec->>'jobKey',
+    priority => (s.spec->>'priority')::int,
+    flags => (SELECT array_agg(flag) FROM json_array_elements_text(s.spec->'flags') flag),
+    job_key_mode => coalesce(s.spec->>'jobKeyMode', 'replace')
+  )).id
+  FROM json_array_elements($1::json) WITH ORDINALITY AS s(spec, ord)
+  ORDER BY s.ord
+`;
+
+// The checks add_job would otherwise fail on less clearly
+const rowError = (row) => {
+  if (!row.identifier || !row.identifier.trim()) return 'Task identifier is required';
+  if (row.jobKeyMode && !JOB_KEY_MODES.includes(row.jobKeyMode)) {
+    return `Unknown job key mode "${row.jobKeyMode}"; use ${JOB_KEY_MODES.join(', ')}`;
+  }
+  if (row.maxAttempts != null && (row.maxAttempts < 1 || row.maxAttempts > SMALLINT_MAX)) {
+    return `Max attempts must be between 1 and ${SMALLINT_MAX}`;
+  }
+  if (row.priority != null && Math.abs(row.priority) > SMALLINT_MAX) {
+    return `Priority must be between -${SMALLINT_MAX} and ${SMALLINT_MAX}`;
+  }
+  return null;
+};
+
+// Null fields are left out so add_job applies its defaults
+const toSpec = (row) => Object.fromEntries(
+  Object.entries({ ...row, identifier: row.identifier.trim() })
+    .filter(([, value]) => value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0))
+);
+
+const addJobs = async (pgClient, specs) => {
+  const { rows } = await pgClient.query(ADD_JOBS_SQL, [JSON.stringify(specs)]);
+  return rows.map((row) => String(row.id));
+};
+
+// Enqueue the valid rows; results are in the order of `rows`
+const importRows = async (pgClient, rows) => {
+  const results = rows.map((row, index) => ({ index, jobId: null, error: rowError(row) }));
+  const valid = results.filter((result) => !result.error);
+  if (valid.length === 0) return results;
+  const specs = valid.map((result) => toSpec(rows[result.index]));
+
+  await pgClient.query('SAVEPOINT import_batch');
+  try {
+    const ids = await addJobs(pgClient, specs);
+    valid.forEach((result, i) => {
+      result.jobId = ids[i];
+    });
+    await pgClient.query('RELEASE SAVEPOINT import_batch');
+    return results;
+  } catch (error) {
+    await pgClient.query('ROLLBACK TO SAVEPOINT import_batch');
+  }
+
+  for (const [i, result] of valid.entries()) {
+    await pgClient.query('SAVEPOINT import_row');
+    try {
+      [result.jobId] = await addJobs(pgClient, [specs[i]]);
+      await pgClient.query('RELEASE SAVEPOINT import_row');
+    } catch (error) {
+      await pgClient.query('ROLLBACK TO SAVEPOINT import_row');
+      result.error = error.message;
+    }
+  }
+  return results;
+};
+
+export const JobImportPlugin = (builder) => {
+  builder.hook('init', (_, build) => {
+    const { GraphQLObjectType, GraphQLInputObjectType, GraphQLNonNull, GraphQLList, GraphQLInt, GraphQLString } = build.graphql;
+    build.newWithHooks(
+      GraphQLInputObjectType,
+      {
+        name: 'JobImportRow',
+        description: 'One job to enqueue; the same options as enqueueJob.',
+        fields: () => ({
+          identifier: { type: new GraphQLNonNull(GraphQLString) },
+          payload: { type: build.getTypeByName('JSON') },
+          queueName: { type: GraphQLString },
+          runAt: { type: build.getTypeByName('Datetime') },
+          maxAttempts: { type: GraphQLInt },
+          jobKey: { type: GraphQLString },
+          jobKeyMode: { type: GraphQLString },
+          priority: { type: GraphQLInt },
+          flags: { type: new GraphQLList(new GraphQLNonNull(GraphQLString)) },
+        }),
+      },
+      { isJobImportRow: true }
+    );
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'JobImportResult',
+        description: 'What became of one row of an import: its job, or why it was not enqueued.',
+        fields: {
+          index: { type: new GraphQLNonNull(GraphQLInt), description: 'Position of the row in `jobs`' },
+          jobId: { type: GraphQLString },
+          error: { type: GraphQLString },
+        },
+      },
+      { isJobImportResult: true }
+    );
+    return _;
+  });
+
+  builder.hook('GraphQLObjectType:fields', (fields, build, context) => {
+    const { extend } = build;
+    const { GraphQLNonNull, GraphQLList, GraphQLString } = build.graphql;
+
+    if (context.scope.isRootMutation) {
+      return extend(fields, {
+        importJobs: {
+          type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('JobImportResult')))),
+          description: `Enqueue up to ${MAX_IMPORT_BATCH} jobs, each through graphile_worker.add_job. Rows that fail don't stop the others.`,
+          args: {
+            jobs: {
+              type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('JobImportRow')))),
+            },
+            source: { type: GraphQLString, description: 'Where the rows come from, e.g. the file name; recorded in the audit log' },
+            reason: { type: GraphQLString, description: 'Why the jobs were enqueued; recorded in the audit log' },
+          },
+          resolve: async (parent, args, context) => {
+            const { pgClient } = context;
+            if (args.jobs.length > MAX_IMPORT_BATCH) {
+              throw new Error(`At most ${MAX_IMPORT_BATCH} jobs per call; send larger imports in batches`);
+            }
+            try {
+              const results = await importRows(pgClient, args.jobs);
+              const enqueued = results.filter((result) => result.jobId);
+              await recordAudit(pgClient, context.user, {
+                action: 'importJobs',
+                // Rows sharing a job key share a job
+                jobIds: [...new Set(enqueued.map((result) => result.jobId))],
+                target: args.source || null,
+                reason: args.reason,
+                details: { rows: args.jobs.length, enqueued: enqueued.length, failed: args.jobs.length - enqueued.length },
+              });
+              return results;
+            } catch (error) {
+              console.error('Error importing jobs:', error);
+              throw error;
+            }
+          },
+        },
+      });
+    }
+
+    return fields;
+  });
+};
@@ -0,0 +1,153 @@
+// Server-side job search. Adds a `search: String` field to JobFilter so that
+// free text and a small query syntax are evaluated in SQL across all jobs
+// (and compose with every other filter, bulk action and count):
+//
+//   timeout                    bare words match id, task, queue, key, error and payload text
+//   task:send_email            field substring match (task, queue, key, error, worker)
+//   task=send_email            field exact match
+//   id:42                      exact job id
+//   payload.userId=42          JSON path equality (also !=, >, >=, <, <= and : for substring)
+//   -queue:emails              a leading "-" negates a term
+//   error:"connection reset"   quote values containing spaces
+
+import { escapeLike, isJobId } from './sqlText.js';
+
+const FIELD_COLUMNS = {
+  task: 'task_identifier',
+  queue: 'queue_name',
+  key: 'key',
+  error: 'last_error',
+  worker: 'locked_by',
+};
+
+const BARE_COLUMNS = ['task_identifier', 'queue_name', 'key', 'last_error'];
+
+const TERM_PATTERN = /^([a-zA-Z_][\w.]*)(:|!=|>=|<=|=|>|<)(.*)$/;
+
+const unquote = (value) =>
+  value.length >= 2 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value;
+
+// Split on whitespace, keeping double-quoted sections together
+const tokenize = (text) => text.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+
+// Parse search text into terms: { negate, kind, column?, path?, op?, value }
+export const parseJobSearch = (text) =>
+  tokenize(String(text || '')).map((token) => {
+    let negate = false;
+    if (token.length > 1 && token.startsWith('-')) {
+      negate = true;
+      token = token.slice(1);
+    }
+    const match = token.match(TERM_PATTERN);
+    if (match) {
+      const [, key, op, rawValue] = match;
+      const value = unquote(rawValue);
+      if (key === 'id') {
+        return { negate, kind: 'id', value };
+      }
+      if (FIELD_COLUMNS[key] && (op === ':' || op === '=' || op === '!=')) {
+        return { negate: op === '!=' ? !negate : negate, kind: 'column', column: FIELD_COLUMNS[key], op: op === ':' ? ':' : '=', value };
+      }
+      if (key.startsWith('payload.') && key.length > 'payload.'.length) {
+        return { negate, kind: 'payload', path: key.split('.').slice(1), op, value };
+      }
+    }
+    return { negate, kind: 'text', value: unquote(token) };
+  });
+
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const isNumeric = (value) => NUMERIC_PATTERN.test(value);
+
+// Build a SQL condition for the parsed terms against a jobs view row alias
+export const jobSearchSql = (sql, sourceAlias, terms) => {
+  const payloadOf = (condition) =>
+    sql.fragment`exists (select 1 from graphile_worker._private_jobs as search_pj where search_pj.id = ${sourceAlias}.id and ${condition})`;
+
+  const conditions = terms.map((term) => {
+    let condition;
+    switch (term.kind) {
+      case 'id':
+        condition = isJobId(term.value)
+          ? sql.fragment`${sourceAlias}.id = ${sql.value(term.value)}::bigint`
+          : sql.fragment`false`;
+        break;
+      case 'column': {
+        const column = sql.fragment`${sourceAlias}.${sql.identifier(term.column)}`;
+        condition = term.op === '='
+          ? sql.fragment`${column} = ${sql.value(term.value)}`
+          : sql.fragment`${column} ilike ${sql.value(`%${escapeLike(term.value)}%`)}`;
+        break;
+      }
+      case 'payload': {
+        const extracted = sql.fragment`(search_pj.payload #>> ${sql.value(term.path)}::text[])`;
+        const numeric = sql.fragment`(case when ${extracted} ~ ${sql.value(NUMERIC_PATTERN.source)} then ${extracted}::numeric end)`;
+        switch (term.op) {
+          case ':':
+            condition = payloadOf(sql.fragment`${extracted} ilike ${sql.value(`%${escapeLike(term.value)}%`)}`);
+            break;
+          case '=':
+            condition = payloadOf(sql.fragment`${extracted} = ${sql.value(term.value)}`);
+            break;
+          case '!=':
+            condition = payloadOf(sql.fragment`${extracted} is distinct from ${sql.value(term.value)}`);
+            break;
+          default:
+            // Range comparisons only make sense numerically
+            condition = isNumeric(term.value)
+              ? payloadOf(sql.fragment`${numeric} ${sql.raw(term.op)} ${sql.value(term.value)}::numeric`)
+              : sql.fragment`false`;
+        }
+        break;
+      }
+      default: {
+        const pattern = sql.value(`%${escapeLike(term.value)}%`);
+        const matches = BARE_COLUMNS.map(
+          (column) => sql.fragment`${sourceAlias}.${sql.identifier(column)} ilike ${pattern}`
+        );
+        if (isJobId(term.value)) {
+          matches.push(sql.fragment`${sourceAlias}.id = ${sql.value(term.value)}::bigint`);
+        }
+        matches.push(payloadOf(sql.fragment`search_pj.payload::text ilike ${pattern}`));
+        condition = sql.fragment`(${sql.join(matches, ') or (')})`;
+      }
+    }
+    return term.negate ? sql.fragment`not coalesce(${condition}, false)` : condition;
+  });
+
+  return conditions.length === 0 ? null : sql.fragment`(${sql.join(conditions, ') and (')})`;
+};
+
+// Adds `search` to the connection filter of graphile_worker.jobs (JobFilter)
+export const JobSearchFilterPlugin = (builder) => {
+  builder.hook('GraphQLInputObjectType:fields', (fields, build, context) => {
+    const { extend, pgSql: sql, connectionFilterRegisterResolver } = build;
+    const { fieldWithHooks, scope: { pgIntrospection: table, isPgConnectionFilter }, Self } = context;
+    if (
+      !isPgConnectionFilter ||
+      !table ||
+      table.kind !== 'class' ||
+      table.namespaceName !== 'graphile_worker' ||
+      table.name !== 'jobs'
+    ) {
+      return fields;
+    }
+
+    connectionFilterRegisterResolver(Self.name, 'search', ({ sourceAlias, fieldValue }) => {
+      if (fieldValue == null || String(fieldValue).trim() === '') return null;
+      return jobSearchSql(sql, sourceAlias, parseJobSearch(fieldValue));
+    });
+
+    return extend(fields, {
+      search: fieldWithHooks(
+        'search',
+        {
+          description:
+            'Search jobs by free text or `field:value` terms (task, queue, key, error, worker, id, payload.<path>).',
+          type: build.graphql.GraphQLString,
+        },
+        { isJobSearchFilterField: true }
+      ),
+    });
+  });
+};
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sql from 'pg-sql2';
+import { jobSearchSql, parseJobSearch } from './jobSearch.js';
+
+const compile = (text) => sql.compile(jobSearchSql(sql, sql.identifier('jobs'), parseJobSearch(text)));
+
+test('parseJobSearch reads payload.key=value terms as JSON path comparisons', () => {
+  assert.deepEqual(parseJobSearch('payload.userId=42'), [
+    { negate: false, kind: 'payload', path: ['userId'], op: '=', value: '42' },
+  ]);
+  assert.deepEqual(parseJobSearch('payload.user.email:example.com -payload.attempt>=3'), [
+    { negate: false, kind: 'payload', path: ['user', 'email'], op: ':', value: 'example.com' },
+    { negate: true, kind: 'payload', path: ['attempt'], op: '>=', value: '3' },
+  ]);
+  // A payload term needs a key
+  assert.deepEqual(parseJobSearch('payload.=1'), [{ negate: false, kind: 'text', value: 'payload.=1' }]);
+});
+
+test('parseJobSearch keeps quoted values with spaces together', () => {
+  assert.deepEqual(parseJobSearch('error:"connection reset" "timed out" payload.name="Jane Doe"'), [
+    { negate: false, kind: 'column', column: 'last_error', op: ':', value: 'connection reset' },
+    { negate: false, kind: 'text', value: 'timed out' },
+    { negate: false, kind: 'payload', path: ['name'], op: '=', value: 'Jane Doe' },
+  ]);
+  // An unterminated quote is dropped
+  assert.deepEqual(parseJobSearch('"oops'), [{ negate: false, kind: 'text', value: 'oops' }]);
+});
+
+test('parseJobSearch reads field terms, negation and ids', () => {
+  assert.deepEqual(parseJobSearch('task=send_email -queue:emails worker!=w1 id:42 -'), [
+    { negate: false, kind: 'column', column: 'task_identifier', op: '=', value: 'send_email' },
+    { negate: true, kind: 'column', column: 'queue_name', op: ':', value: 'emails' },
+    { negate: true, kind: 'column', column: 'locked_by', op: '=', value: 'w1' },
+    { negate: false, kind: 'id', value: '42' },
+    { negate: false, kind: 'text', value: '-' },
+  ]);
+  assert.deepEqual(parseJobSearch('   '), []);
+  assert.deepEqual(parseJobSearch(null), []);
+});
+
+test('parseJobSearch keeps oversized numbers as text', () => {
+  assert.deepEqual(parseJobSearch('id:99999999999999999999 payload.amount>123456789012345678901234567890'), [
+    { negate: false, kind: 'id', value: '99999999999999999999' },
+    { negate: false, kind: 'payload', path: ['amount'], op: '>', value: '123456789012345678901234567890' },
+  ]);
+});
+
+test('jobSearchSql only casts numbers that fit a bigint to a job id', () => {
+  assert.match(compile('id:9223372036854775807').text, /::bigint/);
+  assert.equal(compile('id:9223372036854775808').text, '(false)');
+  assert.match(compile('9223372036854775807').text, /"jobs"\.id = \$\d+::bigint/);
+  assert.doesNotMatch(compile('9223372036854775808').text, /::bigint/);
+});
+
+test('jobSearchSql matches LIKE wildcards in search text literally', () => {
+  assert.deepEqual(compile('task:100%_done').values, ['%100\\%\\_done%']);
+});
+
+test('jobSearchSql adds no condition for empty search text', () => {
+  assert.equal(jobSearchSql(sql, sql.identifier('jobs'), parseJobSearch('')), null);
+});
@@ -0,0 +1,112 @@
+// Job status model. Graphile Worker deletes jobs once they succeed, so every
+// row in the jobs table is still outstanding; its status is derived from the
+// lock, attempt counters and run_at:
+//
+//   running     locked by a worker
+//   stale       locked for longer than Graphile Worker's lock timeout, so the
+//               worker most likely crashed (another worker will reclaim it)
+//   failed      attempts exhausted (attempts >= max_attempts); won't run again
+//   retrying    failed at least once, waiting for its next attempt
+//   scheduled   never attempted, run_at is in the future
+//   pending     never attempted, due now and waiting for a worker
+
+export const JOB_STATUSES = ['pending', 'scheduled', 'running', 'stale', 'retrying', 'failed'];
+
+// Graphile Worker treats job locks older than this as abandoned
+const STALE_LOCK_INTERVAL = '4 hours';
+
+// CASE expression over a row alias of graphile_worker.jobs or _private_jobs.
+// Every status filter, count and column goes through this one definition.
+export const jobStatusSql = (sql, alias) => sql.fragment`(case
+  when ${alias}.locked_at is not null and ${alias}.locked_at < now() - ${sql.value(STALE_LOCK_INTERVAL)}::interval then 'stale'
+  when ${alias}.locked_at is not null then 'running'
+  when ${alias}.attempts >= ${alias}.max_attempts then 'failed'
+  when ${alias}.attempts > 0 then 'retrying'
+  when ${alias}.run_at > now() then 'scheduled'
+  else 'pending'
+end)`;
+
+const isJobsTable = (table) =>
+  table && table.kind === 'class' && table.namespaceName === 'graphile_worker' && table.name === 'jobs';
+
+const TEXT_TYPE_ID = '25';
+
+// Adds a computed `status` column to Job and a matching `status` field to
+// JobFilter, so the server can filter and count by it.
+export const JobStatusPlugin = (builder) => {
+  builder.hook('GraphQLObjectType:fields', (fields, build, context) => {
+    const { extend, pgSql: sql, getSafeAliasFromAlias, getSafeAliasFromResolveInfo } = build;
+    const { fieldWithHooks, scope: { isPgRowType, pgIntrospection: table } } = context;
+    if (!isPgRowType || !isJobsTable(table)) {
+      return fields;
+    }
+
+    return extend(fields, {
+      status: fieldWithHooks(
+        'status',
+        ({ addDataGenerator }) => {
+          addDataGenerator((parsedResolveInfoFragment) => ({
+            pgQuery: (queryBuilder) => {
+              queryBuilder.select(
+                jobStatusSql(sql, queryBuilder.getTableAlias()),
+                getSafeAliasFromAlias(parsedResolveInfoFragment.alias)
+              );
+            },
+          }));
+          return {
+            description: `Derived job status: one of ${JOB_STATUSES.join(', ')}.`,
+            type: new build.graphql.GraphQLNonNull(build.graphql.GraphQLString),
+            resolve: (data, args, context, resolveInfo) => data[getSafeAliasFromResolveInfo(resolveInfo)],
+          };
+        },
+        { isJobStatusField: true }
+      ),
+    });
+  });
+
+  builder.hook('GraphQLInputObjectType:fields', (fields, build, context) => {
+    const {
+      extend,
+      newWithHooks,
+      pgSql: sql,
+      pgIntrospectionResultsByKind: introspectionResultsByKind,
+      connectionFilterOperatorsType,
+      connectionFilterRegisterResolver,
+      connectionFilterResolve,
+    } = build;
+    const { fieldWithHooks, scope: { pgIntrospection: table, isPgConnectionFilter }, Self } = context;
+    if (!isPgConnectionFilter || !isJobsTable(table)) {
+      return fields;
+    }
+
+    // Same operators as any text column (equalTo, in, notEqualTo, ...)
+    const OperatorsType = connectionFilterOperatorsType(newWithHooks, TEXT_TYPE_ID, null);
+    if (!OperatorsType) {
+      return fields;
+    }
+
+    connectionFilterRegisterResolver(Self.name, 'status', ({ sourceAlias, fieldName, fieldValue, queryBuilder }) => {
+      if (fieldValue == null) return null;
+      return connectionFilterResolve(
+        fieldValue,
+        jobStatusSql(sql, sourceAlias),
+        OperatorsType.name,
+        queryBuilder,
+        introspectionResultsByKind.typeById[TEXT_TYPE_ID],
+        null,
+        fieldName
+      );
+    });
+
+    return extend(fields, {
+      status: fieldWithHooks(
+        'status',
+        {
+          description: `Filter by the derived job status (${JOB_STATUSES.join(', ')}).`,
+          type: OperatorsType,
+        },
+        { isPgConnectionFilterField: true, isJobStatusFilterField: true }
+      ),
+    });
+  });
+};
@@ -0,0 +1,151 @@
+// Job counts for the Dashboard, the sidebar and the Queues page. Every open tab
+// polls them, so `jobSummary` computes all of them in one grouped pass over
+// the jobs table (by task, queue and status) and keeps the result for
+// `cacheSeconds`, shared by every client of this backend.
+
+import { jobStatusSql, JOB_STATUSES } from './jobStatus.js';
+import { toQueueStat } from './queues.js';
+
+const summarySql = (sql) => {
+  const job = sql.identifier('j');
+  return sql.query`
+    SELECT t.identifier AS task_identifier, j.job_queue_id, ${jobStatusSql(sql, job)} AS status,
+      count(*)::int AS count, min(j.run_at) AS oldest_run_at
+    FROM graphile_worker._private_jobs j
+    JOIN graphile_worker._private_tasks t ON t.id = j.task_id
+    GROUP BY 1, 2, 3
+  `;
+};
+
+// Queues without jobs are listed too; they may still hold a lock
+const QUEUES_SQL = 'SELECT id, queue_name, locked_at, locked_by FROM graphile_worker._private_job_queues';
+
+const emptyCounts = () => Object.fromEntries([['total', 0], ...JOB_STATUSES.map((status) => [status, 0])]);
+
+const addCount = (counts, row) => {
+  counts.total += row.count;
+  counts[row.status] += row.count;
+};
+
+const computeSummary = async (pgClient, sql) => {
+  const { text, values } = sql.compile(summarySql(sql));
+  const { rows } = await pgClient.query(text, values);
+  const { rows: queueRows } = await pgClient.query(QUEUES_SQL);
+
+  const totals = emptyCounts();
+  const tasks = new Map();
+  // Keyed by job_queue_id; null collects the jobs outside a named queue
+  const queues = new Map(queueRows.map((queue) => [queue.id, { ...queue, ...emptyCounts(), oldest_pending_at: null }]));
+  for (const row of rows) {
+    addCount(totals, row);
+    if (!tasks.has(row.task_identifier)) {
+      tasks.set(row.task_identifier, { taskIdentifier: row.task_identifier, ...emptyCounts() });
+    }
+    addCount(tasks.get(row.task_identifier), row);
+    if (!queues.has(row.job_queue_id)) {
+      queues.set(row.job_queue_id, { queue_name: null, ...emptyCounts(), oldest_pending_at: null });
+    }
+    const queue = queues.get(row.job_queue_id);
+    addCount(queue, row);
+    if (row.status === 'pending' && (!queue.oldest_pending_at || row.oldest_run_at < queue.oldest_pending_at)) {
+      queue.oldest_pending_at = row.oldest_run_at;
+    }
+  }
+
+  return {
+    ...totals,
+    tasks: [...tasks.values()].sort((a, b) => b.total - a.total || a.taskIdentifier.localeCompare(b.taskIdentifier)),
+    // Same order as queueStats
+    queues: [...queues.values()]
+      .sort((a, b) => b.total - a.total || (a.queue_name === null) - (b.queue_name === null) || String(a.queue_name).localeCompare(String(b.queue_name)))
+      .map(toQueueStat),
+    computedAt: new Date().toISOString(),
+  };
+};
+
+let cacheMs = 5000;
+let cached = null;
+
+export const setupJobSummary = ({ cacheSeconds = 5 } = {}) => {
+  cacheMs = Math.max(cacheSeconds, 0) * 1000;
+};
+
+// For mutations whose effect the UI shows straight away (e.g. a queue unlock)
+export const invalidateJobSummary = () => {
+  cached = null;
+};
+
+// Concurrent requests share one computation; failures aren't cached
+const jobSummary = (pgClient, sql) => {
+  if (!cached || Date.now() - cached.at >= cacheMs) {
+    const promise = computeSummary(pgClient, sql);
+    cached = { at: Date.now(), promise };
+    promise.catch(() => {
+      if (cached && cached.promise === promise) cached = null;
+    });
+  }
+  return cached.promise;
+};
+
+export const JobSummaryPlugin = (builder) => {
+  builder.hook('init', (_, build) => {
+    const { GraphQLObjectType, GraphQLNonNull, GraphQLList, GraphQLInt, GraphQLString } = build.graphql;
+    const countFields = Object.fromEntries(
+      ['total', ...JOB_STATUSES].map((name) => [name, { type: new GraphQLNonNull(GraphQLInt) }])
+    );
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'TaskJobCounts',
+        description: 'Jobs of one task identifier by status.',
+        fields: {
+          taskIdentifier: { type: new GraphQLNonNull(GraphQLString) },
+          ...countFields,
+        },
+      },
+      { isTaskJobCounts: true }
+    );
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'JobSummary',
+        description: 'Job counts by status (see jobStatus.js), overall, per task and per queue.',
+        fields: () => ({
+          ...countFields,
+          // Only tasks with jobs, most jobs first
+          tasks: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('TaskJobCounts')))) },
+          queues: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('QueueStat')))) },
+          computedAt: {
+            type: new GraphQLNonNull(build.getTypeByName('Datetime') || GraphQLString),
+            description: 'When the counts were taken; they are cached for a few seconds',
+          },
+        }),
+      },
+      { isJobSummary: true }
+    );
+    return _;
+  });
+
+  builder.hook('GraphQLObjectType:fields', (fields, build, context) => {
+    const { extend, pgSql: sql } = build;
+
+    if (context.scope.isRootQuery) {
+      return extend(fields, {
+        jobSummary: {
+          type: new build.graphql.GraphQLNonNull(build.getTypeByName('JobSummary')),
+          description: 'All job counts in one pass over the jobs table, cached briefly and shared by all clients.',
+          resolve: async (parent, args, context) => {
+            try {
+              return await jobSummary(context.pgClient, sql);
+            } catch (error) {
+              console.error('Error loading job summary:', error);
+              throw error;
+            }
+          },
+        },
+      });
+    }
+
+    return fields;
+  });
+};
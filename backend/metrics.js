@@ -0,0 +1,318 @@
+// Job metrics sampler. Graphile Worker keeps no statistics, so an optional
+// sampler periodically snapshots job counts per status, task and queue into
+// graphile_worker_ui tables, together with how many jobs were enqueued,
+// completed and permanently failed since the previous sample. JobMetricsPlugin
+// serves the resulting time series to the Dashboard.
+
+import sql from 'pg-sql2';
+import { JOB_STATUSES, jobStatusSql } from './jobStatus.js';
+import { isJobHistoryAvailable } from './jobHistory.js';
+
+// Kept in our own schema so PostGraphile (which only exposes graphile_worker)
+// never picks the tables up.
+const installSql = `
+  CREATE TABLE IF NOT EXISTS graphile_worker_ui.metric_samples (
+    sampled_at timestamptz PRIMARY KEY,
+    last_job_id bigint NOT NULL,
+    total int NOT NULL,
+    failed_total int NOT NULL,
+    enqueued int NOT NULL,
+    completed int NOT NULL,
+    failed int NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS graphile_worker_ui.metric_counts (
+    sampled_at timestamptz NOT NULL REFERENCES graphile_worker_ui.metric_samples ON DELETE CASCADE,
+    task_identifier text NOT NULL,
+    queue_name text,
+    status text NOT NULL,
+    count int NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS metric_counts_sampled_at_idx ON graphile_worker_ui.metric_counts (sampled_at);
+`;
+
+// Selectable Dashboard ranges and the bucket each one defaults to
+const RANGES = {
+  '1h': { interval: '1 hour', seconds: 3600, bucket: 'minute' },
+  '24h': { interval: '24 hours', seconds: 86400, bucket: 'hour' },
+  '7d': { interval: '7 days', seconds: 7 * 86400, bucket: 'hour' },
+  '30d': { interval: '30 days', seconds: 30 * 86400, bucket: 'day' },
+};
+
+const BUCKETS = ['minute', 'hour', 'day'];
+
+// Keeps a 30-day range from being bucketed by minute
+const MAX_POINTS = 2000;
+
+const BUCKET_SECONDS = { minute: 60, hour: 3600, day: 86400 };
+
+let sampleIntervalSeconds = null;
+
+// Also served on /metrics (see prometheus.js)
+export const countsQuery = (() => {
+  const job = sql.identifier('j');
+  return sql.compile(sql.query`
+    SELECT t.identifier AS task_identifier, q.queue_name, ${jobStatusSql(sql, job)} AS status, count(*)::int AS count
+    FROM graphile_worker._private_jobs j
+    JOIN graphile_worker._private_tasks t ON t.id = j.task_id
+    LEFT JOIN graphile_worker._private_job_queues q ON q.id = j.job_queue_id
+    GROUP BY 1, 2, 3
+  `);
+})();
+
+// Record one sample. Several backends may share a database, so a sample is
+// skipped when another instance took one less than half an interval ago.
+export const sampleJobMetrics = async (pgPool, { intervalSeconds, retentionDays }) => {
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('graphile_worker_ui.metric_samples'))`);
+    const { rows: [previous] } = await client.query(
+      `SELECT *, extract(epoch FROM now() - sampled_at)::float8 AS age_seconds
+      FROM graphile_worker_ui.metric_samples ORDER BY sampled_at DESC LIMIT 1`
+    );
+    if (previous && previous.age_seconds < intervalSeconds / 2) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    const { rows: counts } = await client.query(countsQuery.text, countsQuery.values);
+    const { rows: [{ last_job_id: lastJobId }] } = await client.query(
+      `SELECT coalesce(pg_sequence_last_value(pg_get_serial_sequence('graphile_worker._private_jobs', 'id')::regclass), 0) AS last_job_id`
+    );
+    const total = counts.reduce((sum, row) => sum + row.count, 0);
+    const failedTotal = counts.filter((row) => row.status === 'failed').reduce((sum, row) => sum + row.count, 0);
+
+    let enqueued = 0;
+    let completed = 0;
+    let failed = 0;
+    if (previous) {
+      // Job ids come from a sequence, so its advance is the number enqueued
+      enqueued = Math.max(0, Number(lastJobId) - Number(previous.last_job_id));
+      if (isJobHistoryAvailable()) {
+        const { rows: [finished] } = await client.query(
+          `SELECT
+            count(*) FILTER (WHERE outcome = 'completed')::int AS completed,
+            count(*) FILTER (WHERE outcome = 'failed')::int AS failed
+          FROM graphile_worker_ui.job_history
+          WHERE finished_at > $1 AND finished_at <= now()`,
+          [previous.sampled_at]
+        );
+        completed = finished.completed;
+        failed = finished.failed;
+      } else {
+        // Without the archive, jobs that left the table are assumed completed
+        completed = Math.max(0, previous.total + enqueued - total);
+        failed = Math.max(0, failedTotal - previous.failed_total);
+      }
+    }
+
+    // now() is fixed for the transaction, so it keys the sample and its counts
+    await client.query(
+      `INSERT INTO graphile_worker_ui.metric_samples (sampled_at, last_job_id, total, failed_total, enqueued, completed, failed)
+      VALUES (now(), $1, $2, $3, $4, $5, $6)`,
+      [lastJobId, total, failedTotal, enqueued, completed, failed]
+    );
+    if (counts.length > 0) {
+      await client.query(
+        `INSERT INTO graphile_worker_ui.metric_counts (sampled_at, task_identifier, queue_name, status, count)
+        SELECT now(), * FROM unnest($1::text[], $2::text[], $3::text[], $4::int[])`,
+        [
+          counts.map((row) => row.task_identifier),
+          counts.map((row) => row.queue_name),
+          counts.map((row) => row.status),
+          counts.map((row) => row.count),
+        ]
+      );
+    }
+    if (retentionDays > 0) {
+      await client.query(
+        `DELETE FROM graphile_worker_ui.metric_samples WHERE sampled_at < now() - $1 * interval '1 day'`,
+        [retentionDays]
+      );
+    }
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Install the tables and start sampling every `intervalSeconds`
+export const setupMetricsSampler = async (pgPool, { enabled = false, intervalSeconds = 60, retentionDays = 14 } = {}) => {
+  if (!enabled || !(intervalSeconds > 0)) {
+    console.log('ℹ️  Metrics sampler disabled; Dashboard trends and throughput charts will be unavailable');
+    return false;
+  }
+  try {
+    await pgPool.query(installSql);
+  } catch (error) {
+    console.error('Error installing metrics tables:', error);
+    return false;
+  }
+  sampleIntervalSeconds = intervalSeconds;
+  const sample = async () => {
+    try {
+      await sampleJobMetrics(pgPool, { intervalSeconds, retentionDays });
+    } catch (error) {
+      console.error('Error sampling job metrics:', error);
+    }
+  };
+  sample();
+  setInterval(sample, intervalSeconds * 1000).unref();
+  console.log(`📈 Sampling job metrics every ${intervalSeconds}s`);
+  return true;
+};
+
+const metricsInstalled = async (pgClient) => {
+  const { rows: [row] } = await pgClient.query(
+    `SELECT to_regclass('graphile_worker_ui.metric_samples') IS NOT NULL AS installed`
+  );
+  return row.installed;
+};
+
+// node-postgres hands back Date objects; the Datetime scalar expects ISO strings
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+export const JobMetricsPlugin = (builder) => {
+  builder.hook('init', (_, build) => {
+    const { GraphQLObjectType, GraphQLNonNull, GraphQLList, GraphQLInt, GraphQLString } = build.graphql;
+    const Datetime = () => build.getTypeByName('Datetime') || GraphQLString;
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'JobThroughputPoint',
+        description: 'Jobs enqueued, completed and permanently failed within one bucket.',
+        fields: () => ({
+          at: { type: new GraphQLNonNull(Datetime()) },
+          enqueued: { type: new GraphQLNonNull(GraphQLInt) },
+          completed: { type: new GraphQLNonNull(GraphQLInt) },
+          failed: { type: new GraphQLNonNull(GraphQLInt) },
+        }),
+      },
+      { isJobThroughputPoint: true }
+    );
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'JobCountsSample',
+        description: 'Job counts per status as recorded by one metrics sample.',
+        fields: () => ({
+          sampledAt: { type: new GraphQLNonNull(Datetime()) },
+          total: { type: new GraphQLNonNull(GraphQLInt) },
+          ...Object.fromEntries(JOB_STATUSES.map((status) => [status, { type: new GraphQLNonNull(GraphQLInt) }])),
+        }),
+      },
+      { isJobCountsSample: true }
+    );
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'JobMetrics',
+        fields: () => ({
+          range: { type: new GraphQLNonNull(GraphQLString) },
+          bucket: { type: new GraphQLNonNull(GraphQLString) },
+          sampleIntervalSeconds: { type: GraphQLInt, description: 'Null when this backend is not sampling' },
+          points: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('JobThroughputPoint')))) },
+          baseline: {
+            type: build.getTypeByName('JobCountsSample'),
+            description: 'Counts at the start of the range, for computing trends',
+          },
+        }),
+      },
+      { isJobMetrics: true }
+    );
+    return _;
+  });
+
+  builder.hook('GraphQLObjectType:fields', (fields, build, context) => {
+    if (!context.scope.isRootQuery) {
+      return fields;
+    }
+    const { GraphQLString } = build.graphql;
+    return build.extend(fields, {
+      jobMetrics: {
+        type: build.getTypeByName('JobMetrics'),
+        description: `Throughput time series and baseline counts over a range (${Object.keys(RANGES).join(', ')}).`,
+        args: {
+          range: { type: GraphQLString, defaultValue: '24h' },
+          bucket: { type: GraphQLString, description: `One of ${BUCKETS.join(', ')}; defaults by range` },
+        },
+        resolve: async (parent, args, context) => {
+          const { pgClient } = context;
+          const range = RANGES[args.range];
+          if (!range) {
+            throw new Error(`Unknown range "${args.range}"; expected one of ${Object.keys(RANGES).join(', ')}`);
+          }
+          const bucket = args.bucket || range.bucket;
+          if (!BUCKETS.includes(bucket)) {
+            throw new Error(`Unknown bucket "${bucket}"; expected one of ${BUCKETS.join(', ')}`);
+          }
+          if (range.seconds / BUCKET_SECONDS[bucket] > MAX_POINTS) {
+            throw new Error(`Range ${args.range} has too many ${bucket} buckets; pick a coarser bucket`);
+          }
+          if (!(await metricsInstalled(pgClient))) {
+            throw new Error('Metrics sampler is not installed (set ENABLE_METRICS_SAMPLER=true)');
+          }
+
+          // Every bucket in the range, so gaps show up as zero rather than
+          // being interpolated over
+          const { rows: points } = await pgClient.query(
+            `WITH buckets AS (
+              SELECT generate_series(
+                date_trunc($1, now() - $2::interval),
+                date_trunc($1, now()),
+                ('1 ' || $1)::interval
+              ) AS at
+            )
+            SELECT
+              b.at,
+              coalesce(sum(s.enqueued), 0)::int AS enqueued,
+              coalesce(sum(s.completed), 0)::int AS completed,
+              coalesce(sum(s.failed), 0)::int AS failed
+            FROM buckets b
+            LEFT JOIN graphile_worker_ui.metric_samples s ON date_trunc($1, s.sampled_at) = b.at
+            GROUP BY b.at
+            ORDER BY b.at`,
+            [bucket, range.interval]
+          );
+
+          // Latest sample from before the range, else the oldest one inside it
+          const { rows: baselineRows } = await pgClient.query(
+            `WITH baseline AS (
+              (SELECT sampled_at, total FROM graphile_worker_ui.metric_samples
+                WHERE sampled_at <= now() - $1::interval ORDER BY sampled_at DESC LIMIT 1)
+              UNION ALL
+              (SELECT sampled_at, total FROM graphile_worker_ui.metric_samples ORDER BY sampled_at LIMIT 1)
+              LIMIT 1
+            )
+            SELECT b.sampled_at, b.total, c.status, sum(c.count)::int AS count
+            FROM baseline b
+            LEFT JOIN graphile_worker_ui.metric_counts c ON c.sampled_at = b.sampled_at
+            GROUP BY b.sampled_at, b.total, c.status`,
+            [range.interval]
+          );
+          const baseline = baselineRows.length === 0 ? null : {
+            sampledAt: toIso(baselineRows[0].sampled_at),
+            total: baselineRows[0].total,
+            ...Object.fromEntries(JOB_STATUSES.map((status) => [
+              status,
+              baselineRows.find((row) => row.status === status)?.count ?? 0,
+            ])),
+          };
+
+          return {
+            range: args.range,
+            bucket,
+            sampleIntervalSeconds,
+            points: points.map((row) => ({ ...row, at: toIso(row.at) })),
+            baseline,
+          };
+        },
+      },
+    });
+  });
+};
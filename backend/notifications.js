@@ -0,0 +1,230 @@
+// Notification channels for alerts (see alerts.js):
+//
+//   webhook   POST of the alert as JSON to any URL
+//   slack     POST of { text } to a Slack (or Mattermost, Rocket.Chat, ...)
+//             incoming webhook
+//   email     plain text mail through the SMTP server from SMTP_HOST
+//
+// Mail is sent with a small SMTP client on node's net/tls (EHLO, STARTTLS,
+// AUTH PLAIN), so any relay or local stand-in such as MailHog works.
+
+import crypto from 'node:crypto';
+import net from 'node:net';
+import os from 'node:os';
+import tls from 'node:tls';
+
+export const CHANNEL_TYPES = ['webhook', 'slack', 'email'];
+
+const DELIVERY_TIMEOUT_MS = 10000;
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+
+const splitAddresses = (value) => String(value || '').split(',').map((address) => address.trim()).filter(Boolean);
+
+// Throws on the first invalid channel; returns the channels normalized
+export const validateChannels = (channels) => {
+  if (!Array.isArray(channels)) {
+    throw new Error('channels must be an array');
+  }
+  return channels.map((channel, index) => {
+    const where = `Channel ${index + 1}`;
+    if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+      throw new Error(`${where}: type must be one of ${CHANNEL_TYPES.join(', ')}`);
+    }
+    if (channel.type === 'email') {
+      const to = splitAddresses(channel.to);
+      if (to.length === 0 || !to.every((address) => EMAIL_PATTERN.test(address))) {
+        throw new Error(`${where}: "to" must be a comma separated list of email addresses`);
+      }
+      return { type: 'email', to: to.join(', ') };
+    }
+    let url;
+    try {
+      url = new URL(channel.url);
+    } catch {
+      throw new Error(`${where}: url is not a valid URL`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`${where}: url must be http or https`);
+    }
+    return { type: channel.type, url: url.toString() };
+  });
+};
+
+let smtpConfig = null;
+
+export const isSmtpConfigured = () => Boolean(smtpConfig);
+
+export const setupNotifications = ({ smtp } = {}) => {
+  smtpConfig = smtp && smtp.host
+    ? { ...smtp, port: smtp.port || (smtp.secure ? 465 : 587), from: smtp.from || `graphile-worker-ui@${os.hostname()}` }
+    : null;
+};
+
+const postJson = async (url, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`${url} responded ${response.status} ${response.statusText}`);
+  }
+};
+
+// Replies arrive as lines "250-first", ..., "250 last"; read() resolves with
+// the next complete reply
+const smtpReader = (socket) => {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line.slice(4));
+      if (line[3] !== '-') {
+        const reply = { code: Number(line.slice(0, 3)), text: lines.join('\n') };
+        lines = [];
+        if (waiting.length > 0) waiting.shift().resolve(reply);
+        else replies.push(reply);
+      }
+    }
+  };
+  const onFailure = (error) => {
+    failure = error || new Error('SMTP connection closed');
+    waiting.splice(0).forEach(({ reject }) => reject(failure));
+  };
+  socket.on('data', onData);
+  socket.on('error', onFailure);
+  socket.on('close', () => onFailure(failure));
+
+  return {
+    read: () => {
+      if (replies.length > 0) return Promise.resolve(replies.shift());
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    // Late errors (e.g. after QUIT) must not go unhandled once we're done
+    detach: () => {
+      socket.removeListener('data', onData);
+      socket.removeAllListeners('error');
+      socket.removeAllListeners('close');
+      socket.on('error', () => {});
+    },
+  };
+};
+
+const connect = (options, secure) => new Promise((resolve, reject) => {
+  const socket = secure ? tls.connect(options) : net.connect(options);
+  socket.once(secure ? 'secureConnect' : 'connect', () => {
+    socket.removeListener('error', reject);
+    resolve(socket);
+  });
+  socket.once('error', reject);
+});
+
+// RFC 2047 for non-ASCII header values
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+const formatMessage = ({ from, to, subject, text }) => {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${os.hostname()}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+  ];
+  // Lines starting with a dot are escaped so they don't end the DATA section
+  const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.\r\n`;
+};
+
+export const sendEmail = async ({ to, subject, text }) => {
+  if (!smtpConfig) {
+    throw new Error('SMTP is not configured (set SMTP_HOST)');
+  }
+  const { host, port, secure, user, password, from } = smtpConfig;
+  const recipients = splitAddresses(to);
+  let socket = await connect({ host, port, servername: host }, secure);
+  socket.setTimeout(DELIVERY_TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+  let reader = smtpReader(socket);
+
+  const command = async (line, expected) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await reader.read();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${line === null ? 'greeting' : line.split(' ')[0]} failed: ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    const ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+    if (!secure && /^STARTTLS$/im.test(ehlo.text)) {
+      await command('STARTTLS', [220]);
+      reader.detach();
+      socket = await connect({ socket, servername: host }, true);
+      socket.setTimeout(DELIVERY_TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+      reader = smtpReader(socket);
+      await command(`EHLO ${os.hostname()}`, [250]);
+    }
+    if (user) {
+      const credentials = Buffer.from(`\0${user}\0${password || ''}`, 'utf8').toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+    await command(`MAIL FROM:<${from}>`, [250]);
+    for (const recipient of recipients) {
+      await command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await command('DATA', [354]);
+    socket.write(formatMessage({ from, to: recipients, subject, text }));
+    await command(null, [250]);
+    await command('QUIT', [221]).catch(() => {});
+  } finally {
+    reader.detach();
+    socket.destroy();
+  }
+};
+
+// Send one notification to one channel. `notification` carries a short
+// `title`, a plain text `text` and the `payload` posted to generic webhooks.
+export const deliver = async (channel, { title, text, payload }) => {
+  switch (channel.type) {
+    case 'webhook':
+      return postJson(channel.url, payload);
+    case 'slack':
+      return postJson(channel.url, { text: `*${title}*\n${text}` });
+    case 'email':
+      return sendEmail({ to: channel.to, subject: title, text });
+    default:
+      throw new Error(`Unknown channel type ${channel.type}`);
+  }
+};
+
+// Deliver to every channel; never throws. Returns one result per channel.
+export const deliverAll = async (channels, notification) => Promise.all(
+  channels.map(async (channel) => {
+    const target = channel.type === 'email' ? channel.to : channel.url;
+    try {
+      await deliver(channel, notification);
+      return { type: channel.type, target, ok: true, error: null };
+    } catch (error) {
+      // fetch reports network errors as "fetch failed" with the reason as cause
+      const message = error.cause ? `${error.message}: ${error.cause.code || error.cause.message}` : error.message;
+      console.error(`Error delivering alert to ${channel.type} ${target}:`, message);
+      return { type: channel.type, target, ok: false, error: message };
+    }
+  })
+);
@@ -0,0 +1,228 @@
+// Prometheus metrics on GET /metrics, in the text exposition format:
+//
+//   graphile_worker_jobs{status,task_identifier,queue_name}   jobs in the table
+//   graphile_worker_oldest_pending_job_age_seconds{task_identifier}
+//   graphile_worker_locked_jobs{worker_id}
+//   graphile_worker_locked_queues{worker_id}
+//   graphile_worker_ui_http_request_duration_seconds{method,route,status_code}
+//   graphile_worker_ui_graphql_operation_duration_seconds{operation_type,operation_name,outcome}
+//
+// Job gauges are computed at most once per `cacheSeconds`, however often (and
+// by however many scrapers) the endpoint is polled. Latencies are histograms
+// kept in memory since the backend started.
+
+import sql from 'pg-sql2';
+import { countsQuery } from './metrics.js';
+import { jobStatusSql } from './jobStatus.js';
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Paths outside this list are reported as "other" to keep the label bounded
+const ROUTES = ['/graphql', '/graphiql', '/_postgraphile', '/auth', '/health', '/ready', '/metrics', '/export'];
+
+// Operation names come from the client, so only the UI's own (the queries and
+// mutations in frontend/src) are labelled by name; any other is "other"
+const OPERATION_NAMES = new Set([
+  'BulkCancelJobs', 'BulkCompleteJobs', 'BulkRetryJobs', 'CancelErrorGroup', 'CancelJob', 'CompleteJob',
+  'DeleteAlertRule', 'EnqueueJob', 'GetActivityFilterOptions', 'GetAlertEngine', 'GetAlertEvents', 'GetAlertRules',
+  'GetAuditLog', 'GetCloneSource', 'GetCronSchedule', 'GetDashboardData', 'GetErrorGroups', 'GetJobById',
+  'GetJobCount', 'GetJobCursorAt', 'GetJobHistory', 'GetJobMetrics', 'GetJobs', 'GetLockedJobs', 'GetPaginatedJobs',
+  'GetQueues', 'GetTasks', 'GetTasksAndQueues', 'GetUiSettings', 'GetUniqueQueues', 'GetUniqueTasks', 'ImportJobs',
+  'PruneJobHistory', 'RetryErrorGroup', 'RetryJob', 'RunCronNow', 'SaveAlertRule', 'TestAlertChannels',
+  'UnlockQueue', 'UnlockWorker', 'UpdateJob', 'UpdateUiSettings',
+]);
+
+// Label values escape backslash, double quote and newline
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value ?? '')}"`).join(',')}}`;
+};
+
+const header = (name, type, help) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+const gauge = (name, help, samples) => [
+  ...header(name, 'gauge', help),
+  ...samples.map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`),
+];
+
+const createHistogram = (name, help, labelNames) => {
+  const series = new Map();
+  return {
+    observe: (labels, seconds) => {
+      const values = labelNames.map((label) => labels[label] ?? '');
+      const key = JSON.stringify(values);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels: Object.fromEntries(labelNames.map((label, i) => [label, values[i]])), buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      LATENCY_BUCKETS.forEach((bound, i) => {
+        if (seconds <= bound) entry.buckets[i] += 1;
+      });
+      entry.sum += seconds;
+      entry.count += 1;
+    },
+    render: () => [
+      ...header(name, 'histogram', help),
+      ...[...series.values()].flatMap(({ labels, buckets, sum, count }) => [
+        ...LATENCY_BUCKETS.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${buckets[i]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]),
+    ],
+  };
+};
+
+const httpDuration = createHistogram(
+  'graphile_worker_ui_http_request_duration_seconds',
+  'Duration of HTTP requests to the backend.',
+  ['method', 'route', 'status_code']
+);
+
+const graphqlDuration = createHistogram(
+  'graphile_worker_ui_graphql_operation_duration_seconds',
+  'Duration of GraphQL queries and mutations over HTTP, from parsing to the result.',
+  ['operation_type', 'operation_name', 'outcome']
+);
+
+const secondsSince = (start) => Number(process.hrtime.bigint() - start) / 1e9;
+
+const routeOf = (path) => ROUTES.find((route) => path === route || path.startsWith(`${route}/`)) || 'other';
+
+// Express middleware timing every request
+export const requestMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    httpDuration.observe({ method: req.method, route: routeOf(req.path), status_code: res.statusCode }, secondsSince(start));
+  });
+  next();
+};
+
+const REQUEST_START = Symbol('requestStart');
+const OPERATION_NAMES_REQUESTED = Symbol('operationNamesRequested');
+
+// The operation that runs, as GraphQL picks it: the only one in the document,
+// or the one named by the request's operationName. The result hook isn't told
+// which entry of a batch it belongs to, so a batch matches any of its names.
+const selectedOperation = (operations, requestedNames) => {
+  if (operations.length === 1) return operations[0];
+  return operations.find((operation) => operation.name && requestedNames.includes(operation.name.value));
+};
+
+const operationNameLabel = (operation) => {
+  if (!operation.name) return 'anonymous';
+  return OPERATION_NAMES.has(operation.name.value) ? operation.name.value : 'other';
+};
+
+// PostGraphile server plugin timing each operation of a (possibly batched)
+// request. Subscriptions over websockets are not timed.
+export const PrometheusServerPlugin = {
+  ['postgraphile:httpParamsList'](paramsList, { req }) {
+    req[REQUEST_START] = process.hrtime.bigint();
+    req[OPERATION_NAMES_REQUESTED] = paramsList.map((params) => params && params.operationName).filter(Boolean);
+    return paramsList;
+  },
+  ['postgraphile:http:result'](result, { queryDocumentAst, req }) {
+    const operations = queryDocumentAst
+      ? queryDocumentAst.definitions.filter((definition) => definition.kind === 'OperationDefinition')
+      : [];
+    const operation = selectedOperation(operations, req[OPERATION_NAMES_REQUESTED] || []);
+    if (req[REQUEST_START] && operation) {
+      graphqlDuration.observe({
+        operation_type: operation.operation,
+        operation_name: operationNameLabel(operation),
+        outcome: result.errors && result.errors.length > 0 ? 'error' : 'success',
+      }, secondsSince(req[REQUEST_START]));
+    }
+    return result;
+  },
+};
+
+const oldestPendingQuery = (() => {
+  const job = sql.identifier('j');
+  return sql.compile(sql.query`
+    SELECT t.identifier AS task_identifier, extract(epoch FROM now() - min(j.run_at))::float8 AS age_seconds
+    FROM graphile_worker._private_jobs j
+    JOIN graphile_worker._private_tasks t ON t.id = j.task_id
+    WHERE ${jobStatusSql(sql, job)} = 'pending'
+    GROUP BY t.identifier
+  `);
+})();
+
+const LOCKS_SQL = `
+  SELECT 'jobs' AS kind, locked_by AS worker_id, count(*)::int AS count
+  FROM graphile_worker._private_jobs WHERE locked_at IS NOT NULL GROUP BY locked_by
+  UNION ALL
+  SELECT 'queues', locked_by, count(*)::int
+  FROM graphile_worker._private_job_queues WHERE locked_at IS NOT NULL GROUP BY locked_by
+`;
+
+const collectJobMetrics = async (pgPool) => {
+  const start = process.hrtime.bigint();
+  const [{ rows: counts }, { rows: oldest }, { rows: locks }] = await Promise.all([
+    pgPool.query(countsQuery.text, countsQuery.values),
+    pgPool.query(oldestPendingQuery.text, oldestPendingQuery.values),
+    pgPool.query(LOCKS_SQL),
+  ]);
+  const locksOf = (kind) => locks
+    .filter((row) => row.kind === kind)
+    .map((row) => ({ labels: { worker_id: row.worker_id }, value: row.count }));
+  return [
+    ...gauge('graphile_worker_jobs', 'Jobs in graphile_worker.jobs by derived status, task and queue.', counts.map((row) => ({
+      labels: { status: row.status, task_identifier: row.task_identifier, queue_name: row.queue_name },
+      value: row.count,
+    }))),
+    ...gauge('graphile_worker_oldest_pending_job_age_seconds', 'Age of the oldest pending job per task, by run_at.', oldest.map((row) => ({
+      labels: { task_identifier: row.task_identifier },
+      value: row.age_seconds,
+    }))),
+    ...gauge('graphile_worker_locked_jobs', 'Jobs locked per worker.', locksOf('jobs')),
+    ...gauge('graphile_worker_locked_queues', 'Named queues locked per worker.', locksOf('queues')),
+    ...gauge('graphile_worker_ui_job_metrics_collection_seconds', 'Time taken to compute the job metrics.', [{ value: secondsSince(start) }]),
+    ...gauge('graphile_worker_ui_job_metrics_timestamp_seconds', 'When the job metrics were computed.', [{ value: Date.now() / 1000 }]),
+  ];
+};
+
+let pool = null;
+let cacheMs = 15000;
+let cached = null;
+
+export const setupPrometheus = (pgPool, { cacheSeconds = 15 } = {}) => {
+  pool = pgPool;
+  cacheMs = Math.max(cacheSeconds, 0) * 1000;
+};
+
+// Concurrent scrapes share one computation; failures aren't cached
+const jobMetrics = () => {
+  if (!cached || Date.now() - cached.at >= cacheMs) {
+    const promise = collectJobMetrics(pool);
+    cached = { at: Date.now(), promise };
+    promise.catch(() => {
+      if (cached && cached.promise === promise) cached = null;
+    });
+  }
+  return cached.promise;
+};
+
+export const metricsHandler = async (req, res) => {
+  let jobLines = [];
+  let up = 1;
+  try {
+    jobLines = await jobMetrics();
+  } catch (error) {
+    console.error('Error collecting job metrics:', error);
+    up = 0;
+  }
+  const lines = [
+    ...gauge('graphile_worker_ui_job_metrics_up', 'Whether the job metrics could be read from the database.', [{ value: up }]),
+    ...jobLines,
+    ...httpDuration.render(),
+    ...graphqlDuration.render(),
+  ];
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(`${lines.join('\n')}\n`);
+};
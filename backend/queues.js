@@ -0,0 +1,163 @@
+// Named queue inspection. Graphile Worker serializes jobs in a named queue by
+// locking the queue row in _private_job_queues; a crashed worker can leave
+// that lock behind, stalling the whole queue until it expires.
+
+import { recordAudit } from './audit.js';
+import { jobStatusSql } from './jobStatus.js';
+import { invalidateJobSummary } from './jobSummary.js';
+
+// One pass over the jobs table, joined to every queue (including empty ones,
+// which may still hold a lock). Jobs outside any named queue form the row
+// with a NULL queue_name.
+const queueStatsSql = (sql) => {
+  const job = sql.identifier('j');
+  const status = jobStatusSql(sql, job);
+  return sql.query`
+    WITH per_queue AS (
+      SELECT
+        j.job_queue_id,
+        count(*)::int AS total,
+        count(*) FILTER (WHERE ${status} = 'pending')::int AS pending,
+        count(*) FILTER (WHERE ${status} = 'scheduled')::int AS scheduled,
+        count(*) FILTER (WHERE ${status} = 'running')::int AS running,
+        count(*) FILTER (WHERE ${status} = 'stale')::int AS stale,
+        count(*) FILTER (WHERE ${status} = 'retrying')::int AS retrying,
+        count(*) FILTER (WHERE ${status} = 'failed')::int AS failed,
+        min(j.run_at) FILTER (WHERE ${status} = 'pending') AS oldest_pending_at
+      FROM graphile_worker._private_jobs j
+      GROUP BY j.job_queue_id
+    )
+    SELECT
+      q.queue_name,
+      q.locked_at,
+      q.locked_by,
+      coalesce(p.total, 0) AS total,
+      coalesce(p.pending, 0) AS pending,
+      coalesce(p.scheduled, 0) AS scheduled,
+      coalesce(p.running, 0) AS running,
+      coalesce(p.stale, 0) AS stale,
+      coalesce(p.retrying, 0) AS retrying,
+      coalesce(p.failed, 0) AS failed,
+      p.oldest_pending_at
+    FROM per_queue p
+    FULL OUTER JOIN graphile_worker._private_job_queues q ON q.id = p.job_queue_id
+    ORDER BY coalesce(p.total, 0) DESC, q.queue_name NULLS LAST
+  `;
+};
+
+// node-postgres hands back Date objects; the Datetime scalar expects ISO strings
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+export const toQueueStat = (row) => ({
+  queueName: row.queue_name,
+  lockedAt: toIso(row.locked_at),
+  lockedBy: row.locked_by,
+  total: row.total,
+  pending: row.pending,
+  scheduled: row.scheduled,
+  running: row.running,
+  stale: row.stale,
+  retrying: row.retrying,
+  failed: row.failed,
+  oldestPendingAt: toIso(row.oldest_pending_at),
+});
+
+export const QueuesPlugin = (builder) => {
+  builder.hook('init', (_, build) => {
+    const { GraphQLObjectType, GraphQLNonNull, GraphQLInt, GraphQLString } = build.graphql;
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'QueueStat',
+        description: 'Lock state and job breakdown of a named job queue.',
+        fields: () => {
+          const Datetime = build.getTypeByName('Datetime') || GraphQLString;
+          return {
+            // NULL for jobs that aren't in a named queue
+            queueName: { type: GraphQLString },
+            lockedAt: { type: Datetime },
+            lockedBy: { type: GraphQLString },
+            total: { type: new GraphQLNonNull(GraphQLInt) },
+            // Job counts by status (see jobStatus.js)
+            pending: { type: new GraphQLNonNull(GraphQLInt) },
+            scheduled: { type: new GraphQLNonNull(GraphQLInt) },
+            running: { type: new GraphQLNonNull(GraphQLInt) },
+            stale: { type: new GraphQLNonNull(GraphQLInt) },
+            retrying: { type: new GraphQLNonNull(GraphQLInt) },
+            failed: { type: new GraphQLNonNull(GraphQLInt) },
+            oldestPendingAt: { type: Datetime },
+          };
+        },
+      },
+      { isQueueStat: true }
+    );
+    return _;
+  });
+
+  builder.hook('GraphQLObjectType:fields', (fields, build, context) => {
+    const { extend, pgSql: sql } = build;
+    const { GraphQLNonNull, GraphQLList, GraphQLString, GraphQLBoolean } = build.graphql;
+
+    if (context.scope.isRootQuery) {
+      return extend(fields, {
+        queueStats: {
+          type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('QueueStat')))),
+          description: 'Every named queue with its lock state and job counts.',
+          resolve: async (parent, args, context) => {
+            const { text, values } = sql.compile(queueStatsSql(sql));
+            const { rows } = await context.pgClient.query(text, values);
+            return rows.map(toQueueStat);
+          },
+        },
+      });
+    }
+
+    if (context.scope.isRootMutation) {
+      return extend(fields, {
+        // Release a queue lock left behind by a crashed worker. Jobs the
+        // worker held stay locked; use unlockWorker for those.
+        unlockQueue: {
+          type: GraphQLBoolean,
+          args: {
+            queueName: { type: new GraphQLNonNull(GraphQLString) },
+            reason: { type: GraphQLString, description: 'Why the lock was released; recorded in the audit log' },
+          },
+          resolve: async (parent, args, context) => {
+            const { pgClient } = context;
+            try {
+              const { rows: [previous] } = await pgClient.query(
+                `UPDATE graphile_worker._private_job_queues q
+                SET locked_at = NULL, locked_by = NULL
+                FROM (
+                  SELECT id, locked_at, locked_by FROM graphile_worker._private_job_queues
+                  WHERE queue_name = $1 AND locked_at IS NOT NULL
+                  FOR UPDATE
+                ) old
+                WHERE q.id = old.id
+                RETURNING old.locked_at, old.locked_by`,
+                [args.queueName]
+              );
+              invalidateJobSummary();
+              await recordAudit(pgClient, context.user, {
+                action: 'unlockQueue',
+                target: args.queueName,
+                reason: args.reason,
+                details: {
+                  result: Boolean(previous),
+                  lockedBy: previous ? previous.locked_by : null,
+                  lockedAt: previous ? toIso(previous.locked_at) : null,
+                },
+              });
+              return Boolean(previous);
+            } catch (error) {
+              console.error('Error unlocking queue:', error);
+              throw error;
+            }
+          },
+        },
+      });
+    }
+
+    return fields;
+  });
+};
@@ -0,0 +1,21 @@
+// Bulk retry. graphile_worker.reschedule_jobs only moves run_at unless it is
+// given attempts, and a job that has used all of its attempts is never picked
+// up again, so those are always reset to 0; `resetAttempts` resets the others
+// too. Like reschedule_jobs, returns the jobs it rescheduled; locked ones are
+// skipped.
+//
+// $1: job ids, $2: reset attempts of every job
+export const RETRY_JOBS_SQL = `
+  WITH targets AS (
+    SELECT id, ($2::boolean OR attempts >= max_attempts) AS reset
+    FROM graphile_worker._private_jobs
+    WHERE id = ANY($1::bigint[])
+  )
+  SELECT id FROM graphile_worker.reschedule_jobs(
+    ARRAY(SELECT id FROM targets WHERE reset), run_at => NOW(), attempts => 0
+  )
+  UNION ALL
+  SELECT id FROM graphile_worker.reschedule_jobs(
+    ARRAY(SELECT id FROM targets WHERE NOT reset), run_at => NOW()
+  )
+`;
@@ -0,0 +1,81 @@
+import { after, afterEach, before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import pg from 'pg';
+import { RETRY_JOBS_SQL } from './retryJobs.js';
+
+// Runs against a Graphile Worker database, inside a transaction that is rolled
+// back; without DATABASE_URL the tests are skipped
+const { DATABASE_URL } = process.env;
+const skip = !DATABASE_URL && 'DATABASE_URL is not set';
+
+let pool;
+let client;
+before(() => {
+  if (DATABASE_URL) pool = new pg.Pool({ connectionString: DATABASE_URL, max: 1 });
+});
+after(() => pool && pool.end());
+beforeEach(async () => {
+  if (!pool) return;
+  client = await pool.connect();
+  await client.query('BEGIN');
+});
+afterEach(async () => {
+  if (!client) return;
+  await client.query('ROLLBACK');
+  client.release();
+  client = null;
+});
+
+// A job that has run `attempts` times and is due again in an hour
+const addJob = async (attempts, maxAttempts) => {
+  const { rows: [{ id }] } = await client.query(
+    `SELECT id FROM graphile_worker.add_job('retry_jobs_test', '{}', max_attempts => $1, run_at => now() + interval '1 hour')`,
+    [maxAttempts]
+  );
+  await client.query(
+    `UPDATE graphile_worker._private_jobs SET attempts = $2, last_error = 'boom' WHERE id = $1`,
+    [id, attempts]
+  );
+  return String(id);
+};
+
+// What the worker checks before it picks a job up
+const jobState = async (id) => {
+  const { rows: [row] } = await client.query(
+    'SELECT attempts, is_available AND run_at <= now() AS runnable FROM graphile_worker._private_jobs WHERE id = $1',
+    [id]
+  );
+  return row;
+};
+
+const retry = async (ids, resetAttempts = false) => {
+  const { rows } = await client.query(RETRY_JOBS_SQL, [ids, resetAttempts]);
+  return rows.map((row) => String(row.id)).sort();
+};
+
+test('retrying a job that used all of its attempts makes it runnable again', { skip }, async () => {
+  const failed = await addJob(3, 3);
+  assert.deepEqual(await jobState(failed), { attempts: 3, runnable: false });
+  assert.deepEqual(await retry([failed]), [failed]);
+  assert.deepEqual(await jobState(failed), { attempts: 0, runnable: true });
+});
+
+test('retrying keeps the attempts of other jobs unless asked to reset them', { skip }, async () => {
+  const failed = await addJob(5, 5);
+  const retrying = await addJob(2, 5);
+  assert.deepEqual(await retry([failed, retrying]), [failed, retrying].sort());
+  assert.deepEqual(await jobState(failed), { attempts: 0, runnable: true });
+  assert.deepEqual(await jobState(retrying), { attempts: 2, runnable: true });
+
+  assert.deepEqual(await retry([retrying], true), [retrying]);
+  assert.deepEqual(await jobState(retrying), { attempts: 0, runnable: true });
+});
+
+test('retrying skips jobs that are locked or gone', { skip }, async () => {
+  const locked = await addJob(1, 5);
+  await client.query(
+    `UPDATE graphile_worker._private_jobs SET locked_at = now(), locked_by = 'retry_jobs_test' WHERE id = $1`,
+    [locked]
+  );
+  assert.deepEqual(await retry([locked, '999999999999']), []);
+});
@@ -0,0 +1,208 @@
+// UI settings shared by everyone using this backend: refresh intervals, page
+// sizes, date display, the stale lock threshold and default job filters.
+// Admins edit them on the Settings page; each browser can still override them
+// locally. Stored values that are no longer valid fall back to the default.
+
+import { recordAudit } from './audit.js';
+import { JOB_STATUSES } from './jobStatus.js';
+
+const installSql = `
+  CREATE TABLE IF NOT EXISTS graphile_worker_ui.settings (
+    key text PRIMARY KEY,
+    value jsonb NOT NULL,
+    updated_at timestamptz NOT NULL DEFAULT now(),
+    updated_by text
+  );
+`;
+
+const integer = (defaultValue, min, max) => ({
+  default: defaultValue,
+  validate: (value) => Number.isInteger(value) && value >= min && value <= max,
+  expected: `an integer from ${min} to ${max}`,
+});
+
+const oneOf = (defaultValue, values) => ({
+  default: defaultValue,
+  validate: (value) => values.includes(value),
+  expected: `one of ${values.join(', ')}`,
+});
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Keep in sync with frontend/src/utils/settings.js
+const SETTINGS = {
+  dashboardRefreshSeconds: integer(30, 1, 3600),
+  metricsRefreshSeconds: integer(60, 5, 3600),
+  jobListRefreshSeconds: integer(5, 1, 3600),
+  jobDetailsRefreshSeconds: integer(10, 1, 3600),
+  queuesRefreshSeconds: integer(15, 1, 3600),
+  tasksRefreshSeconds: integer(30, 1, 3600),
+  workersRefreshSeconds: integer(10, 1, 3600),
+  pageSize: integer(25, 5, 200),
+  failedJobsLimit: integer(25, 1, 200),
+  // An empty timezone means the browser's own
+  timezone: {
+    default: '',
+    validate: (value) => value === '' || (typeof value === 'string' && isTimeZone(value)),
+    expected: 'an IANA time zone such as Europe/Berlin, or empty for the browser time zone',
+  },
+  dateFormat: oneOf('locale', ['locale', 'iso', 'us', 'eu']),
+  staleLockMinutes: integer(30, 1, 10080),
+  defaultJobStatus: oneOf('all', ['all', ...JOB_STATUSES]),
+  defaultJobSearch: {
+    default: '',
+    validate: (value) => typeof value === 'string' && value.length <= 500,
+    expected: 'a search of at most 500 characters',
+  },
+};
+
+const DEFAULTS = Object.fromEntries(Object.entries(SETTINGS).map(([key, spec]) => [key, spec.default]));
+
+let settingsAvailable = false;
+
+export const setupSettings = async (pgPool) => {
+  try {
+    await pgPool.query(installSql);
+    settingsAvailable = true;
+  } catch (error) {
+    console.error('Error setting up the settings table; defaults will be used:', error);
+    settingsAvailable = false;
+  }
+  return settingsAvailable;
+};
+
+// node-postgres hands back Date objects; the Datetime scalar expects ISO strings
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const loadSettings = async (pgClient) => {
+  if (!settingsAvailable) {
+    return { values: { ...DEFAULTS }, defaults: DEFAULTS, updatedAt: null, updatedBy: null };
+  }
+  const { rows } = await pgClient.query(
+    'SELECT key, value, updated_at, updated_by FROM graphile_worker_ui.settings ORDER BY updated_at DESC'
+  );
+  const values = { ...DEFAULTS };
+  for (const row of rows) {
+    if (SETTINGS[row.key] && SETTINGS[row.key].validate(row.value)) {
+      values[row.key] = row.value;
+    }
+  }
+  return {
+    values,
+    defaults: DEFAULTS,
+    updatedAt: rows.length > 0 ? toIso(rows[0].updated_at) : null,
+    updatedBy: rows.length > 0 ? rows[0].updated_by : null,
+  };
+};
+
+export const SettingsPlugin = (builder) => {
+  builder.hook('init', (_, build) => {
+    const { GraphQLObjectType, GraphQLNonNull, GraphQLString } = build.graphql;
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'UiSettings',
+        description: 'Settings shared by every user of the UI.',
+        fields: () => {
+          const Datetime = build.getTypeByName('Datetime') || GraphQLString;
+          const JSONType = build.getTypeByName('JSON') || GraphQLString;
+          return {
+            values: { type: new GraphQLNonNull(JSONType), description: 'Every setting, stored or default' },
+            defaults: { type: new GraphQLNonNull(JSONType), description: 'Built-in defaults' },
+            updatedAt: { type: Datetime },
+            updatedBy: { type: GraphQLString },
+          };
+        },
+      },
+      { isUiSettings: true }
+    );
+    return _;
+  });
+
+  builder.hook('GraphQLObjectType:fields', (fields, build, context) => {
+    const { extend } = build;
+    const { GraphQLNonNull, GraphQLString } = build.graphql;
+
+    if (context.scope.isRootQuery) {
+      return extend(fields, {
+        uiSettings: {
+          type: new GraphQLNonNull(build.getTypeByName('UiSettings')),
+          resolve: async (parent, args, context) => {
+            try {
+              return await loadSettings(context.pgClient);
+            } catch (error) {
+              console.error('Error loading settings:', error);
+              throw error;
+            }
+          },
+        },
+      });
+    }
+
+    if (context.scope.isRootMutation) {
+      return extend(fields, {
+        // Change some settings; a null value restores the default
+        updateUiSettings: {
+          type: new GraphQLNonNull(build.getTypeByName('UiSettings')),
+          args: {
+            settings: { type: new GraphQLNonNull(build.getTypeByName('JSON')) },
+            reason: { type: GraphQLString, description: 'Why the settings changed; recorded in the audit log' },
+          },
+          resolve: async (parent, args, context) => {
+            const { pgClient, user } = context;
+            if (!settingsAvailable) {
+              throw new Error('Settings cannot be saved; check the backend logs');
+            }
+            const changes = args.settings;
+            if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+              throw new Error('settings must be an object');
+            }
+            for (const [key, value] of Object.entries(changes)) {
+              if (!SETTINGS[key]) {
+                throw new Error(`Unknown setting ${key}`);
+              }
+              if (value !== null && !SETTINGS[key].validate(value)) {
+                throw new Error(`Invalid value for ${key}: expected ${SETTINGS[key].expected}`);
+              }
+            }
+            try {
+              const previous = await loadSettings(pgClient);
+              for (const [key, value] of Object.entries(changes)) {
+                if (value === null) {
+                  await pgClient.query('DELETE FROM graphile_worker_ui.settings WHERE key = $1', [key]);
+                } else {
+                  await pgClient.query(
+                    `INSERT INTO graphile_worker_ui.settings (key, value, updated_by) VALUES ($1, $2, $3)
+                    ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = now(), updated_by = excluded.updated_by`,
+                    [key, JSON.stringify(value), user ? user.username : null]
+                  );
+                }
+              }
+              await recordAudit(pgClient, user, {
+                action: 'updateUiSettings',
+                reason: args.reason,
+                details: {
+                  changes,
+                  previous: Object.fromEntries(Object.keys(changes).map((key) => [key, previous.values[key]])),
+                },
+              });
+              return await loadSettings(pgClient);
+            } catch (error) {
+              console.error('Error updating settings:', error);
+              throw error;
+            }
+          },
+        },
+      });
+    }
+
+    return fields;
+  });
+};
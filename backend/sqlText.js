@@ -0,0 +1,12 @@
+// Helpers for putting text a user typed into a search box into SQL, shared by
+// the job search filter and the job history search.
+
+// Escape LIKE/ILIKE wildcards so the text matches literally (the default
+// escape character is a backslash)
+export const escapeLike = (value) => value.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+const BIGINT_MAX = 9223372036854775807n;
+
+// Digits that fit a bigint job id column; a longer number can't be a job id,
+// and casting it would fail the whole query
+export const isJobId = (value) => /^\d+$/.test(value) && BigInt(value) <= BIGINT_MAX;
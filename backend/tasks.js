@@ -0,0 +1,188 @@
+// Task catalog. Every task identifier a worker or add_job has registered is a
+// row in _private_tasks (jobs reference it), so the catalog lists those with
+// per-status job counts. Graphile Worker deletes jobs once they succeed, so
+// the failure rate needs the history archive; attempts and errors also take
+// the archived runs into account when it is installed.
+
+import { isJobHistoryAvailable } from './jobHistory.js';
+import { jobStatusSql } from './jobStatus.js';
+
+// Errors are grouped by their first line, which usually holds the message
+// while the rest is a stack trace
+const errorMessageSql = (sql, column) => sql.fragment`nullif(left(split_part(${column}, E'\n', 1), 500), '')`;
+
+const taskStatsSql = (sql, withHistory) => {
+  const job = sql.identifier('j');
+  const status = jobStatusSql(sql, job);
+  const jobError = errorMessageSql(sql, sql.fragment`j.last_error`);
+  const historyError = errorMessageSql(sql, sql.fragment`h.last_error`);
+  return sql.query`
+    WITH per_task AS (
+      SELECT
+        j.task_id,
+        count(*)::int AS total,
+        count(*) FILTER (WHERE ${status} = 'pending')::int AS pending,
+        count(*) FILTER (WHERE ${status} = 'scheduled')::int AS scheduled,
+        count(*) FILTER (WHERE ${status} = 'running')::int AS running,
+        count(*) FILTER (WHERE ${status} = 'stale')::int AS stale,
+        count(*) FILTER (WHERE ${status} = 'retrying')::int AS retrying,
+        count(*) FILTER (WHERE ${status} = 'failed')::int AS failed,
+        sum(j.attempts)::bigint AS attempts
+      FROM graphile_worker._private_jobs j
+      GROUP BY j.task_id
+    ),
+    oldest_pending AS (
+      SELECT DISTINCT ON (j.task_id) j.task_id, j.id, j.run_at
+      FROM graphile_worker._private_jobs j
+      WHERE ${status} = 'pending'
+      ORDER BY j.task_id, j.run_at, j.id
+    ),
+    history AS (
+      ${withHistory ? sql.fragment`
+        SELECT
+          h.task_identifier,
+          count(*) FILTER (WHERE h.outcome = 'completed')::int AS completed_runs,
+          count(*) FILTER (WHERE h.outcome = 'failed')::int AS failed_runs,
+          sum(h.attempts) FILTER (WHERE h.outcome IN ('completed', 'failed'))::bigint AS attempts
+        FROM graphile_worker_ui.job_history h
+        GROUP BY h.task_identifier
+      ` : sql.fragment`
+        SELECT NULL::text AS task_identifier, NULL::int AS completed_runs, NULL::int AS failed_runs, NULL::bigint AS attempts
+        WHERE false
+      `}
+    ),
+    errors AS (
+      SELECT t.identifier AS task_identifier, ${jobError} AS message
+      FROM graphile_worker._private_jobs j
+      JOIN graphile_worker._private_tasks t ON t.id = j.task_id
+      ${withHistory ? sql.fragment`
+        UNION ALL
+        SELECT h.task_identifier, ${historyError}
+        FROM graphile_worker_ui.job_history h
+        WHERE h.outcome = 'failed'
+      ` : sql.fragment``}
+    ),
+    top_error AS (
+      SELECT DISTINCT ON (task_identifier) task_identifier, message, count(*)::int AS occurrences
+      FROM errors
+      WHERE message IS NOT NULL
+      GROUP BY task_identifier, message
+      ORDER BY task_identifier, count(*) DESC, message
+    )
+    SELECT
+      t.identifier,
+      coalesce(p.total, 0) AS total,
+      coalesce(p.pending, 0) AS pending,
+      coalesce(p.scheduled, 0) AS scheduled,
+      coalesce(p.running, 0) AS running,
+      coalesce(p.stale, 0) AS stale,
+      coalesce(p.retrying, 0) AS retrying,
+      coalesce(p.failed, 0) AS failed,
+      h.completed_runs,
+      h.failed_runs,
+      -- Over the jobs still in the table and, with the archive, finished runs
+      (coalesce(p.attempts, 0) + coalesce(h.attempts, 0))::float
+        / nullif(coalesce(p.total, 0) + coalesce(h.completed_runs, 0) + coalesce(h.failed_runs, 0), 0) AS average_attempts,
+      e.message AS most_common_error,
+      e.occurrences AS most_common_error_count,
+      o.id::text AS oldest_pending_job_id,
+      o.run_at AS oldest_pending_at
+    FROM graphile_worker._private_tasks t
+    LEFT JOIN per_task p ON p.task_id = t.id
+    LEFT JOIN history h ON h.task_identifier = t.identifier
+    LEFT JOIN top_error e ON e.task_identifier = t.identifier
+    LEFT JOIN oldest_pending o ON o.task_id = t.id
+    ORDER BY coalesce(p.total, 0) DESC, t.identifier
+  `;
+};
+
+// node-postgres hands back Date objects; the Datetime scalar expects ISO strings
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const toTaskStat = (row) => {
+  const finishedRuns = row.completed_runs == null ? null : row.completed_runs + row.failed_runs;
+  return {
+    taskIdentifier: row.identifier,
+    total: row.total,
+    pending: row.pending,
+    scheduled: row.scheduled,
+    running: row.running,
+    stale: row.stale,
+    retrying: row.retrying,
+    failed: row.failed,
+    completedRuns: row.completed_runs,
+    failedRuns: row.failed_runs,
+    failureRate: finishedRuns ? row.failed_runs / finishedRuns : null,
+    averageAttempts: row.average_attempts,
+    mostCommonError: row.most_common_error,
+    mostCommonErrorCount: row.most_common_error_count,
+    oldestPendingJobId: row.oldest_pending_job_id,
+    oldestPendingAt: toIso(row.oldest_pending_at),
+  };
+};
+
+export const TasksPlugin = (builder) => {
+  builder.hook('init', (_, build) => {
+    const { GraphQLObjectType, GraphQLNonNull, GraphQLInt, GraphQLFloat, GraphQLString } = build.graphql;
+    build.newWithHooks(
+      GraphQLObjectType,
+      {
+        name: 'TaskStat',
+        description: 'A registered task identifier with statistics over its jobs.',
+        fields: () => {
+          const Datetime = build.getTypeByName('Datetime') || GraphQLString;
+          return {
+            taskIdentifier: { type: new GraphQLNonNull(GraphQLString) },
+            total: { type: new GraphQLNonNull(GraphQLInt) },
+            // Job counts by status (see jobStatus.js)
+            pending: { type: new GraphQLNonNull(GraphQLInt) },
+            scheduled: { type: new GraphQLNonNull(GraphQLInt) },
+            running: { type: new GraphQLNonNull(GraphQLInt) },
+            stale: { type: new GraphQLNonNull(GraphQLInt) },
+            retrying: { type: new GraphQLNonNull(GraphQLInt) },
+            failed: { type: new GraphQLNonNull(GraphQLInt) },
+            completedRuns: { type: GraphQLInt, description: 'Archived completed runs; null without the history archive' },
+            failedRuns: { type: GraphQLInt, description: 'Archived failed runs; null without the history archive' },
+            failureRate: {
+              type: GraphQLFloat,
+              description: 'Share of archived runs that failed, from 0 to 1; null without the history archive or runs',
+            },
+            averageAttempts: { type: GraphQLFloat, description: 'Over current jobs and archived runs' },
+            mostCommonError: { type: GraphQLString, description: 'First line of the most frequent last error' },
+            mostCommonErrorCount: { type: GraphQLInt },
+            oldestPendingJobId: { type: GraphQLString },
+            oldestPendingAt: { type: Datetime },
+          };
+        },
+      },
+      { isTaskStat: true }
+    );
+    return _;
+  });
+
+  builder.hook('GraphQLObjectType:fields', (fields, build, context) => {
+    const { extend, pgSql: sql } = build;
+    const { GraphQLNonNull, GraphQLList } = build.graphql;
+
+    if (context.scope.isRootQuery) {
+      return extend(fields, {
+        taskStats: {
+          type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(build.getTypeByName('TaskStat')))),
+          description: 'Every registered task identifier with job counts, attempts, failure rate and errors.',
+          resolve: async (parent, args, context) => {
+            try {
+              const { text, values } = sql.compile(taskStatsSql(sql, isJobHistoryAvailable()));
+              const { rows } = await context.pgClient.query(text, values);
+              return rows.map(toTaskStat);
+            } catch (error) {
+              console.error('Error loading task stats:', error);
+              throw error;
+            }
+          },
+        },
+      });
+    }
+
+    return fields;
+  });
+};
@@ -0,0 +1,8 @@
+// The backend's own tables, functions and triggers live in graphile_worker_ui,
+// where PostGraphile (which only exposes graphile_worker) never picks them up.
+// The schema is created once at startup, before the modules that install into
+// it; concurrent CREATE SCHEMA IF NOT EXISTS can fail on a fresh database.
+
+export const setupUiSchema = async (pgPool) => {
+  await pgPool.query('CREATE SCHEMA IF NOT EXISTS graphile_worker_ui');
+};
@@ -1,16 +1,32 @@
 import React from 'react'
-import { Routes, Route, NavLink, useNavigate } from 'react-router-dom'
+import { Routes, Route, NavLink, Navigate, useNavigate } from 'react-router-dom'
 import { useQuery } from '@apollo/client'
 import { gql } from '@apollo/client'
 import JobList from './components/JobList'
 import Queues from './components/Queues'
+import Tasks from './components/Tasks'
 import Dashboard from './components/Dashboard'
 import JobPage from './components/JobPage'
+import NewJob from './components/NewJob'
+import JobImport from './components/JobImport'
+import Workers from './components/Workers'
+import History from './components/History'
+import Activity from './components/Activity'
+import Cron from './components/Cron'
+import Alerts from './components/Alerts'
+import Settings from './components/Settings'
+import useLiveUpdates from './hooks/useLiveUpdates'
+import useAuth from './hooks/useAuth'
+import useSettings from './hooks/useSettings'
+import { JOB_STATUSES } from './utils/jobStatus'
 import { 
-  Activity, 
+  Activity as ActivityIcon, 
   List, 
+  Repeat, 
+  Boxes, 
+  Bell, 
   BarChart3, 
-  Settings, 
+  Settings as SettingsIcon, 
   Zap, 
   Clock, 
   CheckCircle2, 
@@ -18,27 +34,32 @@ import {
   AlertTriangle,
   RefreshCw,
   Menu,
-  X
+  X,
+  Cpu,
+  History as HistoryIcon,
+  LogOut,
+  User
 } from 'lucide-react'
 
-// Dashboard query - optimized with server-side filtering (connection filter plugin)
+// Dashboard query. Counts come from jobSummary, one cached pass over the jobs
+// table shared by every tab (see backend/jobSummary.js)
 const GET_DASHBOARD_DATA_QUERY = gql`
-  query GetDashboardData {
-    total: allJobs {
-      totalCount
-    }
-    running: allJobs(filter: { lockedAt: { isNull: false } }) {
-      totalCount
-    }
-    failed: allJobs(filter: { lastError: { isNull: false }, lockedAt: { isNull: true } }) {
-      totalCount
-    }
-    completed: allJobs(
-      filter: { attempts: { greaterThan: 0 }, lastError: { isNull: true }, lockedAt: { isNull: true } }
-    ) {
-      totalCount
+  query GetDashboardData($failedJobsLimit: Int) {
+    jobSummary {
+      total
+      pending
+      scheduled
+      running
+      stale
+      retrying
+      failed
+      tasks {
+        taskIdentifier
+        total
+      }
+      computedAt
     }
-    failedJobs: allJobs(first: 25, orderBy: [UPDATED_AT_DESC], filter: { lastError: { isNull: false } }) {
+    failedJobs: allJobs(first: $failedJobsLimit, orderBy: [UPDATED_AT_DESC], filter: { lastError: { isNull: false } }) {
       nodes {
         id
         taskIdentifier
@@ -46,12 +67,6 @@ const GET_DASHBOARD_DATA_QUERY = gql`
         updatedAt
       }
     }
-    taskGroups: allJobs {
-      groupedAggregates(groupBy: TASK_IDENTIFIER) {
-        keys
-        distinctCount { id }
-      }
-    }
   }
 `
 
@@ -88,19 +103,30 @@ const GET_JOBS_QUERY = gql`
 function App() {
   const navigate = useNavigate()
   const [sidebarOpen, setSidebarOpen] = React.useState(false)
+  const { user, authEnabled, can, signOut } = useAuth()
+  const { settings } = useSettings()
 
-  // Use optimized dashboard query with pg-aggregates
-  const { data, loading, error, refetch } = useQuery(GET_DASHBOARD_DATA_QUERY, {
-    pollInterval: 30000, // Poll every 5 seconds for updates
+  const dashboardQuery = useQuery(GET_DASHBOARD_DATA_QUERY, {
+    variables: { failedJobsLimit: settings.failedJobsLimit },
     errorPolicy: 'all', // Continue if some parts fail
   })
+  const { data, loading, error, refetch } = dashboardQuery
+  // Live via job events, refetching at most once per refresh interval as the
+  // dashboard is the heaviest query; poll at that interval when they're unavailable
+  const dashboardRefreshMs = settings.dashboardRefreshSeconds * 1000
+  const live = useLiveUpdates(dashboardQuery, { fallbackInterval: dashboardRefreshMs, throttleMs: dashboardRefreshMs })
 
   const navigation = [
     { id: 'dashboard', path: '/', label: 'Dashboard', icon: BarChart3, description: 'Overview & Stats' },
     { id: 'jobs', path: '/jobs', label: 'Jobs', icon: List, description: 'Browse & Manage' },
     { id: 'queues', path: '/queues', label: 'Queues', icon: Clock, description: 'Queue Status' },
-    { id: 'activity', path: '/activity', label: 'Activity', icon: Activity, description: 'Recent Events' },
-    { id: 'settings', path: '/settings', label: 'Settings', icon: Settings, description: 'Configuration' },
+    { id: 'tasks', path: '/tasks', label: 'Tasks', icon: Boxes, description: 'Task Catalog' },
+    { id: 'workers', path: '/workers', label: 'Workers', icon: Cpu, description: 'Locks & Health' },
+    { id: 'history', path: '/history', label: 'History', icon: HistoryIcon, description: 'Finished Runs' },
+    { id: 'cron', path: '/cron', label: 'Cron', icon: Repeat, description: 'Recurring Tasks' },
+    { id: 'alerts', path: '/alerts', label: 'Alerts', icon: Bell, description: 'Rules & Notifications' },
+    { id: 'activity', path: '/activity', label: 'Activity', icon: ActivityIcon, description: 'Live Events & Audit' },
+    { id: 'settings', path: '/settings', label: 'Settings', icon: SettingsIcon, description: 'Configuration' },
   ]
 
   const handleJobSelect = (id) => {
@@ -108,32 +134,20 @@ function App() {
     else navigate('/jobs')
   }
 
-  // Use optimized counts (pending derived to avoid column-to-column comparison)
-  const counts = {
-    total: data?.total?.totalCount ?? 0,
-    running: data?.running?.totalCount ?? 0,
-    failed: data?.failed?.totalCount ?? 0,
-    completed: data?.completed?.totalCount ?? 0,
-  }
-  const jobStats = {
-    ...counts,
-    pending: Math.max(0, (counts.total || 0) - (counts.running || 0) - (counts.failed || 0) - (counts.completed || 0)),
-  }
+  // Counts per server-derived status (see backend/jobStatus.js)
+  const jobStats = JOB_STATUSES.reduce(
+    (acc, { value }) => ({ ...acc, [value]: data?.jobSummary?.[value] ?? 0 }),
+    { total: data?.jobSummary?.total ?? 0 }
+  )
   
   // Recent failed jobs from server-side filtered query
   const recentFailedJobs = data?.failedJobs?.nodes || []
 
-  // Task chart data from aggregates across all jobs
-  const taskChartData = React.useMemo(() => {
-    const groups = data?.taskGroups?.groupedAggregates || []
-    const items = groups.map(g => {
-      const name = String((g.keys && g.keys[0]) ?? 'Unknown')
-      const total = Number(g.distinctCount?.id ?? 0)
-      return { name, total }
-    })
-    // sort desc and take top 8 for readability
-    return items.sort((a, b) => b.total - a.total).slice(0, 8)
-  }, [data])
+  // Task chart data; the summary lists tasks by job count, take the top 8 for readability
+  const taskChartData = React.useMemo(
+    () => (data?.jobSummary?.tasks || []).slice(0, 8).map(t => ({ name: t.taskIdentifier, total: t.total })),
+    [data]
+  )
 
   return (
     <div className="flex h-screen bg-gray-50">
@@ -159,22 +173,12 @@ function App() {
           {/* Stats Bar */}
           <div className="px-6 py-4 bg-gray-50 border-b">
             <div className="grid grid-cols-2 gap-3 text-xs">
-              <div className="flex items-center">
-                <div className="w-2 h-2 bg-blue-500 rounded-full mr-2"></div>
-                <span className="text-gray-600">Pending: {jobStats.pending}</span>
-              </div>
-              <div className="flex items-center">
-                <div className="w-2 h-2 bg-yellow-500 rounded-full mr-2"></div>
-                <span className="text-gray-600">Running: {jobStats.running}</span>
-              </div>
-              <div className="flex items-center">
-                <div className="w-2 h-2 bg-green-500 rounded-full mr-2"></div>
-                <span className="text-gray-600">Done: {jobStats.completed}</span>
-              </div>
-              <div className="flex items-center">
-                <div className="w-2 h-2 bg-red-500 rounded-full mr-2"></div>
-                <span className="text-gray-600">Failed: {jobStats.failed}</span>
-              </div>
+              {JOB_STATUSES.map(s => (
+                <NavLink key={s.value} to={`/jobs?status=${s.value}`} className="flex items-center hover:underline" title={s.description}>
+                  <div className={`w-2 h-2 ${s.dot} rounded-full mr-2`}></div>
+                  <span className="text-gray-600">{s.label}: {jobStats[s.value]}</span>
+                </NavLink>
+              ))}
             </div>
           </div>
 
@@ -206,6 +210,24 @@ function App() {
 
           {/* Footer */}
           <div className="px-6 py-4 border-t bg-gray-50">
+            {authEnabled && (
+              <div className="flex items-center justify-between mb-3">
+                <div className="flex items-center min-w-0 text-sm text-gray-700">
+                  <User className="h-4 w-4 mr-2 text-gray-400 flex-shrink-0" />
+                  <span className="truncate">{user.username}</span>
+                  <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-800">
+                    {user.role}
+                  </span>
+                </div>
+                <button
+                  onClick={signOut}
+                  className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+                  title="Sign out"
+                >
+                  <LogOut className="h-4 w-4" />
+                </button>
+              </div>
+            )}
             <div className="flex items-center justify-between">
               <div className={`flex items-center text-xs ${
                 error ? 'text-red-600' : 'text-green-600'
@@ -213,7 +235,7 @@ function App() {
                 <div className={`w-2 h-2 rounded-full mr-2 ${
                   error ? 'bg-red-500' : 'bg-green-500'
                 }`}></div>
-                {error ? 'Disconnected' : 'Connected'}
+                {error ? 'Disconnected' : live ? 'Live' : 'Connected (polling)'}
               </div>
               <button
                 onClick={() => refetch()}
@@ -289,22 +311,17 @@ function App() {
               }
             />
             <Route path="/jobs" element={<JobList />} />
+            <Route path="/jobs/new" element={can('operator') ? <NewJob /> : <Navigate to="/jobs" replace />} />
+            <Route path="/jobs/import" element={can('operator') ? <JobImport /> : <Navigate to="/jobs" replace />} />
             <Route path="/jobs/:id" element={<JobPage />} />
             <Route path="/queues" element={<Queues />} />
-            <Route path="/activity" element={(
-              <div className="text-center py-16">
-                <Activity className="mx-auto h-16 w-16 text-gray-300" />
-                <h3 className="mt-4 text-lg font-medium text-gray-900">Activity Log</h3>
-                <p className="mt-2 text-gray-500">Real-time activity monitoring coming soon...</p>
-              </div>
-            )} />
-            <Route path="/settings" element={(
-              <div className="text-center py-16">
-                <Settings className="mx-auto h-16 w-16 text-gray-300" />
-                <h3 className="mt-4 text-lg font-medium text-gray-900">Settings</h3>
-                <p className="mt-2 text-gray-500">Configuration options coming soon...</p>
-              </div>
-            )} />
+            <Route path="/tasks" element={<Tasks />} />
+            <Route path="/workers" element={<Workers />} />
+            <Route path="/history" element={<History />} />
+            <Route path="/cron" element={<Cron />} />
+            <Route path="/alerts/*" element={<Alerts />} />
+            <Route path="/activity/*" element={<Activity />} />
+            <Route path="/settings" element={<Settings />} />
           </Routes>
         </main>
       </div>
@@ -0,0 +1,37 @@
+import React from 'react'
+import { NavLink, Routes, Route, Navigate } from 'react-router-dom'
+import { Radio, ShieldCheck } from 'lucide-react'
+import ActivityFeed from './ActivityFeed'
+import AuditLog from './AuditLog'
+
+const TABS = [
+  { path: '/activity', label: 'Live events', icon: Radio },
+  { path: '/activity/audit', label: 'Audit log', icon: ShieldCheck },
+]
+
+const Activity = () => (
+  <div className="space-y-4">
+    <div className="flex space-x-2 border-b border-gray-200">
+      {TABS.map(tab => (
+        <NavLink
+          key={tab.path}
+          to={tab.path}
+          end
+          className={({ isActive }) => `inline-flex items-center px-4 py-2 -mb-px text-sm font-medium border-b-2 ${
+            isActive ? 'text-blue-700 border-blue-700' : 'text-gray-500 border-transparent hover:text-gray-700'
+          }`}
+        >
+          <tab.icon className="h-4 w-4 mr-1" />
+          {tab.label}
+        </NavLink>
+      ))}
+    </div>
+    <Routes>
+      <Route index element={<ActivityFeed />} />
+      <Route path="audit" element={<AuditLog />} />
+      <Route path="*" element={<Navigate to="/activity" replace />} />
+    </Routes>
+  </div>
+)
+
+export default Activity
@@ -0,0 +1,286 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { useQuery, useSubscription } from '@apollo/client'
+import { gql } from '@apollo/client'
+import { formatDistanceToNowStrict } from 'date-fns'
+import {
+  Radio, Play, Pause, Eraser, PlusCircle, Lock, AlertTriangle, RotateCcw,
+  XCircle, CheckCircle, Trash2, Unlock, Pencil,
+} from 'lucide-react'
+import { useNavigate } from 'react-router-dom'
+import useSettings from '../hooks/useSettings'
+
+const JOB_EVENTS_SUBSCRIPTION = gql`
+  subscription JobEvents($taskIdentifier: String, $queueName: String) {
+    jobUpdated(taskIdentifier: $taskIdentifier, queueName: $queueName) {
+      op
+      kind
+      jobId
+      taskIdentifier
+      queueName
+      attempts
+      maxAttempts
+      runAt
+      lockedBy
+      lastError
+      at
+    }
+  }
+`
+
+const GET_FILTER_OPTIONS_QUERY = gql`
+  query GetActivityFilterOptions {
+    tasks: allJobs {
+      groupedAggregates(groupBy: TASK_IDENTIFIER) {
+        keys
+      }
+    }
+    queues: allJobs {
+      groupedAggregates(groupBy: QUEUE_NAME) {
+        keys
+      }
+    }
+  }
+`
+
+// Lifecycle events as classified by the job events trigger (backend/jobEvents.js)
+const EVENT_KINDS = [
+  { value: 'enqueued', label: 'Enqueued', icon: PlusCircle, color: 'text-blue-600 bg-blue-50' },
+  { value: 'locked', label: 'Locked', icon: Lock, color: 'text-indigo-600 bg-indigo-50' },
+  { value: 'failed_attempt', label: 'Failed attempt', icon: AlertTriangle, color: 'text-orange-600 bg-orange-50' },
+  { value: 'rescheduled', label: 'Rescheduled', icon: RotateCcw, color: 'text-purple-600 bg-purple-50' },
+  { value: 'permanently_failed', label: 'Permanently failed', icon: XCircle, color: 'text-red-600 bg-red-50' },
+  { value: 'completed', label: 'Completed', icon: CheckCircle, color: 'text-green-600 bg-green-50' },
+  { value: 'removed', label: 'Removed', icon: Trash2, color: 'text-gray-600 bg-gray-100' },
+  { value: 'unlocked', label: 'Unlocked', icon: Unlock, color: 'text-yellow-700 bg-yellow-50' },
+  { value: 'updated', label: 'Updated', icon: Pencil, color: 'text-gray-600 bg-gray-100' },
+]
+
+const KIND_BY_VALUE = Object.fromEntries(EVENT_KINDS.map(kind => [kind.value, kind]))
+
+// Plain edits are noise most of the time
+const DEFAULT_KINDS = EVENT_KINDS.map(kind => kind.value).filter(kind => kind !== 'updated')
+
+const MAX_EVENTS = 500
+
+const keysOf = (aggregate) => (aggregate?.groupedAggregates || [])
+  .map(group => group.keys?.[0])
+  .filter(Boolean)
+  .sort()
+
+const ActivityFeed = () => {
+  const navigate = useNavigate()
+  const { formatDate, formatTime } = useSettings()
+  const [taskInput, setTaskInput] = useState('')
+  const [queueInput, setQueueInput] = useState('')
+  const [taskIdentifier, setTaskIdentifier] = useState('')
+  const [queueName, setQueueName] = useState('')
+  const [kinds, setKinds] = useState(DEFAULT_KINDS)
+  const [events, setEvents] = useState([])
+  const [paused, setPaused] = useState(false)
+  const [bufferedCount, setBufferedCount] = useState(0)
+  const [live, setLive] = useState(false)
+  const pausedRef = useRef(false)
+  const bufferRef = useRef([])
+  const sequenceRef = useRef(0)
+
+  const { data: optionsData } = useQuery(GET_FILTER_OPTIONS_QUERY)
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setTaskIdentifier(taskInput.trim())
+      setQueueName(queueInput.trim())
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [taskInput, queueInput])
+
+  const { error } = useSubscription(JOB_EVENTS_SUBSCRIPTION, {
+    variables: {
+      taskIdentifier: taskIdentifier || undefined,
+      queueName: queueName || undefined,
+    },
+    onData: ({ data }) => {
+      const event = data?.data?.jobUpdated
+      if (!event) return
+      setLive(true)
+      if (event.op === 'subscribed') return
+      const entry = { ...event, key: sequenceRef.current++ }
+      // While paused, hold events back so the list stays put
+      if (pausedRef.current) {
+        bufferRef.current = [entry, ...bufferRef.current].slice(0, MAX_EVENTS)
+        setBufferedCount(bufferRef.current.length)
+        return
+      }
+      setEvents(prev => [entry, ...prev].slice(0, MAX_EVENTS))
+    },
+  })
+
+  const togglePaused = () => {
+    if (paused) {
+      const buffered = bufferRef.current
+      bufferRef.current = []
+      setBufferedCount(0)
+      setEvents(prev => [...buffered, ...prev].slice(0, MAX_EVENTS))
+    }
+    pausedRef.current = !paused
+    setPaused(!paused)
+  }
+
+  const clearEvents = () => {
+    bufferRef.current = []
+    setBufferedCount(0)
+    setEvents([])
+  }
+
+  const toggleKind = (value) => {
+    setKinds(prev => (prev.includes(value) ? prev.filter(kind => kind !== value) : [...prev, value]))
+  }
+
+  // The subscription is already narrowed by task and queue; events received
+  // before a filter changed are narrowed here too
+  const visibleEvents = events.filter(event =>
+    kinds.includes(event.kind) &&
+    (!taskIdentifier || event.taskIdentifier === taskIdentifier) &&
+    (!queueName || event.queueName === queueName)
+  )
+
+  const isLive = live && !error
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 space-y-4">
+        <div className="flex items-center justify-between flex-wrap gap-3">
+          <div className="flex items-center space-x-2">
+            <Radio className={`h-5 w-5 ${isLive && !paused ? 'text-green-500' : 'text-gray-400'}`} />
+            <h2 className="text-lg font-medium text-gray-900">Live Events</h2>
+            <span className="text-sm text-gray-500">
+              {error ? 'Unavailable' : !isLive ? 'Connecting...' : paused ? 'Paused' : 'Streaming'}
+            </span>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={togglePaused}
+              disabled={Boolean(error)}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              {paused ? <Play className="h-4 w-4 mr-1" /> : <Pause className="h-4 w-4 mr-1" />}
+              {paused ? `Resume${bufferedCount > 0 ? ` (${bufferedCount} new)` : ''}` : 'Pause'}
+            </button>
+            <button
+              onClick={clearEvents}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <Eraser className="h-4 w-4 mr-1" />
+              Clear
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <input
+            type="text"
+            list="activity-task-options"
+            placeholder="All tasks"
+            value={taskInput}
+            onChange={(e) => setTaskInput(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+          />
+          <datalist id="activity-task-options">
+            {keysOf(optionsData?.tasks).map(task => <option key={task} value={task} />)}
+          </datalist>
+          <input
+            type="text"
+            list="activity-queue-options"
+            placeholder="All queues"
+            value={queueInput}
+            onChange={(e) => setQueueInput(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+          />
+          <datalist id="activity-queue-options">
+            {keysOf(optionsData?.queues).map(queue => <option key={queue} value={queue} />)}
+          </datalist>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {EVENT_KINDS.map(kind => {
+            const active = kinds.includes(kind.value)
+            return (
+              <button
+                key={kind.value}
+                onClick={() => toggleKind(kind.value)}
+                className={`inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium border ${
+                  active ? `${kind.color} border-transparent` : 'text-gray-400 bg-white border-gray-200'
+                }`}
+              >
+                <kind.icon className="h-3 w-3 mr-1" />
+                {kind.label}
+              </button>
+            )
+          })}
+        </div>
+      </div>
+
+      {error && (
+        <div className="px-6 py-4 bg-yellow-50 border-b border-yellow-100 text-sm text-yellow-800">
+          {error.message}
+        </div>
+      )}
+
+      <div className="divide-y divide-gray-100">
+        {visibleEvents.length === 0 ? (
+          <div className="px-6 py-12 text-center text-sm text-gray-600">
+            {error ? 'The event stream is not available.' : 'Waiting for job events...'}
+          </div>
+        ) : (
+          visibleEvents.map(event => {
+            const kind = KIND_BY_VALUE[event.kind] || KIND_BY_VALUE.updated
+            const Icon = kind.icon
+            return (
+              <div
+                key={event.key}
+                className="px-6 py-3 flex items-start hover:bg-gray-50 cursor-pointer"
+                onClick={() => navigate(`/jobs/${event.jobId}`)}
+              >
+                <div className={`p-1.5 rounded-full mr-3 ${kind.color}`}>
+                  <Icon className="h-4 w-4" />
+                </div>
+                <div className="min-w-0 flex-1">
+                  <div className="flex items-center flex-wrap gap-x-2 text-sm">
+                    <span className="font-medium text-gray-900">{kind.label}</span>
+                    <span className="text-blue-600">#{event.jobId}</span>
+                    <span className="text-gray-700">{event.taskIdentifier}</span>
+                    {event.queueName && (
+                      <span className="inline-flex items-center px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-800">
+                        {event.queueName}
+                      </span>
+                    )}
+                  </div>
+                  <div className="mt-0.5 text-xs text-gray-500 space-x-2">
+                    <span>Attempt {event.attempts}/{event.maxAttempts}</span>
+                    {event.kind === 'locked' && event.lockedBy && <span>by {event.lockedBy}</span>}
+                    {(event.kind === 'failed_attempt' || event.kind === 'rescheduled') && event.runAt && (
+                      <span>next run {formatDistanceToNowStrict(new Date(event.runAt), { addSuffix: true })}</span>
+                    )}
+                  </div>
+                  {(event.kind === 'failed_attempt' || event.kind === 'permanently_failed') && event.lastError && (
+                    <p className="mt-1 text-xs text-red-600 truncate">{event.lastError}</p>
+                  )}
+                </div>
+                <span className="ml-3 text-xs text-gray-400 whitespace-nowrap" title={formatDate(event.at)}>
+                  {formatTime(event.at)}
+                </span>
+              </div>
+            )
+          })
+        )}
+      </div>
+
+      {events.length >= MAX_EVENTS && (
+        <div className="px-6 py-2 border-t border-gray-200 text-xs text-gray-500">
+          Showing the latest {MAX_EVENTS} events.
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ActivityFeed
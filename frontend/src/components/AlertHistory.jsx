@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react'
+import { useQuery } from '@apollo/client'
+import { gql } from '@apollo/client'
+import { formatDistanceToNow } from 'date-fns'
+import { CheckCircle2, History as HistoryIcon, RefreshCw, XCircle } from 'lucide-react'
+import { useSearchParams } from 'react-router-dom'
+import Pagination from './Pagination'
+import useSettings from '../hooks/useSettings'
+import { getChannelType, getRuleKind } from '../utils/alerts'
+
+const GET_ALERT_EVENTS_QUERY = gql`
+  query GetAlertEvents($first: Int, $offset: Int, $ruleId: Int, $state: String) {
+    alertEvents(first: $first, offset: $offset, ruleId: $ruleId, state: $state) {
+      totalCount
+      nodes {
+        id
+        ruleId
+        ruleName
+        kind
+        subject
+        state
+        value
+        message
+        at
+        deliveries
+      }
+    }
+    alertRules {
+      id
+      name
+    }
+  }
+`
+
+const STATE_META = {
+  firing: { label: 'Firing', icon: XCircle, badge: 'bg-red-100 text-red-800' },
+  resolved: { label: 'Resolved', icon: CheckCircle2, badge: 'bg-green-100 text-green-800' },
+}
+
+// Per channel outcome; null while the engine is still delivering
+function Deliveries({ deliveries }) {
+  if (!deliveries) return <span className="text-xs text-gray-400">Delivering...</span>
+  if (deliveries.length === 0) return <span className="text-xs text-gray-400">No channels</span>
+  return (
+    <div className="flex flex-wrap gap-1">
+      {deliveries.map((d, i) => (
+        <span
+          key={i}
+          className={`inline-flex items-center px-2 py-0.5 rounded text-xs ${d.ok ? 'bg-gray-100 text-gray-700' : 'bg-red-50 text-red-700'}`}
+          title={d.ok ? d.target : `${d.target}: ${d.error}`}
+        >
+          {d.ok ? <CheckCircle2 className="h-3 w-3 mr-1 text-green-600" /> : <XCircle className="h-3 w-3 mr-1" />}
+          {getChannelType(d.type)?.label || d.type}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+const AlertHistory = () => {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [ruleId, setRuleId] = useState(() => searchParams.get('rule') || 'all')
+  const [state, setState] = useState(() => searchParams.get('state') || 'all')
+  const [currentPage, setCurrentPage] = useState(() => Math.max(0, (parseInt(searchParams.get('page') || '1', 10) || 1) - 1))
+  const { settings, formatDate } = useSettings()
+  const pageSize = settings.pageSize
+
+  // Keep the URL shareable
+  useEffect(() => {
+    const params = new URLSearchParams()
+    if (ruleId !== 'all') params.set('rule', ruleId)
+    if (state !== 'all') params.set('state', state)
+    if (currentPage > 0) params.set('page', String(currentPage + 1))
+    setSearchParams(params, { replace: true })
+  }, [ruleId, state, currentPage, setSearchParams])
+
+  const eventsQuery = useQuery(GET_ALERT_EVENTS_QUERY, {
+    variables: {
+      first: pageSize,
+      offset: currentPage * pageSize,
+      ruleId: ruleId !== 'all' ? parseInt(ruleId, 10) : undefined,
+      state: state !== 'all' ? state : undefined,
+    },
+    pollInterval: 30000,
+    fetchPolicy: 'cache-and-network',
+  })
+  const { loading, error, refetch } = eventsQuery
+  const data = eventsQuery.data ?? eventsQuery.previousData
+
+  const events = data?.alertEvents?.nodes || []
+  const totalCount = data?.alertEvents?.totalCount || 0
+  const totalPages = Math.ceil(totalCount / pageSize)
+
+  if (loading && !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="h-6 bg-gray-200 rounded w-1/3 mb-4 animate-pulse"></div>
+        {[...Array(8)].map((_, i) => (
+          <div key={i} className="h-12 bg-gray-100 rounded mb-2 animate-pulse"></div>
+        ))}
+      </div>
+    )
+  }
+
+  if (error && !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center space-x-2 mb-4">
+          <HistoryIcon className="h-5 w-5 text-gray-500" />
+          <h2 className="text-lg font-medium text-gray-900">Alert History</h2>
+        </div>
+        <div className="text-sm text-gray-600">{error.message}</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 space-y-4">
+        <div className="flex items-center justify-between flex-wrap gap-3">
+          <div className="flex items-center space-x-2">
+            <HistoryIcon className="h-5 w-5 text-gray-500" />
+            <h2 className="text-lg font-medium text-gray-900">Alert History</h2>
+            <span className="text-sm text-gray-500">{totalCount.toLocaleString()} events</span>
+          </div>
+          <button
+            onClick={() => refetch()}
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <RefreshCw className={`h-4 w-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <select
+            value={ruleId}
+            onChange={(e) => { setRuleId(e.target.value); setCurrentPage(0) }}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="all">All Rules</option>
+            {(data?.alertRules || []).map(rule => (
+              <option key={rule.id} value={String(rule.id)}>{rule.name}</option>
+            ))}
+          </select>
+          <select
+            value={state}
+            onChange={(e) => { setState(e.target.value); setCurrentPage(0) }}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="all">Firing and Resolved</option>
+            {Object.entries(STATE_META).map(([value, meta]) => (
+              <option key={value} value={value}>{meta.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="divide-y divide-gray-200">
+        {events.length === 0 ? (
+          <div className="px-6 py-12 text-center text-sm text-gray-600">No alerts have fired yet.</div>
+        ) : (
+          events.map(event => {
+            const meta = STATE_META[event.state]
+            return (
+              <div key={event.id} className="px-6 py-4">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center flex-wrap gap-2">
+                      <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${meta.badge}`}>
+                        <meta.icon className="h-3 w-3 mr-1" />
+                        {meta.label}
+                      </span>
+                      <span className="text-sm font-medium text-gray-900">{event.ruleName}</span>
+                      {event.ruleId === null && <span className="text-xs text-gray-400">(deleted)</span>}
+                      <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-mono bg-gray-100 text-gray-800">
+                        {event.subject}
+                      </span>
+                    </div>
+                    <p className="mt-1 text-sm text-gray-700">{event.message}</p>
+                    <div className="mt-1 text-xs text-gray-500">
+                      <span title={formatDate(event.at)}>{formatDistanceToNow(new Date(event.at), { addSuffix: true })}</span>
+                      <span className="ml-2">• {getRuleKind(event.kind)?.label || event.kind}</span>
+                    </div>
+                  </div>
+                  <Deliveries deliveries={event.deliveries} />
+                </div>
+              </div>
+            )
+          })
+        )}
+      </div>
+
+      {totalPages > 1 && (
+        <Pagination
+          currentPage={currentPage}
+          totalPages={totalPages}
+          totalCount={totalCount}
+          pageSize={pageSize}
+          hasNextPage={currentPage + 1 < totalPages}
+          hasPreviousPage={currentPage > 0}
+          onPageChange={(p) => setCurrentPage(p)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default AlertHistory
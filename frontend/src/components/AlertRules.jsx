@@ -0,0 +1,525 @@
+import React, { useState } from 'react'
+import { useQuery, useMutation } from '@apollo/client'
+import { gql } from '@apollo/client'
+import { formatDistanceToNow } from 'date-fns'
+import { BellRing, CheckCircle2, Pencil, Plus, RefreshCw, Send, Trash2, XCircle } from 'lucide-react'
+import toast from 'react-hot-toast'
+import useAuth from '../hooks/useAuth'
+import useSettings from '../hooks/useSettings'
+import { CHANNEL_TYPES, RULE_KINDS, defaultParams, describeRule, getChannelType, getRuleKind } from '../utils/alerts'
+import { promptReason } from '../utils/reason'
+
+const ALERT_RULE_FIELDS = `
+  id
+  name
+  kind
+  params
+  channels
+  enabled
+  updatedAt
+  updatedBy
+  firing {
+    subject
+    value
+    message
+    since
+  }
+`
+
+const GET_ALERT_RULES_QUERY = gql`
+  query GetAlertRules {
+    alertRules { ${ALERT_RULE_FIELDS} }
+    taskStats {
+      taskIdentifier
+    }
+    queueStats {
+      queueName
+    }
+  }
+`
+
+const SAVE_ALERT_RULE_MUTATION = gql`
+  mutation SaveAlertRule($id: Int, $name: String!, $kind: String!, $params: JSON, $channels: JSON, $enabled: Boolean, $reason: String) {
+    saveAlertRule(id: $id, name: $name, kind: $kind, params: $params, channels: $channels, enabled: $enabled, reason: $reason) {
+      ${ALERT_RULE_FIELDS}
+    }
+  }
+`
+
+const DELETE_ALERT_RULE_MUTATION = gql`
+  mutation DeleteAlertRule($id: Int!, $reason: String) {
+    deleteAlertRule(id: $id, reason: $reason)
+  }
+`
+
+const TEST_ALERT_CHANNELS_MUTATION = gql`
+  mutation TestAlertChannels($channels: JSON!) {
+    testAlertChannels(channels: $channels) {
+      type
+      target
+      ok
+      error
+    }
+  }
+`
+
+const inputClass = 'px-3 py-2 w-full border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500'
+
+const emptyRule = {
+  id: null,
+  name: '',
+  kind: 'failed_jobs',
+  params: defaultParams('failed_jobs'),
+  channels: [],
+  enabled: true,
+}
+
+// Form values are strings; empty names mean every task or queue
+const toFormParams = (kind, params) => Object.fromEntries(
+  getRuleKind(kind).params.map(p => [p.key, params?.[p.key] == null ? '' : String(params[p.key])])
+)
+
+const fromFormParams = (kind, params) => Object.fromEntries(
+  getRuleKind(kind).params.map(p => {
+    const value = params[p.key].trim()
+    if (p.type === 'number') return [p.key, value === '' ? p.default : Number(value)]
+    return [p.key, value || null]
+  })
+)
+
+const channelTarget = (channel) => channel[getChannelType(channel.type)?.field] || ''
+
+function ChannelsEditor({ channels, onChange, smtpConfigured }) {
+  const update = (index, changes) => onChange(channels.map((c, i) => (i === index ? { ...c, ...changes } : c)))
+
+  return (
+    <div className="space-y-2">
+      {channels.map((channel, index) => {
+        const type = getChannelType(channel.type)
+        return (
+          <div key={index} className="flex items-start space-x-2">
+            <select
+              value={channel.type}
+              onChange={(e) => {
+                const next = getChannelType(e.target.value)
+                onChange(channels.map((c, i) => (i === index ? { type: next.value, [next.field]: channelTarget(c) } : c)))
+              }}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+            >
+              {CHANNEL_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+            </select>
+            <div className="flex-1">
+              <input
+                required
+                value={channelTarget(channel)}
+                onChange={(e) => update(index, { [type.field]: e.target.value })}
+                placeholder={type.placeholder}
+                className={inputClass}
+              />
+              <span className="mt-1 block text-xs text-gray-500">
+                {type.description}
+                {type.value === 'email' && !smtpConfigured && <span className="text-yellow-700"> (not configured on this backend)</span>}
+              </span>
+            </div>
+            <button
+              type="button"
+              onClick={() => onChange(channels.filter((_, i) => i !== index))}
+              className="p-2 text-gray-400 hover:text-red-600"
+              title="Remove channel"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+        )
+      })}
+      <button
+        type="button"
+        onClick={() => onChange([...channels, { type: 'webhook', url: '' }])}
+        className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+      >
+        <Plus className="h-4 w-4 mr-1" /> Add channel
+      </button>
+    </div>
+  )
+}
+
+function RuleEditor({ rule, taskOptions, queueOptions, smtpConfigured, onCancel, onSaved }) {
+  const [form, setForm] = useState(() => ({
+    name: rule.name,
+    kind: rule.kind,
+    params: toFormParams(rule.kind, rule.params),
+    channels: rule.channels,
+    enabled: rule.enabled,
+  }))
+  const [reason, setReason] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [testing, setTesting] = useState(false)
+  const [saveRule] = useMutation(SAVE_ALERT_RULE_MUTATION)
+  const [testChannels] = useMutation(TEST_ALERT_CHANNELS_MUTATION)
+
+  const kind = getRuleKind(form.kind)
+  const setParam = (key) => (e) => setForm(prev => ({ ...prev, params: { ...prev.params, [key]: e.target.value } }))
+
+  const handleKindChange = (e) => {
+    const next = e.target.value
+    setForm(prev => ({ ...prev, kind: next, params: toFormParams(next, defaultParams(next)) }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      await saveRule({
+        variables: {
+          id: rule.id,
+          name: form.name.trim(),
+          kind: form.kind,
+          params: fromFormParams(form.kind, form.params),
+          channels: form.channels,
+          enabled: form.enabled,
+          reason: reason.trim() || undefined,
+        },
+      })
+      toast.success(`Alert rule "${form.name.trim()}" saved`)
+      onSaved()
+    } catch (error) {
+      toast.error(`Failed to save alert rule: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleTest = async () => {
+    setTesting(true)
+    try {
+      const { data } = await testChannels({ variables: { channels: form.channels } })
+      const failed = data.testAlertChannels.filter(d => !d.ok)
+      if (failed.length > 0) {
+        toast.error(failed.map(d => `${d.type} ${d.target}: ${d.error}`).join('\n'))
+      } else {
+        toast.success(`Test notification sent to ${data.testAlertChannels.length} channel(s)`)
+      }
+    } catch (error) {
+      toast.error(`Failed to send test notification: ${error.message}`)
+    } finally {
+      setTesting(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-sm border border-blue-200 p-6 space-y-5">
+      <h3 className="text-lg font-semibold text-gray-900">{rule.id ? 'Edit alert rule' : 'New alert rule'}</h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Name</span>
+          <input
+            required
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            className={`mt-1 ${inputClass}`}
+          />
+        </label>
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Condition</span>
+          <select value={form.kind} onChange={handleKindChange} className={`mt-1 ${inputClass}`}>
+            {RULE_KINDS.map(k => <option key={k.value} value={k.value}>{k.label}</option>)}
+          </select>
+          <span className="mt-1 block text-xs text-gray-500">{kind.description}</span>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {kind.params.map(param => (
+          <label key={param.key} className="block">
+            <span className="text-sm font-medium text-gray-700">
+              {param.label}
+              {param.unit && <span className="font-normal text-gray-500"> ({param.unit})</span>}
+            </span>
+            {param.type === 'number' ? (
+              <input
+                type="number"
+                required
+                min={param.min}
+                max={param.max}
+                value={form.params[param.key]}
+                onChange={setParam(param.key)}
+                className={`mt-1 ${inputClass}`}
+              />
+            ) : (
+              <input
+                list={`alert-rule-${param.type}s`}
+                value={form.params[param.key]}
+                onChange={setParam(param.key)}
+                placeholder={param.placeholder}
+                className={`mt-1 ${inputClass}`}
+              />
+            )}
+          </label>
+        ))}
+        <datalist id="alert-rule-tasks">
+          {taskOptions.map(task => <option key={task} value={task} />)}
+        </datalist>
+        <datalist id="alert-rule-queues">
+          {queueOptions.map(queue => <option key={queue} value={queue} />)}
+        </datalist>
+      </div>
+
+      <div>
+        <div className="text-sm font-medium text-gray-700 mb-2">Notify</div>
+        <ChannelsEditor
+          channels={form.channels}
+          onChange={(channels) => setForm(prev => ({ ...prev, channels }))}
+          smtpConfigured={smtpConfigured}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Reason</span>
+          <input
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Optional; recorded in the audit log"
+            className={`mt-1 ${inputClass}`}
+          />
+        </label>
+        <label className="inline-flex items-center space-x-2 text-sm text-gray-700 pb-2">
+          <input
+            type="checkbox"
+            checked={form.enabled}
+            onChange={(e) => setForm(prev => ({ ...prev, enabled: e.target.checked }))}
+            className="rounded border-gray-300"
+          />
+          <span>Enabled</span>
+        </label>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          onClick={handleTest}
+          disabled={testing || form.channels.length === 0}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          title="Send a sample notification to these channels"
+        >
+          <Send className="h-4 w-4 mr-1" />
+          {testing ? 'Sending...' : 'Send test'}
+        </button>
+        <div className="flex items-center space-x-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save rule'}
+          </button>
+        </div>
+      </div>
+    </form>
+  )
+}
+
+const AlertRules = ({ smtpConfigured }) => {
+  const { formatDate } = useSettings()
+  const isAdmin = useAuth().can('admin')
+  const [editing, setEditing] = useState(null)
+  const rulesQuery = useQuery(GET_ALERT_RULES_QUERY, {
+    pollInterval: 30000,
+    fetchPolicy: 'cache-and-network',
+  })
+  const { loading, error, refetch } = rulesQuery
+  const data = rulesQuery.data ?? rulesQuery.previousData
+  const [saveRule] = useMutation(SAVE_ALERT_RULE_MUTATION)
+  const [deleteRule] = useMutation(DELETE_ALERT_RULE_MUTATION)
+
+  const rules = data?.alertRules || []
+  const taskOptions = (data?.taskStats || []).map(t => t.taskIdentifier)
+  const queueOptions = (data?.queueStats || []).map(q => q.queueName).filter(Boolean)
+
+  const handleToggle = async (rule) => {
+    const reason = promptReason(`${rule.enabled ? 'Disable' : 'Enable'} alert rule "${rule.name}"?`)
+    if (reason === null) return
+    try {
+      const { id, name, kind, params, channels } = rule
+      await saveRule({ variables: { id, name, kind, params, channels, enabled: !rule.enabled, reason } })
+      toast.success(`Alert rule "${rule.name}" ${rule.enabled ? 'disabled' : 'enabled'}`)
+      refetch()
+    } catch (err) {
+      toast.error(`Failed to update alert rule: ${err.message}`)
+    }
+  }
+
+  const handleDelete = async (rule) => {
+    const reason = promptReason(`Delete alert rule "${rule.name}"? Its history is kept.`)
+    if (reason === null) return
+    try {
+      await deleteRule({ variables: { id: rule.id, reason } })
+      toast.success(`Alert rule "${rule.name}" deleted`)
+      refetch()
+    } catch (err) {
+      toast.error(`Failed to delete alert rule: ${err.message}`)
+    }
+  }
+
+  const editorProps = {
+    taskOptions,
+    queueOptions,
+    smtpConfigured,
+    onCancel: () => setEditing(null),
+    onSaved: () => { setEditing(null); refetch() },
+  }
+
+  if (loading && !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="h-6 bg-gray-200 rounded w-1/3 mb-4 animate-pulse"></div>
+        {[...Array(4)].map((_, i) => (
+          <div key={i} className="h-16 bg-gray-100 rounded mb-2 animate-pulse"></div>
+        ))}
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      {editing === 'new' && <RuleEditor rule={emptyRule} {...editorProps} />}
+
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between flex-wrap gap-3">
+          <div className="flex items-center space-x-2">
+            <BellRing className="h-5 w-5 text-gray-500" />
+            <h2 className="text-lg font-medium text-gray-900">Alert Rules</h2>
+            <span className="text-sm text-gray-500">
+              {rules.length} rule{rules.length === 1 ? '' : 's'}, {rules.filter(r => r.firing.length > 0).length} firing
+            </span>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => refetch()}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <RefreshCw className={`h-4 w-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+            {isAdmin && (
+              <button
+                onClick={() => setEditing('new')}
+                disabled={editing !== null}
+                className="inline-flex items-center px-3 py-1.5 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                <Plus className="h-4 w-4 mr-1" />
+                New rule
+              </button>
+            )}
+          </div>
+        </div>
+
+        {error && <div className="px-6 py-3 text-sm text-red-600">{error.message}</div>}
+
+        <div className="divide-y divide-gray-200">
+          {rules.length === 0 ? (
+            <div className="px-6 py-12 text-center text-sm text-gray-600">No alert rules defined.</div>
+          ) : (
+            rules.map(rule => editing === rule.id ? (
+              <div key={rule.id} className="p-4">
+                <RuleEditor rule={rule} {...editorProps} />
+              </div>
+            ) : (
+              <div key={rule.id} className={`px-6 py-4 ${rule.enabled ? '' : 'opacity-60'}`}>
+                <div className="flex items-start justify-between">
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center flex-wrap gap-2">
+                      <span className="text-sm font-medium text-gray-900">{rule.name}</span>
+                      {rule.firing.length > 0 ? (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                          <XCircle className="h-3 w-3 mr-1" />
+                          Firing ({rule.firing.length})
+                        </span>
+                      ) : rule.enabled ? (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                          <CheckCircle2 className="h-3 w-3 mr-1" />
+                          OK
+                        </span>
+                      ) : (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                          Disabled
+                        </span>
+                      )}
+                    </div>
+                    <div className="mt-1 text-xs text-gray-600">
+                      {getRuleKind(rule.kind)?.label || rule.kind}: {describeRule(rule.kind, rule.params)}
+                    </div>
+                    <div className="mt-1 flex flex-wrap gap-1">
+                      {rule.channels.length === 0 ? (
+                        <span className="text-xs text-gray-400">No channels; events are only recorded</span>
+                      ) : rule.channels.map((channel, i) => (
+                        <span key={i} className="inline-flex items-center px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-800">
+                          {getChannelType(channel.type)?.label || channel.type}: <span className="ml-1 font-mono truncate max-w-xs">{channelTarget(channel)}</span>
+                        </span>
+                      ))}
+                    </div>
+                    {rule.firing.length > 0 && (
+                      <ul className="mt-2 space-y-1">
+                        {rule.firing.map(f => (
+                          <li key={f.subject} className="text-xs text-red-700">
+                            {f.message}
+                            <span className="text-gray-500" title={formatDate(f.since)}>
+                              {' '}• since {formatDistanceToNow(new Date(f.since), { addSuffix: true })}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {rule.updatedAt && (
+                      <div className="mt-1 text-xs text-gray-400" title={formatDate(rule.updatedAt)}>
+                        Updated {formatDistanceToNow(new Date(rule.updatedAt), { addSuffix: true })}
+                        {rule.updatedBy && ` by ${rule.updatedBy}`}
+                      </div>
+                    )}
+                  </div>
+                  {isAdmin && (
+                    <div className="flex items-center space-x-2 ml-3">
+                      <button
+                        onClick={() => handleToggle(rule)}
+                        disabled={editing !== null}
+                        className="px-2 py-1 text-xs font-medium rounded text-gray-700 bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+                      >
+                        {rule.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button
+                        onClick={() => setEditing(rule.id)}
+                        disabled={editing !== null}
+                        className="p-1 text-gray-400 hover:text-blue-600 disabled:opacity-50"
+                        title="Edit rule"
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(rule)}
+                        disabled={editing !== null}
+                        className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                        title="Delete rule"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AlertRules
@@ -0,0 +1,87 @@
+import React from 'react'
+import { useQuery } from '@apollo/client'
+import { gql } from '@apollo/client'
+import { NavLink, Routes, Route, Navigate } from 'react-router-dom'
+import { formatDistanceToNow } from 'date-fns'
+import { AlertTriangle, BellRing, History as HistoryIcon } from 'lucide-react'
+import AlertRules from './AlertRules'
+import AlertHistory from './AlertHistory'
+import useSettings from '../hooks/useSettings'
+
+const GET_ALERT_ENGINE_QUERY = gql`
+  query GetAlertEngine {
+    alertEngine {
+      enabled
+      intervalSeconds
+      lastEvaluatedAt
+      lastError
+      smtpConfigured
+    }
+  }
+`
+
+const TABS = [
+  { path: '/alerts', label: 'Rules', icon: BellRing },
+  { path: '/alerts/history', label: 'History', icon: HistoryIcon },
+]
+
+// Whether this backend evaluates the rules, and how the last run went
+function EngineStatus({ engine }) {
+  const { formatDate } = useSettings()
+  if (!engine.enabled) {
+    return (
+      <div className="bg-yellow-50 border border-yellow-200 rounded p-3 text-sm text-yellow-800 flex items-start">
+        <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+        <span>
+          Rule evaluation is disabled on this backend. Set ENABLE_ALERTS=true on one instance to evaluate
+          the rules and send notifications; rules can still be edited here.
+        </span>
+      </div>
+    )
+  }
+  return (
+    <div className="text-xs text-gray-500 space-x-2">
+      <span>Rules are evaluated every {engine.intervalSeconds}s</span>
+      {engine.lastEvaluatedAt && (
+        <span title={formatDate(engine.lastEvaluatedAt)}>
+          • last run {formatDistanceToNow(new Date(engine.lastEvaluatedAt), { addSuffix: true })}
+        </span>
+      )}
+      {!engine.smtpConfigured && <span>• email channels need SMTP_HOST</span>}
+      {engine.lastError && <span className="text-red-600">• last run failed: {engine.lastError}</span>}
+    </div>
+  )
+}
+
+const Alerts = () => {
+  const { data } = useQuery(GET_ALERT_ENGINE_QUERY, { pollInterval: 30000 })
+  const engine = data?.alertEngine
+
+  return (
+    <div className="space-y-4">
+      <div className="flex space-x-2 border-b border-gray-200">
+        {TABS.map(tab => (
+          <NavLink
+            key={tab.path}
+            to={tab.path}
+            end
+            className={({ isActive }) => `inline-flex items-center px-4 py-2 -mb-px text-sm font-medium border-b-2 ${
+              isActive ? 'text-blue-700 border-blue-700' : 'text-gray-500 border-transparent hover:text-gray-700'
+            }`}
+          >
+            <tab.icon className="h-4 w-4 mr-1" />
+            {tab.label}
+          </NavLink>
+        ))}
+      </div>
+      {engine && <EngineStatus engine={engine} />}
+      <Routes>
+        <Route index element={<AlertRules smtpConfigured={engine?.smtpConfigured ?? true} />} />
+        <Route path="history" element={<AlertHistory />} />
+        <Route path="*" element={<Navigate to="/alerts" replace />} />
+      </Routes>
+    </div>
+  )
+}
+
+export default Alerts
@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react'
+import { useQuery } from '@apollo/client'
+import { gql } from '@apollo/client'
+import { formatDistanceToNow } from 'date-fns'
+import { ShieldCheck, Search, RefreshCw, ChevronDown, ChevronUp } from 'lucide-react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import Pagination from './Pagination'
+import useSettings from '../hooks/useSettings'
+
+const GET_AUDIT_LOG_QUERY = gql`
+  query GetAuditLog($first: Int, $offset: Int, $username: String, $action: String, $jobId: String) {
+    auditLog(first: $first, offset: $offset, username: $username, action: $action, jobId: $jobId) {
+      totalCount
+      usernames
+      actions
+      nodes {
+        id
+        at
+        username
+        role
+        action
+        jobIds
+        target
+        reason
+        details
+        before
+        after
+      }
+    }
+  }
+`
+
+const ACTION_LABELS = {
+  retryJob: 'Retried job',
+  cancelJob: 'Cancelled job',
+  completeJob: 'Completed job',
+  enqueueJob: 'Enqueued job',
+  importJobs: 'Imported jobs',
+  updateJob: 'Edited job',
+  unlockWorker: 'Unlocked worker',
+  unlockQueue: 'Released queue lock',
+  bulkRetryJobs: 'Retried jobs',
+  bulkCancelJobs: 'Cancelled jobs',
+  bulkCompleteJobs: 'Completed jobs',
+  pruneJobHistory: 'Pruned history',
+  saveAlertRule: 'Saved alert rule',
+  deleteAlertRule: 'Deleted alert rule',
+  testAlertChannels: 'Tested alert channels',
+}
+
+const MAX_JOB_LINKS = 5
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—'
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+// Field-level changes per job between the before and after snapshots
+const jobChanges = (before, after) => {
+  const ids = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+  return ids.sort((a, b) => Number(a) - Number(b)).map(id => {
+    const prev = before?.[id]
+    const next = after?.[id]
+    if (!next) return { id, note: 'deleted', fields: [] }
+    if (!prev) return { id, note: 'created', fields: [] }
+    const fields = Object.keys({ ...prev, ...next })
+      .filter(field => JSON.stringify(prev[field]) !== JSON.stringify(next[field]))
+      .map(field => ({ field, before: prev[field], after: next[field] }))
+    return { id, note: fields.length === 0 ? 'unchanged' : null, fields }
+  })
+}
+
+const AuditLog = () => {
+  const navigate = useNavigate()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [username, setUsername] = useState(() => searchParams.get('user') || 'all')
+  const [action, setAction] = useState(() => searchParams.get('action') || 'all')
+  const [jobIdInput, setJobIdInput] = useState(() => searchParams.get('job') || '')
+  const [jobId, setJobId] = useState(jobIdInput.trim())
+  const [currentPage, setCurrentPage] = useState(() => Math.max(0, (parseInt(searchParams.get('page') || '1', 10) || 1) - 1))
+  const [expandedId, setExpandedId] = useState(null)
+  const { settings, formatDate } = useSettings()
+  const pageSize = settings.pageSize
+
+  useEffect(() => {
+    const timer = setTimeout(() => setJobId(jobIdInput.trim()), 300)
+    return () => clearTimeout(timer)
+  }, [jobIdInput])
+
+  // Keep the URL shareable
+  useEffect(() => {
+    const params = new URLSearchParams()
+    if (username !== 'all') params.set('user', username)
+    if (action !== 'all') params.set('action', action)
+    if (jobId) params.set('job', jobId)
+    if (currentPage > 0) params.set('page', String(currentPage + 1))
+    setSearchParams(params, { replace: true })
+  }, [username, action, jobId, currentPage, setSearchParams])
+
+  const validJobId = /^\d+$/.test(jobId)
+  const auditQuery = useQuery(GET_AUDIT_LOG_QUERY, {
+    variables: {
+      first: pageSize,
+      offset: currentPage * pageSize,
+      username: username !== 'all' ? username : undefined,
+      action: action !== 'all' ? action : undefined,
+      jobId: validJobId ? jobId : undefined,
+    },
+    fetchPolicy: 'cache-and-network',
+  })
+  const { loading, error, refetch } = auditQuery
+  // Keep showing the previous page while a new filter loads
+  const data = auditQuery.data ?? auditQuery.previousData
+
+  const entries = data?.auditLog?.nodes || []
+  const totalCount = data?.auditLog?.totalCount || 0
+  const totalPages = Math.ceil(totalCount / pageSize)
+
+  if (loading && !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="h-6 bg-gray-200 rounded w-1/3 mb-4 animate-pulse"></div>
+        {[...Array(8)].map((_, i) => (
+          <div key={i} className="h-12 bg-gray-100 rounded mb-2 animate-pulse"></div>
+        ))}
+      </div>
+    )
+  }
+
+  if (error && !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center space-x-2 mb-4">
+          <ShieldCheck className="h-5 w-5 text-gray-500" />
+          <h2 className="text-lg font-medium text-gray-900">Audit Log</h2>
+        </div>
+        <div className="text-sm text-gray-600">{error.message}</div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 space-y-4">
+        <div className="flex items-center justify-between flex-wrap gap-3">
+          <div className="flex items-center space-x-2">
+            <ShieldCheck className="h-5 w-5 text-gray-500" />
+            <h2 className="text-lg font-medium text-gray-900">Audit Log</h2>
+            <span className="text-sm text-gray-500">{totalCount.toLocaleString()} recorded actions</span>
+          </div>
+          <button
+            onClick={() => refetch()}
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <RefreshCw className={`h-4 w-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <select
+            value={username}
+            onChange={(e) => { setUsername(e.target.value); setCurrentPage(0) }}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="all">All Users</option>
+            {(data?.auditLog?.usernames || []).map(u => (
+              <option key={u} value={u}>{u}</option>
+            ))}
+          </select>
+          <select
+            value={action}
+            onChange={(e) => { setAction(e.target.value); setCurrentPage(0) }}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="all">All Actions</option>
+            {(data?.auditLog?.actions || []).map(a => (
+              <option key={a} value={a}>{ACTION_LABELS[a] || a}</option>
+            ))}
+          </select>
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <input
+              type="text"
+              inputMode="numeric"
+              placeholder="Job id"
+              value={jobIdInput}
+              onChange={(e) => { setJobIdInput(e.target.value); setCurrentPage(0) }}
+              className={`pl-10 pr-4 py-2 w-full border rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 ${
+                jobId && !validJobId ? 'border-red-400' : 'border-gray-300'
+              }`}
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="divide-y divide-gray-200">
+        {entries.length === 0 ? (
+          <div className="px-6 py-12 text-center text-sm text-gray-600">No recorded actions found.</div>
+        ) : (
+          entries.map((entry) => {
+            const isExpanded = expandedId === entry.id
+            const { result, ...args } = entry.details || {}
+            return (
+              <div
+                key={entry.id}
+                className={`px-6 py-4 hover:bg-gray-50 cursor-pointer ${isExpanded ? 'bg-blue-50' : ''}`}
+                onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+              >
+                <div className="flex items-center justify-between">
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center flex-wrap gap-x-2">
+                      <span className="text-sm font-medium text-gray-900">{ACTION_LABELS[entry.action] || entry.action}</span>
+                      {entry.target && (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-mono bg-gray-100 text-gray-800">
+                          {entry.target}
+                        </span>
+                      )}
+                      {entry.jobIds.slice(0, MAX_JOB_LINKS).map(id => (
+                        <button
+                          key={id}
+                          onClick={(e) => { e.stopPropagation(); navigate(`/jobs/${id}`) }}
+                          className="text-xs text-blue-600 hover:text-blue-800"
+                        >
+                          #{id}
+                        </button>
+                      ))}
+                      {entry.jobIds.length > MAX_JOB_LINKS && (
+                        <span className="text-xs text-gray-500">+{entry.jobIds.length - MAX_JOB_LINKS} more</span>
+                      )}
+                    </div>
+                    <div className="mt-1 text-xs text-gray-500">
+                      <span title={formatDate(entry.at)}>
+                        {formatDistanceToNow(new Date(entry.at), { addSuffix: true })}
+                      </span>
+                      <span className="ml-2">• by {entry.username}</span>
+                      {entry.role && <span className="ml-1">({entry.role})</span>}
+                    </div>
+                    {entry.reason && (
+                      <p className="mt-1 text-xs text-gray-700 italic truncate">“{entry.reason}”</p>
+                    )}
+                  </div>
+                  {isExpanded ? <ChevronUp className="h-4 w-4 text-gray-400" /> : <ChevronDown className="h-4 w-4 text-gray-400" />}
+                </div>
+
+                {isExpanded && (
+                  <div className="mt-4 bg-white rounded border border-blue-100 p-4 text-sm space-y-4" onClick={(e) => e.stopPropagation()}>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div className="space-y-1 text-gray-800">
+                        <div><span className="text-gray-500">When:</span> {formatDate(entry.at)}</div>
+                        <div><span className="text-gray-500">Action:</span> <span className="font-mono">{entry.action}</span></div>
+                        <div><span className="text-gray-500">Result:</span> {formatValue(result)}</div>
+                        <div><span className="text-gray-500">Jobs:</span> {entry.jobIds.length}</div>
+                      </div>
+                      {Object.keys(args).length > 0 && (
+                        <div>
+                          <div className="text-gray-500 mb-1">Arguments</div>
+                          <pre className="bg-gray-50 p-2 rounded overflow-auto max-h-48 text-xs">{JSON.stringify(args, null, 2)}</pre>
+                        </div>
+                      )}
+                    </div>
+
+                    {(entry.before || entry.after) && (
+                      <div>
+                        <div className="text-gray-500 mb-1">Changes</div>
+                        <div className="border border-gray-200 rounded divide-y divide-gray-100">
+                          {jobChanges(entry.before, entry.after).map(change => (
+                            <div key={change.id} className="px-3 py-2">
+                              <button
+                                onClick={() => navigate(`/jobs/${change.id}`)}
+                                className="text-xs font-medium text-blue-600 hover:text-blue-800"
+                              >
+                                Job #{change.id}
+                              </button>
+                              {change.note && <span className="ml-2 text-xs text-gray-500">{change.note}</span>}
+                              {change.fields.map(f => (
+                                <div key={f.field} className="grid grid-cols-3 gap-4 mt-1 text-xs">
+                                  <div className="text-gray-500">{f.field}</div>
+                                  <div className="text-red-700 line-through break-all">{formatValue(f.before)}</div>
+                                  <div className="text-green-700 break-all">{formatValue(f.after)}</div>
+                                </div>
+                              ))}
+                            </div>
+                          ))}
+                        </div>
+                        {entry.jobIds.length > Object.keys({ ...entry.before, ...entry.after }).length && (
+                          <p className="mt-1 text-xs text-gray-500">Snapshots cover the first 100 jobs only.</p>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )
+          })
+        )}
+      </div>
+
+      {totalPages > 1 && (
+        <Pagination
+          currentPage={currentPage}
+          totalPages={totalPages}
+          totalCount={totalCount}
+          pageSize={pageSize}
+          hasNextPage={currentPage + 1 < totalPages}
+          hasPreviousPage={currentPage > 0}
+          onPageChange={(p) => setCurrentPage(p)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default AuditLog
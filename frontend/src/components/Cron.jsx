@@ -0,0 +1,360 @@
+import React, { useState } from 'react'
+import { useQuery, useMutation } from '@apollo/client'
+import { gql } from '@apollo/client'
+import { formatDistanceToNow } from 'date-fns'
+import { Repeat, RefreshCw, ClipboardPaste, Play, AlertTriangle, ChevronDown, ChevronUp } from 'lucide-react'
+import { useNavigate } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import useAuth from '../hooks/useAuth'
+import useSettings from '../hooks/useSettings'
+import { promptReason } from '../utils/reason'
+
+const GET_CRON_SCHEDULE_QUERY = gql`
+  query GetCronSchedule($crontab: String) {
+    cronSchedule(crontab: $crontab) {
+      source
+      crontabFile
+      errors {
+        line
+        message
+      }
+      entries {
+        identifier
+        inCrontab
+        known
+        taskIdentifier
+        schedule
+        queueName
+        priority
+        maxAttempts
+        jobKey
+        jobKeyMode
+        fill
+        payload
+        knownSince
+        lastExecution
+        nextRun
+        missedRunCount
+        missedRuns {
+          at
+          backfill
+        }
+        backfilledJobCount
+      }
+    }
+  }
+`
+
+const RUN_CRON_NOW_MUTATION = gql`
+  mutation RunCronNow(
+    $identifier: String!
+    $payload: JSON
+    $queueName: String
+    $maxAttempts: Int
+    $jobKey: String
+    $jobKeyMode: String
+    $priority: Int
+    $reason: String
+  ) {
+    enqueueJob(
+      identifier: $identifier
+      payload: $payload
+      queueName: $queueName
+      maxAttempts: $maxAttempts
+      jobKey: $jobKey
+      jobKeyMode: $jobKeyMode
+      priority: $priority
+      reason: $reason
+    )
+  }
+`
+
+// A pasted crontab stays in this browser until cleared
+const CRONTAB_KEY = 'cron.crontab'
+
+const loadCrontab = () => {
+  try {
+    return localStorage.getItem(CRONTAB_KEY) || ''
+  } catch {
+    return ''
+  }
+}
+
+const saveCrontab = (value) => {
+  try {
+    if (value) localStorage.setItem(CRONTAB_KEY, value)
+    else localStorage.removeItem(CRONTAB_KEY)
+  } catch {
+    // Storage unavailable (private mode); the crontab lasts until reload
+  }
+}
+
+const relative = (date) => formatDistanceToNow(new Date(date), { addSuffix: true })
+
+const Cron = () => {
+  const navigate = useNavigate()
+  const canOperate = useAuth().can('operator')
+  const { formatDate } = useSettings()
+  const [crontab, setCrontab] = useState(loadCrontab)
+  const [draft, setDraft] = useState(crontab)
+  const [editing, setEditing] = useState(false)
+  const [expandedId, setExpandedId] = useState(null)
+
+  // Cron runs at most once a minute, so neither can the schedule change faster
+  const cronQuery = useQuery(GET_CRON_SCHEDULE_QUERY, {
+    variables: { crontab: crontab || undefined },
+    fetchPolicy: 'cache-and-network',
+    pollInterval: 60000,
+  })
+  const { loading, error, refetch } = cronQuery
+  const data = cronQuery.data ?? cronQuery.previousData
+  const [runCronNow] = useMutation(RUN_CRON_NOW_MUTATION)
+
+  const schedule = data?.cronSchedule
+  const entries = schedule?.entries || []
+
+  const applyCrontab = (value) => {
+    setCrontab(value)
+    setDraft(value)
+    saveCrontab(value)
+    setEditing(false)
+  }
+
+  // Enqueue the job the way the worker would for a scheduled run
+  const handleRunNow = async (entry, e) => {
+    e.stopPropagation()
+    const reason = promptReason(`Run ${entry.identifier} (${entry.taskIdentifier}) now?`)
+    if (reason === null) return
+    try {
+      const { data: result } = await runCronNow({
+        variables: {
+          identifier: entry.taskIdentifier,
+          payload: { ...entry.payload, _cron: { ts: new Date().toISOString(), backfilled: false } },
+          queueName: entry.queueName,
+          maxAttempts: entry.maxAttempts,
+          jobKey: entry.jobKey,
+          jobKeyMode: entry.jobKeyMode,
+          priority: entry.priority,
+          reason: reason || undefined,
+        },
+      })
+      toast.success(`Enqueued job #${result.enqueueJob}`)
+    } catch (err) {
+      toast.error(`Failed to run ${entry.identifier}: ${err.message}`)
+    }
+  }
+
+  if (loading && !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="h-6 bg-gray-200 rounded w-1/3 mb-4 animate-pulse"></div>
+        {[...Array(5)].map((_, i) => (
+          <div key={i} className="h-12 bg-gray-100 rounded mb-2 animate-pulse"></div>
+        ))}
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 space-y-3">
+        <div className="flex items-center justify-between flex-wrap gap-3">
+          <div className="flex items-center space-x-2">
+            <Repeat className="h-5 w-5 text-gray-500" />
+            <h2 className="text-lg font-medium text-gray-900">Cron</h2>
+            <span className="text-sm text-gray-500">
+              {schedule?.source === 'pasted' && 'Schedules from the pasted crontab'}
+              {schedule?.source === 'file' && <>Schedules from <span className="font-mono">{schedule.crontabFile}</span></>}
+              {schedule && !schedule.source && 'No crontab configured; paste one to see schedules'}
+            </span>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setEditing(!editing)}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <ClipboardPaste className="h-4 w-4 mr-1" />
+              {crontab ? 'Edit pasted crontab' : 'Paste crontab'}
+            </button>
+            <button
+              onClick={() => refetch()}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <RefreshCw className={`h-4 w-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        {editing && (
+          <div className="space-y-2">
+            <textarea
+              rows={8}
+              spellCheck={false}
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              placeholder={'# minute hour day month weekday task ?options {payload}\n0 4 * * * send_digest ?fill=1d {"kind":"daily"}'}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm font-mono focus:ring-blue-500 focus:border-blue-500"
+            />
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => applyCrontab(draft.trim() ? draft : '')}
+                className="inline-flex items-center px-3 py-1.5 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+              >
+                Apply
+              </button>
+              {crontab && (
+                <button
+                  onClick={() => applyCrontab('')}
+                  className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  {schedule?.crontabFile ? 'Use the configured file' : 'Clear'}
+                </button>
+              )}
+              <span className="text-xs text-gray-500">Kept in this browser only. Times are UTC, as in Graphile Worker.</span>
+            </div>
+          </div>
+        )}
+
+        {error && <div className="text-sm text-red-600">{error.message}</div>}
+        {schedule?.errors?.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded p-3 text-sm text-yellow-800 space-y-1">
+            {schedule.errors.map(err => (
+              <div key={`${err.line}-${err.message}`} className="flex items-start">
+                <AlertTriangle className="h-4 w-4 mr-1 mt-0.5 flex-shrink-0" />
+                {err.line > 0 ? `Line ${err.line}: ` : ''}{err.message}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="divide-y divide-gray-200">
+        {entries.length === 0 ? (
+          <div className="px-6 py-12 text-center text-sm text-gray-600">No recurring tasks found.</div>
+        ) : (
+          entries.map(entry => {
+            const isExpanded = expandedId === entry.identifier
+            const backfillCount = entry.missedRuns.filter(run => run.backfill).length
+            return (
+              <div
+                key={entry.identifier}
+                className={`px-6 py-4 hover:bg-gray-50 cursor-pointer ${isExpanded ? 'bg-blue-50' : ''}`}
+                onClick={() => setExpandedId(isExpanded ? null : entry.identifier)}
+              >
+                <div className="flex items-center justify-between">
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center flex-wrap gap-2">
+                      <span className="text-sm font-medium text-gray-900">{entry.identifier}</span>
+                      {entry.schedule && (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-mono bg-gray-100 text-gray-800">
+                          {entry.schedule}
+                        </span>
+                      )}
+                      {entry.taskIdentifier && entry.taskIdentifier !== entry.identifier && (
+                        <span className="text-xs text-gray-500">→ {entry.taskIdentifier}</span>
+                      )}
+                      {!entry.inCrontab && (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-600">
+                          Not in crontab
+                        </span>
+                      )}
+                      {entry.inCrontab && !entry.known && (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                          Not registered by a worker yet
+                        </span>
+                      )}
+                      {entry.missedRunCount > 0 && (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                          {entry.missedRunCount.toLocaleString()} missed{backfillCount > 0 ? `, ${backfillCount} to backfill` : ''}
+                        </span>
+                      )}
+                    </div>
+                    <div className="mt-1 text-xs text-gray-500 space-x-2">
+                      <span title={entry.lastExecution ? formatDate(entry.lastExecution) : undefined}>
+                        Last run {entry.lastExecution ? relative(entry.lastExecution) : 'never'}
+                      </span>
+                      {entry.inCrontab && (
+                        <span title={entry.nextRun ? formatDate(entry.nextRun) : undefined}>
+                          • Next run {entry.nextRun ? relative(entry.nextRun) : 'never'}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {canOperate && entry.inCrontab && (
+                      <button
+                        onClick={(e) => handleRunNow(entry, e)}
+                        className="inline-flex items-center px-2 py-1 text-xs font-medium rounded text-blue-700 bg-blue-100 hover:bg-blue-200"
+                      >
+                        <Play className="h-3 w-3 mr-1" />
+                        Run now
+                      </button>
+                    )}
+                    {isExpanded ? <ChevronUp className="h-4 w-4 text-gray-400" /> : <ChevronDown className="h-4 w-4 text-gray-400" />}
+                  </div>
+                </div>
+
+                {isExpanded && (
+                  <div className="mt-4 bg-white rounded border border-blue-100 p-4 text-sm space-y-4" onClick={(e) => e.stopPropagation()}>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div className="space-y-1 text-gray-800">
+                        <div><span className="text-gray-500">Task:</span> {entry.taskIdentifier || '—'}</div>
+                        <div><span className="text-gray-500">Queue:</span> {entry.queueName || '—'}</div>
+                        <div><span className="text-gray-500">Priority:</span> {entry.priority ?? '—'}</div>
+                        <div><span className="text-gray-500">Max attempts:</span> {entry.maxAttempts ?? '—'}</div>
+                        <div><span className="text-gray-500">Job key:</span> {entry.jobKey ? `${entry.jobKey} (${entry.jobKeyMode || 'replace'})` : '—'}</div>
+                        <div><span className="text-gray-500">Backfill period:</span> {entry.fill || 'none'}</div>
+                        <div><span className="text-gray-500">Known since:</span> {entry.knownSince ? formatDate(entry.knownSince) : '—'}</div>
+                        <div><span className="text-gray-500">Last run:</span> {entry.lastExecution ? formatDate(entry.lastExecution) : '—'}</div>
+                        <div><span className="text-gray-500">Next run:</span> {entry.nextRun ? formatDate(entry.nextRun) : '—'}</div>
+                        {entry.backfilledJobCount > 0 && (
+                          <div><span className="text-gray-500">Backfilled jobs:</span> {entry.backfilledJobCount}</div>
+                        )}
+                        {entry.taskIdentifier && (
+                          <button
+                            onClick={() => navigate(`/jobs?task=${encodeURIComponent(entry.taskIdentifier)}`)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            View queued jobs
+                          </button>
+                        )}
+                      </div>
+                      <div>
+                        <div className="text-gray-500 mb-1">Payload</div>
+                        <pre className="bg-gray-50 p-2 rounded overflow-auto max-h-48 text-xs">{JSON.stringify(entry.payload ?? {}, null, 2)}</pre>
+                      </div>
+                    </div>
+
+                    {entry.missedRuns.length > 0 && (
+                      <div>
+                        <div className="text-gray-500 mb-1">
+                          Missed runs{entry.missedRunCount > entry.missedRuns.length ? ` (latest ${entry.missedRuns.length} of ${entry.missedRunCount.toLocaleString()})` : ''}
+                        </div>
+                        <div className="flex flex-wrap gap-2">
+                          {entry.missedRuns.map(run => (
+                            <span
+                              key={run.at}
+                              title={run.backfill ? 'Within the backfill period; the worker schedules it when it starts' : 'Outside the backfill period; will not run'}
+                              className={`inline-flex items-center px-2 py-0.5 rounded text-xs ${
+                                run.backfill ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+                              }`}
+                            >
+                              {formatDate(run.at)}
+                            </span>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )
+          })
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Cron
@@ -0,0 +1,60 @@
+import React, { useState } from 'react'
+import { ChevronLeft, ChevronRight, CalendarClock } from 'lucide-react'
+
+// Keyset pagination: no page numbers, just the neighbours of the current page,
+// both ends, and a jump to the jobs created at or before a point in time
+export default function CursorPagination({
+  summary,
+  hasNextPage,
+  hasPreviousPage,
+  onNewest,
+  onPrevious,
+  onNext,
+  onOldest,
+  onJumpToDate,
+  top = false,
+}) {
+  const [date, setDate] = useState('')
+  const buttonClass = 'inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50'
+
+  return (
+    <div className={`${top ? 'border-b' : 'border-t'} px-6 py-4 border-gray-200 flex items-center justify-between flex-wrap gap-3`}>
+      <div className="text-sm text-gray-700">{summary}</div>
+      <div className="flex items-center flex-wrap gap-2">
+        <form
+          onSubmit={(e) => {
+            e.preventDefault()
+            if (date) onJumpToDate(new Date(date))
+          }}
+          className="flex items-center space-x-1"
+        >
+          <CalendarClock className="h-4 w-4 text-gray-400" />
+          <input
+            type="datetime-local"
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+            title="Show the jobs created at or before this time"
+            className="px-2 py-1 border border-gray-300 rounded text-sm"
+          />
+          <button type="submit" disabled={!date} className={buttonClass}>
+            Jump
+          </button>
+        </form>
+        <button onClick={onNewest} disabled={!hasPreviousPage} className={buttonClass}>
+          Newest
+        </button>
+        <button onClick={onPrevious} disabled={!hasPreviousPage} className={buttonClass}>
+          <ChevronLeft className="h-4 w-4 mr-1" />
+          Previous
+        </button>
+        <button onClick={onNext} disabled={!hasNextPage} className={buttonClass}>
+          Next
+          <ChevronRight className="h-4 w-4 ml-1" />
+        </button>
+        <button onClick={onOldest} disabled={!hasNextPage} className={buttonClass}>
+          Oldest
+        </button>
+      </div>
+    </div>
+  )
+}
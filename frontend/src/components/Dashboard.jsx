@@ -1,8 +1,85 @@
-import React from 'react'
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts'
-import { Clock, CheckCircle2, XCircle, AlertTriangle, Play, TrendingUp, TrendingDown, Zap } from 'lucide-react'
+import React, { useState } from 'react'
+import { useQuery } from '@apollo/client'
+import { gql } from '@apollo/client'
+import { format } from 'date-fns'
+import { BarChart, Bar, LineChart, Line, Legend, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts'
+import { Clock, CheckCircle2, XCircle, AlertTriangle, Play, TrendingUp, TrendingDown, Minus, Zap } from 'lucide-react'
+import { JOB_STATUSES } from '../utils/jobStatus'
+import useSettings from '../hooks/useSettings'
+import ErrorGroups from './ErrorGroups'
+
+const GET_JOB_METRICS_QUERY = gql`
+  query GetJobMetrics($range: String, $bucket: String) {
+    jobMetrics(range: $range, bucket: $bucket) {
+      range
+      bucket
+      sampleIntervalSeconds
+      points {
+        at
+        enqueued
+        completed
+        failed
+      }
+      baseline {
+        sampledAt
+        total
+        pending
+        scheduled
+        running
+        stale
+        retrying
+        failed
+      }
+    }
+  }
+`
+
+const RANGES = [
+  { value: '1h', label: 'Last hour', bucket: 'minute' },
+  { value: '24h', label: 'Last 24 hours', bucket: 'hour' },
+  { value: '7d', label: 'Last 7 days', bucket: 'hour' },
+  { value: '30d', label: 'Last 30 days', bucket: 'day' },
+]
+
+// Buckets each range can be split into without too many points
+const BUCKETS_BY_RANGE = {
+  '1h': ['minute'],
+  '24h': ['minute', 'hour'],
+  '7d': ['hour', 'day'],
+  '30d': ['hour', 'day'],
+}
+
+const BUCKET_FORMATS = { minute: 'HH:mm', hour: 'MMM d HH:mm', day: 'MMM d' }
+
+// Change since the start of the selected range, from the metrics baseline
+const getChange = (current, previous) => {
+  if (previous == null) return null
+  const delta = current - previous
+  if (delta === 0) return { label: '0%', direction: 'flat' }
+  const direction = delta > 0 ? 'up' : 'down'
+  if (previous === 0) return { label: `${delta > 0 ? '+' : ''}${delta}`, direction }
+  const percent = Math.round((delta / previous) * 100)
+  return { label: `${percent > 0 ? '+' : ''}${percent}%`, direction }
+}
 
 const Dashboard = ({ jobs, loading, onJobSelect, jobStats, recentFailedJobs = [], taskChartData = [] }) => {
+  const [range, setRange] = useState('24h')
+  const [bucket, setBucket] = useState('hour')
+  const [failureView, setFailureView] = useState('grouped')
+  const { settings, formatDate } = useSettings()
+  // Samples are taken about once a minute by default, so there's no point refreshing faster
+  const { data: metricsData, error: metricsError } = useQuery(GET_JOB_METRICS_QUERY, {
+    variables: { range, bucket },
+    pollInterval: settings.metricsRefreshSeconds * 1000,
+  })
+  const metrics = metricsData?.jobMetrics
+  const baseline = metrics?.baseline
+
+  const handleRangeChange = (value) => {
+    setRange(value)
+    setBucket(RANGES.find(r => r.value === value).bucket)
+  }
+
   if (loading) {
     return (
       <div className="space-y-6">
@@ -35,13 +112,10 @@ const Dashboard = ({ jobs, loading, onJobSelect, jobStats, recentFailedJobs = []
   }
 
   // Use passed jobStats or calculate from jobs
-  const stats = jobStats || {
-    total: jobs.length,
-    pending: jobs.filter(job => !job.lockedAt && job.attempts < job.maxAttempts).length,
-    running: jobs.filter(job => job.lockedAt).length,
-    failed: jobs.filter(job => job.attempts >= job.maxAttempts && job.lastError).length,
-    completed: jobs.filter(job => job.attempts > 0 && !job.lastError && !job.lockedAt).length,
-  }
+  const stats = jobStats || JOB_STATUSES.reduce(
+    (acc, { value }) => ({ ...acc, [value]: jobs.filter(job => job.status === value).length }),
+    { total: jobs.length }
+  )
 
   // Enhanced stat cards configuration
   const statCards = [
@@ -52,8 +126,7 @@ const Dashboard = ({ jobs, loading, onJobSelect, jobStats, recentFailedJobs = []
       color: 'bg-blue-500',
       bgColor: 'bg-blue-50',
       textColor: 'text-blue-700',
-      change: '+12%',
-      trend: 'up'
+      change: getChange(stats.total, baseline?.total),
     },
     {
       title: 'Pending',
@@ -62,8 +135,8 @@ const Dashboard = ({ jobs, loading, onJobSelect, jobStats, recentFailedJobs = []
       color: 'bg-yellow-500',
       bgColor: 'bg-yellow-50',
       textColor: 'text-yellow-700',
-      change: '-3%',
-      trend: 'down'
+      change: getChange(stats.pending, baseline?.pending),
+      goodWhen: 'down',
     },
     {
       title: 'Running',
@@ -72,8 +145,7 @@ const Dashboard = ({ jobs, loading, onJobSelect, jobStats, recentFailedJobs = []
       color: 'bg-green-500',
       bgColor: 'bg-green-50',
       textColor: 'text-green-700',
-      change: '+8%',
-      trend: 'up'
+      change: getChange(stats.running, baseline?.running),
     },
     {
       title: 'Failed',
@@ -82,11 +154,16 @@ const Dashboard = ({ jobs, loading, onJobSelect, jobStats, recentFailedJobs = []
       color: 'bg-red-500',
       bgColor: 'bg-red-50',
       textColor: 'text-red-700',
-      change: '-15%',
-      trend: 'down'
+      change: getChange(stats.failed, baseline?.failed),
+      goodWhen: 'down',
     }
   ]
 
+  const throughputData = (metrics?.points || []).map(p => ({
+    ...p,
+    label: format(new Date(p.at), BUCKET_FORMATS[metrics.bucket] || BUCKET_FORMATS.hour),
+  }))
+
   // Use aggregated taskChartData if provided; fallback to recent jobs grouping
   const chartData = React.useMemo(() => {
     if (taskChartData && taskChartData.length > 0) return taskChartData
@@ -102,12 +179,9 @@ const Dashboard = ({ jobs, loading, onJobSelect, jobStats, recentFailedJobs = []
   }, [taskChartData, jobs])
 
   // Status distribution for pie chart
-  const statusData = [
-    { name: 'Pending', value: stats.pending, color: '#F59E0B' },
-    { name: 'Running', value: stats.running, color: '#10B981' },
-    { name: 'Completed', value: stats.completed, color: '#3B82F6' },
-    { name: 'Failed', value: stats.failed, color: '#EF4444' }
-  ].filter(item => item.value > 0)
+  const statusData = JOB_STATUSES
+    .map(s => ({ name: s.label, value: stats[s.value] ?? 0, color: s.color }))
+    .filter(item => item.value > 0)
 
   // Use the pre-filtered recent failed jobs from the optimized query
   // This is now passed as a prop from the pg-aggregates optimized query
@@ -118,19 +192,27 @@ const Dashboard = ({ jobs, loading, onJobSelect, jobStats, recentFailedJobs = []
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         {statCards.map((card, index) => {
           const Icon = card.icon
-          const TrendIcon = card.trend === 'up' ? TrendingUp : TrendingDown
+          const { change } = card
+          const TrendIcon = !change || change.direction === 'flat' ? Minus : change.direction === 'up' ? TrendingUp : TrendingDown
+          // Green when moving the good way, red when not, grey when it doesn't matter
+          const trendColor = !change || change.direction === 'flat' || !card.goodWhen
+            ? 'text-gray-500'
+            : change.direction === card.goodWhen ? 'text-green-600' : 'text-red-600'
           return (
             <div key={index} className={`${card.bgColor} rounded-xl border border-gray-100 p-6 transition-all hover:shadow-lg hover:scale-105`}>
               <div className="flex items-center justify-between mb-4">
                 <div className={`${card.color} p-2 rounded-lg`}>
                   <Icon className="h-5 w-5 text-white" />
                 </div>
-                <div className={`flex items-center text-sm font-medium ${
-                  card.trend === 'up' ? 'text-green-600' : 'text-red-600'
-                }`}>
-                  <TrendIcon className="h-4 w-4 mr-1" />
-                  {card.change}
-                </div>
+                {change && (
+                  <div
+                    className={`flex items-center text-sm font-medium ${trendColor}`}
+                    title={`Since ${formatDate(baseline.sampledAt)}`}
+                  >
+                    <TrendIcon className="h-4 w-4 mr-1" />
+                    {change.label}
+                  </div>
+                )}
               </div>
               <div className={`text-3xl font-bold ${card.textColor} mb-1`}>
                 {card.value.toLocaleString()}
@@ -141,6 +223,64 @@ const Dashboard = ({ jobs, loading, onJobSelect, jobStats, recentFailedJobs = []
         })}
       </div>
 
+      {/* Throughput over time */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+        <div className="flex items-center justify-between mb-6 flex-wrap gap-3">
+          <h3 className="text-lg font-semibold text-gray-900">Throughput</h3>
+          <div className="flex items-center space-x-2">
+            <select
+              value={range}
+              onChange={(e) => handleRangeChange(e.target.value)}
+              className="px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+            >
+              {RANGES.map(r => (
+                <option key={r.value} value={r.value}>{r.label}</option>
+              ))}
+            </select>
+            <select
+              value={bucket}
+              onChange={(e) => setBucket(e.target.value)}
+              className="px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+            >
+              {BUCKETS_BY_RANGE[range].map(b => (
+                <option key={b} value={b}>per {b}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        {metricsError && !metrics ? (
+          <div className="h-64 flex flex-col items-center justify-center text-center">
+            <TrendingUp className="h-8 w-8 text-gray-300 mb-2" />
+            <p className="text-sm text-gray-500">{metricsError.message}</p>
+            <p className="text-xs text-gray-400 mt-1">
+              Start the backend with <code className="font-mono">ENABLE_METRICS_SAMPLER=true</code> to record throughput and trends.
+            </p>
+          </div>
+        ) : (
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={throughputData} margin={{ top: 10, right: 16, left: 8, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                <XAxis dataKey="label" tick={{ fontSize: 12 }} minTickGap={24} />
+                <YAxis tick={{ fontSize: 12 }} allowDecimals={false} />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: '#fff',
+                    border: '1px solid #e5e7eb',
+                    borderRadius: '8px',
+                    boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
+                  }}
+                />
+                <Legend />
+                <Line type="monotone" dataKey="enqueued" name="Enqueued" stroke="#3B82F6" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="completed" name="Completed" stroke="#10B981" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="failed" name="Failed" stroke="#EF4444" strokeWidth={2} dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </div>
+
       {/* Charts Section */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Task Distribution Chart */}
@@ -225,44 +365,61 @@ const Dashboard = ({ jobs, loading, onJobSelect, jobStats, recentFailedJobs = []
         </div>
       </div>
 
-      {/* Recent Failures */}
+      {/* Failures, grouped by error or most recent first */}
       <div className="grid grid-cols-1 gap-6">
         <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
           <div className="flex items-center justify-between mb-6">
-            <h3 className="text-lg font-semibold text-gray-900">Recent Failures</h3>
-            <AlertTriangle className="h-5 w-5 text-red-500" />
+            <h3 className="text-lg font-semibold text-gray-900">{failureView === 'grouped' ? 'Failures by Error' : 'Recent Failures'}</h3>
+            <div className="flex items-center space-x-3">
+              <div className="flex rounded-md border border-gray-300 overflow-hidden text-xs">
+                {[['grouped', 'By error'], ['recent', 'Recent']].map(([value, label]) => (
+                  <button
+                    key={value}
+                    onClick={() => setFailureView(value)}
+                    className={`px-2 py-1 ${failureView === value ? 'bg-gray-900 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <AlertTriangle className="h-5 w-5 text-red-500" />
+            </div>
           </div>
-          <div className="space-y-3">
-            {recentFailedJobs.length > 0 ? (
-              recentFailedJobs.map((job) => (
-                <div 
-                  key={job.id}
-                  className="p-3 bg-red-50 border border-red-100 rounded-lg cursor-pointer hover:bg-red-100 transition-colors"
-                  onClick={() => onJobSelect(job.id)}
-                >
-                  <div className="flex items-center justify-between">
-                    <div className="text-sm font-medium text-red-900 truncate">
-                      {job.taskIdentifier || 'Unknown Task'}
+          {failureView === 'grouped' ? (
+            <ErrorGroups onJobSelect={onJobSelect} />
+          ) : (
+            <div className="space-y-3">
+              {recentFailedJobs.length > 0 ? (
+                recentFailedJobs.map((job) => (
+                  <div 
+                    key={job.id}
+                    className="p-3 bg-red-50 border border-red-100 rounded-lg cursor-pointer hover:bg-red-100 transition-colors"
+                    onClick={() => onJobSelect(job.id)}
+                  >
+                    <div className="flex items-center justify-between">
+                      <div className="text-sm font-medium text-red-900 truncate">
+                        {job.taskIdentifier || 'Unknown Task'}
+                      </div>
+                      <div className="text-xs text-red-600">
+                        #{job.id}
+                      </div>
                     </div>
-                    <div className="text-xs text-red-600">
-                      #{job.id}
+                    <div className="text-xs text-red-600 mt-1 truncate">
+                      {job.lastError?.substring(0, 60)}...
+                    </div>
+                    <div className="text-xs text-red-500 mt-1">
+                      {new Date(job.updatedAt).toLocaleTimeString()}
                     </div>
                   </div>
-                  <div className="text-xs text-red-600 mt-1 truncate">
-                    {job.lastError?.substring(0, 60)}...
-                  </div>
-                  <div className="text-xs text-red-500 mt-1">
-                    {new Date(job.updatedAt).toLocaleTimeString()}
-                  </div>
+                ))
+              ) : (
+                <div className="text-center py-8">
+                  <CheckCircle2 className="mx-auto h-8 w-8 text-green-400 mb-2" />
+                  <p className="text-sm text-gray-500">No recent failures</p>
                 </div>
-              ))
-            ) : (
-              <div className="text-center py-8">
-                <CheckCircle2 className="mx-auto h-8 w-8 text-green-400 mb-2" />
-                <p className="text-sm text-gray-500">No recent failures</p>
-              </div>
-            )}
-          </div>
+              )}
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,187 @@
+import React, { useState } from 'react'
+import { useQuery, useMutation } from '@apollo/client'
+import { gql } from '@apollo/client'
+import { formatDistanceToNow } from 'date-fns'
+import { CheckCircle2, ChevronDown, ChevronUp, RotateCcw, XCircle } from 'lucide-react'
+import toast from 'react-hot-toast'
+import useAuth from '../hooks/useAuth'
+import useLiveUpdates from '../hooks/useLiveUpdates'
+import useSettings from '../hooks/useSettings'
+import { promptReason } from '../utils/reason'
+
+const GET_ERROR_GROUPS_QUERY = gql`
+  query GetErrorGroups($first: Int) {
+    errorGroups(first: $first) {
+      totalCount
+      totalJobCount
+      nodes {
+        fingerprint
+        jobCount
+        failed
+        retrying
+        taskIdentifiers
+        firstSeenAt
+        lastSeenAt
+        sampleJobId
+        sampleError
+      }
+    }
+  }
+`
+
+const BULK_RESULT_FIELDS = `
+  requested
+  succeeded
+  failed
+`
+
+const RETRY_ERROR_GROUP_MUTATION = gql`
+  mutation RetryErrorGroup($filter: JobFilter, $reason: String) {
+    bulkRetryJobs(filter: $filter, resetAttempts: true, reason: $reason) { ${BULK_RESULT_FIELDS} }
+  }
+`
+
+const CANCEL_ERROR_GROUP_MUTATION = gql`
+  mutation CancelErrorGroup($filter: JobFilter, $reason: String) {
+    bulkCancelJobs(filter: $filter, reason: $reason) { ${BULK_RESULT_FIELDS} }
+  }
+`
+
+const relative = (date) => formatDistanceToNow(new Date(date), { addSuffix: true })
+
+// Failing jobs grouped by the fingerprint of their last error (see
+// backend/errorGroups.js). Actions apply to every job in the group; a retry
+// starts the jobs' attempts over, as most of them have used all of theirs.
+const ErrorGroups = ({ onJobSelect }) => {
+  const { settings, formatDate } = useSettings()
+  const canOperate = useAuth().can('operator')
+  const [expanded, setExpanded] = useState(null)
+  const [running, setRunning] = useState(null)
+  const groupsQuery = useQuery(GET_ERROR_GROUPS_QUERY, {
+    variables: { first: settings.failedJobsLimit },
+    fetchPolicy: 'cache-and-network',
+  })
+  const { error, refetch } = groupsQuery
+  const data = groupsQuery.data ?? groupsQuery.previousData
+  useLiveUpdates(groupsQuery, { fallbackInterval: settings.dashboardRefreshSeconds * 1000, throttleMs: 5000 })
+  const [retryGroup] = useMutation(RETRY_ERROR_GROUP_MUTATION)
+  const [cancelGroup] = useMutation(CANCEL_ERROR_GROUP_MUTATION)
+
+  const groups = data?.errorGroups?.nodes || []
+  const totalCount = data?.errorGroups?.totalCount ?? 0
+
+  const handleAction = async (group, action) => {
+    const { mutate, field, verb } = action === 'retry'
+      ? { mutate: retryGroup, field: 'bulkRetryJobs', verb: 'retry' }
+      : { mutate: cancelGroup, field: 'bulkCancelJobs', verb: 'cancel' }
+    const reason = promptReason(`Are you sure you want to ${verb} ${group.jobCount.toLocaleString()} job(s) failing with "${group.fingerprint}"?`)
+    if (reason === null) return
+    setRunning(group.fingerprint)
+    try {
+      const { data: result } = await mutate({
+        variables: { filter: { errorFingerprint: { equalTo: group.fingerprint } }, reason },
+      })
+      const { succeeded, failed } = result[field]
+      if (failed > 0) {
+        toast.error(`${succeeded} succeeded, ${failed} failed (locked or no longer present)`)
+      } else {
+        toast.success(`${succeeded} job(s) updated`)
+      }
+      refetch()
+    } catch (err) {
+      toast.error(`Failed to ${verb} group: ${err.message}`)
+    } finally {
+      setRunning(null)
+    }
+  }
+
+  if (error && !data) {
+    return <div className="text-sm text-red-600">{error.message}</div>
+  }
+
+  if (groups.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <CheckCircle2 className="mx-auto h-8 w-8 text-green-400 mb-2" />
+        <p className="text-sm text-gray-500">No failing jobs</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-3">
+      {groups.map((group) => {
+        const isExpanded = expanded === group.fingerprint
+        return (
+          <div key={group.fingerprint} className="p-3 bg-red-50 border border-red-100 rounded-lg">
+            <div
+              className="flex items-start justify-between cursor-pointer"
+              onClick={() => setExpanded(isExpanded ? null : group.fingerprint)}
+            >
+              <div className="min-w-0 flex-1">
+                <div className="text-sm font-medium text-red-900 font-mono break-all">{group.fingerprint}</div>
+                <div className="flex flex-wrap items-center gap-1 mt-1">
+                  {group.taskIdentifiers.map(task => (
+                    <span key={task} className="inline-flex items-center px-2 py-0.5 rounded text-xs bg-white text-red-800 border border-red-100">
+                      {task}
+                    </span>
+                  ))}
+                </div>
+                <div className="text-xs text-red-600 mt-1">
+                  <span title={formatDate(group.firstSeenAt)}>First seen {relative(group.firstSeenAt)}</span>
+                  {' • '}
+                  <span title={formatDate(group.lastSeenAt)}>last seen {relative(group.lastSeenAt)}</span>
+                </div>
+              </div>
+              <div className="flex items-center space-x-2 ml-3 text-xs">
+                <span className="inline-flex items-center px-2 py-1 rounded bg-red-100 text-red-800 font-medium" title={`${group.failed} failed, ${group.retrying} retrying`}>
+                  {group.jobCount.toLocaleString()} job{group.jobCount === 1 ? '' : 's'}
+                </span>
+                {isExpanded ? <ChevronUp className="h-4 w-4 text-red-400" /> : <ChevronDown className="h-4 w-4 text-red-400" />}
+              </div>
+            </div>
+
+            {isExpanded && (
+              <div className="mt-3 space-y-2">
+                <div className="text-xs text-gray-600">
+                  {group.failed.toLocaleString()} failed, {group.retrying.toLocaleString()} retrying. Latest error, from job{' '}
+                  <button onClick={() => onJobSelect(group.sampleJobId)} className="text-blue-600 hover:text-blue-800">
+                    #{group.sampleJobId}
+                  </button>:
+                </div>
+                <pre className="bg-white p-2 rounded border border-red-100 overflow-auto max-h-48 text-xs text-red-800 whitespace-pre-wrap">{group.sampleError}</pre>
+                {canOperate && (
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => handleAction(group, 'retry')}
+                      disabled={running !== null}
+                      className="inline-flex items-center px-2 py-1 text-xs font-medium rounded text-blue-700 bg-blue-100 hover:bg-blue-200 disabled:opacity-50"
+                    >
+                      <RotateCcw className="h-3 w-3 mr-1" />
+                      Retry all
+                    </button>
+                    <button
+                      onClick={() => handleAction(group, 'cancel')}
+                      disabled={running !== null}
+                      className="inline-flex items-center px-2 py-1 text-xs font-medium rounded text-red-700 bg-red-100 hover:bg-red-200 disabled:opacity-50"
+                    >
+                      <XCircle className="h-3 w-3 mr-1" />
+                      Cancel all
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )
+      })}
+      {totalCount > groups.length && (
+        <div className="text-xs text-gray-500 text-center">
+          Showing the {groups.length} largest of {totalCount.toLocaleString()} error groups
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ErrorGroups
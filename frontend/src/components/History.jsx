@@ -0,0 +1,323 @@
+import React, { useState, useEffect } from 'react'
+import { useQuery, useMutation } from '@apollo/client'
+import { gql } from '@apollo/client'
+import { formatDistanceToNow } from 'date-fns'
+import { History as HistoryIcon, Search, RefreshCw, Trash2, ChevronDown, ChevronUp, Copy } from 'lucide-react'
+import { useSearchParams } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import Pagination from './Pagination'
+import useAuth from '../hooks/useAuth'
+import useSettings from '../hooks/useSettings'
+import { promptReason } from '../utils/reason'
+
+const GET_JOB_HISTORY_QUERY = gql`
+  query GetJobHistory($first: Int, $offset: Int, $search: String, $outcome: String) {
+    jobHistory(first: $first, offset: $offset, search: $search, outcome: $outcome) {
+      totalCount
+      retentionDays
+      nodes {
+        id
+        jobId
+        taskIdentifier
+        queueName
+        payload
+        priority
+        key
+        attempts
+        maxAttempts
+        outcome
+        lastError
+        createdAt
+        startedAt
+        finishedAt
+        durationMs
+      }
+    }
+  }
+`
+
+const PRUNE_JOB_HISTORY_MUTATION = gql`
+  mutation PruneJobHistory($olderThanDays: Int!, $reason: String) {
+    pruneJobHistory(olderThanDays: $olderThanDays, reason: $reason)
+  }
+`
+
+const OUTCOMES = [
+  { value: 'completed', label: 'Completed', badge: 'bg-green-100 text-green-800' },
+  { value: 'failed', label: 'Failed', badge: 'bg-red-100 text-red-800' },
+  { value: 'removed', label: 'Removed', badge: 'bg-gray-100 text-gray-800' },
+]
+
+const formatDuration = (ms) => {
+  if (ms == null) return '—'
+  if (ms < 1000) return `${ms} ms`
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`
+  const minutes = Math.floor(ms / 60000)
+  const seconds = Math.round((ms % 60000) / 1000)
+  return minutes < 60 ? `${minutes}m ${seconds}s` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+}
+
+const History = () => {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [searchTerm, setSearchTerm] = useState(() => searchParams.get('q') || '')
+  const [debouncedSearch, setDebouncedSearch] = useState(searchTerm.trim())
+  const [outcome, setOutcome] = useState(() => searchParams.get('outcome') || 'all')
+  const [currentPage, setCurrentPage] = useState(() => Math.max(0, (parseInt(searchParams.get('page') || '1', 10) || 1) - 1))
+  const [expandedId, setExpandedId] = useState(null)
+  const [pruneDays, setPruneDays] = useState(30)
+  const { settings, formatDate } = useSettings()
+  const pageSize = settings.pageSize
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), 300)
+    return () => clearTimeout(timer)
+  }, [searchTerm])
+
+  // Keep the URL shareable
+  useEffect(() => {
+    const params = new URLSearchParams()
+    if (debouncedSearch) params.set('q', debouncedSearch)
+    if (outcome !== 'all') params.set('outcome', outcome)
+    if (currentPage > 0) params.set('page', String(currentPage + 1))
+    setSearchParams(params, { replace: true })
+  }, [debouncedSearch, outcome, currentPage, setSearchParams])
+
+  const historyQuery = useQuery(GET_JOB_HISTORY_QUERY, {
+    variables: {
+      first: pageSize,
+      offset: currentPage * pageSize,
+      search: debouncedSearch || undefined,
+      outcome: outcome !== 'all' ? outcome : undefined,
+    },
+    fetchPolicy: 'cache-and-network',
+  })
+  const { loading, error, refetch } = historyQuery
+  // Keep showing the previous page while a new search loads
+  const data = historyQuery.data ?? historyQuery.previousData
+  const [pruneJobHistory] = useMutation(PRUNE_JOB_HISTORY_MUTATION)
+  // Pruning deletes archived data, so it is admin only
+  const canPrune = useAuth().can('admin')
+
+  const entries = data?.jobHistory?.nodes || []
+  const totalCount = data?.jobHistory?.totalCount || 0
+  const retentionDays = data?.jobHistory?.retentionDays
+  const totalPages = Math.ceil(totalCount / pageSize)
+
+  useEffect(() => {
+    if (retentionDays) setPruneDays(retentionDays)
+  }, [retentionDays])
+
+  const handlePrune = async () => {
+    const reason = promptReason(`Delete all archived runs older than ${pruneDays} day(s)?`)
+    if (reason === null) return
+    try {
+      const { data: result } = await pruneJobHistory({ variables: { olderThanDays: pruneDays, reason } })
+      toast.success(`Pruned ${result?.pruneJobHistory ?? 0} archived run(s)`)
+      refetch()
+    } catch (error) {
+      toast.error(`Failed to prune history: ${error.message}`)
+    }
+  }
+
+  const copyPayload = async (payload) => {
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(payload ?? {}, null, 2))
+      toast.success('Payload copied to clipboard')
+    } catch {
+      toast.error('Failed to copy payload')
+    }
+  }
+
+  if (loading && !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="h-6 bg-gray-200 rounded w-1/3 mb-4 animate-pulse"></div>
+        {[...Array(8)].map((_, i) => (
+          <div key={i} className="h-12 bg-gray-100 rounded mb-2 animate-pulse"></div>
+        ))}
+      </div>
+    )
+  }
+
+  if (error && !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center space-x-2 mb-4">
+          <HistoryIcon className="h-5 w-5 text-gray-500" />
+          <h2 className="text-lg font-medium text-gray-900">History</h2>
+        </div>
+        <div className="text-sm text-gray-600">{error.message}</div>
+        <p className="mt-2 text-sm text-gray-500">
+          Graphile Worker deletes jobs once they succeed, so finished runs are only kept when the history
+          archive is installed. Start the backend with <code className="font-mono">INSTALL_JOB_HISTORY=true</code> to enable it.
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 space-y-4">
+        <div className="flex items-center justify-between flex-wrap gap-3">
+          <div className="flex items-center space-x-2">
+            <HistoryIcon className="h-5 w-5 text-gray-500" />
+            <h2 className="text-lg font-medium text-gray-900">History</h2>
+            <span className="text-sm text-gray-500">
+              {totalCount.toLocaleString()} archived runs
+              {retentionDays ? ` • kept for ${retentionDays} days` : ' • kept forever'}
+            </span>
+          </div>
+          <div className="flex items-center space-x-2">
+            {canPrune && (
+              <>
+                <label className="text-sm text-gray-500 flex items-center">
+                  Older than
+                  <input
+                    type="number"
+                    min={0}
+                    value={pruneDays}
+                    onChange={(e) => {
+                      const v = parseInt(e.target.value, 10)
+                      if (Number.isFinite(v) && v >= 0) setPruneDays(v)
+                    }}
+                    className="mx-2 w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                  days
+                </label>
+                <button
+                  onClick={handlePrune}
+                  className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                >
+                  <Trash2 className="h-4 w-4 mr-1" />
+                  Prune
+                </button>
+              </>
+            )}
+            <button
+              onClick={() => refetch()}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <RefreshCw className={`h-4 w-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="relative md:col-span-3">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search by job id, task, queue, key, error or payload..."
+              value={searchTerm}
+              onChange={(e) => { setSearchTerm(e.target.value); setCurrentPage(0) }}
+              className="pl-10 pr-4 py-2 w-full border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <select
+            value={outcome}
+            onChange={(e) => { setOutcome(e.target.value); setCurrentPage(0) }}
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="all">All Outcomes</option>
+            {OUTCOMES.map(o => (
+              <option key={o.value} value={o.value}>{o.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="divide-y divide-gray-200">
+        {entries.length === 0 ? (
+          <div className="px-6 py-12 text-center text-sm text-gray-600">No archived runs found.</div>
+        ) : (
+          entries.map((entry) => {
+            const outcomeMeta = OUTCOMES.find(o => o.value === entry.outcome) || OUTCOMES[2]
+            const isExpanded = expandedId === entry.id
+            return (
+              <div
+                key={entry.id}
+                className={`px-6 py-4 hover:bg-gray-50 cursor-pointer ${isExpanded ? 'bg-blue-50' : ''}`}
+                onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+              >
+                <div className="flex items-center justify-between">
+                  <div className="min-w-0 flex-1">
+                    <div className="flex items-center">
+                      <span className="text-xs text-gray-500 mr-2">#{entry.jobId}</span>
+                      <p className="text-sm font-medium text-gray-900 truncate">{entry.taskIdentifier}</p>
+                      {entry.queueName && (
+                        <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-800">
+                          {entry.queueName}
+                        </span>
+                      )}
+                    </div>
+                    <div className="mt-1 text-xs text-gray-500">
+                      Finished {formatDistanceToNow(new Date(entry.finishedAt), { addSuffix: true })}
+                      <span className="ml-2">• took {formatDuration(entry.durationMs)}</span>
+                      <span className="ml-2">• {entry.attempts}/{entry.maxAttempts} attempts</span>
+                    </div>
+                    {entry.lastError && (
+                      <p className="mt-1 text-xs text-red-600 truncate">{entry.lastError}</p>
+                    )}
+                  </div>
+                  <div className="ml-4 flex items-center space-x-2">
+                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${outcomeMeta.badge}`}>
+                      {outcomeMeta.label}
+                    </span>
+                    {isExpanded ? <ChevronUp className="h-4 w-4 text-gray-400" /> : <ChevronDown className="h-4 w-4 text-gray-400" />}
+                  </div>
+                </div>
+
+                {isExpanded && (
+                  <div className="mt-4 bg-white rounded border border-blue-100 p-4 text-sm" onClick={(e) => e.stopPropagation()}>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div className="space-y-1 text-gray-800">
+                        <div><span className="text-gray-500">Job ID:</span> {entry.jobId}</div>
+                        <div><span className="text-gray-500">Key:</span> {entry.key || '—'}</div>
+                        <div><span className="text-gray-500">Priority:</span> {entry.priority ?? '—'}</div>
+                        <div><span className="text-gray-500">Created:</span> {entry.createdAt ? formatDate(entry.createdAt) : '—'}</div>
+                        <div><span className="text-gray-500">Started:</span> {entry.startedAt ? formatDate(entry.startedAt) : '—'}</div>
+                        <div><span className="text-gray-500">Finished:</span> {formatDate(entry.finishedAt)}</div>
+                      </div>
+                      <div>
+                        {entry.lastError && (
+                          <>
+                            <div className="text-gray-500 mb-1">Last Error</div>
+                            <pre className="whitespace-pre-wrap break-words bg-red-50 border border-red-100 text-red-700 p-2 rounded max-h-56 overflow-auto">{entry.lastError}</pre>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                    <div className="mt-4">
+                      <div className="flex items-center justify-between mb-1">
+                        <div className="text-gray-500">Payload</div>
+                        <button onClick={() => copyPayload(entry.payload)} className="inline-flex items-center text-xs text-gray-600 hover:text-gray-900">
+                          <Copy className="h-3 w-3 mr-1" /> Copy
+                        </button>
+                      </div>
+                      <pre className="bg-gray-50 p-3 rounded overflow-auto max-h-72">{JSON.stringify(entry.payload ?? {}, null, 2)}</pre>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )
+          })
+        )}
+      </div>
+
+      {totalPages > 1 && (
+        <Pagination
+          currentPage={currentPage}
+          totalPages={totalPages}
+          totalCount={totalCount}
+          pageSize={pageSize}
+          hasNextPage={currentPage + 1 < totalPages}
+          hasPreviousPage={currentPage > 0}
+          onPageChange={(p) => setCurrentPage(p)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default History
@@ -1,7 +1,13 @@
-import React from 'react'
+import React, { useState } from 'react'
 import { gql, useQuery } from '@apollo/client'
 import { useNavigate } from 'react-router-dom'
-import { ArrowLeft, RefreshCw, AlertTriangle } from 'lucide-react'
+import { ArrowLeft, RefreshCw, AlertTriangle, Copy, Pencil, RotateCcw } from 'lucide-react'
+import JobEditor from './JobEditor'
+import JobRetry from './JobRetry'
+import useLiveUpdates from '../hooks/useLiveUpdates'
+import useAuth from '../hooks/useAuth'
+import useSettings from '../hooks/useSettings'
+import { getStatusMeta } from '../utils/jobStatus'
 
 const GET_JOB_BY_ID = gql`
   query GetJobById($id: BigInt!) {
@@ -19,6 +25,9 @@ const GET_JOB_BY_ID = gql`
         createdAt
         updatedAt
         lockedAt
+        lockedBy
+        revision
+        status
         _privateJobById {
             payload
         }
@@ -45,12 +54,17 @@ const Section = ({ title, children }) => (
 
 const JobDetails = ({ jobId, onRefresh }) => {
   const navigate = useNavigate()
-  const { data, loading, error, refetch } = useQuery(GET_JOB_BY_ID, {
+  const [editing, setEditing] = useState(false)
+  const [retrying, setRetrying] = useState(false)
+  const canOperate = useAuth().can('operator')
+  const { settings, formatDate } = useSettings()
+  const jobQuery = useQuery(GET_JOB_BY_ID, {
     variables: { id: String(jobId) },
     skip: !jobId,
     fetchPolicy: 'cache-and-network',
-    pollInterval: 10000,
   })
+  const { data, loading, error, refetch } = jobQuery
+  useLiveUpdates(jobQuery, { fallbackInterval: settings.jobDetailsRefreshSeconds * 1000, throttleMs: 250, jobId: String(jobId) })
 
   const job = data?.allJobs?.nodes?.[0]
   const jobPayload = job?._privateJobById?.payload
@@ -97,13 +111,7 @@ const JobDetails = ({ jobId, onRefresh }) => {
     )
   }
 
-  const status = job.lockedAt
-    ? 'running'
-    : job.lastError
-    ? 'failed'
-    : job.attempts > 0
-    ? 'completed'
-    : 'pending'
+  const statusMeta = getStatusMeta(job.status)
 
   return (
     <div className="space-y-6">
@@ -114,25 +122,81 @@ const JobDetails = ({ jobId, onRefresh }) => {
         >
           <ArrowLeft className="h-4 w-4 mr-1" /> Back to Jobs
         </button>
-        <button
-          onClick={() => { refetch(); onRefresh && onRefresh() }}
-          className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
-        >
-          <RefreshCw className="h-4 w-4 mr-1" /> Refresh
-        </button>
+        <div className="flex items-center space-x-2">
+          {canOperate && (job.status === 'failed' || job.status === 'retrying') && !retrying && !editing && (
+            <button
+              onClick={() => setRetrying(true)}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <RotateCcw className="h-4 w-4 mr-1" /> Retry
+            </button>
+          )}
+          {canOperate && !job.lockedAt && !editing && !retrying && (
+            <button
+              onClick={() => setEditing(true)}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <Pencil className="h-4 w-4 mr-1" /> Edit
+            </button>
+          )}
+          {canOperate && (
+            <button
+              onClick={() => navigate(`/jobs/new?clone=${job.id}`)}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              title="Enqueue a new job prefilled from this one"
+            >
+              <Copy className="h-4 w-4 mr-1" /> Clone
+            </button>
+          )}
+          <button
+            onClick={() => { refetch(); onRefresh && onRefresh() }}
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <RefreshCw className="h-4 w-4 mr-1" /> Refresh
+          </button>
+        </div>
       </div>
 
+      {editing && (
+        <JobEditor
+          job={job}
+          payload={jobPayload}
+          onCancel={() => setEditing(false)}
+          onSaved={() => { setEditing(false); refetch() }}
+        />
+      )}
+
+      {retrying && (
+        <JobRetry
+          job={job}
+          onCancel={() => setRetrying(false)}
+          onRetried={() => { setRetrying(false); refetch() }}
+        />
+      )}
+
       <Section title={`Job #${job.id}`}>
-        <Row label="Status" value={status} />
+        <Row
+          label="Status"
+          value={
+            <span
+              className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusMeta.badge}`}
+              title={statusMeta.description}
+            >
+              {statusMeta.label}
+            </span>
+          }
+        />
         <Row label="Task" value={job.taskIdentifier} />
         <Row label="Queue" value={job.queueName} />
         <Row label="Key" value={job.key} mono />
         <Row label="Priority" value={job.priority} />
-        <Row label="Run At" value={job.runAt ? new Date(job.runAt).toLocaleString() : '-'} />
+        <Row label="Run At" value={job.runAt ? formatDate(job.runAt) : '-'} />
         <Row label="Attempts" value={`${job.attempts ?? 0} / ${job.maxAttempts ?? '-'}`} />
-        <Row label="Created" value={job.createdAt ? new Date(job.createdAt).toLocaleString() : '-'} />
-        <Row label="Updated" value={job.updatedAt ? new Date(job.updatedAt).toLocaleString() : '-'} />
-        <Row label="Locked At" value={job.lockedAt ? new Date(job.lockedAt).toLocaleString() : '-'} />
+        <Row label="Created" value={job.createdAt ? formatDate(job.createdAt) : '-'} />
+        <Row label="Updated" value={job.updatedAt ? formatDate(job.updatedAt) : '-'} />
+        <Row label="Locked At" value={job.lockedAt ? formatDate(job.lockedAt) : '-'} />
+        <Row label="Locked By" value={job.lockedBy} mono />
+        <Row label="Revision" value={job.revision} />
       </Section>
 
       <Section title="Payload">
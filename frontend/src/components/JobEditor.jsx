@@ -0,0 +1,286 @@
+import React, { useState } from 'react'
+import { gql, useMutation } from '@apollo/client'
+import { AlertTriangle, Save, X, ArrowLeft } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const UPDATE_JOB_MUTATION = gql`
+  mutation UpdateJob(
+    $jobId: String!
+    $revision: Int!
+    $payload: JSON
+    $priority: Int
+    $runAt: Datetime
+    $maxAttempts: Int
+    $queueName: String
+    $reason: String
+  ) {
+    updateJob(
+      jobId: $jobId
+      revision: $revision
+      payload: $payload
+      priority: $priority
+      runAt: $runAt
+      maxAttempts: $maxAttempts
+      queueName: $queueName
+      reason: $reason
+    )
+  }
+`
+
+const inputClass = 'px-3 py-2 w-full border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500'
+
+// Both are smallint columns
+const SMALLINT_MAX = 32767
+
+// Problems with the edited fields, by field. The backend keeps a field's
+// current value when it gets null, so a cleared field must not pass as a change.
+const validate = (form) => {
+  const errors = {}
+  const priority = Number(form.priority)
+  if (form.priority.trim() === '' || !Number.isInteger(priority) || Math.abs(priority) > SMALLINT_MAX) {
+    errors.priority = `Priority must be a whole number between -${SMALLINT_MAX} and ${SMALLINT_MAX}`
+  }
+  const maxAttempts = Number(form.maxAttempts)
+  if (form.maxAttempts.trim() === '' || !Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > SMALLINT_MAX) {
+    errors.maxAttempts = `Max attempts must be a whole number between 1 and ${SMALLINT_MAX}`
+  }
+  if (!form.runAt || Number.isNaN(new Date(form.runAt).getTime())) {
+    errors.runAt = 'Choose when the job should run'
+  }
+  return errors
+}
+
+const FieldError = ({ error }) => (error ? <span className="mt-1 block text-xs text-red-600">{error}</span> : null)
+
+// datetime-local inputs want "YYYY-MM-DDTHH:mm" in local time
+const toLocalInput = (iso) => {
+  if (!iso) return ''
+  const d = new Date(iso)
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`
+}
+
+// Minimal LCS line diff, good enough for job payloads
+const diffLines = (before, after) => {
+  const a = before.split('\n')
+  const b = after.split('\n')
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1])
+    }
+  }
+  const out = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push({ type: 'same', text: a[i] }); i++; j++
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ type: 'removed', text: a[i] }); i++
+    } else {
+      out.push({ type: 'added', text: b[j] }); j++
+    }
+  }
+  while (i < a.length) out.push({ type: 'removed', text: a[i++] })
+  while (j < b.length) out.push({ type: 'added', text: b[j++] })
+  return out
+}
+
+const JobEditor = ({ job: currentJob, payload: currentPayload, onCancel, onSaved }) => {
+  // Freeze what the user started editing; polling must not move the revision
+  // (or the diff baseline) underneath them.
+  const [{ job, payload }] = useState({ job: currentJob, payload: currentPayload })
+  const originalPayload = JSON.stringify(payload ?? {}, null, 2)
+  const original = {
+    payload: originalPayload,
+    priority: String(job.priority ?? 0),
+    runAt: toLocalInput(job.runAt),
+    maxAttempts: String(job.maxAttempts ?? ''),
+    queueName: job.queueName || '',
+  }
+  const [form, setForm] = useState(() => original)
+  const [reviewing, setReviewing] = useState(false)
+  const [reason, setReason] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [updateJob] = useMutation(UPDATE_JOB_MUTATION)
+
+  let payloadError = null
+  let parsedPayload = null
+  try {
+    parsedPayload = JSON.parse(form.payload)
+  } catch (e) {
+    payloadError = e.message
+  }
+  // Compare normalized JSON so whitespace-only edits don't count as changes
+  const normalizedPayload = payloadError ? form.payload : JSON.stringify(parsedPayload, null, 2)
+
+  const errors = validate(form)
+  const hasErrors = Boolean(payloadError) || Object.keys(errors).length > 0
+  const changes = [
+    { field: 'priority', label: 'Priority' },
+    { field: 'runAt', label: 'Run At' },
+    { field: 'maxAttempts', label: 'Max Attempts' },
+    { field: 'queueName', label: 'Queue' },
+  ].filter(({ field }) => form[field] !== original[field] && !errors[field])
+  const payloadChanged = normalizedPayload !== originalPayload
+  const hasChanges = payloadChanged || changes.length > 0
+
+  const setField = (name) => (e) => setForm(prev => ({ ...prev, [name]: e.target.value }))
+
+  const handleSave = async () => {
+    const changed = (field) => form[field] !== original[field]
+    setSaving(true)
+    try {
+      await updateJob({
+        variables: {
+          jobId: String(job.id),
+          revision: job.revision,
+          payload: payloadChanged ? parsedPayload : undefined,
+          priority: changed('priority') ? Number(form.priority) : undefined,
+          runAt: changed('runAt') ? new Date(form.runAt).toISOString() : undefined,
+          maxAttempts: changed('maxAttempts') ? Number(form.maxAttempts) : undefined,
+          queueName: changed('queueName') ? form.queueName.trim() : undefined,
+          reason: reason.trim() || undefined,
+        },
+      })
+      toast.success('Job updated')
+      onSaved && onSaved()
+    } catch (error) {
+      toast.error(`Failed to update job: ${error.message}`)
+      setReviewing(false)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const lineClass = {
+    same: 'text-gray-600',
+    added: 'bg-green-50 text-green-800',
+    removed: 'bg-red-50 text-red-800',
+  }
+  const linePrefix = { same: '  ', added: '+ ', removed: '- ' }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-blue-200 p-6 space-y-5">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">
+          {reviewing ? 'Review changes' : 'Edit job'}
+        </h3>
+        <span className="text-xs text-gray-500">Revision {job.revision}</span>
+      </div>
+
+      {reviewing ? (
+        <div className="space-y-4">
+          {changes.length > 0 && (
+            <div className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+              {changes.map(({ field, label }) => (
+                <div key={field} className="grid grid-cols-3 gap-4 px-4 py-2 text-sm">
+                  <div className="text-gray-500">{label}</div>
+                  <div className="text-red-700 line-through">{original[field] || '—'}</div>
+                  <div className="text-green-700">{form[field] || '—'}</div>
+                </div>
+              ))}
+            </div>
+          )}
+          {payloadChanged && (
+            <div>
+              <div className="text-sm text-gray-500 mb-1">Payload</div>
+              <pre className="text-sm bg-gray-50 p-4 rounded-lg overflow-auto max-h-96">
+                {diffLines(originalPayload, normalizedPayload).map((line, i) => (
+                  <div key={i} className={lineClass[line.type]}>{linePrefix[line.type]}{line.text}</div>
+                ))}
+              </pre>
+            </div>
+          )}
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Reason</span>
+            <input
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Optional; recorded in the audit log"
+              className={`mt-1 ${inputClass}`}
+            />
+          </label>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Payload (JSON)</span>
+            <textarea
+              rows={12}
+              value={form.payload}
+              onChange={setField('payload')}
+              spellCheck={false}
+              className={`mt-1 ${inputClass} font-mono ${payloadError ? 'border-red-400' : ''}`}
+            />
+          </label>
+          {payloadError && (
+            <div className="flex items-center text-xs text-red-600">
+              <AlertTriangle className="h-4 w-4 mr-1" /> Invalid JSON: {payloadError}
+            </div>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Priority</span>
+              <input type="number" value={form.priority} onChange={setField('priority')} className={`mt-1 ${inputClass}`} />
+              <FieldError error={errors.priority} />
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Run At</span>
+              <input type="datetime-local" value={form.runAt} onChange={setField('runAt')} className={`mt-1 ${inputClass}`} />
+              <FieldError error={errors.runAt} />
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Max Attempts</span>
+              <input type="number" min={1} value={form.maxAttempts} onChange={setField('maxAttempts')} className={`mt-1 ${inputClass}`} />
+              <FieldError error={errors.maxAttempts} />
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Queue</span>
+              <input value={form.queueName} onChange={setField('queueName')} placeholder="(no queue)" className={`mt-1 ${inputClass}`} />
+            </label>
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        {reviewing ? (
+          <>
+            <button
+              onClick={() => setReviewing(false)}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <ArrowLeft className="h-4 w-4 mr-1" /> Back to edit
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving || hasErrors || !hasChanges}
+              className="inline-flex items-center px-3 py-1.5 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              <Save className="h-4 w-4 mr-1" /> {saving ? 'Saving...' : 'Save'}
+            </button>
+          </>
+        ) : (
+          <>
+            <button
+              onClick={onCancel}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <X className="h-4 w-4 mr-1" /> Cancel
+            </button>
+            <button
+              onClick={() => setReviewing(true)}
+              disabled={hasErrors || !hasChanges}
+              className="inline-flex items-center px-3 py-1.5 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              Review changes
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default JobEditor
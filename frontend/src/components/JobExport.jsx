@@ -0,0 +1,128 @@
+import React, { useState } from 'react'
+import { Download, X } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { EXPORT_COLUMNS, EXPORT_FORMATS, downloadJobExport } from '../utils/exportJobs'
+
+// Export options for the jobs matching the JobList's current filter
+const JobExport = ({ filter, countLabel, onClose }) => {
+  const [format, setFormat] = useState('csv')
+  const [columns, setColumns] = useState(() => new Set(EXPORT_COLUMNS.map(c => c.value)))
+  const [payload, setPayload] = useState(false)
+  const [exporting, setExporting] = useState(false)
+
+  const toggleColumn = (value) => {
+    setColumns(prev => {
+      const next = new Set(prev)
+      if (next.has(value)) next.delete(value)
+      else next.add(value)
+      return next
+    })
+  }
+
+  const handleExport = async () => {
+    setExporting(true)
+    try {
+      await downloadJobExport({
+        format,
+        // Keep the column order of the list
+        columns: EXPORT_COLUMNS.map(c => c.value).filter(value => columns.has(value)),
+        payload,
+        filter,
+      })
+      onClose()
+    } catch (error) {
+      toast.error(`Export failed: ${error.message}`)
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  return (
+    <div className="px-6 py-4 border-b border-gray-200 bg-gray-50 space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-sm font-medium text-gray-900">Export jobs</h3>
+          <p className="text-xs text-gray-500">
+            {countLabel ? `${countLabel} jobs` : 'All jobs'} matching the current filters, newest first.
+          </p>
+        </div>
+        <button onClick={onClose} className="p-1 text-gray-400 hover:text-gray-600" title="Close">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-4">
+        {EXPORT_FORMATS.map(f => (
+          <label key={f.value} className="flex items-center text-sm text-gray-700" title={f.description}>
+            <input
+              type="radio"
+              name="export-format"
+              value={f.value}
+              checked={format === f.value}
+              onChange={() => setFormat(f.value)}
+              className="h-4 w-4 mr-2 border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            {f.label}
+          </label>
+        ))}
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <span className="text-xs font-medium text-gray-500 uppercase">Columns</span>
+          <div className="space-x-2 text-xs">
+            <button onClick={() => setColumns(new Set(EXPORT_COLUMNS.map(c => c.value)))} className="text-blue-600 hover:text-blue-800">
+              All
+            </button>
+            <button onClick={() => setColumns(new Set())} className="text-gray-500 hover:text-gray-700">
+              None
+            </button>
+          </div>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+          {EXPORT_COLUMNS.map(c => (
+            <label key={c.value} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={columns.has(c.value)}
+                onChange={() => toggleColumn(c.value)}
+                className="h-4 w-4 mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              {c.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <label className="flex items-center text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={payload}
+          onChange={(e) => setPayload(e.target.checked)}
+          className="h-4 w-4 mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+        />
+        Include payloads
+        <span className="ml-2 text-xs text-gray-500">(may contain personal data)</span>
+      </label>
+
+      <div className="flex justify-end space-x-2">
+        <button
+          onClick={onClose}
+          className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={handleExport}
+          disabled={exporting || columns.size === 0}
+          className="inline-flex items-center px-3 py-1.5 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          <Download className="h-4 w-4 mr-1" />
+          {exporting ? 'Exporting...' : 'Download'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default JobExport
@@ -0,0 +1,444 @@
+import React, { useMemo, useRef, useState } from 'react'
+import { gql, useMutation } from '@apollo/client'
+import { Link, useNavigate } from 'react-router-dom'
+import { ArrowLeft, Upload, AlertTriangle, CheckCircle, Download, X } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { promptReason } from '../utils/reason'
+import {
+  IMPORT_BATCH_SIZE,
+  IMPORT_FIELDS,
+  IMPORT_FORMATS,
+  JOB_KEY_MODES,
+  buildJob,
+  detectFormat,
+  downloadText,
+  guessMapping,
+  parseImportFile,
+  reportCsv,
+} from '../utils/importJobs'
+
+const IMPORT_JOBS_MUTATION = gql`
+  mutation ImportJobs($jobs: [JobImportRow!]!, $source: String, $reason: String) {
+    importJobs(jobs: $jobs, source: $source, reason: $reason) {
+      index
+      jobId
+      error
+    }
+  }
+`
+
+// Rows listed in the error preview and the report; the downloadable report
+// has all of them
+const MAX_LISTED_ROWS = 200
+
+const STATUS_STYLES = {
+  enqueued: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  invalid: 'bg-yellow-100 text-yellow-800',
+  'not sent': 'bg-gray-100 text-gray-800',
+}
+
+const cardClass = 'bg-white rounded-xl shadow-sm border border-gray-100 p-6 space-y-4'
+const inputClass = 'px-3 py-2 w-full border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500'
+const primaryButtonClass = 'inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50'
+const secondaryButtonClass = 'inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50'
+
+const JobImport = () => {
+  const navigate = useNavigate()
+  const fileInput = useRef(null)
+  const cancelled = useRef(false)
+  const [file, setFile] = useState(null)
+  const [format, setFormat] = useState('csv')
+  const [mapping, setMapping] = useState(null)
+  const [progress, setProgress] = useState(null)
+  const [results, setResults] = useState(null)
+  const [statusFilter, setStatusFilter] = useState('')
+  const [importJobs] = useMutation(IMPORT_JOBS_MUTATION)
+
+  // Parsed again when the format is switched by hand
+  const parsed = useMemo(() => {
+    if (!file) return null
+    try {
+      return parseImportFile(file.text, format)
+    } catch (error) {
+      return { error: error.message }
+    }
+  }, [file, format])
+
+  const rows = useMemo(
+    () => (parsed?.records && mapping ? parsed.records.map(record => buildJob(record, mapping, format)) : []),
+    [parsed, mapping, format]
+  )
+  const invalidRows = rows.filter(row => row.errors.length > 0)
+  const validCount = rows.length - invalidRows.length
+
+  const reset = () => {
+    setFile(null)
+    setMapping(null)
+    setResults(null)
+    setStatusFilter('')
+    if (fileInput.current) fileInput.current.value = ''
+  }
+
+  const handleFile = async (e) => {
+    const selected = e.target.files[0]
+    if (!selected) return
+    const text = await selected.text()
+    const detected = detectFormat(selected.name)
+    setResults(null)
+    setFormat(detected)
+    setFile({ name: selected.name, text })
+    try {
+      setMapping(guessMapping(parseImportFile(text, detected).columns))
+    } catch (error) {
+      setMapping(null)
+    }
+  }
+
+  const handleFormat = (value) => {
+    setFormat(value)
+    try {
+      setMapping(guessMapping(parseImportFile(file.text, value).columns))
+    } catch (error) {
+      setMapping(null)
+    }
+  }
+
+  // A column mapped to a job option is no longer a payload field
+  const setFieldColumn = (field, column) => {
+    setMapping(prev => ({
+      ...prev,
+      fields: { ...prev.fields, [field]: column },
+      payloadColumns: prev.payloadColumns.filter(name => name !== column),
+    }))
+  }
+
+  const togglePayloadColumn = (column) => {
+    setMapping(prev => ({
+      ...prev,
+      payloadColumns: prev.payloadColumns.includes(column)
+        ? prev.payloadColumns.filter(name => name !== column)
+        : [...prev.payloadColumns, column],
+    }))
+  }
+
+  const handleImport = async () => {
+    const reason = promptReason(
+      `Enqueue ${validCount.toLocaleString()} job(s) from ${file.name}?` +
+      (invalidRows.length > 0 ? ` ${invalidRows.length.toLocaleString()} row(s) with errors will be skipped.` : '')
+    )
+    if (reason === null) return
+
+    const report = rows.map(row => (row.errors.length > 0
+      ? { line: row.line, status: 'invalid', jobId: null, error: row.errors.join('; ') }
+      : { line: row.line, status: 'not sent', jobId: null, error: null }))
+    const pending = rows.flatMap((row, i) => (row.errors.length === 0 ? [i] : []))
+    cancelled.current = false
+    setProgress({ done: 0, total: pending.length })
+
+    // One batch at a time, so a failure or cancel leaves the rest unsent
+    for (let start = 0; start < pending.length && !cancelled.current; start += IMPORT_BATCH_SIZE) {
+      const batch = pending.slice(start, start + IMPORT_BATCH_SIZE)
+      try {
+        const { data } = await importJobs({
+          variables: { jobs: batch.map(i => rows[i].job), source: file.name, reason: reason || null },
+        })
+        data.importJobs.forEach(result => {
+          const i = batch[result.index]
+          report[i] = { ...report[i], status: result.jobId ? 'enqueued' : 'failed', jobId: result.jobId, error: result.error }
+        })
+      } catch (error) {
+        batch.forEach(i => {
+          report[i] = { ...report[i], status: 'failed', error: error.message }
+        })
+        toast.error(`Import stopped: ${error.message}`)
+        break
+      }
+      setProgress({ done: Math.min(start + batch.length, pending.length), total: pending.length })
+    }
+
+    setProgress(null)
+    setResults(report)
+    const enqueued = report.filter(result => result.status === 'enqueued').length
+    toast.success(`${enqueued.toLocaleString()} job(s) enqueued`)
+  }
+
+  const counts = {}
+  for (const result of results || []) counts[result.status] = (counts[result.status] || 0) + 1
+  const listedResults = (results || []).filter(result => !statusFilter || result.status === statusFilter)
+  const columns = parsed?.columns || []
+  const mappedColumns = mapping ? Object.values(mapping.fields).filter(Boolean) : []
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() => navigate('/jobs')}
+          className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900"
+        >
+          <ArrowLeft className="h-4 w-4 mr-1" /> Back to Jobs
+        </button>
+      </div>
+
+      <div className={cardClass}>
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Import jobs</h3>
+          <p className="text-sm text-gray-500">
+            Enqueue a job per row of a CSV file (with a header row) or an NDJSON file.
+            Rows are checked before anything is enqueued.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-4">
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".csv,.ndjson,.jsonl,.json,.txt"
+            onChange={handleFile}
+            disabled={Boolean(progress)}
+            className="text-sm text-gray-700"
+          />
+          {file && IMPORT_FORMATS.map(f => (
+            <label key={f.value} className="flex items-center text-sm text-gray-700" title={f.description}>
+              <input
+                type="radio"
+                name="import-format"
+                value={f.value}
+                checked={format === f.value}
+                onChange={() => handleFormat(f.value)}
+                disabled={Boolean(progress)}
+                className="h-4 w-4 mr-2 border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              {f.label}
+            </label>
+          ))}
+        </div>
+        {parsed?.error && (
+          <div className="flex items-center text-sm text-red-600">
+            <AlertTriangle className="h-4 w-4 mr-1" /> {parsed.error}
+          </div>
+        )}
+      </div>
+
+      {mapping && !results && (
+        <div className={cardClass}>
+          <h3 className="text-sm font-medium text-gray-900">Columns</h3>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {IMPORT_FIELDS.map(field => (
+              <label key={field.value} className="block">
+                <span className="text-sm font-medium text-gray-700">{field.label}</span>
+                <select
+                  value={mapping.fields[field.value]}
+                  onChange={(e) => setFieldColumn(field.value, e.target.value)}
+                  disabled={Boolean(progress)}
+                  className={`${inputClass} mt-1`}
+                >
+                  <option value="">—</option>
+                  {columns.map(column => <option key={column} value={column}>{column}</option>)}
+                </select>
+              </label>
+            ))}
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Task identifier for all rows</span>
+              <input
+                value={mapping.identifier}
+                onChange={(e) => setMapping(prev => ({ ...prev, identifier: e.target.value }))}
+                disabled={Boolean(progress)}
+                placeholder={mapping.fields.identifier ? 'Where the column is empty' : 'e.g. send_email'}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">Job key mode</span>
+              <select
+                value={mapping.jobKeyMode}
+                onChange={(e) => setMapping(prev => ({ ...prev, jobKeyMode: e.target.value }))}
+                disabled={Boolean(progress) || !mapping.fields.jobKey}
+                className={`${inputClass} mt-1 disabled:bg-gray-50`}
+              >
+                {JOB_KEY_MODES.map(mode => <option key={mode} value={mode}>{mode}</option>)}
+              </select>
+            </label>
+          </div>
+
+          <div>
+            <span className="text-xs font-medium text-gray-500 uppercase">Payload fields</span>
+            <div className="mt-2 grid grid-cols-2 md:grid-cols-4 gap-2">
+              {columns.filter(column => !mappedColumns.includes(column)).map(column => (
+                <label key={column} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={mapping.payloadColumns.includes(column)}
+                    onChange={() => togglePayloadColumn(column)}
+                    disabled={Boolean(progress)}
+                    className="h-4 w-4 mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span className="font-mono">{column}</span>
+                </label>
+              ))}
+            </div>
+            {format === 'csv' && (
+              <label className="mt-3 flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={mapping.parseValues}
+                  onChange={(e) => setMapping(prev => ({ ...prev, parseValues: e.target.checked }))}
+                  disabled={Boolean(progress)}
+                  className="h-4 w-4 mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                Read numbers, booleans and JSON in payload fields
+                <span className="ml-2 text-xs text-gray-500">(otherwise every value is a string)</span>
+              </label>
+            )}
+          </div>
+        </div>
+      )}
+
+      {mapping && !results && (
+        <div className={cardClass}>
+          <div className="flex items-center justify-between flex-wrap gap-3">
+            <div className="text-sm text-gray-700">
+              <span className="font-medium">{rows.length.toLocaleString()}</span> row(s):{' '}
+              <span className="text-green-700">{validCount.toLocaleString()} ready</span>
+              {invalidRows.length > 0 && (
+                <span className="text-red-600">, {invalidRows.length.toLocaleString()} with errors (skipped)</span>
+              )}
+            </div>
+            <div className="flex items-center space-x-2">
+              {progress && (
+                <button onClick={() => { cancelled.current = true }} className={secondaryButtonClass}>
+                  <X className="h-4 w-4 mr-1" /> Stop after this batch
+                </button>
+              )}
+              <button onClick={handleImport} disabled={Boolean(progress) || validCount === 0} className={primaryButtonClass}>
+                <Upload className="h-4 w-4 mr-1" />
+                {progress ? 'Enqueueing...' : `Enqueue ${validCount.toLocaleString()} job(s)`}
+              </button>
+            </div>
+          </div>
+
+          {progress && (
+            <div>
+              <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                <div
+                  className="h-2 bg-blue-600 transition-all"
+                  style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }}
+                />
+              </div>
+              <p className="mt-1 text-xs text-gray-500">
+                {progress.done.toLocaleString()} of {progress.total.toLocaleString()} rows sent
+              </p>
+            </div>
+          )}
+
+          {invalidRows.length > 0 && (
+            <div>
+              <h4 className="text-xs font-medium text-gray-500 uppercase mb-2">Rows with errors</h4>
+              <div className="max-h-72 overflow-y-auto border border-gray-200 rounded-md">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <tbody className="divide-y divide-gray-100">
+                    {invalidRows.slice(0, MAX_LISTED_ROWS).map(row => (
+                      <tr key={row.line}>
+                        <td className="px-3 py-1.5 text-gray-500 whitespace-nowrap">Line {row.line}</td>
+                        <td className="px-3 py-1.5 text-red-600">{row.errors.join('; ')}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {invalidRows.length > MAX_LISTED_ROWS && (
+                <p className="mt-1 text-xs text-gray-500">
+                  and {(invalidRows.length - MAX_LISTED_ROWS).toLocaleString()} more; they are all in the report after the import
+                </p>
+              )}
+            </div>
+          )}
+
+          {validCount > 0 && (
+            <div>
+              <h4 className="text-xs font-medium text-gray-500 uppercase mb-2">First job</h4>
+              <pre className="text-xs font-mono bg-gray-50 border border-gray-200 rounded-md p-3 overflow-x-auto">
+                {JSON.stringify(rows.find(row => row.errors.length === 0).job, null, 2)}
+              </pre>
+            </div>
+          )}
+        </div>
+      )}
+
+      {results && (
+        <div className={cardClass}>
+          <div className="flex items-center justify-between flex-wrap gap-3">
+            <div className="flex items-center text-sm text-gray-700">
+              {counts.failed
+                ? <AlertTriangle className="h-5 w-5 mr-2 text-red-600" />
+                : <CheckCircle className="h-5 w-5 mr-2 text-green-600" />}
+              {Object.keys(STATUS_STYLES).filter(status => counts[status]).map(status => (
+                <span key={status} className="mr-3">
+                  {counts[status].toLocaleString()} {status}
+                </span>
+              ))}
+            </div>
+            <div className="flex items-center space-x-2">
+              <select
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+                className="px-2 py-1.5 border border-gray-300 rounded-md text-sm"
+              >
+                <option value="">All rows</option>
+                {Object.keys(STATUS_STYLES).map(status => <option key={status} value={status}>{status}</option>)}
+              </select>
+              <button
+                onClick={() => downloadText(reportCsv(results), `${file.name.replace(/\.[^.]*$/, '')}-import-report.csv`, 'text/csv')}
+                className={secondaryButtonClass}
+              >
+                <Download className="h-4 w-4 mr-1" /> Report
+              </button>
+              <button onClick={reset} className={secondaryButtonClass}>
+                Import another file
+              </button>
+            </div>
+          </div>
+
+          <div className="max-h-[32rem] overflow-y-auto border border-gray-200 rounded-md">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Line</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Job</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Error</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {listedResults.slice(0, MAX_LISTED_ROWS).map(result => (
+                  <tr key={result.line}>
+                    <td className="px-3 py-1.5 text-gray-500">{result.line}</td>
+                    <td className="px-3 py-1.5">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[result.status]}`}>
+                        {result.status}
+                      </span>
+                    </td>
+                    <td className="px-3 py-1.5">
+                      {result.jobId && (
+                        <Link to={`/jobs/${result.jobId}`} className="text-blue-600 hover:text-blue-800">
+                          #{result.jobId}
+                        </Link>
+                      )}
+                    </td>
+                    <td className="px-3 py-1.5 text-red-600">{result.error}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {listedResults.length > MAX_LISTED_ROWS && (
+            <p className="text-xs text-gray-500">
+              Showing {MAX_LISTED_ROWS} of {listedResults.length.toLocaleString()} rows; download the report for all of them.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default JobImport
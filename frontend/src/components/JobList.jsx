@@ -1,29 +1,42 @@
 import React, { useState, useEffect, useRef } from 'react'
-import { useQuery, useMutation } from '@apollo/client'
+import { useQuery, useMutation, useApolloClient } from '@apollo/client'
 import { gql } from '@apollo/client'
 import { formatDistanceToNow } from 'date-fns'
 import { 
-  Play, 
   RotateCcw, 
   X, 
   CheckCircle, 
-  AlertCircle, 
-  Clock,
   Search,
   Filter,
   RefreshCw,
   ChevronDown,
   ChevronUp,
-  Copy
+  Copy,
+  CheckSquare,
+  Plus,
+  Upload,
+  Download
 } from 'lucide-react'
-import Pagination from './Pagination'
+import CursorPagination from './CursorPagination'
+import JobExport from './JobExport'
+import JobRetry from './JobRetry'
+import useLiveUpdates from '../hooks/useLiveUpdates'
+import useAuth from '../hooks/useAuth'
+import useSettings from '../hooks/useSettings'
+import { JOB_STATUSES, getStatusMeta } from '../utils/jobStatus'
+import { promptReason } from '../utils/reason'
 import toast from 'react-hot-toast'
-import { useSearchParams } from 'react-router-dom'
+import { useSearchParams, useNavigate } from 'react-router-dom'
 
-// Paginated query for JobList component (server-side filtering)
+// Jobs are paged by id, newest first. Ids follow creation order and are the
+// primary key, so every page (however deep) is an index range scan from its
+// cursor; created_at has no index and ordering by it would sort the table.
+const JOB_ORDER = ['ID_DESC']
+
+// Keyset paginated query for JobList component (server-side filtering)
 const GET_PAGINATED_JOBS_QUERY = gql`
-  query GetPaginatedJobs($first: Int, $offset: Int, $orderBy: [JobsOrderBy!], $filter: JobFilter) {
-    allJobs(first: $first, offset: $offset, orderBy: $orderBy, filter: $filter) {
+  query GetPaginatedJobs($first: Int, $last: Int, $after: Cursor, $before: Cursor, $orderBy: [JobsOrderBy!], $filter: JobFilter) {
+    allJobs(first: $first, last: $last, after: $after, before: $before, orderBy: $orderBy, filter: $filter) {
       nodes {
         id
         queueName
@@ -40,12 +53,14 @@ const GET_PAGINATED_JOBS_QUERY = gql`
         lockedBy
         revision
         flags
+        status
         _privateJobById {
           payload
         }
       }
-      totalCount
       pageInfo {
+        startCursor
+        endCursor
         hasNextPage
         hasPreviousPage
       }
@@ -53,6 +68,28 @@ const GET_PAGINATED_JOBS_QUERY = gql`
   }
 `
 
+// Exact for small results, the planner's estimate for large ones (see
+// backend/jobCount.js); totalCount would scan every matching job
+const GET_JOB_COUNT_QUERY = gql`
+  query GetJobCount($filter: JobFilter) {
+    jobCount(filter: $filter) {
+      count
+      exact
+    }
+  }
+`
+
+// The oldest job created after a time; paging after it starts at that time
+const GET_JOB_CURSOR_AT_QUERY = gql`
+  query GetJobCursorAt($orderBy: [JobsOrderBy!], $createdAfter: Datetime!) {
+    allJobs(last: 1, orderBy: $orderBy, filter: { createdAt: { greaterThan: $createdAfter } }) {
+      edges {
+        cursor
+      }
+    }
+  }
+`
+
 // Efficient unique task identifiers via aggregates
 const GET_UNIQUE_TASKS = gql`
   query GetUniqueTasks {
@@ -75,137 +112,225 @@ const GET_UNIQUE_QUEUES = gql`
   }
 `
 
-const RETRY_JOB_MUTATION = gql`
-  mutation RetryJob($jobId: String!) {
-    retryJob(jobId: $jobId)
+const CANCEL_JOB_MUTATION = gql`
+  mutation CancelJob($jobId: String!, $reason: String) {
+    cancelJob(jobId: $jobId, reason: $reason)
   }
 `
 
-const CANCEL_JOB_MUTATION = gql`
-  mutation CancelJob($jobId: String!) {
-    cancelJob(jobId: $jobId)
+const COMPLETE_JOB_MUTATION = gql`
+  mutation CompleteJob($jobId: String!, $reason: String) {
+    completeJob(jobId: $jobId, reason: $reason)
   }
 `
 
-const COMPLETE_JOB_MUTATION = gql`
-  mutation CompleteJob($jobId: String!) {
-    completeJob(jobId: $jobId)
+const BULK_RESULT_FIELDS = `
+  requested
+  succeeded
+  failed
+  failedJobIds
+`
+
+const BULK_RETRY_JOBS_MUTATION = gql`
+  mutation BulkRetryJobs($jobIds: [String!], $filter: JobFilter, $resetAttempts: Boolean, $reason: String) {
+    bulkRetryJobs(jobIds: $jobIds, filter: $filter, resetAttempts: $resetAttempts, reason: $reason) { ${BULK_RESULT_FIELDS} }
   }
 `
 
+const BULK_CANCEL_JOBS_MUTATION = gql`
+  mutation BulkCancelJobs($jobIds: [String!], $filter: JobFilter, $reason: String) {
+    bulkCancelJobs(jobIds: $jobIds, filter: $filter, reason: $reason) { ${BULK_RESULT_FIELDS} }
+  }
+`
+
+const BULK_COMPLETE_JOBS_MUTATION = gql`
+  mutation BulkCompleteJobs($jobIds: [String!], $filter: JobFilter, $reason: String) {
+    bulkCompleteJobs(jobIds: $jobIds, filter: $filter, reason: $reason) { ${BULK_RESULT_FIELDS} }
+  }
+`
+
+const FILTER_PARAMS = ['q', 'status', 'task', 'queue']
+
+const hasUrlFilters = (params) => FILTER_PARAMS.some(key => params.has(key))
+
+// Where the page is: after or before a cursor, at the oldest end, or (none of
+// them) at the newest
+const NEWEST = { after: null, before: null, oldest: false }
+
+const positionFromParams = (params) => ({
+  after: params.get('after'),
+  before: params.get('before'),
+  oldest: params.get('oldest') === '1',
+})
+
+const samePosition = (a, b) => a.after === b.after && a.before === b.before && a.oldest === b.oldest
+
+const formatCount = ({ count, exact }) => `${exact ? '' : 'about '}${count.toLocaleString()}`
+
 const JobList = () => {
+  const navigate = useNavigate()
   const [searchParams, setSearchParams] = useSearchParams()
+  const { settings, formatDate } = useSettings()
+  // Default filters (see Settings) apply when the page is opened without any
+  // filters in the URL
+  const defaultParams = new URLSearchParams()
+  if (settings.defaultJobSearch) defaultParams.set('q', settings.defaultJobSearch)
+  if (settings.defaultJobStatus !== 'all') defaultParams.set('status', settings.defaultJobStatus)
+  const hasDefaults = defaultParams.toString() !== ''
+  const initialParams = hasUrlFilters(searchParams) ? searchParams : defaultParams
   // Initialize state from URL params
-  const [searchTerm, setSearchTerm] = useState(() => searchParams.get('q') || '')
-  const [statusFilter, setStatusFilter] = useState(() => searchParams.get('status') || 'all')
+  const [searchTerm, setSearchTerm] = useState(() => initialParams.get('q') || '')
+  // Search runs server-side, so wait for a pause in typing before querying
+  const [debouncedSearch, setDebouncedSearch] = useState(searchTerm)
+  const [statusFilter, setStatusFilter] = useState(() => initialParams.get('status') || 'all')
   const [taskFilter, setTaskFilter] = useState(() => searchParams.get('task') || 'all')
   const [queueFilter, setQueueFilter] = useState(() => searchParams.get('queue') || 'all')
-  const [currentPage, setCurrentPage] = useState(() => {
-    const p = parseInt(searchParams.get('page') || '1', 10)
-    return Number.isFinite(p) && p > 0 ? p - 1 : 0
-  })
-  const [pageSize] = useState(25) // 25 jobs per page
+  const [position, setPosition] = useState(() => positionFromParams(searchParams))
+  const pageSize = settings.pageSize
   const [expandedId, setExpandedId] = useState(null)
+  // Job whose retry options are open
+  const [retryingId, setRetryingId] = useState(null)
+  // Bulk selection: explicit ids, or every job matching the current filter
+  const [selectedIds, setSelectedIds] = useState(() => new Set())
+  const [selectAllMatching, setSelectAllMatching] = useState(false)
+  const [bulkRunning, setBulkRunning] = useState(false)
+  // Failed jobs have used their attempts; retrying them should start over
+  const [bulkResetAttempts, setBulkResetAttempts] = useState(() => statusFilter === 'failed')
+  const [showExport, setShowExport] = useState(false)
   const didMountRef = useRef(false)
   const updatingFromUrlRef = useRef(false)
 
-  // Reset to first page when filters/search change (skip first render and URL-driven updates)
+  // Back to the newest jobs when filters/search change (skip first render and URL-driven updates)
   useEffect(() => {
     if (!didMountRef.current) {
       didMountRef.current = true
       return
     }
     if (updatingFromUrlRef.current) {
-      // This state change came from URL; don't override page
+      // This state change came from URL; don't override the position
       updatingFromUrlRef.current = false
       return
     }
-    setCurrentPage(0)
+    setPosition(NEWEST)
+  }, [statusFilter, taskFilter, queueFilter, searchTerm])
+
+  // A selection only makes sense for the filter it was made under
+  useEffect(() => {
+    setSelectedIds(new Set())
+    setSelectAllMatching(false)
   }, [statusFilter, taskFilter, queueFilter, searchTerm])
 
-  // Keep URL in sync with state (use 1-based page in URL)
+  useEffect(() => {
+    setBulkResetAttempts(statusFilter === 'failed')
+  }, [statusFilter])
+
+  // Keep URL in sync with state
   useEffect(() => {
     const params = new URLSearchParams()
-    if (searchTerm) params.set('q', searchTerm)
-    if (statusFilter && statusFilter !== 'all') params.set('status', statusFilter)
+    // With default filters, clearing one must still show up in the URL, or
+    // the defaults would be applied again
+    if (searchTerm || settings.defaultJobSearch) params.set('q', searchTerm)
+    if ((statusFilter && statusFilter !== 'all') || settings.defaultJobStatus !== 'all') params.set('status', statusFilter)
     if (taskFilter && taskFilter !== 'all') params.set('task', taskFilter)
     if (queueFilter && queueFilter !== 'all') params.set('queue', queueFilter)
-    const pageOneBased = (currentPage || 0) + 1
-    if (pageOneBased !== 1) params.set('page', String(pageOneBased))
+    if (position.after) params.set('after', position.after)
+    if (position.before) params.set('before', position.before)
+    if (position.oldest) params.set('oldest', '1')
     const paramsStr = params.toString()
     const currentStr = searchParams.toString()
     if (paramsStr !== currentStr) {
-      setSearchParams(params)
+      // Filling in the defaults shouldn't add a history entry
+      setSearchParams(params, { replace: hasDefaults && !hasUrlFilters(searchParams) })
     }
-  }, [searchTerm, statusFilter, taskFilter, queueFilter, currentPage, setSearchParams])
+  }, [searchTerm, statusFilter, taskFilter, queueFilter, position, setSearchParams])
 
   // Update state if URL changes (e.g., browser back/forward)
   useEffect(() => {
+    // Opened without filters (e.g. from the sidebar): apply the defaults
+    if (hasDefaults && !hasUrlFilters(searchParams)) {
+      setSearchParams(defaultParams, { replace: true })
+      return
+    }
     const q = searchParams.get('q') || ''
     const status = searchParams.get('status') || 'all'
     const task = searchParams.get('task') || 'all'
     const queue = searchParams.get('queue') || 'all'
-    const p = parseInt(searchParams.get('page') || '1', 10)
-    const pageIdx = Number.isFinite(p) && p > 0 ? p - 1 : 0
+    const urlPosition = positionFromParams(searchParams)
 
-    // Mark that we're syncing from URL to avoid resetting page
+    // Mark that we're syncing from URL to avoid resetting the position
     updatingFromUrlRef.current = true
     if (q !== searchTerm) setSearchTerm(q)
     if (status !== statusFilter) setStatusFilter(status)
     if (task !== taskFilter) setTaskFilter(task)
     if (queue !== queueFilter) setQueueFilter(queue)
-    if (pageIdx !== currentPage) setCurrentPage(pageIdx)
+    if (!samePosition(urlPosition, position)) setPosition(urlPosition)
   }, [searchParams])
 
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), 300)
+    return () => clearTimeout(timer)
+  }, [searchTerm])
+
   // Build GraphQL filter (connection filter) based on filters
   const buildFilter = () => {
     const filter = {}
+    if (debouncedSearch) {
+      // Evaluated by the backend's JobFilter.search (see backend/jobSearch.js)
+      filter.search = debouncedSearch
+    }
     if (taskFilter !== 'all') {
       filter.taskIdentifier = { equalTo: taskFilter }
     }
     if (queueFilter !== 'all') {
       filter.queueName = { equalTo: queueFilter }
     }
-    switch (statusFilter) {
-      case 'running':
-        filter.lockedAt = { isNull: false }
-        break
-      case 'failed':
-        filter.and = [
-          { lastError: { isNull: false } },
-          { lockedAt: { isNull: true } }
-        ]
-        break
-      case 'completed':
-        filter.and = [
-          { attempts: { greaterThan: 0 } },
-          { lastError: { isNull: true } },
-          { lockedAt: { isNull: true } }
-        ]
-        break
-      case 'pending':
-        // Approximate: never started and not locked
-        filter.and = [
-          { lockedAt: { isNull: true } },
-          { attempts: { equalTo: 0 } }
-        ]
-        break
-      default:
-        break
+    if (statusFilter !== 'all') {
+      // Derived server-side by backend/jobStatus.js
+      filter.status = { equalTo: statusFilter }
     }
     return Object.keys(filter).length > 0 ? filter : undefined
   }
 
-  const { data, loading, error, refetch } = useQuery(GET_PAGINATED_JOBS_QUERY, {
+  const pageVariables = position.after
+    ? { first: pageSize, after: position.after }
+    : position.before
+      ? { last: pageSize, before: position.before }
+      : position.oldest ? { last: pageSize } : { first: pageSize }
+
+  const jobsQuery = useQuery(GET_PAGINATED_JOBS_QUERY, {
     variables: {
-      first: pageSize,
-      offset: currentPage * pageSize,
-      orderBy: ['CREATED_AT_DESC'],
+      ...pageVariables,
+      orderBy: JOB_ORDER,
       filter: buildFilter()
     },
-    pollInterval: 5000, // Poll every 5 seconds for updates
+  })
+  const { loading, error, refetch } = jobsQuery
+  // Keep showing the previous page while a new search/filter loads
+  const data = jobsQuery.data ?? jobsQuery.previousData
+  // Live via job events, narrowed to the selected task/queue; else poll
+  useLiveUpdates(jobsQuery, {
+    fallbackInterval: settings.jobListRefreshSeconds * 1000,
+    taskIdentifier: taskFilter !== 'all' ? taskFilter : undefined,
+    queueName: queueFilter !== 'all' ? queueFilter : undefined,
+  })
+
+  // Counted per filter rather than per page, and refreshed less eagerly
+  const countQuery = useQuery(GET_JOB_COUNT_QUERY, {
+    variables: { filter: buildFilter() },
+  })
+  const jobCount = (countQuery.data ?? countQuery.previousData)?.jobCount
+  useLiveUpdates(countQuery, {
+    fallbackInterval: settings.jobListRefreshSeconds * 1000,
+    throttleMs: 10000,
+    taskIdentifier: taskFilter !== 'all' ? taskFilter : undefined,
+    queueName: queueFilter !== 'all' ? queueFilter : undefined,
   })
 
+  const refetchAll = () => {
+    refetch()
+    countQuery.refetch()
+  }
+
   // Load unique task identifiers via Apollo useQuery
   const { data: tasksData, loading: tasksLoading, error: tasksError } = useQuery(GET_UNIQUE_TASKS, {
     fetchPolicy: 'network-only',
@@ -217,14 +342,18 @@ const JobList = () => {
   })
 
   const jobs = data?.allJobs?.nodes || []
-  const totalCount = data?.allJobs?.totalCount || 0
-  const totalPages = Math.ceil(totalCount / pageSize)
-  const hasNextPage = data?.allJobs?.pageInfo?.hasNextPage
-  const hasPreviousPage = data?.allJobs?.pageInfo?.hasPreviousPage
+  const pageInfo = data?.allJobs?.pageInfo
+  const hasNextPage = !!pageInfo?.hasNextPage
+  const hasPreviousPage = !!pageInfo?.hasPreviousPage
 
-  const [retryJob] = useMutation(RETRY_JOB_MUTATION)
+  // Viewers can browse but not act on jobs
+  const canOperate = useAuth().can('operator')
+  const client = useApolloClient()
   const [cancelJob] = useMutation(CANCEL_JOB_MUTATION)
   const [completeJob] = useMutation(COMPLETE_JOB_MUTATION)
+  const [bulkRetryJobs] = useMutation(BULK_RETRY_JOBS_MUTATION)
+  const [bulkCancelJobs] = useMutation(BULK_CANCEL_JOBS_MUTATION)
+  const [bulkCompleteJobs] = useMutation(BULK_COMPLETE_JOBS_MUTATION)
 
   // Derive unique tasks from aggregates result
   const uniqueTasks = (tasksData?.allJobs?.groupedAggregates || [])
@@ -237,76 +366,23 @@ const JobList = () => {
     .filter(Boolean)
     .sort()
 
-  // Filter jobs based on search and filters
-  const filteredJobs = jobs.filter(job => {
-    const ti = job.taskIdentifier || ''
-    const matchesSearch = !searchTerm || 
-      ti.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      job.queueName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      job.key?.toLowerCase().includes(searchTerm.toLowerCase())
-
-    const matchesStatus = statusFilter === 'all' || getJobStatus(job) === statusFilter
-    const matchesTask = taskFilter === 'all' || job.taskIdentifier === taskFilter
-    const matchesQueue = queueFilter === 'all' || job.queueName === queueFilter
-
-    return matchesSearch && matchesStatus && matchesTask && matchesQueue
-  })
-
-  function getJobStatus(job) {
-    // Determine status similarly to dashboard counts
-    if (job.lockedAt) return 'running'
-    if (job.lastError && !job.lockedAt) return 'failed'
-    if (job.attempts > 0 && !job.lastError && !job.lockedAt) return 'completed'
-    return 'pending'
-  }
-
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'running': return 'bg-green-100 text-green-800'
-      case 'failed': return 'bg-red-100 text-red-800'
-      case 'completed': return 'bg-gray-100 text-gray-800'
-      case 'pending': return 'bg-yellow-100 text-yellow-800'
-      default: return 'bg-gray-100 text-gray-800'
-    }
-  }
-
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case 'running': return Play
-      case 'failed': return AlertCircle
-      case 'completed': return CheckCircle
-      case 'pending': return Clock
-      default: return Clock
-    }
-  }
-
-  // Reset to first page when filters change
+  // Back to the newest jobs when filters change
   const handleFilterChange = (filterType, value) => {
-    setCurrentPage(0)
+    setPosition(NEWEST)
     if (filterType === 'status') setStatusFilter(value)
     if (filterType === 'task') setTaskFilter(value)
     if (filterType === 'search') setSearchTerm(value)
   }
 
-  const handleRetryJob = async (jobId, e) => {
-    e.stopPropagation()
-    try {
-      await retryJob({ variables: { jobId } })
-      toast.success('Job retry scheduled')
-      refetch()
-    } catch (error) {
-      toast.error(`Failed to retry job: ${error.message}`)
-    }
-  }
-
   const handleCancelJob = async (jobId, e) => {
     e.stopPropagation()
-    if (!confirm('Are you sure you want to cancel this job?')) return
-    
+    const reason = promptReason('Are you sure you want to cancel this job?')
+    if (reason === null) return
+
     try {
-      await cancelJob({ variables: { jobId } })
+      await cancelJob({ variables: { jobId, reason } })
       toast.success('Job cancelled')
-      refetch()
+      refetchAll()
     } catch (error) {
       toast.error(`Failed to cancel job: ${error.message}`)
     }
@@ -314,18 +390,109 @@ const JobList = () => {
 
   const handleCompleteJob = async (jobId, e) => {
     e.stopPropagation()
-    if (!confirm('Are you sure you want to mark this job as complete?')) return
-    
+    const reason = promptReason('Are you sure you want to mark this job as complete?')
+    if (reason === null) return
+
     try {
-      await completeJob({ variables: { jobId } })
+      await completeJob({ variables: { jobId, reason } })
       toast.success('Job marked as complete')
-      refetch()
+      refetchAll()
     } catch (error) {
       toast.error(`Failed to complete job: ${error.message}`)
     }
   }
 
-  if (loading) {
+  const handleJumpToDate = async (date) => {
+    try {
+      const { data: result } = await client.query({
+        query: GET_JOB_CURSOR_AT_QUERY,
+        variables: { orderBy: JOB_ORDER, createdAfter: date.toISOString() },
+        fetchPolicy: 'network-only',
+      })
+      const [edge] = result.allJobs.edges
+      // Nothing newer: the newest page already starts there
+      setPosition(edge ? { ...NEWEST, after: edge.cursor } : NEWEST)
+    } catch (error) {
+      toast.error(`Failed to jump to date: ${error.message}`)
+    }
+  }
+
+  const pagination = {
+    summary: jobs.length > 0
+      ? `Showing ${jobs.length}${jobCount ? ` of ${formatCount(jobCount)}` : ''} jobs, created ${formatDate(jobs[jobs.length - 1].createdAt)} to ${formatDate(jobs[0].createdAt)}`
+      : 'No jobs here',
+    hasNextPage,
+    hasPreviousPage,
+    onNewest: () => setPosition(NEWEST),
+    // An empty page past the oldest job has no cursors of its own
+    onPrevious: () => setPosition(pageInfo?.startCursor ? { ...NEWEST, before: pageInfo.startCursor } : { ...NEWEST, oldest: true }),
+    onNext: () => setPosition({ ...NEWEST, after: pageInfo.endCursor }),
+    onOldest: () => setPosition({ ...NEWEST, oldest: true }),
+    onJumpToDate: handleJumpToDate,
+  }
+
+  const pageIds = jobs.map(job => job.id)
+  const allPageSelected = pageIds.length > 0 && pageIds.every(id => selectedIds.has(id))
+  const selectionCount = selectAllMatching ? jobCount?.count ?? 0 : selectedIds.size
+
+  const toggleSelected = (jobId) => {
+    setSelectAllMatching(false)
+    setSelectedIds(prev => {
+      const next = new Set(prev)
+      if (next.has(jobId)) next.delete(jobId)
+      else next.add(jobId)
+      return next
+    })
+  }
+
+  const toggleSelectPage = () => {
+    setSelectAllMatching(false)
+    setSelectedIds(prev => {
+      const next = new Set(prev)
+      pageIds.forEach(id => (allPageSelected ? next.delete(id) : next.add(id)))
+      return next
+    })
+  }
+
+  const clearSelection = () => {
+    setSelectedIds(new Set())
+    setSelectAllMatching(false)
+  }
+
+  const handleBulkAction = async (action) => {
+    const actions = {
+      retry: { mutate: bulkRetryJobs, field: 'bulkRetryJobs', verb: 'retry' },
+      cancel: { mutate: bulkCancelJobs, field: 'bulkCancelJobs', verb: 'cancel' },
+      complete: { mutate: bulkCompleteJobs, field: 'bulkCompleteJobs', verb: 'mark as complete' },
+    }
+    const { mutate, field, verb } = actions[action]
+    const what = selectAllMatching && jobCount ? formatCount(jobCount) : selectionCount.toLocaleString()
+    const reason = promptReason(`Are you sure you want to ${verb} ${what} job(s)?`)
+    if (reason === null) return
+
+    const variables = selectAllMatching
+      ? { filter: buildFilter() ?? {}, reason }
+      : { jobIds: [...selectedIds], reason }
+    if (action === 'retry') variables.resetAttempts = bulkResetAttempts
+    setBulkRunning(true)
+    try {
+      const { data: result } = await mutate({ variables })
+      const { succeeded, failed } = result[field]
+      if (failed > 0) {
+        toast.error(`${succeeded} succeeded, ${failed} failed (locked or no longer present)`)
+      } else {
+        toast.success(`${succeeded} job(s) updated`)
+      }
+      clearSelection()
+      refetchAll()
+    } catch (error) {
+      toast.error(`Bulk ${verb} failed: ${error.message}`)
+    } finally {
+      setBulkRunning(false)
+    }
+  }
+
+  if (loading && !data) {
     return (
       <div className="bg-white rounded-lg shadow">
         <div className="px-6 py-4 border-b border-gray-200">
@@ -364,7 +531,7 @@ const JobList = () => {
             </div>
           </div>
           <button
-            onClick={() => refetch()}
+            onClick={() => refetchAll()}
             className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
           >
             <RefreshCw className="h-4 w-4 mr-1" />
@@ -381,19 +548,41 @@ const JobList = () => {
       <div className="px-6 py-4 border-b border-gray-200">
         <div className="flex items-center justify-between mb-4">
           <h2 className="text-lg font-medium text-gray-900">
-            Jobs ({totalCount.toLocaleString()} total)
+            Jobs{jobCount && ` (${formatCount(jobCount)} total)`}
           </h2>
           <div className="flex items-center space-x-2">
-            <span className="text-sm text-gray-500">
-              Page {currentPage + 1} of {totalPages}
-            </span>
             <button
-              onClick={() => refetch()}
+              onClick={() => refetchAll()}
               className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
             >
               <RefreshCw className="h-4 w-4 mr-1" />
               Refresh
             </button>
+            <button
+              onClick={() => setShowExport(!showExport)}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <Download className="h-4 w-4 mr-1" />
+              Export
+            </button>
+            {canOperate && (
+              <button
+                onClick={() => navigate('/jobs/new')}
+                className="inline-flex items-center px-3 py-1.5 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+              >
+                <Plus className="h-4 w-4 mr-1" />
+                New job
+              </button>
+            )}
+            {canOperate && (
+              <button
+                onClick={() => navigate('/jobs/import')}
+                className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <Upload className="h-4 w-4 mr-1" />
+                Import
+              </button>
+            )}
           </div>
         </div>
 
@@ -403,7 +592,8 @@ const JobList = () => {
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
             <input
               type="text"
-              placeholder="Search jobs..."
+              placeholder="Search jobs... e.g. task:send_email error:timeout payload.userId=42"
+              title={'Free text matches id, task, queue, key, error and payload.\nTerms: task: queue: key: error: worker: id: payload.<path>=value (also != > < >= <=), prefix - to negate, quote values with spaces.'}
               value={searchTerm}
               onChange={(e) => handleFilterChange('search', e.target.value)}
               className="pl-10 pr-4 py-2 w-full border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
@@ -416,10 +606,9 @@ const JobList = () => {
             className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
           >
             <option value="all">All Statuses</option>
-            <option value="pending">Pending</option>
-            <option value="running">Running</option>
-            <option value="failed">Failed</option>
-            <option value="completed">Completed</option>
+            {JOB_STATUSES.map(s => (
+              <option key={s.value} value={s.value} title={s.description}>{s.label}</option>
+            ))}
           </select>
 
           <select
@@ -446,23 +635,93 @@ const JobList = () => {
         </div>
       </div>
 
-      {/* Top Pagination Controls */}
-      {totalPages > 1 && (
-        <Pagination
-          top
-          currentPage={currentPage}
-          totalPages={totalPages}
-          totalCount={totalCount}
-          pageSize={pageSize}
-          hasNextPage={hasNextPage}
-          hasPreviousPage={hasPreviousPage}
-          onPageChange={(p) => setCurrentPage(p)}
+      {showExport && (
+        <JobExport
+          filter={buildFilter()}
+          countLabel={jobCount && formatCount(jobCount)}
+          onClose={() => setShowExport(false)}
         />
       )}
 
+      {/* Top Pagination Controls */}
+      {(hasNextPage || hasPreviousPage) && <CursorPagination top {...pagination} />}
+
+      {/* Bulk Selection Bar */}
+      {jobs.length > 0 && canOperate && (
+        <div className="px-6 py-3 border-b border-gray-200 bg-gray-50 flex items-center justify-between flex-wrap gap-3">
+          <div className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={selectAllMatching || allPageSelected}
+              onChange={toggleSelectPage}
+              className="h-4 w-4 mr-3 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              title="Select all jobs on this page"
+            />
+            {selectionCount > 0 ? (
+              <span>
+                {selectAllMatching
+                  ? `All ${formatCount(jobCount)} jobs matching the filter are selected.`
+                  : `${selectedIds.size} selected.`}
+                {!selectAllMatching && allPageSelected && (hasNextPage || hasPreviousPage) && jobCount && (
+                  <button
+                    onClick={() => setSelectAllMatching(true)}
+                    className="ml-2 text-blue-600 hover:text-blue-800 font-medium"
+                  >
+                    Select all {formatCount(jobCount)} matching filter
+                  </button>
+                )}
+                <button onClick={clearSelection} className="ml-2 text-gray-500 hover:text-gray-700">
+                  Clear
+                </button>
+              </span>
+            ) : (
+              <span className="text-gray-500">Select jobs for bulk actions</span>
+            )}
+          </div>
+          {selectionCount > 0 && (
+            <div className="flex items-center space-x-2">
+              <CheckSquare className="h-4 w-4 text-gray-400" />
+              <label className="flex items-center text-sm text-gray-700" title="Count attempts from 0 again; jobs that used all of their attempts are always reset">
+                <input
+                  type="checkbox"
+                  checked={bulkResetAttempts}
+                  onChange={(e) => setBulkResetAttempts(e.target.checked)}
+                  className="h-4 w-4 mr-1 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                Reset attempts
+              </label>
+              <button
+                onClick={() => handleBulkAction('retry')}
+                disabled={bulkRunning}
+                className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                <RotateCcw className="h-4 w-4 mr-1" />
+                Retry
+              </button>
+              <button
+                onClick={() => handleBulkAction('cancel')}
+                disabled={bulkRunning}
+                className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
+              >
+                <X className="h-4 w-4 mr-1" />
+                Cancel
+              </button>
+              <button
+                onClick={() => handleBulkAction('complete')}
+                disabled={bulkRunning}
+                className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-green-700 bg-white hover:bg-green-50 disabled:opacity-50"
+              >
+                <CheckCircle className="h-4 w-4 mr-1" />
+                Complete
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Job List */}
       <div className="divide-y divide-gray-200">
-        {filteredJobs.length === 0 ? (
+        {jobs.length === 0 ? (
           <div className="px-6 py-12 text-center">
             <Filter className="mx-auto h-12 w-12 text-gray-400" />
             <h3 className="mt-2 text-sm font-medium text-gray-900">No jobs found</h3>
@@ -471,9 +730,10 @@ const JobList = () => {
             </p>
           </div>
         ) : (
-          filteredJobs.map((job) => {
-            const status = getJobStatus(job);
-            const StatusIcon = getStatusIcon(status);
+          jobs.map((job) => {
+            const status = job.status;
+            const statusMeta = getStatusMeta(status);
+            const StatusIcon = statusMeta.icon;
             const isExpanded = expandedId === job.id;
 
             return (
@@ -485,6 +745,15 @@ const JobList = () => {
                 onClick={() => setExpandedId(isExpanded ? null : job.id)}
               >
                 <div className="flex items-center justify-between">
+                  {canOperate && (
+                    <input
+                      type="checkbox"
+                      checked={selectAllMatching || selectedIds.has(job.id)}
+                      onChange={() => toggleSelected(job.id)}
+                      onClick={(e) => e.stopPropagation()}
+                      className="h-4 w-4 mr-3 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                  )}
                   <div className="flex-1 min-w-0">
                     <div className="flex items-center">
                       <StatusIcon className="h-4 w-4 text-gray-400 mr-2" />
@@ -520,8 +789,11 @@ const JobList = () => {
                   </div>
 
                   <div className="ml-4 flex items-center space-x-2">
-                    <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(status)}`}>
-                      {status}
+                    <span
+                      className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${statusMeta.badge}`}
+                      title={statusMeta.description}
+                    >
+                      {statusMeta.label}
                     </span>
                     <button
                       className="p-1 text-gray-400 hover:text-gray-600"
@@ -531,40 +803,52 @@ const JobList = () => {
                       {isExpanded ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
                     </button>
                     {/* Action buttons */}
-                    <div className="flex items-center space-x-1">
-                      {status === 'failed' && (
-                        <button
-                          onClick={(e) => handleRetryJob(job.id, e)}
-                          className="p-1 text-gray-400 hover:text-blue-600"
-                          title="Retry job"
-                        >
-                          <RotateCcw className="h-4 w-4" />
-                        </button>
-                      )}
+                    {canOperate && (
+                      <div className="flex items-center space-x-1">
+                        {(status === 'failed' || status === 'retrying') && (
+                          <button
+                            onClick={(e) => { e.stopPropagation(); setRetryingId(retryingId === job.id ? null : job.id) }}
+                            className={`p-1 hover:text-blue-600 ${retryingId === job.id ? 'text-blue-600' : 'text-gray-400'}`}
+                            title="Retry job"
+                          >
+                            <RotateCcw className="h-4 w-4" />
+                          </button>
+                        )}
 
-                      {(status === 'pending' || status === 'running') && (
-                        <button
-                          onClick={(e) => handleCancelJob(job.id, e)}
-                          className="p-1 text-gray-400 hover:text-red-600"
-                          title="Cancel job"
-                        >
-                          <X className="h-4 w-4" />
-                        </button>
-                      )}
+                        {status !== 'failed' && (
+                          <button
+                            onClick={(e) => handleCancelJob(job.id, e)}
+                            className="p-1 text-gray-400 hover:text-red-600"
+                            title="Cancel job"
+                          >
+                            <X className="h-4 w-4" />
+                          </button>
+                        )}
 
-                      {status === 'pending' && (
-                        <button
-                          onClick={(e) => handleCompleteJob(job.id, e)}
-                          className="p-1 text-gray-400 hover:text-green-600"
-                          title="Mark as complete"
-                        >
-                          <CheckCircle className="h-4 w-4" />
-                        </button>
-                      )}
-                    </div>
+                        {(status === 'pending' || status === 'scheduled' || status === 'retrying') && (
+                          <button
+                            onClick={(e) => handleCompleteJob(job.id, e)}
+                            className="p-1 text-gray-400 hover:text-green-600"
+                            title="Mark as complete"
+                          >
+                            <CheckCircle className="h-4 w-4" />
+                          </button>
+                        )}
+                      </div>
+                    )}
                   </div>
                 </div>
 
+                {retryingId === job.id && (
+                  <div className="mt-4 cursor-default" onClick={(e) => e.stopPropagation()}>
+                    <JobRetry
+                      job={job}
+                      onCancel={() => setRetryingId(null)}
+                      onRetried={() => { setRetryingId(null); refetchAll() }}
+                    />
+                  </div>
+                )}
+
                 {isExpanded && (
                   <div className="mt-4 bg-white rounded border border-blue-100 p-4 text-sm">
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -574,9 +858,9 @@ const JobList = () => {
                           <div><span className="text-gray-500">ID:</span> {job.id}</div>
                           <div><span className="text-gray-500">Priority:</span> {job.priority}</div>
                           <div><span className="text-gray-500">Locked By:</span> {job.lockedBy || '—'}</div>
-                          <div><span className="text-gray-500">Locked At:</span> {job.lockedAt ? new Date(job.lockedAt).toLocaleString() : '—'}</div>
-                          <div><span className="text-gray-500">Run At:</span> {job.runAt ? new Date(job.runAt).toLocaleString() : '—'}</div>
-                          <div><span className="text-gray-500">Updated:</span> {new Date(job.updatedAt).toLocaleString()}</div>
+                          <div><span className="text-gray-500">Locked At:</span> {job.lockedAt ? formatDate(job.lockedAt) : '—'}</div>
+                          <div><span className="text-gray-500">Run At:</span> {job.runAt ? formatDate(job.runAt) : '—'}</div>
+                          <div><span className="text-gray-500">Updated:</span> {formatDate(job.updatedAt)}</div>
                         </div>
                       </div>
                       <div>
@@ -618,17 +902,7 @@ const JobList = () => {
       </div>
 
       {/* Bottom Pagination Controls */}
-      {totalPages > 1 && (
-        <Pagination
-          currentPage={currentPage}
-          totalPages={totalPages}
-          totalCount={totalCount}
-          pageSize={pageSize}
-          hasNextPage={hasNextPage}
-          hasPreviousPage={hasPreviousPage}
-          onPageChange={(p) => setCurrentPage(p)}
-        />
-      )}
+      {(hasNextPage || hasPreviousPage) && <CursorPagination {...pagination} />}
     </div>
   )
 }
@@ -8,7 +8,7 @@ const JobPage = () => {
 
   return (
     <div className="max-w-4xl mx-auto">
-      <JobDetails jobId={jobId} onRefresh={() => { /* no-op; JobDetails polls */ }} />
+      <JobDetails jobId={jobId} onRefresh={() => { /* no-op; JobDetails keeps itself up to date */ }} />
     </div>
   )
 }
@@ -0,0 +1,213 @@
+import React, { useState } from 'react'
+import { gql, useMutation } from '@apollo/client'
+import { AlertTriangle, RotateCcw, X } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const RETRY_JOB_MUTATION = gql`
+  mutation RetryJob(
+    $jobId: String!
+    $runAt: Datetime
+    $resetAttempts: Boolean
+    $maxAttempts: Int
+    $priority: Int
+    $reason: String
+  ) {
+    retryJob(
+      jobId: $jobId
+      runAt: $runAt
+      resetAttempts: $resetAttempts
+      maxAttempts: $maxAttempts
+      priority: $priority
+      reason: $reason
+    )
+  }
+`
+
+// Quick delays for "Later", from now
+const DELAYS = [
+  { label: '+15 min', minutes: 15 },
+  { label: '+1 hour', minutes: 60 },
+  { label: '+1 day', minutes: 24 * 60 },
+]
+
+// Both are smallint columns
+const SMALLINT_MAX = 32767
+
+const inputClass = 'px-3 py-2 w-full border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500'
+
+// datetime-local inputs want "YYYY-MM-DDTHH:mm" in local time
+const toLocalInput = (date) => {
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`
+}
+
+const JobRetry = ({ job: currentJob, onCancel, onRetried }) => {
+  // Freeze the job the options were chosen for; polling may update it meanwhile
+  const [job] = useState(currentJob)
+  const attempts = job.attempts ?? 0
+  const [form, setForm] = useState(() => ({
+    later: false,
+    runAt: '',
+    // A job that used all of its attempts would never be picked up again
+    resetAttempts: attempts >= job.maxAttempts,
+    maxAttempts: String(job.maxAttempts ?? ''),
+    priority: String(job.priority ?? 0),
+    reason: '',
+  }))
+  const [saving, setSaving] = useState(false)
+  const [retryJob] = useMutation(RETRY_JOB_MUTATION)
+
+  const setField = (name) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value
+    setForm(prev => ({ ...prev, [name]: value }))
+  }
+  const setDelay = (minutes) => {
+    setForm(prev => ({ ...prev, later: true, runAt: toLocalInput(new Date(Date.now() + minutes * 60 * 1000)) }))
+  }
+
+  const maxAttempts = Number(form.maxAttempts)
+  const priority = Number(form.priority)
+  const errors = []
+  if (form.later && (!form.runAt || Number.isNaN(new Date(form.runAt).getTime()))) {
+    errors.push('Choose when to run the job')
+  }
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > SMALLINT_MAX) {
+    errors.push(`Max attempts must be a whole number between 1 and ${SMALLINT_MAX}`)
+  } else if (!form.resetAttempts && maxAttempts <= attempts) {
+    errors.push(`The job has already made ${attempts} attempt(s); reset attempts or raise max attempts above ${attempts}, or it will not run again`)
+  }
+  if (form.priority.trim() === '' || !Number.isInteger(priority) || Math.abs(priority) > SMALLINT_MAX) {
+    errors.push(`Priority must be a whole number between -${SMALLINT_MAX} and ${SMALLINT_MAX}`)
+  }
+
+  const handleRetry = async () => {
+    setSaving(true)
+    try {
+      await retryJob({
+        variables: {
+          jobId: String(job.id),
+          runAt: form.later ? new Date(form.runAt).toISOString() : undefined,
+          resetAttempts: form.resetAttempts || undefined,
+          // Only what changed, so the audit log shows the options used
+          maxAttempts: maxAttempts !== job.maxAttempts ? maxAttempts : undefined,
+          priority: priority !== (job.priority ?? 0) ? priority : undefined,
+          reason: form.reason.trim() || undefined,
+        },
+      })
+      toast.success(form.later ? 'Job retry scheduled' : 'Job queued to retry now')
+      onRetried && onRetried()
+    } catch (error) {
+      toast.error(`Failed to retry job: ${error.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-blue-200 p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">Retry job #{job.id}</h3>
+        <span className="text-xs text-gray-500">{attempts} / {job.maxAttempts} attempts used</span>
+      </div>
+
+      <div className="space-y-2">
+        <span className="text-sm font-medium text-gray-700">Run</span>
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="radio"
+              name={`retry-when-${job.id}`}
+              checked={!form.later}
+              onChange={() => setForm(prev => ({ ...prev, later: false }))}
+              className="h-4 w-4 mr-2 border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Now
+          </label>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="radio"
+              name={`retry-when-${job.id}`}
+              checked={form.later}
+              onChange={() => setForm(prev => ({ ...prev, later: true }))}
+              className="h-4 w-4 mr-2 border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Later
+          </label>
+          {form.later && (
+            <input
+              type="datetime-local"
+              value={form.runAt}
+              onChange={setField('runAt')}
+              className="px-2 py-1 border border-gray-300 rounded text-sm"
+            />
+          )}
+          {DELAYS.map(delay => (
+            <button
+              key={delay.minutes}
+              type="button"
+              onClick={() => setDelay(delay.minutes)}
+              className="text-xs text-blue-600 hover:text-blue-800"
+            >
+              {delay.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <label className="flex items-center text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={form.resetAttempts}
+          onChange={setField('resetAttempts')}
+          className="h-4 w-4 mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+        />
+        Reset attempts
+        <span className="ml-2 text-xs text-gray-500">(count from 0 again, with a fresh backoff)</span>
+      </label>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Max attempts</span>
+          <input type="number" min={1} value={form.maxAttempts} onChange={setField('maxAttempts')} className={`mt-1 ${inputClass}`} />
+        </label>
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Priority</span>
+          <input type="number" value={form.priority} onChange={setField('priority')} className={`mt-1 ${inputClass}`} />
+        </label>
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">Reason</span>
+          <input
+            value={form.reason}
+            onChange={setField('reason')}
+            placeholder="Optional; recorded in the audit log"
+            className={`mt-1 ${inputClass}`}
+          />
+        </label>
+      </div>
+
+      {errors.map(error => (
+        <div key={error} className="flex items-center text-xs text-red-600">
+          <AlertTriangle className="h-4 w-4 mr-1" /> {error}
+        </div>
+      ))}
+
+      <div className="flex justify-end space-x-2">
+        <button
+          onClick={onCancel}
+          className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          <X className="h-4 w-4 mr-1" /> Cancel
+        </button>
+        <button
+          onClick={handleRetry}
+          disabled={saving || errors.length > 0}
+          className="inline-flex items-center px-3 py-1.5 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+        >
+          <RotateCcw className="h-4 w-4 mr-1" /> {saving ? 'Retrying...' : 'Retry'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default JobRetry
@@ -0,0 +1,123 @@
+import React, { useState } from 'react'
+import { Zap, LogIn, KeyRound, AlertTriangle } from 'lucide-react'
+import { fetchCurrentUser, login } from '../utils/auth'
+
+const inputClass = 'block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500'
+
+function Login({ providers = [], onSignIn }) {
+  const passwordEnabled = providers.includes('local')
+  const tokenEnabled = providers.includes('token') || providers.includes('jwt')
+  const [mode, setMode] = useState(passwordEnabled ? 'password' : 'token')
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [token, setTokenValue] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    setError(null)
+    try {
+      if (mode === 'password') {
+        const session = await login(username, password)
+        onSignIn(session.token, session.user)
+      } else {
+        const value = token.trim().replace(/^Bearer\s+/i, '')
+        const user = await fetchCurrentUser(value)
+        onSignIn(value, user)
+      }
+    } catch (err) {
+      setError(err.message)
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-gray-50 p-6">
+      <div className="w-full max-w-sm bg-white rounded-lg shadow-xl overflow-hidden">
+        <div className="flex items-center h-16 px-6 bg-gradient-to-r from-blue-600 to-purple-600">
+          <Zap className="h-8 w-8 text-white" />
+          <span className="ml-2 text-xl font-bold text-white">Graphile Worker</span>
+        </div>
+
+        {passwordEnabled && tokenEnabled && (
+          <div className="flex border-b">
+            {[['password', 'Password'], ['token', 'Access token']].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => { setMode(value); setError(null) }}
+                className={`flex-1 py-3 text-sm font-medium ${
+                  mode === value ? 'text-blue-700 border-b-2 border-blue-700' : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          {mode === 'password' ? (
+            <>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">Username</span>
+                <input
+                  required
+                  autoFocus
+                  autoComplete="username"
+                  value={username}
+                  onChange={e => setUsername(e.target.value)}
+                  className={inputClass}
+                />
+              </label>
+              <label className="block">
+                <span className="block text-sm font-medium text-gray-700 mb-1">Password</span>
+                <input
+                  required
+                  type="password"
+                  autoComplete="current-password"
+                  value={password}
+                  onChange={e => setPassword(e.target.value)}
+                  className={inputClass}
+                />
+              </label>
+            </>
+          ) : (
+            <label className="block">
+              <span className="block text-sm font-medium text-gray-700 mb-1">Access token</span>
+              <textarea
+                required
+                autoFocus
+                rows={4}
+                spellCheck={false}
+                value={token}
+                onChange={e => setTokenValue(e.target.value)}
+                placeholder="API token or JWT from your identity provider"
+                className={`${inputClass} font-mono`}
+              />
+            </label>
+          )}
+
+          {error && (
+            <div className="flex items-center text-sm text-red-600">
+              <AlertTriangle className="h-4 w-4 mr-1 flex-shrink-0" /> {error}
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full inline-flex justify-center items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {mode === 'password' ? <LogIn className="h-4 w-4 mr-1" /> : <KeyRound className="h-4 w-4 mr-1" />}
+            {submitting ? 'Signing in...' : 'Sign in'}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default Login
@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from 'react'
+import { gql, useQuery, useMutation } from '@apollo/client'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { ArrowLeft, Plus, AlertTriangle } from 'lucide-react'
+import toast from 'react-hot-toast'
+
+const ENQUEUE_JOB_MUTATION = gql`
+  mutation EnqueueJob(
+    $identifier: String!
+    $payload: JSON
+    $queueName: String
+    $runAt: Datetime
+    $maxAttempts: Int
+    $jobKey: String
+    $jobKeyMode: String
+    $priority: Int
+    $flags: [String!]
+  ) {
+    enqueueJob(
+      identifier: $identifier
+      payload: $payload
+      queueName: $queueName
+      runAt: $runAt
+      maxAttempts: $maxAttempts
+      jobKey: $jobKey
+      jobKeyMode: $jobKeyMode
+      priority: $priority
+      flags: $flags
+    )
+  }
+`
+
+// Source job when cloning (?clone=<id>)
+const GET_CLONE_SOURCE = gql`
+  query GetCloneSource($id: BigInt!) {
+    allJobs(filter: { id: { equalTo: $id } }) {
+      nodes {
+        id
+        taskIdentifier
+        queueName
+        key
+        priority
+        maxAttempts
+        flags
+        _privateJobById {
+          payload
+        }
+      }
+    }
+  }
+`
+
+const GET_TASKS_AND_QUEUES = gql`
+  query GetTasksAndQueues {
+    tasks: allJobs {
+      groupedAggregates(groupBy: TASK_IDENTIFIER) {
+        keys
+      }
+    }
+    queues: allJobs {
+      groupedAggregates(groupBy: QUEUE_NAME) {
+        keys
+      }
+    }
+  }
+`
+
+const JOB_KEY_MODES = ['replace', 'preserve_run_at', 'unsafe_dedupe']
+
+const emptyForm = {
+  identifier: '',
+  payload: '{\n  \n}',
+  queueName: '',
+  runAt: '',
+  maxAttempts: '',
+  jobKey: '',
+  jobKeyMode: 'replace',
+  priority: '',
+  flags: '',
+}
+
+const Field = ({ label, hint, children }) => (
+  <label className="block">
+    <span className="text-sm font-medium text-gray-700">{label}</span>
+    <div className="mt-1">{children}</div>
+    {hint && <span className="mt-1 block text-xs text-gray-500">{hint}</span>}
+  </label>
+)
+
+const inputClass = 'px-3 py-2 w-full border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500'
+
+const keysOf = (groups) => (groups || [])
+  .map(g => Array.isArray(g?.keys) ? g.keys[0] : null)
+  .filter(Boolean)
+  .sort()
+
+const NewJob = () => {
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const cloneId = searchParams.get('clone')
+  const [form, setForm] = useState(emptyForm)
+  const [submitting, setSubmitting] = useState(false)
+
+  const { data: cloneData } = useQuery(GET_CLONE_SOURCE, {
+    variables: { id: String(cloneId) },
+    skip: !cloneId,
+  })
+  const { data: listsData } = useQuery(GET_TASKS_AND_QUEUES)
+  const [enqueueJob] = useMutation(ENQUEUE_JOB_MUTATION)
+
+  // Prefill from the cloned job once it loads
+  const source = cloneData?.allJobs?.nodes?.[0]
+  useEffect(() => {
+    if (!source) return
+    setForm({
+      ...emptyForm,
+      identifier: source.taskIdentifier || '',
+      payload: JSON.stringify(source._privateJobById?.payload ?? {}, null, 2),
+      queueName: source.queueName || '',
+      maxAttempts: source.maxAttempts != null ? String(source.maxAttempts) : '',
+      priority: source.priority != null ? String(source.priority) : '',
+      flags: source.flags ? Object.keys(source.flags).join(', ') : '',
+    })
+  }, [source])
+
+  const uniqueTasks = keysOf(listsData?.tasks?.groupedAggregates)
+  const uniqueQueues = keysOf(listsData?.queues?.groupedAggregates)
+
+  let payloadError = null
+  try {
+    if (form.payload.trim()) JSON.parse(form.payload)
+  } catch (e) {
+    payloadError = e.message
+  }
+
+  const setField = (name) => (e) => setForm(prev => ({ ...prev, [name]: e.target.value }))
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (payloadError) return
+    const toInt = (v) => (v === '' ? null : parseInt(v, 10))
+    setSubmitting(true)
+    try {
+      const { data } = await enqueueJob({
+        variables: {
+          identifier: form.identifier.trim(),
+          payload: form.payload.trim() ? JSON.parse(form.payload) : null,
+          queueName: form.queueName.trim() || null,
+          runAt: form.runAt ? new Date(form.runAt).toISOString() : null,
+          maxAttempts: toInt(form.maxAttempts),
+          jobKey: form.jobKey.trim() || null,
+          jobKeyMode: form.jobKey.trim() ? form.jobKeyMode : null,
+          priority: toInt(form.priority),
+          flags: form.flags.split(',').map(f => f.trim()).filter(Boolean),
+        },
+      })
+      const id = data?.enqueueJob
+      toast.success(`Job #${id} enqueued`)
+      navigate(id ? `/jobs/${id}` : '/jobs')
+    } catch (error) {
+      toast.error(`Failed to enqueue job: ${error.message}`)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() => navigate('/jobs')}
+          className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900"
+        >
+          <ArrowLeft className="h-4 w-4 mr-1" /> Back to Jobs
+        </button>
+      </div>
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 space-y-5">
+        <h3 className="text-lg font-semibold text-gray-900">
+          {source ? `New job (cloned from #${source.id})` : 'New job'}
+        </h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Field label="Task identifier">
+            <input
+              required
+              list="new-job-tasks"
+              value={form.identifier}
+              onChange={setField('identifier')}
+              className={inputClass}
+            />
+            <datalist id="new-job-tasks">
+              {uniqueTasks.map(task => <option key={task} value={task} />)}
+            </datalist>
+          </Field>
+          <Field label="Queue name" hint="Jobs in the same named queue run one at a time">
+            <input
+              list="new-job-queues"
+              value={form.queueName}
+              onChange={setField('queueName')}
+              className={inputClass}
+            />
+            <datalist id="new-job-queues">
+              {uniqueQueues.map(queue => <option key={queue} value={queue} />)}
+            </datalist>
+          </Field>
+        </div>
+
+        <Field label="Payload (JSON)">
+          <textarea
+            rows={10}
+            value={form.payload}
+            onChange={setField('payload')}
+            spellCheck={false}
+            className={`${inputClass} font-mono ${payloadError ? 'border-red-400 focus:ring-red-500 focus:border-red-500' : ''}`}
+          />
+        </Field>
+        {payloadError && (
+          <div className="flex items-center text-xs text-red-600">
+            <AlertTriangle className="h-4 w-4 mr-1" /> Invalid JSON: {payloadError}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <Field label="Run at" hint="Leave empty to run now">
+            <input type="datetime-local" value={form.runAt} onChange={setField('runAt')} className={inputClass} />
+          </Field>
+          <Field label="Max attempts" hint="Defaults to 25">
+            <input type="number" min={1} value={form.maxAttempts} onChange={setField('maxAttempts')} className={inputClass} />
+          </Field>
+          <Field label="Priority" hint="Lower runs first; defaults to 0">
+            <input type="number" value={form.priority} onChange={setField('priority')} className={inputClass} />
+          </Field>
+          <Field label="Job key" hint="Optional; deduplicates jobs">
+            <input value={form.jobKey} onChange={setField('jobKey')} className={inputClass} />
+          </Field>
+          <Field label="Job key mode">
+            <select
+              value={form.jobKeyMode}
+              onChange={setField('jobKeyMode')}
+              disabled={!form.jobKey.trim()}
+              className={`${inputClass} disabled:bg-gray-50`}
+            >
+              {JOB_KEY_MODES.map(mode => <option key={mode} value={mode}>{mode}</option>)}
+            </select>
+          </Field>
+          <Field label="Flags" hint="Comma separated">
+            <input value={form.flags} onChange={setField('flags')} className={inputClass} />
+          </Field>
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={submitting || !!payloadError || !form.identifier.trim()}
+            className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            {submitting ? 'Enqueueing...' : 'Enqueue job'}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default NewJob
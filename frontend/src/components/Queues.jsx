@@ -1,32 +1,83 @@
-import React from 'react'
-import { useQuery } from '@apollo/client'
+import React, { useState, useEffect } from 'react'
+import { useQuery, useMutation } from '@apollo/client'
 import { gql } from '@apollo/client'
-import { RefreshCw, Layers, Search } from 'lucide-react'
+import { RefreshCw, Layers, Search, Lock, Unlock, AlertTriangle } from 'lucide-react'
+import { formatDistanceToNowStrict } from 'date-fns'
 import { useNavigate } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import useLiveUpdates from '../hooks/useLiveUpdates'
+import useAuth from '../hooks/useAuth'
+import { promptReason } from '../utils/reason'
+import useSettings from '../hooks/useSettings'
+import { isStaleLock } from '../utils/staleLocks'
+import { JOB_STATUSES } from '../utils/jobStatus'
 
+// From the shared, briefly cached job summary (see backend/jobSummary.js)
 const GET_QUEUES_QUERY = gql`
   query GetQueues {
-    allJobs {
-      groupedAggregates(groupBy: QUEUE_NAME) {
-        keys
-        distinctCount { id }
+    jobSummary {
+      queues {
+        queueName
+        lockedAt
+        lockedBy
+        total
+        pending
+        scheduled
+        running
+        stale
+        retrying
+        failed
+        oldestPendingAt
       }
-      totalCount
     }
   }
 `
 
+const UNLOCK_QUEUE_MUTATION = gql`
+  mutation UnlockQueue($queueName: String!, $reason: String) {
+    unlockQueue(queueName: $queueName, reason: $reason)
+  }
+`
+
 const Queues = () => {
   const navigate = useNavigate()
-  const { data, loading, error, refetch } = useQuery(GET_QUEUES_QUERY, {
+  const { settings } = useSettings()
+  const staleMinutes = settings.staleLockMinutes
+  // Re-render periodically so lock and pending ages keep counting up
+  const [now, setNow] = useState(() => Date.now())
+  const queuesQuery = useQuery(GET_QUEUES_QUERY, {
     fetchPolicy: 'cache-and-network',
-    pollInterval: 15000,
   })
+  const { data, loading, error, refetch } = queuesQuery
+  useLiveUpdates(queuesQuery, { fallbackInterval: settings.queuesRefreshSeconds * 1000, throttleMs: 2000 })
+  const [unlockQueue] = useMutation(UNLOCK_QUEUE_MUTATION)
+  const canOperate = useAuth().can('operator')
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 5000)
+    return () => clearInterval(timer)
+  }, [])
 
-  const groups = data?.allJobs?.groupedAggregates || []
-  const queues = groups
-    .map(g => ({ name: String((g.keys && g.keys[0]) ?? 'default'), total: Number(g?.distinctCount?.id ?? 0) }))
-    .sort((a, b) => b.total - a.total)
+  const queues = (data?.jobSummary?.queues || [])
+    .map(q => ({ ...q, stale: isStaleLock(q.lockedAt, staleMinutes, now) }))
+  const lockedCount = queues.filter(q => q.lockedAt).length
+  const staleCount = queues.filter(q => q.stale).length
+
+  const handleUnlock = async (queue) => {
+    const reason = promptReason(`Release the lock on queue "${queue.queueName}" held by ${queue.lockedBy}? Only do this if that worker has crashed; otherwise jobs in this queue may run concurrently.`)
+    if (reason === null) return
+    try {
+      const { data: result } = await unlockQueue({ variables: { queueName: queue.queueName, reason } })
+      if (result?.unlockQueue) {
+        toast.success(`Released lock on ${queue.queueName}`)
+      } else {
+        toast(`Queue ${queue.queueName} was no longer locked`)
+      }
+      refetch()
+    } catch (error) {
+      toast.error(`Failed to unlock queue: ${error.message}`)
+    }
+  }
 
   if (loading && queues.length === 0) {
     return (
@@ -63,7 +114,12 @@ const Queues = () => {
         <div className="flex items-center space-x-2">
           <Layers className="h-5 w-5 text-gray-500" />
           <h2 className="text-lg font-medium text-gray-900">Queues</h2>
-          <span className="text-sm text-gray-500">{queues.length} total</span>
+          <span className="text-sm text-gray-500">{queues.length} total, {lockedCount} locked</span>
+          {staleCount > 0 && (
+            <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+              {staleCount} stale lock{staleCount === 1 ? '' : 's'}
+            </span>
+          )}
         </div>
         <button
           onClick={() => refetch()}
@@ -80,21 +136,59 @@ const Queues = () => {
         ) : (
           queues.map((q) => (
             <div
-              key={q.name}
-              className="px-6 py-4 hover:bg-gray-50 cursor-pointer flex items-center justify-between"
-              onClick={() => navigate(`/jobs?queue=${encodeURIComponent(q.name)}`)}
-              title={`View jobs in ${q.name}`}
+              key={q.queueName ?? ''}
+              className={`px-6 py-4 hover:bg-gray-50 cursor-pointer flex items-center justify-between ${q.stale ? 'bg-red-50' : ''}`}
+              onClick={() => navigate(q.queueName ? `/jobs?queue=${encodeURIComponent(q.queueName)}` : '/jobs')}
+              title={q.queueName ? `View jobs in ${q.queueName}` : 'View all jobs'}
             >
-              <div>
-                <div className="text-sm font-medium text-gray-900">{q.name || 'default'}</div>
-                <div className="text-xs text-gray-500 flex items-center mt-1">
-                  <Search className="h-3 w-3 mr-1" /> Click to view jobs
+              <div className="min-w-0">
+                <div className="flex items-center text-sm font-medium text-gray-900">
+                  {q.stale ? (
+                    <AlertTriangle className="h-4 w-4 text-red-500 mr-2" />
+                  ) : q.lockedAt ? (
+                    <Lock className="h-4 w-4 text-yellow-500 mr-2" />
+                  ) : null}
+                  {q.queueName ?? <span className="italic text-gray-500">(no queue)</span>}
                 </div>
+                {q.lockedAt ? (
+                  <div className={`text-xs mt-1 ${q.stale ? 'text-red-600' : 'text-gray-500'}`}>
+                    Locked by <span className="font-mono">{q.lockedBy}</span> for {formatDistanceToNowStrict(new Date(q.lockedAt))}
+                    {q.stale && ' • worker likely crashed'}
+                  </div>
+                ) : (
+                  <div className="text-xs text-gray-500 flex items-center mt-1">
+                    <Search className="h-3 w-3 mr-1" /> Click to view jobs
+                  </div>
+                )}
               </div>
-              <div className="text-sm text-gray-700">
+              <div className="flex items-center space-x-2 text-xs">
+                {q.oldestPendingAt && (
+                  <span className="text-gray-500" title="Oldest job that is due but not yet picked up">
+                    oldest pending {formatDistanceToNowStrict(new Date(q.oldestPendingAt))}
+                  </span>
+                )}
+                {JOB_STATUSES.filter(s => q[s.value] > 0).map(s => (
+                  <span key={s.value} className={`inline-flex items-center px-2 py-1 rounded ${s.badge}`} title={s.description}>
+                    {q[s.value].toLocaleString()} {s.label.toLowerCase()}
+                  </span>
+                ))}
                 <span className="inline-flex items-center px-2 py-1 rounded bg-gray-100 text-gray-800">
                   {q.total.toLocaleString()} jobs
                 </span>
+                {canOperate && q.lockedAt && q.queueName && (
+                  <button
+                    onClick={(e) => { e.stopPropagation(); handleUnlock(q) }}
+                    className={`inline-flex items-center px-3 py-1.5 border shadow-sm text-sm font-medium rounded-md bg-white ${
+                      q.stale
+                        ? 'border-red-300 text-red-700 hover:bg-red-50'
+                        : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                    }`}
+                    title="Release this queue's lock so another worker can pick up its jobs"
+                  >
+                    <Unlock className="h-4 w-4 mr-1" />
+                    Release lock
+                  </button>
+                )}
               </div>
             </div>
           ))
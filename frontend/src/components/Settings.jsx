@@ -0,0 +1,217 @@
+import React, { useState } from 'react'
+import { formatDistanceToNow } from 'date-fns'
+import { Settings as SettingsIcon, Save, RotateCcw, AlertTriangle } from 'lucide-react'
+import toast from 'react-hot-toast'
+import useAuth from '../hooks/useAuth'
+import useSettings from '../hooks/useSettings'
+import { SETTINGS, SETTING_GROUPS, isValidSetting } from '../utils/settings'
+
+const inputClass = 'w-full px-3 py-2 border rounded-md text-sm focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-50 disabled:text-gray-500'
+
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone
+
+// Inputs edit raw strings; numbers are parsed when the value is used
+const toInput = (value) => (value === undefined || value === null ? '' : String(value))
+
+const fromInput = (setting, raw) => (setting.type === 'number' ? Number(raw) : raw)
+
+const isValidInput = (setting, raw) => isValidSetting(setting, fromInput(setting, raw))
+
+const without = (values, key) => {
+  const next = { ...values }
+  delete next[key]
+  return next
+}
+
+function SettingInput({ setting, value, onChange, disabled }) {
+  const invalid = !isValidInput(setting, value)
+  const className = `${inputClass} ${invalid ? 'border-red-400' : 'border-gray-300'}`
+
+  if (setting.type === 'select') {
+    return (
+      <select value={value} onChange={e => onChange(e.target.value)} disabled={disabled} className={className}>
+        {setting.options.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    )
+  }
+
+  return (
+    <div className="flex items-center">
+      <input
+        type={setting.type === 'number' ? 'number' : 'text'}
+        min={setting.min}
+        max={setting.max}
+        list={setting.type === 'timezone' ? 'settings-time-zones' : undefined}
+        placeholder={setting.type === 'timezone' ? `Browser (${BROWSER_TIME_ZONE})` : undefined}
+        value={value}
+        onChange={e => onChange(e.target.value)}
+        disabled={disabled}
+        className={className}
+      />
+      {setting.unit && <span className="ml-2 text-xs text-gray-500">{setting.unit}</span>}
+    </div>
+  )
+}
+
+const Settings = () => {
+  const { can } = useAuth()
+  const isAdmin = can('admin')
+  const { sharedSettings, overrides, setOverride, resetOverrides, updatedAt, updatedBy, error, saveSharedSettings } = useSettings()
+  // Unsaved edits of the shared values, and of personal overrides that don't validate yet
+  const [sharedDrafts, setSharedDrafts] = useState({})
+  const [personalDrafts, setPersonalDrafts] = useState({})
+  const [saving, setSaving] = useState(false)
+
+  const sharedValue = (setting) => sharedDrafts[setting.key] ?? toInput(sharedSettings[setting.key])
+  const personalValue = (setting) => personalDrafts[setting.key] ?? toInput(overrides[setting.key])
+
+  const changedKeys = SETTINGS
+    .filter(setting => setting.key in sharedDrafts && fromInput(setting, sharedDrafts[setting.key]) !== sharedSettings[setting.key])
+    .map(setting => setting.key)
+  const invalidDraft = SETTINGS.some(setting => setting.key in sharedDrafts && !isValidInput(setting, sharedDrafts[setting.key]))
+
+  const handleSave = async () => {
+    const changes = Object.fromEntries(SETTINGS
+      .filter(setting => changedKeys.includes(setting.key))
+      .map(setting => [setting.key, fromInput(setting, sharedDrafts[setting.key])]))
+    setSaving(true)
+    try {
+      await saveSharedSettings(changes)
+      setSharedDrafts({})
+      toast.success('Shared settings saved')
+    } catch (err) {
+      toast.error(`Failed to save settings: ${err.message}`)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handlePersonalChange = (setting, raw) => {
+    if (isValidInput(setting, raw)) {
+      setOverride(setting.key, fromInput(setting, raw))
+      setPersonalDrafts(prev => without(prev, setting.key))
+    } else {
+      setPersonalDrafts(prev => ({ ...prev, [setting.key]: raw }))
+    }
+  }
+
+  const togglePersonal = (setting, enabled) => {
+    setPersonalDrafts(prev => without(prev, setting.key))
+    setOverride(setting.key, enabled ? sharedSettings[setting.key] : undefined)
+  }
+
+  const handleResetOverrides = () => {
+    setPersonalDrafts({})
+    resetOverrides()
+    toast.success('Personal overrides cleared')
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow px-6 py-4">
+        <div className="flex items-center justify-between flex-wrap gap-3">
+          <div>
+            <div className="flex items-center space-x-2">
+              <SettingsIcon className="h-5 w-5 text-gray-500" />
+              <h2 className="text-lg font-medium text-gray-900">Settings</h2>
+            </div>
+            <p className="mt-1 text-sm text-gray-500">
+              Shared values apply to everyone{isAdmin ? '' : ' and can only be changed by admins'}.
+              Personal overrides are stored in this browser.
+              {updatedAt && ` Shared values last changed ${formatDistanceToNow(new Date(updatedAt), { addSuffix: true })}${updatedBy ? ` by ${updatedBy}` : ''}.`}
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={handleResetOverrides}
+              disabled={Object.keys(overrides).length === 0}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              <RotateCcw className="h-4 w-4 mr-1" />
+              Clear my overrides
+            </button>
+            {isAdmin && (
+              <button
+                onClick={handleSave}
+                disabled={saving || changedKeys.length === 0 || invalidDraft}
+                className="inline-flex items-center px-3 py-1.5 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                <Save className="h-4 w-4 mr-1" />
+                {saving ? 'Saving...' : `Save shared settings${changedKeys.length > 0 ? ` (${changedKeys.length})` : ''}`}
+              </button>
+            )}
+          </div>
+        </div>
+        {error && (
+          <div className="mt-3 flex items-center text-sm text-yellow-800">
+            <AlertTriangle className="h-4 w-4 mr-1 flex-shrink-0" />
+            Shared settings could not be loaded, built-in defaults are in use: {error.message}
+          </div>
+        )}
+      </div>
+
+      <datalist id="settings-time-zones">
+        {TIME_ZONES.map(zone => <option key={zone} value={zone} />)}
+      </datalist>
+
+      {SETTING_GROUPS.map(group => (
+        <div key={group.label} className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h3 className="text-base font-medium text-gray-900">{group.label}</h3>
+            {group.description && <p className="mt-1 text-sm text-gray-500">{group.description}</p>}
+          </div>
+          <div className="divide-y divide-gray-100">
+            <div className="hidden md:grid grid-cols-3 gap-4 px-6 py-2 text-xs font-medium text-gray-500 uppercase">
+              <div>Setting</div>
+              <div>Shared</div>
+              <div>Personal override</div>
+            </div>
+            {group.settings.map(setting => {
+              const overridden = setting.key in overrides || setting.key in personalDrafts
+              return (
+                <div key={setting.key} className="grid grid-cols-1 md:grid-cols-3 gap-4 px-6 py-3 items-center">
+                  <div>
+                    <div className="text-sm font-medium text-gray-900">{setting.label}</div>
+                    {setting.description && <div className="text-xs text-gray-500">{setting.description}</div>}
+                  </div>
+                  <SettingInput
+                    setting={setting}
+                    value={sharedValue(setting)}
+                    onChange={raw => setSharedDrafts(prev => ({ ...prev, [setting.key]: raw }))}
+                    disabled={!isAdmin}
+                  />
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={overridden}
+                      onChange={e => togglePersonal(setting, e.target.checked)}
+                      className="h-4 w-4 rounded border-gray-300 text-blue-600"
+                      title="Override for me"
+                    />
+                    <div className="flex-1">
+                      {overridden ? (
+                        <SettingInput
+                          setting={setting}
+                          value={personalValue(setting)}
+                          onChange={raw => handlePersonalChange(setting, raw)}
+                        />
+                      ) : (
+                        <span className="text-sm text-gray-400">Uses the shared value</span>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default Settings
@@ -0,0 +1,205 @@
+import React, { useState } from 'react'
+import { useQuery } from '@apollo/client'
+import { gql } from '@apollo/client'
+import { RefreshCw, Boxes, Search } from 'lucide-react'
+import { formatDistanceToNowStrict } from 'date-fns'
+import { useNavigate } from 'react-router-dom'
+import useLiveUpdates from '../hooks/useLiveUpdates'
+import useSettings from '../hooks/useSettings'
+import { getStatusMeta } from '../utils/jobStatus'
+
+const GET_TASKS_QUERY = gql`
+  query GetTasks {
+    taskStats {
+      taskIdentifier
+      total
+      pending
+      scheduled
+      running
+      stale
+      retrying
+      failed
+      completedRuns
+      failedRuns
+      failureRate
+      averageAttempts
+      mostCommonError
+      mostCommonErrorCount
+      oldestPendingJobId
+      oldestPendingAt
+    }
+  }
+`
+
+const jobsUrl = (task, status) =>
+  `/jobs?task=${encodeURIComponent(task)}${status ? `&status=${status}` : ''}`
+
+// Cells link into the JobList filtered by task and status
+function CountLink({ task, status, count, onNavigate }) {
+  if (!count) return <span className="text-gray-300">0</span>
+  return (
+    <button
+      onClick={(e) => { e.stopPropagation(); onNavigate(jobsUrl(task, status)) }}
+      className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${getStatusMeta(status).badge} hover:opacity-80`}
+      title={`View ${getStatusMeta(status).label.toLowerCase()} ${task} jobs`}
+    >
+      {count.toLocaleString()}
+    </button>
+  )
+}
+
+const Tasks = () => {
+  const navigate = useNavigate()
+  const { settings, formatDate } = useSettings()
+  const [search, setSearch] = useState('')
+  const tasksQuery = useQuery(GET_TASKS_QUERY, {
+    fetchPolicy: 'cache-and-network',
+  })
+  const { loading, error, refetch } = tasksQuery
+  const data = tasksQuery.data ?? tasksQuery.previousData
+  useLiveUpdates(tasksQuery, { fallbackInterval: settings.tasksRefreshSeconds * 1000, throttleMs: 5000 })
+
+  const allTasks = data?.taskStats || []
+  const term = search.trim().toLowerCase()
+  const tasks = term ? allTasks.filter(t => t.taskIdentifier.toLowerCase().includes(term)) : allTasks
+  const withHistory = allTasks.some(t => t.completedRuns !== null)
+
+  if (loading && !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="h-6 bg-gray-200 rounded w-1/3 mb-4 animate-pulse"></div>
+        {[...Array(6)].map((_, i) => (
+          <div key={i} className="h-10 bg-gray-100 rounded mb-2 animate-pulse"></div>
+        ))}
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between flex-wrap gap-3">
+        <div className="flex items-center space-x-2">
+          <Boxes className="h-5 w-5 text-gray-500" />
+          <h2 className="text-lg font-medium text-gray-900">Tasks</h2>
+          <span className="text-sm text-gray-500">{allTasks.length} registered</span>
+        </div>
+        <div className="flex items-center space-x-2">
+          <div className="relative">
+            <Search className="h-4 w-4 text-gray-400 absolute left-2 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Filter tasks"
+              className="pl-8 pr-3 py-1.5 border border-gray-300 rounded-md text-sm focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+          <button
+            onClick={() => refetch()}
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <RefreshCw className={`h-4 w-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="px-6 py-3 text-sm text-red-600">{error.message}</div>}
+      {!withHistory && allTasks.length > 0 && (
+        <div className="px-6 py-2 text-xs text-gray-500 border-b border-gray-100">
+          Failure rates need the job history archive (INSTALL_JOB_HISTORY=true); successful jobs are deleted by Graphile Worker.
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+              <th className="px-6 py-3">Task</th>
+              <th className="px-3 py-3">Pending</th>
+              <th className="px-3 py-3">Running</th>
+              <th className="px-3 py-3">Failed</th>
+              <th className="px-3 py-3" title="Over current jobs and archived runs">Avg attempts</th>
+              <th className="px-3 py-3" title="Share of archived runs that failed">Failure rate</th>
+              <th className="px-3 py-3">Most common error</th>
+              <th className="px-6 py-3">Oldest pending</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {tasks.length === 0 ? (
+              <tr>
+                <td colSpan={8} className="px-6 py-12 text-center text-sm text-gray-600">No tasks found.</td>
+              </tr>
+            ) : (
+              tasks.map(t => (
+                <tr
+                  key={t.taskIdentifier}
+                  className="hover:bg-gray-50 cursor-pointer"
+                  onClick={() => navigate(jobsUrl(t.taskIdentifier))}
+                  title={`View ${t.taskIdentifier} jobs`}
+                >
+                  <td className="px-6 py-3">
+                    <div className="font-medium text-gray-900">{t.taskIdentifier}</div>
+                    <div className="text-xs text-gray-500">
+                      {t.total.toLocaleString()} jobs
+                      {t.scheduled > 0 && ` • ${t.scheduled.toLocaleString()} scheduled`}
+                      {t.retrying > 0 && ` • ${t.retrying.toLocaleString()} retrying`}
+                    </div>
+                  </td>
+                  <td className="px-3 py-3">
+                    <CountLink task={t.taskIdentifier} status="pending" count={t.pending} onNavigate={navigate} />
+                  </td>
+                  <td className="px-3 py-3 space-x-1 whitespace-nowrap">
+                    <CountLink task={t.taskIdentifier} status="running" count={t.running} onNavigate={navigate} />
+                    {t.stale > 0 && <CountLink task={t.taskIdentifier} status="stale" count={t.stale} onNavigate={navigate} />}
+                  </td>
+                  <td className="px-3 py-3">
+                    <CountLink task={t.taskIdentifier} status="failed" count={t.failed} onNavigate={navigate} />
+                  </td>
+                  <td className="px-3 py-3 text-gray-700">
+                    {t.averageAttempts === null ? '—' : t.averageAttempts.toFixed(1)}
+                  </td>
+                  <td
+                    className="px-3 py-3 text-gray-700"
+                    title={t.completedRuns !== null ? `${t.failedRuns} of ${t.completedRuns + t.failedRuns} archived runs failed` : undefined}
+                  >
+                    {t.failureRate === null ? '—' : (
+                      <span className={t.failureRate >= 0.5 ? 'text-red-600 font-medium' : t.failureRate > 0 ? 'text-yellow-700' : ''}>
+                        {(t.failureRate * 100).toFixed(1)}%
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-3 py-3 max-w-xs">
+                    {t.mostCommonError ? (
+                      <div className="text-xs text-red-700 truncate" title={t.mostCommonError}>
+                        <span className="text-gray-500 mr-1">{t.mostCommonErrorCount}×</span>
+                        {t.mostCommonError}
+                      </div>
+                    ) : (
+                      <span className="text-gray-300">—</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-3 whitespace-nowrap">
+                    {t.oldestPendingJobId ? (
+                      <button
+                        onClick={(e) => { e.stopPropagation(); navigate(`/jobs/${t.oldestPendingJobId}`) }}
+                        className="text-xs text-blue-600 hover:text-blue-800"
+                        title={formatDate(t.oldestPendingAt)}
+                      >
+                        #{t.oldestPendingJobId}, {formatDistanceToNowStrict(new Date(t.oldestPendingAt))}
+                      </button>
+                    ) : (
+                      <span className="text-gray-300">—</span>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
+
+export default Tasks
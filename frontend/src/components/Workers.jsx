@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react'
+import { useQuery, useMutation } from '@apollo/client'
+import { gql } from '@apollo/client'
+import { RefreshCw, Cpu, AlertTriangle, Unlock } from 'lucide-react'
+import { formatDistanceToNowStrict } from 'date-fns'
+import { useNavigate } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import useLiveUpdates from '../hooks/useLiveUpdates'
+import useAuth from '../hooks/useAuth'
+import { promptReason } from '../utils/reason'
+import useSettings from '../hooks/useSettings'
+import { isStaleLock } from '../utils/staleLocks'
+
+const GET_LOCKED_JOBS_QUERY = gql`
+  query GetLockedJobs {
+    allJobs(filter: { lockedBy: { isNull: false } }, orderBy: [LOCKED_AT_ASC]) {
+      nodes {
+        id
+        taskIdentifier
+        queueName
+        lockedAt
+        lockedBy
+        attempts
+        maxAttempts
+      }
+    }
+  }
+`
+
+const UNLOCK_WORKER_MUTATION = gql`
+  mutation UnlockWorker($workerId: String!, $reason: String) {
+    unlockWorker(workerId: $workerId, reason: $reason)
+  }
+`
+
+const Workers = () => {
+  const navigate = useNavigate()
+  // Changing the threshold here stores a personal override (see Settings)
+  const { settings, setOverride } = useSettings()
+  const staleMinutes = settings.staleLockMinutes
+  // Re-render periodically so lock durations keep counting up
+  const [now, setNow] = useState(() => Date.now())
+
+  const lockedJobsQuery = useQuery(GET_LOCKED_JOBS_QUERY, {
+    fetchPolicy: 'cache-and-network',
+  })
+  const { data, loading, refetch } = lockedJobsQuery
+  useLiveUpdates(lockedJobsQuery, { fallbackInterval: settings.workersRefreshSeconds * 1000, throttleMs: 2000 })
+  const [unlockWorker] = useMutation(UNLOCK_WORKER_MUTATION)
+  const canOperate = useAuth().can('operator')
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 5000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const lockedJobs = data?.allJobs?.nodes || []
+
+  // Group running jobs by the worker holding their lock
+  const workers = Object.values(lockedJobs.reduce((acc, job) => {
+    const id = job.lockedBy
+    if (!acc[id]) acc[id] = { id, jobs: [], oldestLockedAt: null }
+    acc[id].jobs.push(job)
+    const lockedAt = new Date(job.lockedAt).getTime()
+    if (acc[id].oldestLockedAt === null || lockedAt < acc[id].oldestLockedAt) {
+      acc[id].oldestLockedAt = lockedAt
+    }
+    return acc
+  }, {}))
+    .map(worker => ({ ...worker, stale: isStaleLock(worker.oldestLockedAt, staleMinutes, now) }))
+    .sort((a, b) => a.oldestLockedAt - b.oldestLockedAt)
+
+  const staleCount = workers.filter(w => w.stale).length
+
+  const handleUnlock = async (worker) => {
+    const reason = promptReason(`Force unlock all ${worker.jobs.length} job(s) held by ${worker.id}? Only do this if the worker has crashed; a live worker will keep running them.`)
+    if (reason === null) return
+    try {
+      const { data: result } = await unlockWorker({ variables: { workerId: worker.id, reason } })
+      toast.success(`Unlocked ${result?.unlockWorker ?? 0} job(s) from ${worker.id}`)
+      refetch()
+    } catch (error) {
+      toast.error(`Failed to unlock worker: ${error.message}`)
+    }
+  }
+
+  if (loading && !data) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="h-6 bg-gray-200 rounded w-1/3 mb-4 animate-pulse"></div>
+        {[...Array(4)].map((_, i) => (
+          <div key={i} className="h-16 bg-gray-100 rounded mb-2 animate-pulse"></div>
+        ))}
+      </div>
+    )
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between flex-wrap gap-3">
+        <div className="flex items-center space-x-2">
+          <Cpu className="h-5 w-5 text-gray-500" />
+          <h2 className="text-lg font-medium text-gray-900">Workers</h2>
+          <span className="text-sm text-gray-500">
+            {workers.length} active, {lockedJobs.length} running jobs
+          </span>
+          {staleCount > 0 && (
+            <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+              {staleCount} likely crashed
+            </span>
+          )}
+        </div>
+        <div className="flex items-center space-x-2">
+          <label className="text-sm text-gray-500 flex items-center">
+            Stale after
+            <input
+              type="number"
+              min={1}
+              max={10080}
+              value={staleMinutes}
+              onChange={(e) => {
+                const v = parseInt(e.target.value, 10)
+                if (Number.isFinite(v) && v > 0 && v <= 10080) setOverride('staleLockMinutes', v)
+              }}
+              className="mx-2 w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+            />
+            min
+          </label>
+          <button
+            onClick={() => refetch()}
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <RefreshCw className="h-4 w-4 mr-1" />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      <div className="divide-y divide-gray-200">
+        {workers.length === 0 ? (
+          <div className="px-6 py-12 text-center text-sm text-gray-600">No workers currently hold any jobs.</div>
+        ) : (
+          workers.map((worker) => (
+            <div key={worker.id} className={`px-6 py-4 ${worker.stale ? 'bg-red-50' : ''}`}>
+              <div className="flex items-center justify-between">
+                <div className="min-w-0">
+                  <div className="flex items-center">
+                    {worker.stale && <AlertTriangle className="h-4 w-4 text-red-500 mr-2" />}
+                    <span className="text-sm font-medium font-mono text-gray-900 truncate">{worker.id}</span>
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    {worker.jobs.length} job(s) • oldest lock held for {formatDistanceToNowStrict(worker.oldestLockedAt)}
+                    {worker.stale && <span className="text-red-600"> • likely crashed</span>}
+                  </div>
+                </div>
+                {canOperate && (
+                  <button
+                    onClick={() => handleUnlock(worker)}
+                    className={`inline-flex items-center px-3 py-1.5 border shadow-sm text-sm font-medium rounded-md bg-white ${
+                      worker.stale
+                        ? 'border-red-300 text-red-700 hover:bg-red-50'
+                        : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                    }`}
+                    title="Release all locks held by this worker (graphile_worker.force_unlock_workers)"
+                  >
+                    <Unlock className="h-4 w-4 mr-1" />
+                    Force unlock
+                  </button>
+                )}
+              </div>
+
+              <div className="mt-3 space-y-1">
+                {worker.jobs.map((job) => {
+                  const stale = isStaleLock(job.lockedAt, staleMinutes, now)
+                  return (
+                    <div
+                      key={job.id}
+                      className="flex items-center justify-between text-xs px-3 py-2 rounded bg-white border border-gray-100 hover:bg-gray-50 cursor-pointer"
+                      onClick={() => navigate(`/jobs/${job.id}`)}
+                    >
+                      <div className="truncate">
+                        <span className="text-gray-500">#{job.id}</span>
+                        <span className="ml-2 font-medium text-gray-900">{job.taskIdentifier}</span>
+                        {job.queueName && (
+                          <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded bg-gray-100 text-gray-800">
+                            {job.queueName}
+                          </span>
+                        )}
+                        <span className="ml-2 text-gray-500">attempt {job.attempts}/{job.maxAttempts}</span>
+                      </div>
+                      <span className={stale ? 'text-red-600 font-medium' : 'text-gray-600'}>
+                        held {formatDistanceToNowStrict(new Date(job.lockedAt))}
+                      </span>
+                    </div>
+                  )
+                })}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Workers
@@ -0,0 +1,98 @@
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react'
+import { useApolloClient } from '@apollo/client'
+import { Loader2, AlertTriangle } from 'lucide-react'
+import Login from '../components/Login'
+import { fetchAuthConfig, fetchCurrentUser, getToken, hasRole, onUnauthorized, setToken } from '../utils/auth'
+
+const AuthContext = createContext(null)
+
+// Resolves the signed-in user before rendering the app, showing the login
+// screen when the backend requires authentication and there is no valid
+// token. With auth disabled on the backend everyone is an admin.
+export function AuthProvider({ children, onTokenChange }) {
+  const client = useApolloClient()
+  const [state, setState] = useState({ loading: true, config: null, user: null, error: null })
+
+  const resolveUser = useCallback(async () => {
+    try {
+      const config = await fetchAuthConfig()
+      const token = getToken()
+      let user = null
+      if (!config.enabled) {
+        user = { username: 'anonymous', role: 'admin', provider: 'none' }
+      } else if (token) {
+        user = await fetchCurrentUser(token).catch(error => {
+          if (error.status !== 401) throw error
+          setToken(null)
+          return null
+        })
+      }
+      setState({ loading: false, config, user, error: null })
+    } catch (error) {
+      setState(prev => ({ ...prev, loading: false, error }))
+    }
+  }, [])
+
+  useEffect(() => { resolveUser() }, [resolveUser])
+
+  const signIn = useCallback((token, user) => {
+    setToken(token)
+    onTokenChange?.()
+    setState(prev => ({ ...prev, user }))
+  }, [onTokenChange])
+
+  const signOut = useCallback(() => {
+    setToken(null)
+    onTokenChange?.()
+    client.clearStore()
+    setState(prev => ({ ...prev, user: null }))
+  }, [client, onTokenChange])
+
+  // A 401 from GraphQL means the token expired or was revoked
+  useEffect(() => onUnauthorized(() => {
+    if (getToken()) signOut()
+  }), [signOut])
+
+  if (state.loading) {
+    return (
+      <div className="flex h-screen items-center justify-center bg-gray-50">
+        <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+      </div>
+    )
+  }
+
+  if (state.error) {
+    return (
+      <div className="flex h-screen items-center justify-center bg-gray-50 p-6">
+        <div className="max-w-md w-full bg-red-50 border-l-4 border-red-400 p-4 rounded-lg">
+          <div className="flex">
+            <AlertTriangle className="h-5 w-5 text-red-400" />
+            <div className="ml-3">
+              <h3 className="text-sm font-medium text-red-800">Cannot reach the backend</h3>
+              <div className="mt-2 text-sm text-red-700">{state.error.message}</div>
+              <button onClick={resolveUser} className="mt-3 text-sm font-medium text-red-800 underline">
+                Try again
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  if (!state.user) {
+    return <Login providers={state.config.providers} onSignIn={signIn} />
+  }
+
+  const value = {
+    user: state.user,
+    authEnabled: state.config.enabled,
+    can: role => hasRole(state.user, role),
+    signOut,
+  }
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
+}
+
+export default function useAuth() {
+  return useContext(AuthContext)
+}
@@ -0,0 +1,72 @@
+import { useEffect, useRef, useState } from 'react'
+import { gql, useSubscription } from '@apollo/client'
+import { wsClient } from '../utils/wsClient'
+
+const JOB_UPDATED_SUBSCRIPTION = gql`
+  subscription JobUpdated($jobId: String, $taskIdentifier: String, $queueName: String) {
+    jobUpdated(jobId: $jobId, taskIdentifier: $taskIdentifier, queueName: $queueName) {
+      op
+      jobId
+      at
+    }
+  }
+`
+
+// Keep a useQuery result fresh from the `jobUpdated` subscription, refetching
+// whenever a matching job changes. Falls back to polling every
+// `fallbackInterval` ms while the subscription isn't live (backend without the
+// job events trigger, or a dropped socket). When the subscription comes back
+// after a drop it refetches once, for the changes missed meanwhile. Returns
+// whether updates are live.
+export default function useLiveUpdates(queryResult, { fallbackInterval, throttleMs = 1000, ...filter } = {}) {
+  const { refetch, startPolling, stopPolling } = queryResult
+  const [live, setLive] = useState(false)
+  const timerRef = useRef(null)
+  const refetchRef = useRef(refetch)
+  refetchRef.current = refetch
+  // Set once the first `subscribed` event arrived; later ones are resubscribes
+  const subscribedRef = useRef(false)
+
+  // The client retries a dropped socket by itself, without an error on the
+  // subscription, so fall back to polling until it is subscribed again
+  useEffect(() => {
+    const offClosed = wsClient.on('closed', () => setLive(false))
+    const offConnecting = wsClient.on('connecting', () => setLive(false))
+    return () => {
+      offClosed()
+      offConnecting()
+    }
+  }, [])
+
+  const { error } = useSubscription(JOB_UPDATED_SUBSCRIPTION, {
+    variables: filter,
+    onData: ({ data }) => {
+      const event = data?.data?.jobUpdated
+      if (!event) return
+      setLive(true)
+      if (event.op === 'subscribed') {
+        if (subscribedRef.current) refetchRef.current()
+        subscribedRef.current = true
+        return
+      }
+      // Workers can produce bursts of changes; refetch at most once per window
+      if (timerRef.current) return
+      timerRef.current = setTimeout(() => {
+        timerRef.current = null
+        refetchRef.current()
+      }, throttleMs)
+    },
+  })
+
+  const isLive = live && !error
+
+  useEffect(() => {
+    if (isLive || !fallbackInterval) stopPolling()
+    else startPolling(fallbackInterval)
+    return () => stopPolling()
+  }, [isLive, fallbackInterval, startPolling, stopPolling])
+
+  useEffect(() => () => clearTimeout(timerRef.current), [])
+
+  return isLive
+}
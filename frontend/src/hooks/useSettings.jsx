@@ -0,0 +1,91 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+import { gql, useMutation, useQuery } from '@apollo/client'
+import { Loader2 } from 'lucide-react'
+import useAuth from './useAuth'
+import { DEFAULT_SETTINGS, formatDateTime, loadOverrides, saveOverrides } from '../utils/settings'
+
+const GET_UI_SETTINGS_QUERY = gql`
+  query GetUiSettings {
+    uiSettings {
+      values
+      updatedAt
+      updatedBy
+    }
+  }
+`
+
+const UPDATE_UI_SETTINGS_MUTATION = gql`
+  mutation UpdateUiSettings($settings: JSON!, $reason: String) {
+    updateUiSettings(settings: $settings, reason: $reason) {
+      values
+      updatedAt
+      updatedBy
+    }
+  }
+`
+
+const SettingsContext = createContext(null)
+
+// Loads the shared settings before rendering the app so pages can use them
+// for their initial state, then layers the user's local overrides on top.
+// If the backend can't provide them the built-in defaults are used.
+export function SettingsProvider({ children }) {
+  const { user } = useAuth()
+  const { data, loading, error } = useQuery(GET_UI_SETTINGS_QUERY)
+  const [updateUiSettings] = useMutation(UPDATE_UI_SETTINGS_MUTATION, {
+    refetchQueries: [{ query: GET_UI_SETTINGS_QUERY }],
+  })
+  const [overrides, setOverrides] = useState(() => loadOverrides(user.username))
+
+  useEffect(() => {
+    setOverrides(loadOverrides(user.username))
+  }, [user.username])
+
+  const setOverride = useCallback((key, value) => {
+    setOverrides(prev => {
+      const next = { ...prev }
+      if (value === undefined) delete next[key]
+      else next[key] = value
+      saveOverrides(user.username, next)
+      return next
+    })
+  }, [user.username])
+
+  const resetOverrides = useCallback(() => {
+    saveOverrides(user.username, {})
+    setOverrides({})
+  }, [user.username])
+
+  const sharedSettings = useMemo(
+    () => ({ ...DEFAULT_SETTINGS, ...data?.uiSettings?.values }),
+    [data]
+  )
+  const settings = useMemo(() => ({ ...sharedSettings, ...overrides }), [sharedSettings, overrides])
+
+  if (loading && !data) {
+    return (
+      <div className="flex h-screen items-center justify-center bg-gray-50">
+        <Loader2 className="h-8 w-8 animate-spin text-blue-600" />
+      </div>
+    )
+  }
+
+  const value = {
+    settings,
+    sharedSettings,
+    overrides,
+    setOverride,
+    resetOverrides,
+    updatedAt: data?.uiSettings?.updatedAt ?? null,
+    updatedBy: data?.uiSettings?.updatedBy ?? null,
+    error,
+    saveSharedSettings: (changes, reason) => updateUiSettings({ variables: { settings: changes, reason } }),
+    formatDate: (date) => formatDateTime(date, settings),
+    formatTime: (date) => formatDateTime(date, settings, { timeOnly: true }),
+  }
+  return <SettingsContext.Provider value={value}>{children}</SettingsContext.Provider>
+}
+
+export default function useSettings() {
+  return useContext(SettingsContext)
+}
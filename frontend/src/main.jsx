@@ -2,11 +2,16 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import { ApolloClient, InMemoryCache, ApolloProvider, createHttpLink, split } from '@apollo/client'
 import { GraphQLWsLink } from '@apollo/client/link/subscriptions'
-import { createClient } from 'graphql-ws'
+import { setContext } from '@apollo/client/link/context'
+import { onError } from '@apollo/client/link/error'
 import { getMainDefinition } from '@apollo/client/utilities'
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query'
 import { Toaster } from 'react-hot-toast'
 import App from './App.jsx'
+import { AuthProvider } from './hooks/useAuth'
+import { SettingsProvider } from './hooks/useSettings'
+import { getToken, notifyUnauthorized } from './utils/auth'
+import { wsClient } from './utils/wsClient'
 import { BrowserRouter } from 'react-router-dom'
 import './index.css'
 
@@ -17,10 +22,19 @@ const httpLink = createHttpLink({
   fetchOptions: { credentials: "include" },
 })
 
-// WebSocket link for subscriptions
-const wsLink = new GraphQLWsLink(createClient({
-  url: import.meta.env.VITE_GRAPHQL_WS_URL || 'ws://localhost:5001/graphql',
-}))
+// Send the signed-in user's token with every request
+const authLink = setContext((_, { headers }) => {
+  const token = getToken()
+  return token ? { headers: { ...headers, authorization: `Bearer ${token}` } } : { headers }
+})
+
+// The backend answers 401 once the token expires or is revoked
+const unauthorizedLink = onError(({ networkError }) => {
+  if (networkError?.statusCode === 401) notifyUnauthorized()
+})
+
+// WebSocket link for subscriptions (see utils/wsClient.js)
+const wsLink = new GraphQLWsLink(wsClient)
 
 // Split link to route operations
 const splitLink = split(
@@ -32,13 +46,18 @@ const splitLink = split(
     )
   },
   wsLink,
-  httpLink,
+  unauthorizedLink.concat(authLink).concat(httpLink),
 )
 
 // Apollo Client setup
 const apolloClient = new ApolloClient({
   link: splitLink,
-  cache: new InMemoryCache(),
+  cache: new InMemoryCache({
+    typePolicies: {
+      // Queried with different fields by App and Queues; merge rather than replace
+      JobSummary: { merge: true },
+    },
+  }),
   defaultOptions: {
     watchQuery: {
       errorPolicy: 'all',
@@ -63,9 +82,13 @@ ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <ApolloProvider client={apolloClient}>
       <QueryClientProvider client={queryClient}>
-        <BrowserRouter>
-          <App />
-        </BrowserRouter>
+        <AuthProvider onTokenChange={() => wsClient.terminate()}>
+          <SettingsProvider>
+            <BrowserRouter>
+              <App />
+            </BrowserRouter>
+          </SettingsProvider>
+        </AuthProvider>
         <Toaster 
           position="top-right"
           toastOptions={{
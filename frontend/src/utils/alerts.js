@@ -0,0 +1,76 @@
+// Alert rule kinds and notification channels. Keep in sync with
+// backend/alerts.js, which validates the params and evaluates the rules.
+
+export const RULE_KINDS = [
+  {
+    value: 'failed_jobs',
+    label: 'Failed jobs',
+    description: 'Fires per task when at least the threshold of its jobs failed within the window.',
+    params: [
+      { key: 'minutes', label: 'Window', type: 'number', min: 1, max: 10080, unit: 'minutes', default: 15 },
+      { key: 'threshold', label: 'Failures', type: 'number', min: 1, max: 1000000, default: 1 },
+      { key: 'taskIdentifier', label: 'Task', type: 'task', placeholder: 'All tasks', default: null },
+    ],
+  },
+  {
+    value: 'queue_depth',
+    label: 'Queue depth',
+    description: 'Fires per queue when more jobs than the threshold are waiting for a worker.',
+    params: [
+      { key: 'threshold', label: 'Waiting jobs above', type: 'number', min: 0, max: 100000000, default: 100 },
+      { key: 'queueName', label: 'Queue', type: 'queue', placeholder: 'All queues', default: null },
+    ],
+  },
+  {
+    value: 'oldest_pending',
+    label: 'Oldest pending job',
+    description: 'Fires per task when a due job has waited for a worker longer than the limit.',
+    params: [
+      { key: 'minutes', label: 'Waiting longer than', type: 'number', min: 1, max: 525600, unit: 'minutes', default: 30 },
+      { key: 'taskIdentifier', label: 'Task', type: 'task', placeholder: 'All tasks', default: null },
+    ],
+  },
+  {
+    value: 'stuck_locks',
+    label: 'Stuck locks',
+    description: 'Fires per worker holding job or queue locks longer than the limit.',
+    params: [
+      { key: 'minutes', label: 'Held longer than', type: 'number', min: 1, max: 10080, unit: 'minutes', default: 60 },
+    ],
+  },
+]
+
+export const CHANNEL_TYPES = [
+  { value: 'webhook', label: 'Webhook', field: 'url', placeholder: 'https://example.com/hooks/alerts', description: 'POST of the alert as JSON' },
+  { value: 'slack', label: 'Slack', field: 'url', placeholder: 'https://hooks.slack.com/services/...', description: 'Slack-compatible incoming webhook' },
+  { value: 'email', label: 'Email', field: 'to', placeholder: 'oncall@example.com, ops@example.com', description: 'Sent through the SMTP server from SMTP_HOST' },
+]
+
+export function getRuleKind(kind) {
+  return RULE_KINDS.find(k => k.value === kind)
+}
+
+export function getChannelType(type) {
+  return CHANNEL_TYPES.find(t => t.value === type)
+}
+
+export function defaultParams(kind) {
+  return Object.fromEntries((getRuleKind(kind)?.params || []).map(p => [p.key, p.default]))
+}
+
+// One line summary of a rule's params, e.g. "≥ 5 failures in 15 minutes, task send_email"
+export function describeRule(kind, params = {}) {
+  const scope = (name, what) => (name ? `${what} ${name}` : `any ${what}`)
+  switch (kind) {
+    case 'failed_jobs':
+      return `≥ ${params.threshold} failures in ${params.minutes} min, ${scope(params.taskIdentifier, 'task')}`
+    case 'queue_depth':
+      return `> ${params.threshold} waiting jobs, ${scope(params.queueName, 'queue')}`
+    case 'oldest_pending':
+      return `Job waiting > ${params.minutes} min, ${scope(params.taskIdentifier, 'task')}`
+    case 'stuck_locks':
+      return `Locks held > ${params.minutes} min`
+    default:
+      return kind
+  }
+}
@@ -0,0 +1,69 @@
+// Bearer token storage and the backend's /auth endpoints (see backend/auth.js).
+// The token is sent on every GraphQL request and in the websocket
+// connectionParams.
+
+const TOKEN_KEY = 'auth.token'
+
+export const ROLES = ['viewer', 'operator', 'admin']
+
+// The /auth routes live next to /graphql on the backend
+const AUTH_URL = (import.meta.env.VITE_GRAPHQL_URL || 'http://localhost:5001/graphql').replace(/\/graphql\/?$/, '/auth')
+
+export function getToken() {
+  try {
+    return localStorage.getItem(TOKEN_KEY)
+  } catch {
+    return null
+  }
+}
+
+export function setToken(token) {
+  try {
+    if (token) localStorage.setItem(TOKEN_KEY, token)
+    else localStorage.removeItem(TOKEN_KEY)
+  } catch {
+    // Storage unavailable (private mode); the session lasts until reload
+  }
+}
+
+export function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role)
+}
+
+// Listeners notified when the backend rejects the stored token
+const unauthorizedListeners = new Set()
+
+export function onUnauthorized(listener) {
+  unauthorizedListeners.add(listener)
+  return () => unauthorizedListeners.delete(listener)
+}
+
+export function notifyUnauthorized() {
+  unauthorizedListeners.forEach(listener => listener())
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${AUTH_URL}${path}`, {
+    ...options,
+    headers: { 'content-type': 'application/json', ...options.headers },
+  })
+  const body = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    const error = new Error(body.error || body.errors?.[0]?.message || `Request failed with HTTP ${response.status}`)
+    error.status = response.status
+    throw error
+  }
+  return body
+}
+
+export function fetchAuthConfig() {
+  return request('/config')
+}
+
+export function fetchCurrentUser(token) {
+  return request('/me', { headers: { authorization: `Bearer ${token}` } }).then(body => body.user)
+}
+
+export function login(username, password) {
+  return request('/login', { method: 'POST', body: JSON.stringify({ username, password }) })
+}
@@ -0,0 +1,57 @@
+// Job export from the backend's GET /export/jobs (see backend/jobExport.js),
+// which streams the jobs matching a JobFilter. The browser downloads it
+// directly, so a large export goes to disk instead of into page memory.
+
+import { getToken, notifyUnauthorized } from './auth'
+
+// The export routes live next to /graphql on the backend
+const BACKEND_URL = (import.meta.env.VITE_GRAPHQL_URL || 'http://localhost:5001/graphql').replace(/\/graphql\/?$/, '')
+
+export const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV', description: 'One row per job; payload and flags as JSON text' },
+  { value: 'json', label: 'JSON', description: 'An array of job objects' },
+  { value: 'ndjson', label: 'NDJSON', description: 'One JSON object per line, for jq and log tools' },
+]
+
+// Same names as the backend's EXPORT_COLUMNS (the Job fields)
+export const EXPORT_COLUMNS = [
+  { value: 'id', label: 'ID' },
+  { value: 'taskIdentifier', label: 'Task' },
+  { value: 'queueName', label: 'Queue' },
+  { value: 'status', label: 'Status' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'runAt', label: 'Run at' },
+  { value: 'attempts', label: 'Attempts' },
+  { value: 'maxAttempts', label: 'Max attempts' },
+  { value: 'lastError', label: 'Last error' },
+  { value: 'errorFingerprint', label: 'Error fingerprint' },
+  { value: 'createdAt', label: 'Created at' },
+  { value: 'updatedAt', label: 'Updated at' },
+  { value: 'key', label: 'Job key' },
+  { value: 'lockedAt', label: 'Locked at' },
+  { value: 'lockedBy', label: 'Locked by' },
+  { value: 'revision', label: 'Revision' },
+  { value: 'flags', label: 'Flags' },
+]
+
+// Check the options and get a short-lived download link (a plain link can't
+// send the Authorization header), then let the browser download from it
+export async function downloadJobExport({ format, columns, payload, filter }) {
+  const params = new URLSearchParams({ format, columns: columns.join(',') })
+  if (payload) params.set('payload', 'true')
+  if (filter) params.set('filter', JSON.stringify(filter))
+  const token = getToken()
+  const response = await fetch(`${BACKEND_URL}/export/jobs/link?${params}`, {
+    method: 'POST',
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+  })
+  const body = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    if (response.status === 401) notifyUnauthorized()
+    throw new Error(body.errors?.[0]?.message || `Export failed with HTTP ${response.status}`)
+  }
+  // The response is an attachment, so this downloads without leaving the page
+  const link = document.createElement('a')
+  link.href = `${BACKEND_URL}${body.url}`
+  link.click()
+}
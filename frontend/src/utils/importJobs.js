@@ -0,0 +1,242 @@
+// Bulk job import: parse an uploaded CSV or NDJSON file, map its columns onto
+// the job options and validate every row before anything is sent to the
+// backend's importJobs mutation (see backend/jobImport.js).
+
+// Rows per importJobs call; the backend accepts up to 1000
+export const IMPORT_BATCH_SIZE = 500
+
+export const IMPORT_FORMATS = [
+  { value: 'csv', label: 'CSV', description: 'A header row, then one job per row' },
+  { value: 'ndjson', label: 'NDJSON', description: 'One JSON object per line' },
+]
+
+// Job options a column can be mapped to; the other columns go to the payload
+export const IMPORT_FIELDS = [
+  { value: 'identifier', label: 'Task identifier', aliases: ['identifier', 'task', 'taskidentifier'] },
+  { value: 'queueName', label: 'Queue', aliases: ['queue', 'queuename'] },
+  { value: 'runAt', label: 'Run at', aliases: ['runat'] },
+  { value: 'priority', label: 'Priority', aliases: ['priority'] },
+  { value: 'jobKey', label: 'Job key', aliases: ['key', 'jobkey'] },
+  { value: 'payload', label: 'Payload (JSON object)', aliases: ['payload'] },
+]
+
+export const JOB_KEY_MODES = ['replace', 'preserve_run_at', 'unsafe_dedupe']
+
+// Same range as the backend's check on the smallint column
+const PRIORITY_MAX = 32767
+
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '')
+
+export const detectFormat = (fileName) => (/\.(nd)?jsonl?$/i.test(fileName) ? 'ndjson' : 'csv')
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks.
+// Records keep the line they start on, for the error preview and the report.
+export function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  let line = 1
+  let rowLine = 1
+  const endField = () => {
+    row.push(field)
+    field = ''
+  }
+  const endRow = () => {
+    endField()
+    // Skip blank lines
+    if (row.length > 1 || row[0] !== '') rows.push({ line: rowLine, cells: row })
+    row = []
+  }
+  const source = text.replace(/^\uFEFF/, '')
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        if (char === '\n') line++
+        field += char
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true
+    } else if (char === ',') {
+      endField()
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++
+      endRow()
+      line++
+      rowLine = line
+    } else {
+      field += char
+    }
+  }
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${rowLine}`)
+  if (field !== '' || row.length > 0) endRow()
+
+  const [header, ...records] = rows
+  if (!header) throw new Error('The file is empty')
+  const columns = header.cells.map(name => name.trim())
+  const duplicate = columns.find((name, i) => columns.indexOf(name) !== i)
+  if (duplicate !== undefined) throw new Error(`Column "${duplicate}" appears twice in the header`)
+  return {
+    columns,
+    records: records.map(({ line: recordLine, cells }) => ({
+      line: recordLine,
+      values: Object.fromEntries(columns.map((name, i) => [name, cells[i] ?? ''])),
+      error: cells.length > columns.length ? `${cells.length} fields but the header has ${columns.length}` : null,
+    })),
+  }
+}
+
+// Columns are the keys of all objects, in order of appearance
+export function parseNdjson(text) {
+  const columns = []
+  const records = []
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((content, i) => {
+    if (!content.trim()) return
+    const line = i + 1
+    let values
+    try {
+      values = JSON.parse(content)
+    } catch (error) {
+      records.push({ line, values: {}, error: `Invalid JSON: ${error.message}` })
+      return
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      records.push({ line, values: {}, error: 'Not a JSON object' })
+      return
+    }
+    Object.keys(values).forEach(name => {
+      if (!columns.includes(name)) columns.push(name)
+    })
+    records.push({ line, values, error: null })
+  })
+  if (records.length === 0) throw new Error('The file is empty')
+  return { columns, records }
+}
+
+export const parseImportFile = (text, format) => (format === 'ndjson' ? parseNdjson(text) : parseCsv(text))
+
+// Map columns named like a job option (task, queue_name, run_at, ...) onto it;
+// every other column becomes a payload field
+export function guessMapping(columns) {
+  const fields = {}
+  IMPORT_FIELDS.forEach(field => {
+    fields[field.value] = columns.find(name => field.aliases.includes(normalizeName(name))) ?? ''
+  })
+  const mapped = Object.values(fields)
+  return {
+    fields,
+    payloadColumns: columns.filter(name => !mapped.includes(name)),
+    identifier: '',
+    jobKeyMode: 'replace',
+    parseValues: true,
+  }
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === ''
+
+// CSV cells are text; with parseValues, numbers, booleans, null and JSON
+// objects/arrays are read as such, and anything else stays a string
+const cellValue = (value, parseValues) => {
+  if (typeof value !== 'string' || !parseValues) return value
+  const text = value.trim()
+  if (/^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)$/.test(text) || /^[[{]/.test(text)) {
+    try {
+      return JSON.parse(text)
+    } catch (error) {
+      return value
+    }
+  }
+  return value
+}
+
+const textValue = (value) => (isEmpty(value) ? null : String(value).trim() || null)
+
+// Turn one parsed record into an importJobs row, collecting every problem
+// rather than stopping at the first
+export function buildJob(record, mapping, format) {
+  if (record.error) return { line: record.line, errors: [record.error], job: null }
+  const errors = []
+  const column = (field) => (mapping.fields[field] ? record.values[mapping.fields[field]] : undefined)
+  const parseValues = format === 'csv' && mapping.parseValues
+
+  const identifier = textValue(column('identifier')) ?? (mapping.identifier.trim() || null)
+  if (!identifier) errors.push('Missing task identifier')
+
+  let runAt = null
+  const runAtValue = column('runAt')
+  if (!isEmpty(runAtValue)) {
+    const date = new Date(typeof runAtValue === 'number' ? runAtValue : String(runAtValue).trim())
+    if (Number.isNaN(date.getTime())) errors.push(`Invalid run at "${runAtValue}"`)
+    else runAt = date.toISOString()
+  }
+
+  let priority = null
+  const priorityValue = column('priority')
+  if (!isEmpty(priorityValue)) {
+    priority = Number(priorityValue)
+    if (!Number.isInteger(priority) || Math.abs(priority) > PRIORITY_MAX) {
+      errors.push(`Priority must be a whole number between -${PRIORITY_MAX} and ${PRIORITY_MAX}, got "${priorityValue}"`)
+    }
+  }
+
+  let payload = {}
+  const payloadValue = column('payload')
+  if (!isEmpty(payloadValue)) {
+    try {
+      const value = typeof payloadValue === 'string' ? JSON.parse(payloadValue) : payloadValue
+      if (value && typeof value === 'object' && !Array.isArray(value)) payload = { ...value }
+      else errors.push('Payload must be a JSON object')
+    } catch (error) {
+      errors.push(`Payload is not valid JSON: ${error.message}`)
+    }
+  }
+  mapping.payloadColumns.forEach(name => {
+    const value = record.values[name]
+    // An empty CSV cell leaves the field out; NDJSON keeps explicit nulls
+    if (value === undefined || (format === 'csv' && value === '')) return
+    payload[name] = cellValue(value, parseValues)
+  })
+
+  const jobKey = textValue(column('jobKey'))
+  return {
+    line: record.line,
+    errors,
+    job: {
+      identifier,
+      payload,
+      queueName: textValue(column('queueName')),
+      runAt,
+      priority,
+      jobKey,
+      jobKeyMode: jobKey ? mapping.jobKeyMode : null,
+    },
+  }
+}
+
+const csvField = (value) => {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// The per-row report as CSV: one line per row of the uploaded file
+export function reportCsv(results) {
+  const lines = [['line', 'status', 'job_id', 'error']]
+  results.forEach(result => lines.push([result.line, result.status, result.jobId, result.error]))
+  return lines.map(values => values.map(csvField).join(',')).join('\r\n') + '\r\n'
+}
+
+export function downloadText(text, fileName, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
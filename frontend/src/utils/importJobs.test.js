@@ -0,0 +1,111 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildJob, guessMapping, parseCsv, parseNdjson, reportCsv } from './importJobs.js'
+
+test('parseCsv reads quoted fields with commas, quotes and line breaks', () => {
+  const { columns, records } = parseCsv('\uFEFFtask,payload,note\r\nsend,"{""to"":""a,b""}","two\nlines"\r\n\r\nsend,{},plain\n')
+  assert.deepEqual(columns, ['task', 'payload', 'note'])
+  assert.deepEqual(records, [
+    { line: 2, values: { task: 'send', payload: '{"to":"a,b"}', note: 'two\nlines' }, error: null },
+    { line: 5, values: { task: 'send', payload: '{}', note: 'plain' }, error: null },
+  ])
+})
+
+test('parseCsv fills missing cells and flags extra ones', () => {
+  const { records } = parseCsv('a,b\n1\n1,2,3')
+  assert.deepEqual(records[0], { line: 2, values: { a: '1', b: '' }, error: null })
+  assert.equal(records[1].error, '3 fields but the header has 2')
+})
+
+test('parseCsv rejects an empty file, a repeated column and an unterminated quote', () => {
+  assert.throws(() => parseCsv(''), /The file is empty/)
+  assert.throws(() => parseCsv('a,b,a\n1,2,3'), /Column "a" appears twice/)
+  assert.throws(() => parseCsv('a\n1\n"open\n2'), /Unterminated quoted field starting on line 3/)
+})
+
+test('parseNdjson collects the columns of all objects and flags bad lines', () => {
+  const { columns, records } = parseNdjson('{"task":"a","x":1}\n\n[1]\n{"y":2}\nnope')
+  assert.deepEqual(columns, ['task', 'x', 'y'])
+  assert.deepEqual(records.slice(0, 3).map(record => [record.line, record.error]), [
+    [1, null],
+    [3, 'Not a JSON object'],
+    [4, null],
+  ])
+  assert.equal(records[3].line, 5)
+  assert.match(records[3].error, /^Invalid JSON: /)
+})
+
+test('guessMapping maps columns named like job options and leaves the rest to the payload', () => {
+  const mapping = guessMapping(['Task', 'queue_name', 'run-at', 'email', 'count'])
+  assert.equal(mapping.fields.identifier, 'Task')
+  assert.equal(mapping.fields.queueName, 'queue_name')
+  assert.equal(mapping.fields.runAt, 'run-at')
+  assert.equal(mapping.fields.priority, '')
+  assert.deepEqual(mapping.payloadColumns, ['email', 'count'])
+})
+
+const csvRecord = (text) => {
+  const { columns, records } = parseCsv(text)
+  return { mapping: guessMapping(columns), record: records[0] }
+}
+
+test('buildJob turns a CSV row into a job, reading payload cells as values', () => {
+  const { mapping, record } = csvRecord('task,queue,run_at,priority,key,count,active,tags,note,empty\nsend, mail ,2024-05-01T10:00:00Z,-5,k1,42,true,"[1,2]",007x,')
+  assert.deepEqual(buildJob(record, mapping, 'csv'), {
+    line: 2,
+    errors: [],
+    job: {
+      identifier: 'send',
+      payload: { count: 42, active: true, tags: [1, 2], note: '007x' },
+      queueName: 'mail',
+      runAt: '2024-05-01T10:00:00.000Z',
+      priority: -5,
+      jobKey: 'k1',
+      jobKeyMode: 'replace',
+    },
+  })
+  const asText = buildJob(record, { ...mapping, parseValues: false }, 'csv')
+  assert.deepEqual(asText.job.payload, { count: '42', active: 'true', tags: '[1,2]', note: '007x' })
+})
+
+test('buildJob merges the payload column with the payload columns', () => {
+  const { mapping, record } = csvRecord('task,payload,extra\nsend,"{""a"":1,""extra"":0}",2')
+  assert.deepEqual(buildJob(record, mapping, 'csv').job.payload, { a: 1, extra: 2 })
+})
+
+test('buildJob uses the fallback task identifier when there is no task column', () => {
+  const { mapping, record } = csvRecord('email\na@example.com')
+  assert.deepEqual(buildJob(record, mapping, 'csv').errors, ['Missing task identifier'])
+  const job = buildJob(record, { ...mapping, identifier: ' send ' }, 'csv')
+  assert.deepEqual(job.errors, [])
+  assert.equal(job.job.identifier, 'send')
+})
+
+test('buildJob collects every problem with a row', () => {
+  const { mapping, record } = csvRecord('task,run_at,priority,payload\n,tomorrow,40000,[1]')
+  assert.deepEqual(buildJob(record, mapping, 'csv').errors, [
+    'Missing task identifier',
+    'Invalid run at "tomorrow"',
+    'Priority must be a whole number between -32767 and 32767, got "40000"',
+    'Payload must be a JSON object',
+  ])
+})
+
+test('buildJob keeps explicit nulls from NDJSON and passes a parse error through', () => {
+  const { columns, records } = parseNdjson('{"task":"send","note":null,"n":"1"}\n{')
+  const mapping = guessMapping(columns)
+  assert.deepEqual(buildJob(records[0], mapping, 'ndjson').job.payload, { note: null, n: '1' })
+  const failed = buildJob(records[1], mapping, 'ndjson')
+  assert.equal(failed.job, null)
+  assert.equal(failed.errors.length, 1)
+})
+
+test('reportCsv quotes fields that need it', () => {
+  assert.equal(
+    reportCsv([
+      { line: 2, status: 'enqueued', jobId: '10', error: null },
+      { line: 3, status: 'failed', jobId: null, error: 'bad "value", try again' },
+    ]),
+    'line,status,job_id,error\r\n2,enqueued,10,\r\n3,failed,,"bad ""value"", try again"\r\n'
+  )
+})
@@ -0,0 +1,19 @@
+import { Clock, CalendarClock, Play, AlertTriangle, RotateCcw, XCircle } from 'lucide-react'
+
+// Display metadata for the job `status` computed by the backend (see
+// backend/jobStatus.js). Successful jobs are deleted by Graphile Worker, so
+// there is no "completed" status.
+export const JOB_STATUSES = [
+  { value: 'pending', label: 'Pending', description: 'Due and waiting for a worker', icon: Clock, badge: 'bg-blue-100 text-blue-800', dot: 'bg-blue-500', color: '#3B82F6' },
+  { value: 'scheduled', label: 'Scheduled', description: 'Waiting for its run time', icon: CalendarClock, badge: 'bg-indigo-100 text-indigo-800', dot: 'bg-indigo-500', color: '#6366F1' },
+  { value: 'running', label: 'Running', description: 'Locked by a worker', icon: Play, badge: 'bg-green-100 text-green-800', dot: 'bg-green-500', color: '#10B981' },
+  { value: 'stale', label: 'Stale', description: 'Locked for hours; the worker likely crashed', icon: AlertTriangle, badge: 'bg-orange-100 text-orange-800', dot: 'bg-orange-500', color: '#F97316' },
+  { value: 'retrying', label: 'Retrying', description: 'Failed, waiting for its next attempt', icon: RotateCcw, badge: 'bg-yellow-100 text-yellow-800', dot: 'bg-yellow-500', color: '#F59E0B' },
+  { value: 'failed', label: 'Failed', description: 'Attempts exhausted; will not run again', icon: XCircle, badge: 'bg-red-100 text-red-800', dot: 'bg-red-500', color: '#EF4444' },
+]
+
+const UNKNOWN_STATUS = { value: 'unknown', label: 'Unknown', description: '', icon: Clock, badge: 'bg-gray-100 text-gray-800', dot: 'bg-gray-500', color: '#9CA3AF' }
+
+export function getStatusMeta(status) {
+  return JOB_STATUSES.find(s => s.value === status) || UNKNOWN_STATUS
+}
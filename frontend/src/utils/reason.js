@@ -0,0 +1,6 @@
+// Confirm a destructive action and ask why, for the audit log. Returns null
+// when the user cancels, otherwise the trimmed reason (possibly empty).
+export function promptReason(message) {
+  const reason = window.prompt(`${message}\n\nReason (optional, recorded in the audit log):`, '')
+  return reason === null ? null : reason.trim()
+}
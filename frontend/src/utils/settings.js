@@ -0,0 +1,135 @@
+import { JOB_STATUSES } from './jobStatus'
+
+// UI settings (see backend/settings.js, which validates and stores the shared
+// values). Each browser can override any of them; overrides are kept in
+// localStorage per signed-in user.
+
+export const SETTING_GROUPS = [
+  {
+    label: 'Refresh intervals',
+    description: 'How often pages poll when live job events are unavailable.',
+    settings: [
+      { key: 'dashboardRefreshSeconds', label: 'Dashboard and sidebar counts', type: 'number', min: 1, max: 3600, unit: 'seconds', default: 30 },
+      { key: 'metricsRefreshSeconds', label: 'Throughput charts', type: 'number', min: 5, max: 3600, unit: 'seconds', default: 60 },
+      { key: 'jobListRefreshSeconds', label: 'Job list', type: 'number', min: 1, max: 3600, unit: 'seconds', default: 5 },
+      { key: 'jobDetailsRefreshSeconds', label: 'Job details', type: 'number', min: 1, max: 3600, unit: 'seconds', default: 10 },
+      { key: 'queuesRefreshSeconds', label: 'Queues', type: 'number', min: 1, max: 3600, unit: 'seconds', default: 15 },
+      { key: 'tasksRefreshSeconds', label: 'Tasks', type: 'number', min: 1, max: 3600, unit: 'seconds', default: 30 },
+      { key: 'workersRefreshSeconds', label: 'Workers', type: 'number', min: 1, max: 3600, unit: 'seconds', default: 10 },
+    ],
+  },
+  {
+    label: 'Lists',
+    settings: [
+      { key: 'pageSize', label: 'Rows per page', description: 'Jobs, history and audit log', type: 'number', min: 5, max: 200, default: 25 },
+      { key: 'failedJobsLimit', label: 'Recent failures and error groups on the Dashboard', type: 'number', min: 1, max: 200, default: 25 },
+    ],
+  },
+  {
+    label: 'Dates and times',
+    settings: [
+      { key: 'timezone', label: 'Time zone', description: 'Leave empty for the browser time zone', type: 'timezone', default: '' },
+      {
+        key: 'dateFormat',
+        label: 'Date format',
+        type: 'select',
+        default: 'locale',
+        options: [
+          { value: 'locale', label: 'Browser locale' },
+          { value: 'iso', label: '2024-01-31 13:45:00' },
+          { value: 'us', label: '01/31/2024 13:45:00' },
+          { value: 'eu', label: '31/01/2024 13:45:00' },
+        ],
+      },
+    ],
+  },
+  {
+    label: 'Locks',
+    settings: [
+      { key: 'staleLockMinutes', label: 'Stale lock threshold', description: 'Job and queue locks older than this are flagged on the Workers and Queues pages', type: 'number', min: 1, max: 10080, unit: 'minutes', default: 30 },
+    ],
+  },
+  {
+    label: 'Default job filters',
+    description: 'Applied when the Jobs page is opened without filters in the URL.',
+    settings: [
+      {
+        key: 'defaultJobStatus',
+        label: 'Status',
+        type: 'select',
+        default: 'all',
+        options: [{ value: 'all', label: 'All Statuses' }, ...JOB_STATUSES.map(s => ({ value: s.value, label: s.label }))],
+      },
+      { key: 'defaultJobSearch', label: 'Search', description: 'e.g. -task:heartbeat', type: 'text', default: '' },
+    ],
+  },
+]
+
+export const SETTINGS = SETTING_GROUPS.flatMap(group => group.settings)
+
+export const DEFAULT_SETTINGS = Object.fromEntries(SETTINGS.map(setting => [setting.key, setting.default]))
+
+export function isValidSetting(setting, value) {
+  if (setting.type === 'number') return Number.isInteger(value) && value >= setting.min && value <= setting.max
+  if (setting.type === 'select') return setting.options.some(option => option.value === value)
+  if (setting.type === 'timezone') return value === '' || isTimeZone(value)
+  return typeof value === 'string'
+}
+
+export function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value })
+    return true
+  } catch {
+    return false
+  }
+}
+
+const overridesKey = (username) => `settings.overrides.${username || 'anonymous'}`
+
+// Overrides that no longer validate (e.g. after a setting changed) are dropped
+export function loadOverrides(username) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(overridesKey(username)) || '{}')
+    return Object.fromEntries(SETTINGS
+      .filter(setting => setting.key in stored && isValidSetting(setting, stored[setting.key]))
+      .map(setting => [setting.key, stored[setting.key]]))
+  } catch {
+    return {}
+  }
+}
+
+export function saveOverrides(username, overrides) {
+  try {
+    if (Object.keys(overrides).length > 0) localStorage.setItem(overridesKey(username), JSON.stringify(overrides))
+    else localStorage.removeItem(overridesKey(username))
+  } catch {
+    // Storage unavailable (private mode); overrides last until reload
+  }
+}
+
+const partsOf = (parts) => Object.fromEntries(parts.map(part => [part.type, part.value]))
+
+// Absolute timestamps in the configured time zone and format
+export function formatDateTime(value, { timezone, dateFormat } = {}, { timeOnly = false } = {}) {
+  const date = new Date(value)
+  const timeZone = timezone || undefined
+  if (!dateFormat || dateFormat === 'locale') {
+    return timeOnly ? date.toLocaleTimeString(undefined, { timeZone }) : date.toLocaleString(undefined, { timeZone })
+  }
+  const p = partsOf(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date))
+  const time = `${p.hour}:${p.minute}:${p.second}`
+  if (timeOnly) return time
+  if (dateFormat === 'us') return `${p.month}/${p.day}/${p.year} ${time}`
+  if (dateFormat === 'eu') return `${p.day}/${p.month}/${p.year} ${time}`
+  return `${p.year}-${p.month}-${p.day} ${time}`
+}
@@ -0,0 +1,6 @@
+// Whether a job or queue lock has been held longer than the stale lock
+// threshold (the `staleLockMinutes` setting), i.e. was likely abandoned by a
+// crashed worker. Shared by the Workers and Queues pages.
+export function isStaleLock(lockedAt, thresholdMinutes, now = Date.now()) {
+  return !!lockedAt && now - new Date(lockedAt).getTime() > thresholdMinutes * 60 * 1000
+}
@@ -0,0 +1,16 @@
+// The graphql-ws client behind Apollo's subscriptions. Shared so hooks can
+// follow the connection: it reconnects on its own, without an error reaching
+// the subscriptions, so a dropped socket is only visible from its events.
+
+import { createClient } from 'graphql-ws'
+import { getToken } from './auth'
+
+// The token goes in the connection params and is re-read whenever the socket
+// reconnects
+export const wsClient = createClient({
+  url: import.meta.env.VITE_GRAPHQL_WS_URL || 'ws://localhost:5001/graphql',
+  connectionParams: () => {
+    const token = getToken()
+    return token ? { authorization: `Bearer ${token}` } : {}
+  },
+})